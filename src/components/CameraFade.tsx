@@ -0,0 +1,79 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+
+interface CameraFadeProps {
+  /** Fade to the color while true, back to the scene when false */
+  active: boolean;
+  durationMs?: number;
+  color?: string;
+}
+
+/**
+ * Full-screen fade drawn as a clip-space quad, so it covers the view no matter
+ * where the camera is or which camera mode is active
+ */
+export const CameraFade: React.FC<CameraFadeProps> = ({
+  active,
+  durationMs = 350,
+  color = "#000000",
+}) => {
+  const meshRef = useRef<THREE.Mesh>(null);
+
+  const material = useMemo(
+    () =>
+      new THREE.ShaderMaterial({
+        uniforms: {
+          uColor: { value: new THREE.Color(color) },
+          uOpacity: { value: 0 },
+        },
+        vertexShader: /* glsl */ `
+          void main() {
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+          }
+        `,
+        fragmentShader: /* glsl */ `
+          uniform vec3 uColor;
+          uniform float uOpacity;
+          void main() {
+            gl_FragColor = vec4(uColor, uOpacity);
+          }
+        `,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+      }),
+    // Color changes are applied in useFrame, the material is built once
+    []
+  );
+
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((_state, delta) => {
+    const opacity = material.uniforms.uOpacity;
+    const target = active ? 1 : 0;
+    const step = durationMs > 0 ? (delta * 1000) / durationMs : 1;
+
+    material.uniforms.uColor.value.set(color);
+    opacity.value =
+      opacity.value < target
+        ? Math.min(opacity.value + step, target)
+        : Math.max(opacity.value - step, target);
+
+    if (meshRef.current) {
+      meshRef.current.visible = opacity.value > 0;
+    }
+  });
+
+  return (
+    <mesh
+      ref={meshRef}
+      material={material}
+      frustumCulled={false}
+      renderOrder={1000}
+      visible={false}
+    >
+      <planeGeometry args={[2, 2]} />
+    </mesh>
+  );
+};
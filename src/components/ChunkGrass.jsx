@@ -0,0 +1,151 @@
+import { useEffect, useMemo } from "react";
+import * as THREE from "three";
+import alea from "alea";
+
+// Blades steeper than this (radians) are skipped, like cliffs in BOTW
+const DEFAULT_MAX_SLOPE = 0.6;
+const SLOPE_SAMPLE_DISTANCE = 1;
+
+/**
+ * 🌱 CHUNK GRASS - Grass tufts scattered over one terrain chunk
+ *
+ * Placement is seeded, so a chunk that streams out and back in gets the same
+ * grass. Tufts follow the terrain height and skip steep slopes.
+ * getDensity(x, z) (0..1) thins tufts out and getColor(x, z, target) tints
+ * each one, both per region (biomes).
+ */
+export const ChunkGrass = ({
+  centerX,
+  centerZ,
+  size,
+  count = 2000,
+  seed,
+  getTerrainHeight,
+  maxSlope = DEFAULT_MAX_SLOPE,
+  bladeHeight = 1.2,
+  bladeWidth = 0.25,
+  color = "#3f6b21",
+  getDensity,
+  getColor,
+}) => {
+  // Two crossed quads per tuft, pivoting at the ground
+  const geometry = useMemo(() => {
+    const quadA = new THREE.PlaneGeometry(bladeWidth, bladeHeight);
+    quadA.translate(0, bladeHeight / 2, 0);
+    const quadB = quadA.clone();
+    quadB.rotateY(Math.PI / 2);
+
+    const positions = new Float32Array([
+      ...quadA.attributes.position.array,
+      ...quadB.attributes.position.array,
+    ]);
+    const uvs = new Float32Array([
+      ...quadA.attributes.uv.array,
+      ...quadB.attributes.uv.array,
+    ]);
+    const offset = quadA.attributes.position.count;
+    const indices = [
+      ...quadA.index.array,
+      ...Array.from(quadB.index.array, (index) => index + offset),
+    ];
+    quadA.dispose();
+    quadB.dispose();
+
+    const tuft = new THREE.BufferGeometry();
+    tuft.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    tuft.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+    tuft.setIndex(indices);
+    // Upward normals light the tufts like the ground under them
+    const normals = new Float32Array(positions.length);
+    for (let i = 1; i < normals.length; i += 3) normals[i] = 1;
+    tuft.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+    return tuft;
+  }, [bladeHeight, bladeWidth]);
+
+  const material = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        // Instance colors are multiplied by this
+        color: getColor ? "#ffffff" : color,
+        roughness: 1,
+        side: THREE.DoubleSide,
+      }),
+    [color, getColor]
+  );
+
+  const tufts = useMemo(() => {
+    if (!getTerrainHeight) return [];
+
+    const random = alea(seed);
+    const result = [];
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const up = new THREE.Vector3(0, 1, 0);
+
+    for (let i = 0; i < count; i++) {
+      const x = centerX + (random() - 0.5) * size;
+      const z = centerZ + (random() - 0.5) * size;
+      const yaw = random() * Math.PI * 2;
+      const tuftScale = 0.7 + random() * 0.6;
+      // Drawn for every tuft so the others keep their place
+      const keep = random();
+      if (getDensity && keep > getDensity(x, z)) continue;
+
+      const y = getTerrainHeight(x, z);
+      const dx =
+        getTerrainHeight(x + SLOPE_SAMPLE_DISTANCE, z) -
+        getTerrainHeight(x - SLOPE_SAMPLE_DISTANCE, z);
+      const dz =
+        getTerrainHeight(x, z + SLOPE_SAMPLE_DISTANCE) -
+        getTerrainHeight(x, z - SLOPE_SAMPLE_DISTANCE);
+      const slope = Math.atan(
+        Math.sqrt(dx * dx + dz * dz) / (2 * SLOPE_SAMPLE_DISTANCE)
+      );
+      if (slope > maxSlope) continue;
+
+      position.set(x, y, z);
+      rotation.setFromAxisAngle(up, yaw);
+      scale.setScalar(tuftScale);
+      result.push({
+        matrix: matrix.compose(position, rotation, scale).clone(),
+        color: getColor ? getColor(x, z, new THREE.Color()) : null,
+      });
+    }
+    return result;
+  }, [
+    centerX,
+    centerZ,
+    size,
+    count,
+    seed,
+    getTerrainHeight,
+    maxSlope,
+    getDensity,
+    getColor,
+  ]);
+
+  const mesh = useMemo(() => {
+    const instanced = new THREE.InstancedMesh(
+      geometry,
+      material,
+      Math.max(tufts.length, 1)
+    );
+    tufts.forEach((tuft, index) => {
+      instanced.setMatrixAt(index, tuft.matrix);
+      if (tuft.color) instanced.setColorAt(index, tuft.color);
+    });
+    instanced.count = tufts.length;
+    instanced.instanceMatrix.needsUpdate = true;
+    instanced.computeBoundingSphere();
+    instanced.receiveShadow = true;
+    return instanced;
+  }, [geometry, material, tufts]);
+
+  useEffect(() => () => mesh.dispose(), [mesh]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  return <primitive object={mesh} />;
+};
@@ -1,6 +1,7 @@
 import React, { useRef, useMemo, useEffect } from "react";
 import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
+import { BIOMES } from "../utils/terrainBiomes";
 
 // Constants
 const NUM_GRASS = 32 * 32 * 3; // 3072 blades per patch
@@ -226,6 +227,13 @@ uniform vec3 uTipColor2;
 uniform float uGradientCurve;
 uniform bool uAoEnabled;
 uniform float uAoIntensity;
+uniform sampler2D uBiomeMap;
+uniform vec2 uBiomeMapParams; // x: world size (0 = no biomes), y: resolution
+uniform vec4 uBiomeDensity;
+uniform vec3 uBiomeBaseColor1[4];
+uniform vec3 uBiomeBaseColor2[4];
+uniform vec3 uBiomeTipColor1[4];
+uniform vec3 uBiomeTipColor2[4];
 
 attribute float vertIndex;
 
@@ -248,6 +256,7 @@ void main() {
   float isSandy;
   float grassAllowedHash;
   float isGrassAllowed;
+  vec4 biomeWeights;
   float randomAngle;
   float randomShade;
   float randomHeight;
@@ -335,6 +344,18 @@ void main() {
   grassAllowedHash = hashVal1.w - isSandy;
   isGrassAllowed = step(0.0, grassAllowedHash);
 
+  // Biomes (BIOMES order, one per channel) thin the grass out and tint it
+  biomeWeights = vec4(0.0);
+  if (uBiomeMapParams.x > 0.0) {
+    vec2 biomeCoord = grassBladeWorldPos.xz / uBiomeMapParams.x + 0.5;
+    if (all(greaterThanEqual(biomeCoord, vec2(0.0))) && all(lessThanEqual(biomeCoord, vec2(1.0)))) {
+      vec2 biomeUv = (biomeCoord * (uBiomeMapParams.y - 1.0) + 0.5) / uBiomeMapParams.y;
+      biomeWeights = texture2D(uBiomeMap, biomeUv);
+      biomeWeights /= max(dot(biomeWeights, vec4(1.0)), 0.0001);
+      isGrassAllowed *= step(hash22(grassBladeWorldPos.xz * 1.37).x, dot(biomeWeights, uBiomeDensity));
+    }
+  }
+
   randomAngle = hashVal1.x * 2.0 * PI;
   randomShade = remap(hashVal1.y, -1.0, 1.0, 0.5, 1.0);
   randomHeight = remap(hashVal1.z, 0.0, 1.0, 0.75, 1.5) * mix(1.0, 0.0, lodFadeIn) * isGrassAllowed * heightmapSampleHeight;
@@ -432,6 +453,18 @@ void main() {
   b2 = uBaseColor2;
   t1 = uTipColor1;
   t2 = uTipColor2;
+  if (dot(biomeWeights, vec4(1.0)) > 0.0) {
+    b1 = vec3(0.0);
+    b2 = vec3(0.0);
+    t1 = vec3(0.0);
+    t2 = vec3(0.0);
+    for (int i = 0; i < 4; i++) {
+      b1 += uBiomeBaseColor1[i] * biomeWeights[i];
+      b2 += uBiomeBaseColor2[i] * biomeWeights[i];
+      t1 += uBiomeTipColor1[i] * biomeWeights[i];
+      t2 += uBiomeTipColor2[i] * biomeWeights[i];
+    }
+  }
 
   baseColour = mix(b1, b2, hashGrassColour.x);
   tipColour = mix(t1, t2, hashGrassColour.y);
@@ -961,6 +994,9 @@ export default function ClaudeGrassQuick5({
   frontScatterStrength = 0.3,
   rimSSSStrength = 0.5,
   grassDensity = 3072, // Number of grass blades per patch (default: 32*32*3)
+  // { texture, size, resolution } from useTerrainBiomes; overrides the
+  // colors above and thins blades out per biome
+  biomeMap = null,
 }) {
   const groupRef = useRef();
   const { camera } = useThree();
@@ -1010,6 +1046,26 @@ export default function ClaudeGrassQuick5({
     backscatterColor,
   ]);
 
+  // Biome grass colors never change, only the map does
+  const biomeColors = useMemo(
+    () => ({
+      baseColor1: BIOMES.map((biome) =>
+        convertSRGBToLinear(biome.grass.baseColor1)
+      ),
+      baseColor2: BIOMES.map((biome) =>
+        convertSRGBToLinear(biome.grass.baseColor2)
+      ),
+      tipColor1: BIOMES.map((biome) =>
+        convertSRGBToLinear(biome.grass.tipColor1)
+      ),
+      tipColor2: BIOMES.map((biome) =>
+        convertSRGBToLinear(biome.grass.tipColor2)
+      ),
+      density: new THREE.Vector4(...BIOMES.map((biome) => biome.grass.density)),
+    }),
+    []
+  );
+
   // Create geometries and materials - recreate when grassDensity changes
   const { geometryLow, geometryHigh, materialLow, materialHigh, heightmap } =
     useMemo(() => {
@@ -1120,6 +1176,14 @@ export default function ClaudeGrassQuick5({
             value: frontScatterStrength,
           };
           shader.uniforms.uRimSSSStrength = { value: rimSSSStrength };
+          // Biome uniforms - map and size updated per frame
+          shader.uniforms.uBiomeMap = { value: null };
+          shader.uniforms.uBiomeMapParams = { value: new THREE.Vector2() };
+          shader.uniforms.uBiomeDensity = { value: biomeColors.density };
+          shader.uniforms.uBiomeBaseColor1 = { value: biomeColors.baseColor1 };
+          shader.uniforms.uBiomeBaseColor2 = { value: biomeColors.baseColor2 };
+          shader.uniforms.uBiomeTipColor1 = { value: biomeColors.tipColor1 };
+          shader.uniforms.uBiomeTipColor2 = { value: biomeColors.tipColor2 };
 
           // Replace shaders with complete versions
           shader.vertexShader = vertexShader;
@@ -1299,6 +1363,12 @@ export default function ClaudeGrassQuick5({
         frontScatterStrength;
       materialLow.userData.shader.uniforms.uRimSSSStrength.value =
         rimSSSStrength;
+      materialLow.userData.shader.uniforms.uBiomeMap.value =
+        biomeMap?.texture ?? null;
+      materialLow.userData.shader.uniforms.uBiomeMapParams.value.set(
+        biomeMap ? biomeMap.size : 0.0,
+        biomeMap ? biomeMap.resolution : 1.0
+      );
 
       // Debug log uniforms every 60 frames
       if (Math.floor(totalTime.current * 60) % 60 === 0) {
@@ -1404,6 +1474,12 @@ export default function ClaudeGrassQuick5({
         frontScatterStrength;
       materialHigh.userData.shader.uniforms.uRimSSSStrength.value =
         rimSSSStrength;
+      materialHigh.userData.shader.uniforms.uBiomeMap.value =
+        biomeMap?.texture ?? null;
+      materialHigh.userData.shader.uniforms.uBiomeMapParams.value.set(
+        biomeMap ? biomeMap.size : 0.0,
+        biomeMap ? biomeMap.resolution : 1.0
+      );
     }
 
     // Frustum culling setup
@@ -3,6 +3,13 @@ import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
 import { RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
+import { useTerrainErosion } from "../hooks/useTerrainErosion";
+import { sampleErosionMap } from "../utils/terrainErosion";
+
+// Erosion grid nodes per side, spread over the whole terrain
+const EROSION_RESOLUTION = 256;
+// Brown terrain color
+const TERRAIN_COLOR = "#8B4513";
 
 // Simple Perlin-like noise implementation (copied from your working ProceduralTerrain)
 function createNoiseGenerator(seed = 0) {
@@ -131,41 +138,102 @@ export const EnhancedProceduralTerrain = ({
 }) => {
   const group = useRef();
 
-  const { seed, mountainScale, riverScale, flatScale, showWireframe } =
-    useControls("🏔️ Enhanced Terrain", {
-      seed: {
-        value: 12345,
-        min: 0,
-        max: 99999,
-        step: 1,
-        label: "🌱 Seed",
-      },
-      mountainScale: {
-        value: 50,
-        min: 0,
-        max: 150,
-        step: 5,
-        label: "⛰️ Mountain Height",
-      },
-      riverScale: {
-        value: -20,
-        min: -80,
-        max: 0,
-        step: 5,
-        label: "🌊 River Depth",
-      },
-      flatScale: {
-        value: 15,
-        min: 5,
-        max: 30,
-        step: 2,
-        label: "🏞️ Flat Area Height",
-      },
-      showWireframe: {
-        value: false,
-        label: "🔍 Show Wireframe",
-      },
-    });
+  const {
+    seed,
+    mountainScale,
+    riverScale,
+    flatScale,
+    showWireframe,
+    erosionEnabled,
+    erosionIterations,
+    erosionRainAmount,
+    erosionSedimentCapacity,
+    erosionThermalIterations,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
+  } = useControls("🏔️ Enhanced Terrain", {
+    seed: {
+      value: 12345,
+      min: 0,
+      max: 99999,
+      step: 1,
+      label: "🌱 Seed",
+    },
+    mountainScale: {
+      value: 50,
+      min: 0,
+      max: 150,
+      step: 5,
+      label: "⛰️ Mountain Height",
+    },
+    riverScale: {
+      value: -20,
+      min: -80,
+      max: 0,
+      step: 5,
+      label: "🌊 River Depth",
+    },
+    flatScale: {
+      value: 15,
+      min: 5,
+      max: 30,
+      step: 2,
+      label: "🏞️ Flat Area Height",
+    },
+    showWireframe: {
+      value: false,
+      label: "🔍 Show Wireframe",
+    },
+    // Erosion pass over the generated heights
+    erosionEnabled: {
+      value: false,
+      label: "💧 Enable Erosion",
+    },
+    erosionIterations: {
+      value: 50000,
+      min: 10000,
+      max: 500000,
+      step: 10000,
+      label: "💧 Erosion Iterations (droplets)",
+    },
+    erosionRainAmount: {
+      value: 1.0,
+      min: 0.1,
+      max: 4.0,
+      step: 0.1,
+      label: "💧 Rain Amount (water per droplet)",
+    },
+    erosionSedimentCapacity: {
+      value: 4.0,
+      min: 0.5,
+      max: 16.0,
+      step: 0.5,
+      label: "💧 Sediment Capacity",
+    },
+    erosionThermalIterations: {
+      value: 10,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "🪨 Thermal Erosion Passes",
+    },
+    erosionColorStrength: {
+      value: 0.6,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      label: "🎨 Erosion Color Amount",
+    },
+    flowColor: {
+      value: "#2f3a1c",
+      label: "🎨 Water Flow Color (gullies)",
+    },
+    sedimentColor: {
+      value: "#8a7a55",
+      label: "🎨 Sediment Color (deposits)",
+    },
+  });
 
   // Create noise generators (same as your working ProceduralTerrain)
   const noiseGenerators = useMemo(
@@ -177,6 +245,36 @@ export const EnhancedProceduralTerrain = ({
     [seed]
   );
 
+  // Uneroded height lookup for the erosion pass
+  // The mesh is rotated -90° around X, so world Z is the negated plane Y
+  const noiseHeightLookup = useMemo(
+    () => (x, z) =>
+      getEnhancedTerrainHeight(
+        x,
+        -z,
+        noiseGenerators,
+        mountainScale,
+        riverScale,
+        flatScale
+      ),
+    [noiseGenerators, mountainScale, riverScale, flatScale]
+  );
+
+  const { erosion } = useTerrainErosion(
+    noiseHeightLookup,
+    size,
+    EROSION_RESOLUTION,
+    erosionEnabled
+      ? {
+          iterations: erosionIterations,
+          rainAmount: erosionRainAmount,
+          sedimentCapacity: erosionSedimentCapacity,
+          thermalIterations: erosionThermalIterations,
+          seed,
+        }
+      : null
+  );
+
   const geometry = useMemo(() => {
     const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
     const positions = geometry.attributes.position.array;
@@ -190,7 +288,7 @@ export const EnhancedProceduralTerrain = ({
       const z = positions[i + 1];
 
       // Get height using your working method
-      const height = getEnhancedTerrainHeight(
+      let height = getEnhancedTerrainHeight(
         x,
         z,
         noiseGenerators,
@@ -198,10 +296,41 @@ export const EnhancedProceduralTerrain = ({
         riverScale,
         flatScale
       );
+      // Erosion works in world space, where Z is the negated plane Y
+      if (erosion) {
+        height += erosion.getDelta(x, -z);
+      }
 
       positions[i + 2] = height;
     }
 
+    // Tint where erosion deposited sediment and where water ran; the
+    // material turns white so these vertex colors carry the terrain color
+    if (erosion) {
+      const terrainRgb = new THREE.Color(TERRAIN_COLOR);
+      const flowRgb = new THREE.Color(flowColor);
+      const sedimentRgb = new THREE.Color(sedimentColor);
+      const vertexColor = new THREE.Color();
+      const colors = new Float32Array(positions.length);
+      for (let i = 0; i < positions.length; i += 3) {
+        const x = positions[i];
+        const z = -positions[i + 1];
+        vertexColor
+          .copy(terrainRgb)
+          .lerp(
+            sedimentRgb,
+            sampleErosionMap(erosion, erosion.sediment, x, z) *
+              erosionColorStrength
+          )
+          .lerp(
+            flowRgb,
+            sampleErosionMap(erosion, erosion.flow, x, z) * erosionColorStrength
+          );
+        vertexColor.toArray(colors, i);
+      }
+      geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    }
+
     geometry.attributes.position.needsUpdate = true;
     geometry.computeVertexNormals();
 
@@ -217,16 +346,21 @@ export const EnhancedProceduralTerrain = ({
     riverScale,
     flatScale,
     noiseGenerators,
+    erosion,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   ]);
 
   const material = useMemo(() => {
     return new THREE.MeshStandardMaterial({
-      color: "#8B4513", // Brown terrain color
+      color: erosion ? "#ffffff" : TERRAIN_COLOR,
+      vertexColors: Boolean(erosion),
       wireframe: showWireframe,
       metalness: 0.1,
       roughness: 0.8,
     });
-  }, [showWireframe]);
+  }, [showWireframe, erosion]);
 
   return (
     <group ref={group} {...props}>
@@ -13,7 +13,18 @@ import { useLightsControls } from "./useLightsControls";
 import { Csm } from "./Csm";
 import { SSAOEffect } from "./SSAOEffect";
 import { getDefaultMapKey, useActiveMap } from "./useActiveMap";
-import { mapOrder } from "./mapDefinitions";
+import { mapDefinitions, mapOrder } from "./mapDefinitions";
+import { LevelEditorProvider } from "../context/LevelEditorContext";
+import { CheckpointProvider } from "../context/CheckpointContext";
+import { TerrainProvider } from "../context/TerrainContext";
+import { WaterProvider } from "../context/WaterContext";
+import { ClimbingProvider } from "../context/ClimbingContext";
+import { useSaveGame } from "./useSaveGame";
+import { RESPAWN_FADE_MS, useRespawn } from "./useRespawn";
+import { CameraFade } from "./CameraFade";
+import { Water } from "./Water";
+import { WaterBuoyancy } from "./WaterBuoyancy";
+import { useWaterControls } from "./useWaterControls";
 
 export const Experience = () => {
   const [characterSpawnPosition, setCharacterSpawnPosition] = useState([
@@ -23,53 +34,56 @@ export const Experience = () => {
   const [teleportRequest, setTeleportRequest] = useState(null);
 
   const directionalLightRef = useRef();
+  const characterRef = useRef(null);
   const characterPositionVector = useRef(new THREE.Vector3());
   const characterVelocity = useRef(new THREE.Vector3());
   const characterRotation = useRef(0);
   const defaultMap = getDefaultMapKey();
-  // Create map options with display names for map15, map16, map6, and map18
-  const mapOptions = useMemo(() => {
-    const options = {};
-    mapOrder.forEach((mapKey) => {
-      if (mapKey === "map15") {
-        options["map15 (parkour)"] = mapKey;
-      } else if (mapKey === "map16") {
-        options["map16 (city)"] = mapKey;
-      } else if (mapKey === "map6") {
-        options["map6 (Zeldaterrain1-GLB)"] = mapKey;
-      } else if (mapKey === "map18") {
-        options["map18 (2.5D parkour)"] = mapKey;
-      } else if (mapKey === "map19") {
-        options["map19 (2.5D city)"] = mapKey;
-      } else if (mapKey === "map20") {
-        options["map20 (2.5D garden)"] = mapKey;
-      } else if (mapKey === "map21") {
-        options["map21 (2.5D garden)"] = mapKey;
-      } else {
-        options[mapKey] = mapKey;
-      }
-    });
-    return options;
-  }, []);
+  // Map dropdown options come from the manifest display names
+  const mapOptions = useMemo(
+    () =>
+      Object.fromEntries(
+        mapOrder.map((mapKey) => [mapDefinitions[mapKey].displayName, mapKey])
+      ),
+    []
+  );
 
-  const { map, cameraMode } = useControls("Map", {
-    map: {
-      value: defaultMap,
-      options: mapOptions,
-    },
-    cameraMode: {
-      value: "2.5dcamera",
-      options: ["2.5dcamera", "orbit"],
-      label: "Camera Mode",
-    },
+  const [{ map, cameraMode, editorMode }, setMapControls] = useControls(
+    "Map",
+    () => ({
+      map: {
+        value: defaultMap,
+        options: mapOptions,
+      },
+      cameraMode: {
+        value: "2.5dcamera",
+        options: ["2.5dcamera", "orbit"],
+        label: "Camera Mode",
+      },
+      editorMode: {
+        value: false,
+        label: "🛠️ Level Editor",
+        // Only maps with a ParkourLevel have anything to edit
+        render: (get) => mapDefinitions[get("Map.map")].hasParkourLevel,
+      },
+    })
+  );
+
+  const setMap = useCallback(
+    (nextMap) => setMapControls({ map: nextMap }),
+    [setMapControls]
+  );
+
+  // Loading a save switches map / remounts physics through physicsKey
+  const { physicsKey, restore, checkpoint, handleCheckpoint } = useSaveGame({
+    map,
+    setMap,
+    characterRef,
   });
 
   // All maps use 2.5D mode (for character movement constraints)
   const isMap18 = true;
 
-  // Use selected camera mode
-  const effectiveCameraMode = cameraMode;
-
   const { showRapierDebug } = useControls("🐛 DEBUG", {
     showRapierDebug: {
       value: false,
@@ -111,8 +125,32 @@ export const Experience = () => {
     showTestSphere,
   } = useLightsControls();
 
+  const {
+    waterEnabled,
+    waterReflections,
+    waterResolution,
+    waterSkyColor,
+    waterShallowColor,
+    waterDeepColor,
+    waterFoamColor,
+    waterClarity,
+    waterFoamWidth,
+    waterWaveStrength,
+    waterWaveScale,
+    waterWaveSpeed,
+  } = useWaterControls();
+
+  // Set below once the active map is known; heightmap spawns can only sample
+  // the terrain after it has loaded
+  const resolveReadySpawnRef = useRef(null);
+
   const handleTerrainReady = useCallback(() => {
     setTimeout(() => {
+      const spawnPosition = resolveReadySpawnRef.current?.();
+      if (spawnPosition) {
+        setCharacterSpawnPosition(spawnPosition);
+        characterPositionVector.current.set(...spawnPosition);
+      }
       setIsTerrainReady(true);
     }, 200);
   }, []);
@@ -121,15 +159,6 @@ export const Experience = () => {
     setTeleportRequest(request);
   }, []);
 
-  const handleTeleportHandled = useCallback((id) => {
-    setTeleportRequest((current) => {
-      if (current && current.id === id) {
-        return null;
-      }
-      return current;
-    });
-  }, []);
-
   const activeMap = useActiveMap(map, {
     characterPosition: characterPositionVector.current,
     characterVelocity: characterVelocity.current,
@@ -137,6 +166,44 @@ export const Experience = () => {
     onTeleportRequest: handleTeleportRequest,
   });
 
+  // The toggle is hidden on other maps, but keeps its value across switches
+  const levelEditorEnabled = editorMode && activeMap.hasParkourLevel;
+
+  // Use selected camera mode (the level editor always uses the orbit camera)
+  const effectiveCameraMode = levelEditorEnabled ? "orbit" : cameraMode;
+
+  resolveReadySpawnRef.current = () =>
+    restore ? restore.character.position : activeMap.resolveSpawnPosition();
+
+  // Falling below the map's kill plane respawns at the last checkpoint
+  const getRespawnPosition = useCallback(
+    () => checkpoint?.spawnPosition ?? activeMap.resolveSpawnPosition(),
+    [checkpoint, activeMap]
+  );
+
+  const { fading: respawnFading, handleTeleportHandled: handleRespawnHandled } =
+    useRespawn({
+      enabled: isTerrainReady && !levelEditorEnabled,
+      killPlaneY: activeMap.killPlaneY,
+      characterPosition: characterPositionVector.current,
+      getRespawnPosition,
+      onTeleportRequest: handleTeleportRequest,
+      resetKey: physicsKey,
+    });
+
+  const handleTeleportHandled = useCallback(
+    (id) => {
+      setTeleportRequest((current) => {
+        if (current && current.id === id) {
+          return null;
+        }
+        return current;
+      });
+      handleRespawnHandled(id);
+    },
+    [handleRespawnHandled]
+  );
+
   const directionalPosition = useMemo(
     () => activeMap.directionalOverride ?? defaultDirectionalPosition,
     [activeMap.directionalOverride, defaultDirectionalPosition]
@@ -163,14 +230,14 @@ export const Experience = () => {
   const MapComponent = activeMap.mapComponent;
   const mapProps = activeMap.mapProps;
 
-  // Track previous map to detect actual changes (initialize to null for first run)
-  const prevMapRef = useRef(null);
+  // Track previous physics session to detect actual changes (initialize to null for first run)
+  const prevPhysicsKeyRef = useRef(null);
 
-  // Calculate smart spawn positions when map changes
+  // Calculate smart spawn positions when the map changes or a save is loaded
   useEffect(() => {
-    const previousMap = prevMapRef.current;
-    if (previousMap !== map) {
-      prevMapRef.current = map;
+    const previousKey = prevPhysicsKeyRef.current;
+    if (previousKey !== physicsKey) {
+      prevPhysicsKeyRef.current = physicsKey;
       setTeleportRequest(null);
     } else {
       return;
@@ -179,8 +246,14 @@ export const Experience = () => {
     // Always wait for terrain ready - ALL maps must call onTerrainReady before character spawns
     setIsTerrainReady(false);
 
-    setCharacterSpawnPosition(activeMap.spawnPosition);
-  }, [map, activeMap]);
+    const spawnPosition = restore
+      ? restore.character.position
+      : activeMap.spawnPosition;
+    setCharacterSpawnPosition(spawnPosition);
+    // Until the new character reports in, don't let the previous map's
+    // position trip this map's kill plane
+    characterPositionVector.current.set(...spawnPosition);
+  }, [physicsKey, activeMap, restore]);
 
   // Update shadow camera position to follow character when enabled
   useFrame(() => {
@@ -251,6 +324,7 @@ export const Experience = () => {
     <>
       {effectiveCameraMode === "orbit" && (
         <OrbitControls
+          makeDefault
           enablePan={true}
           enableZoom={true}
           enableRotate={true}
@@ -316,27 +390,63 @@ export const Experience = () => {
           />
         </directionalLight>
       )}
-      <Physics key={map} debug={showRapierDebug}>
-        <MapComponent {...mapProps} />
-        {/* Only spawn character when terrain is ready */}
-        {isTerrainReady && (
-          <GodotCharacterHybrid
-            cameraMode={effectiveCameraMode}
-            is2_5DMode={isMap18}
-            position={characterSpawnPosition}
-            teleportRequest={teleportRequest}
-            onTeleportHandled={handleTeleportHandled}
-            onPositionChange={(pos) => {
-              characterPositionVector.current.set(pos[0], pos[1], pos[2]);
-            }}
-            onVelocityChange={(vel) => {
-              characterVelocity.current.set(vel[0], vel[1], vel[2]);
-            }}
-            onRotationChange={(rot) => {
-              characterRotation.current = rot;
-            }}
-          />
-        )}
+      <Physics key={physicsKey} debug={showRapierDebug}>
+        <TerrainProvider>
+          <WaterProvider>
+            <ClimbingProvider>
+              {/* The map's water; map components can add their own lakes */}
+              {waterEnabled && activeMap.water && (
+                <Water
+                  level={activeMap.water.level}
+                  bounds={activeMap.water.bounds}
+                  reflections={waterReflections}
+                  resolution={waterResolution}
+                  sunPosition={directionalPosition}
+                  skyColor={waterSkyColor}
+                  shallowColor={waterShallowColor}
+                  deepColor={waterDeepColor}
+                  foamColor={waterFoamColor}
+                  clarity={waterClarity}
+                  foamWidth={waterFoamWidth}
+                  waveStrength={waterWaveStrength}
+                  waveScale={waterWaveScale}
+                  waveSpeed={waterWaveSpeed}
+                />
+              )}
+              <WaterBuoyancy />
+              <LevelEditorProvider enabled={levelEditorEnabled}>
+                <CheckpointProvider
+                  activeCheckpointId={checkpoint?.id ?? null}
+                  onCheckpoint={handleCheckpoint}
+                >
+                  <MapComponent {...mapProps} />
+                </CheckpointProvider>
+              </LevelEditorProvider>
+              {/* Only spawn character when terrain is ready */}
+              {isTerrainReady && (
+                <GodotCharacterHybrid
+                  ref={characterRef}
+                  cameraMode={effectiveCameraMode}
+                  is2_5DMode={isMap18}
+                  paused={levelEditorEnabled}
+                  position={characterSpawnPosition}
+                  initialState={restore?.character ?? null}
+                  teleportRequest={teleportRequest}
+                  onTeleportHandled={handleTeleportHandled}
+                  onPositionChange={(pos) => {
+                    characterPositionVector.current.set(pos[0], pos[1], pos[2]);
+                  }}
+                  onVelocityChange={(vel) => {
+                    characterVelocity.current.set(vel[0], vel[1], vel[2]);
+                  }}
+                  onRotationChange={(rot) => {
+                    characterRotation.current = rot;
+                  }}
+                />
+              )}
+            </ClimbingProvider>
+          </WaterProvider>
+        </TerrainProvider>
       </Physics>
       {showTestSphere && (
         <mesh position={[0, 2, 5]} castShadow>
@@ -348,6 +458,7 @@ export const Experience = () => {
           />
         </mesh>
       )}
+      <CameraFade active={respawnFading} durationMs={RESPAWN_FADE_MS} />
       {/* Post-processing effects */}
       <SSAOEffect />
     </>
@@ -1,7 +1,9 @@
 import React, { useMemo } from "react";
+import { useTerrain } from "../context/TerrainContext";
 
 interface FloorDebugSpheresProps {
-  heightmapLookup: ((x: number, z: number) => number) | null;
+  /** Defaults to the active terrain from TerrainProvider */
+  heightmapLookup?: ((x: number, z: number) => number) | null;
   enabled?: boolean;
   gridSize?: number;
   areaSize?: number;
@@ -11,7 +13,7 @@ interface FloorDebugSpheresProps {
 }
 
 export const FloorDebugSpheres = ({
-  heightmapLookup,
+  heightmapLookup: heightmapLookupProp,
   enabled = true,
   gridSize = 15,
   areaSize = 500,
@@ -19,6 +21,9 @@ export const FloorDebugSpheres = ({
   sphereColor = "#00ff00",
   emissiveIntensity = 0.8,
 }: FloorDebugSpheresProps) => {
+  const { terrain } = useTerrain();
+  const heightmapLookup = heightmapLookupProp ?? terrain?.getHeight ?? null;
+
   // Generate sphere positions using heightmap lookup
   const spheres = useMemo(() => {
     if (!enabled || !heightmapLookup) {
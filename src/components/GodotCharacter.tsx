@@ -173,6 +173,16 @@ export function GodotCharacter({
     swordAttack: "Sword_Attack",
     swordAttackAlt: "Sword_Attack_RM",
     roll: "Roll",
+    swim: "Swim_Fwd_Loop",
+    swimIdle: "Swim_Idle_Loop",
+    // Parkour - no dedicated clips in the rig, closest stand-ins
+    wallRun: "Sprint_Loop",
+    wallJump: "Jump_Start",
+    ledgeHang: "Jump_Loop",
+    ledgeClimb: "Crouch_Fwd_Loop",
+    climb: "Push_Loop",
+    climbIdle: "Jump_Loop",
+    slide: "Crouch_Idle_Loop",
   };
 
   const currentAnimationRef = useRef<string | null>(null);
@@ -2,6 +2,7 @@
 import React, {
   useCallback,
   useEffect,
+  useImperativeHandle,
   useMemo,
   useRef,
   useState,
@@ -15,12 +16,59 @@ import { degToRad } from "three/src/math/MathUtils.js";
 import { GodotCharacter } from "./GodotCharacter";
 import type * as THREE from "three";
 import { TeleportationRequest } from "../types/teleportation";
+import type { CharacterSaveState } from "../types/saveGame";
 import {
   FootstepParticles,
   type FootstepParticlesHandle,
   type FootstepParticleSpawnOptions,
 } from "./FootstepParticles";
 import { bvhManager } from "../utils/bvhManager";
+import {
+  CHARACTER_BODY_USER_DATA,
+  takeBodyVelocity,
+} from "../utils/characterBody";
+import { useWater } from "../context/WaterContext";
+import { useClimbing } from "../context/ClimbingContext";
+import { isClimbableBody } from "../utils/climbing";
+import type { Ladder } from "../types/climbing";
+
+// Water at the feet deeper than this slows walking down (wading)
+const WADE_DEPTH = 0.3;
+// Share of the character's height under water where it starts swimming;
+// it stops a little shallower so the two states don't flicker
+const SWIM_DEPTH_RATIO = 0.7;
+const SWIM_EXIT_MARGIN = 0.15;
+// Walking speed left at the deepest wade
+const WADE_SPEED_FACTOR = 0.5;
+// After hopping out of the water, before swimming can start again
+const SWIM_REENTRY_DELAY = 0.5;
+
+// Walls are surfaces whose normal is at most this far from horizontal
+const WALL_MAX_NORMAL_Y = 0.3;
+// How far past the probe ball a wall still counts as touched
+const WALL_PROBE_DISTANCE = 0.35;
+// Upward kick when a wall-run starts, and the pull that keeps it on the wall
+const WALL_RUN_LIFT = 1.5;
+const WALL_RUN_STICK = 0.5;
+// Roll away from the wall while running on it
+const WALL_RUN_LEAN = 0.3;
+// A wall this close to the last one run on needs ground in between
+const WALL_RUN_SAME_WALL = 0.7;
+// After a wall-jump or letting go of a ledge, before parkour can start again
+const WALL_JUMP_COOLDOWN = 0.25;
+const LEDGE_REGRAB_DELAY = 0.4;
+// Rising faster than this flies past ledges instead of grabbing them
+const LEDGE_GRAB_MAX_RISE = 1;
+// Gap between the capsule and a ladder's rungs, and how hard it's pulled there
+const LADDER_GAP = 0.15;
+const LADDER_SNAP = 8;
+// Step-up probes: how far ahead of the capsule, and the lowest riser height
+const STEP_REACH = 0.05;
+const STEP_MIN_HEIGHT = 0.02;
+// Kinematic mode: landing slower than this doesn't bounce off springy surfaces
+const BOUNCE_MIN_SPEED = 1;
+
+const UP = new Vector3(0, 1, 0);
 
 const normalizeAngle = (angle: number) => {
   while (angle > Math.PI) angle -= 2 * Math.PI;
@@ -43,10 +91,19 @@ const lerpAngle = (start: number, end: number, t: number) => {
   return normalizeAngle(start + (end - start) * t);
 };
 
+export type GodotCharacterHandle = {
+  /** Snapshot for save games, null before the rigid body exists */
+  getSaveState: () => CharacterSaveState | null;
+};
+
 interface Props {
+  ref?: React.Ref<GodotCharacterHandle>;
   position?: [number, number, number];
+  /** Restored from a save on mount (position comes from `position`) */
+  initialState?: CharacterSaveState | null;
   cameraMode?: string;
   is2_5DMode?: boolean;
+  paused?: boolean;
   collider?: THREE.Mesh | null;
   onPositionChange?: (position: [number, number, number]) => void;
   onVelocityChange?: (velocity: [number, number, number]) => void;
@@ -56,9 +113,12 @@ interface Props {
 }
 
 export const GodotCharacterHybrid = ({
+  ref,
   position = [0, 2, 0],
+  initialState = null,
   cameraMode = "orbit",
   is2_5DMode = false,
+  paused = false,
   collider = null,
   onPositionChange,
   onVelocityChange,
@@ -69,12 +129,32 @@ export const GodotCharacterHybrid = ({
   // Access Rapier world for raycasting dynamic objects
   const { world, rapier } = useRapier();
   const { camera } = useThree();
+  const { getWaterLevel } = useWater();
+  const { getLadder } = useClimbing();
 
   const {
     WALK_SPEED,
     RUN_SPEED,
     ROTATION_SPEED,
     JUMP_FORCE,
+    SWIM_SPEED,
+    WALL_RUN_SPEED,
+    WALL_RUN_DURATION,
+    WALL_RUN_GRAVITY,
+    WALL_RUN_MIN_SPEED,
+    WALL_JUMP_FORCE,
+    WALL_JUMP_PUSH,
+    LEDGE_REACH,
+    MANTLE_TIME,
+    CLIMB_SPEED,
+    MAX_SLOPE_ANGLE,
+    SLIDE_ACCELERATION,
+    UPHILL_SPEED_FACTOR,
+    DOWNHILL_SPEED_FACTOR,
+    STEP_HEIGHT,
+    CONTROLLER_MODE,
+    SNAP_TO_GROUND,
+    CHARACTER_MASS,
     cameraX,
     cameraY,
     cameraZ,
@@ -101,6 +181,85 @@ export const GodotCharacterHybrid = ({
           step: degToRad(0.1),
         },
         JUMP_FORCE: { value: 6, min: 1, max: 10, step: 0.1 },
+        SWIM_SPEED: { value: 1.6, min: 0.2, max: 6, step: 0.1 },
+        CONTROLLER_MODE: {
+          value: "dynamic",
+          options: ["dynamic", "kinematic"],
+          label: "Controller Mode",
+        },
+      },
+      { collapsed: true }
+    ),
+    parkour: folder(
+      {
+        WALL_RUN_SPEED: { value: 5, min: 0.5, max: 12, step: 0.1 },
+        WALL_RUN_DURATION: { value: 1.2, min: 0.2, max: 3, step: 0.05 },
+        WALL_RUN_GRAVITY: { value: 0.3, min: 0, max: 1, step: 0.05 },
+        WALL_RUN_MIN_SPEED: { value: 2.5, min: 0, max: 8, step: 0.1 },
+        WALL_JUMP_FORCE: { value: 6, min: 1, max: 12, step: 0.1 },
+        WALL_JUMP_PUSH: { value: 5, min: 0, max: 12, step: 0.1 },
+        LEDGE_REACH: { value: 0.5, min: 0.1, max: 1.5, step: 0.05 },
+        MANTLE_TIME: { value: 0.4, min: 0.1, max: 1.5, step: 0.05 },
+        CLIMB_SPEED: { value: 1.5, min: 0.2, max: 5, step: 0.1 },
+      },
+      { collapsed: true }
+    ),
+    slopes: folder(
+      {
+        MAX_SLOPE_ANGLE: {
+          value: 45,
+          min: 10,
+          max: 85,
+          step: 1,
+          label: "Max Walkable Slope (deg)",
+        },
+        SLIDE_ACCELERATION: {
+          value: 6,
+          min: 0,
+          max: 20,
+          step: 0.5,
+          label: "Slide Acceleration",
+        },
+        UPHILL_SPEED_FACTOR: {
+          value: 0.6,
+          min: 0.1,
+          max: 1,
+          step: 0.05,
+          label: "Speed Uphill (at max slope)",
+        },
+        DOWNHILL_SPEED_FACTOR: {
+          value: 1.2,
+          min: 1,
+          max: 2,
+          step: 0.05,
+          label: "Speed Downhill (at max slope)",
+        },
+        STEP_HEIGHT: {
+          value: 0.25,
+          min: 0,
+          max: 0.6,
+          step: 0.01,
+          label: "Step-Up Height",
+        },
+      },
+      { collapsed: true }
+    ),
+    kinematic: folder(
+      {
+        SNAP_TO_GROUND: {
+          value: 0.3,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: "Snap To Ground",
+        },
+        CHARACTER_MASS: {
+          value: 60,
+          min: 1,
+          max: 200,
+          step: 1,
+          label: "Push Mass",
+        },
       },
       { collapsed: true }
     ),
@@ -200,10 +359,39 @@ export const GodotCharacterHybrid = ({
   const [isGrounded, setIsGrounded] = useState(true);
   const wasGrounded = useRef(false);
   const jumpPhase = useRef<"none" | "start" | "loop" | "land">("none");
+  const isSwimming = useRef(false);
+  const swimReentryTimer = useRef(0);
   const [combatMode, setCombatMode] = useState(false);
   const isAttacking = useRef(false);
   const isRolling = useRef(false);
   const rollPressed = useRef(false);
+  const parkourState = useRef<
+    "none" | "wallRun" | "ledgeHang" | "mantle" | "climb"
+  >("none");
+  const climbLadder = useRef<Ladder | null>(null);
+  const parkourCooldown = useRef(0);
+  const wallRunTimer = useRef(0);
+  const wallNormal = useRef(new Vector3());
+  const lastWallRunNormal = useRef<Vector3 | null>(null);
+  const ledgeHeight = useRef(0);
+  const mantleTimer = useRef(0);
+  const mantleStart = useRef(new Vector3());
+  const mantleEnd = useRef(new Vector3());
+  const wallLean = useRef(0);
+  const parkourForward = useRef(new Vector3());
+  // Kinematic body under the feet (moving platforms), set by checkGroundedRapier
+  const groundPlatform = useRef<any>(null);
+  // Platform velocity added on top of the character's own last frame
+  const carriedVelocity = useRef(new Vector3());
+  // Normal of the ground underfoot, from the last ground checks
+  const groundNormal = useRef(new Vector3(0, 1, 0));
+  // Kinematic mode: Rapier's character controller and the velocity it moved
+  // the body with, since a kinematic body keeps none of its own
+  const characterController = useRef<any>(null);
+  const kinematicVelocity = useRef(new Vector3());
+  const kinematicGrounded = useRef(false);
+  const colliderRef = useRef<any>(null);
+  const parkourSide = useRef(new Vector3());
 
   const characterRotationTarget = useRef(0);
   const rotationTarget = useRef(0);
@@ -219,7 +407,7 @@ export const GodotCharacterHybrid = ({
   const [, get] = useKeyboardControls();
   const jumpPressed = useRef(false);
   const cameraInitialized = useRef(false);
-  const isCrouchingRef = useRef(false);
+  const isCrouchingRef = useRef(initialState?.isCrouching ?? false);
   const crouchTransitioningRef = useRef(false);
   const ceilingClearanceTimer = useRef(0);
   const teleportTimeoutRef = useRef<number | null>(null);
@@ -419,6 +607,47 @@ export const GodotCharacterHybrid = ({
   const tempVector = useRef(new Vector3());
   const tempVector2 = useRef(new Vector3());
 
+  // KINEMATIC MODE - Rapier's character controller moves a kinematic body:
+  // no solver bounce or drift, built-in autostep, snap-to-ground and slope
+  // limits, and it pushes dynamic bodies out of the way
+  useEffect(() => {
+    if (CONTROLLER_MODE !== "kinematic" || !world) return;
+
+    const controller = world.createCharacterController(0.01);
+    controller.setUp({ x: 0, y: 1, z: 0 });
+    controller.setMaxSlopeClimbAngle(degToRad(MAX_SLOPE_ANGLE));
+    controller.setMinSlopeSlideAngle(degToRad(MAX_SLOPE_ANGLE));
+    if (STEP_HEIGHT > 0) {
+      controller.enableAutostep(STEP_HEIGHT, capsuleRadius * 0.5, false);
+    }
+    if (SNAP_TO_GROUND > 0) {
+      controller.enableSnapToGround(SNAP_TO_GROUND);
+    }
+    controller.setApplyImpulsesToDynamicBodies(true);
+    controller.setCharacterMass(CHARACTER_MASS);
+    characterController.current = controller;
+
+    // Carry the current motion across the switch in both directions
+    const linvel = rb.current?.linvel();
+    if (linvel) {
+      kinematicVelocity.current.set(linvel.x, linvel.y, linvel.z);
+    }
+
+    return () => {
+      characterController.current = null;
+      rb.current?.setLinvel(kinematicVelocity.current, true);
+      world.removeCharacterController(controller);
+    };
+  }, [
+    world,
+    CONTROLLER_MODE,
+    MAX_SLOPE_ANGLE,
+    STEP_HEIGHT,
+    SNAP_TO_GROUND,
+    CHARACTER_MASS,
+    capsuleRadius,
+  ]);
+
   // Combat mode toggle - R key (E is used for dance)
   useEffect(() => {
     const handleKeyDown = (e: KeyboardEvent) => {
@@ -648,6 +877,14 @@ export const GodotCharacterHybrid = ({
       );
       rb.current.setLinvel({ x: 0, y: 0, z: 0 }, true);
       rb.current.setAngvel({ x: 0, y: 0, z: 0 }, true);
+      kinematicVelocity.current.set(0, 0, 0);
+      carriedVelocity.current.set(0, 0, 0);
+      endParkour();
+
+      // Teleports can change depth: re-lock 2.5D movement to the new Z
+      if (lockedZPosition.current !== null) {
+        lockedZPosition.current = spawnVec.z;
+      }
 
       teleportHoldFramesRef.current = Math.max(
         teleportHoldFramesRef.current,
@@ -702,9 +939,57 @@ export const GodotCharacterHybrid = ({
     setIsGrounded,
   ]);
 
+  // Restore a loaded save once, after the mode effects above reset rotation
+  // and orbit offsets. Crouch is restored by the ref's initial value so the
+  // first render already uses the crouched capsule.
+  useEffect(() => {
+    if (!initialState) return;
+
+    const { velocity, rotation, heading, camera: cameraState } = initialState;
+    rb.current?.setLinvel(
+      { x: velocity[0], y: velocity[1], z: velocity[2] },
+      true
+    );
+    kinematicVelocity.current.fromArray(velocity);
+    rotationTarget.current = heading;
+    characterRotationTarget.current = rotation;
+    if (character.current) {
+      character.current.rotation.y = rotation;
+    }
+    mouseOrbitOffset.current = cameraState.orbitOffset;
+    mouseVerticalOffset.current = cameraState.verticalOffset;
+  }, []);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      getSaveState: () => {
+        if (!rb.current) return null;
+
+        const pos = rb.current.translation();
+        const vel = characterController.current
+          ? kinematicVelocity.current
+          : rb.current.linvel();
+        return {
+          position: [pos.x, pos.y, pos.z],
+          velocity: [vel.x, vel.y, vel.z],
+          rotation: characterRotationTarget.current,
+          heading: rotationTarget.current,
+          isCrouching: isCrouchingRef.current,
+          camera: {
+            orbitOffset: mouseOrbitOffset.current,
+            verticalOffset: mouseVerticalOffset.current,
+          },
+        };
+      },
+    }),
+    []
+  );
+
   // BVH-based ground detection using BVH Manager (STATIC GEOMETRY ONLY)
-  const checkGroundedBVH = () => {
-    if (!rb.current) return false;
+  // Returns the ground's world normal, null when there's no ground underfoot
+  const checkGroundedBVH = (): THREE.Vector3 | null => {
+    if (!rb.current) return null;
 
     try {
       const position = rb.current.translation();
@@ -745,22 +1030,24 @@ export const GodotCharacterHybrid = ({
           worldNormal.copy(localNormal);
         }
 
-        // If normal points up (> 0.7), it's ground
-        if (worldNormal.y > 0.7) {
-          return true;
+        // If normal points up, it's ground (how steep is decided by the caller)
+        if (worldNormal.y > 0) {
+          return worldNormal.normalize();
         }
       }
 
-      return false;
+      return null;
     } catch (error) {
       console.error("BVH ground check error:", error);
-      return false;
+      return null;
     }
   };
 
   // Rapier raycast for ALL objects (static ground + dynamic cubes)
-  const checkGroundedRapier = () => {
-    if (!rb.current || !world || !rapier) return false;
+  // Returns the ground's normal, null when there's no ground underfoot
+  const checkGroundedRapier = (): THREE.Vector3 | null => {
+    groundPlatform.current = null;
+    if (!rb.current || !world || !rapier) return null;
 
     try {
       const position = rb.current.translation();
@@ -785,11 +1072,11 @@ export const GodotCharacterHybrid = ({
 
       // Cast ray - EXCLUDE the character's own collider
       // Parameters: ray, maxToi, solid, filterFlags, filterGroups, filterExcludeCollider, filterExcludeRigidBody, filterPredicate
-      const hit = world.castRay(
+      const hit = world.castRayAndGetNormal(
         ray,
         rayLength,
         true, // solid (stop at first hit)
-        undefined, // filterFlags
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS, // trigger volumes aren't ground
         undefined, // filterGroups
         undefined, // filterExcludeCollider
         rb.current, // filterExcludeRigidBody - EXCLUDE CHARACTER!
@@ -805,14 +1092,78 @@ export const GodotCharacterHybrid = ({
 
         // Only count as grounded if hit is within the ray length
         if (typeof hitToi === "number" && hitToi <= rayLength) {
-          return true;
+          const body = hit.collider.parent();
+          groundPlatform.current = body?.isKinematic() ? body : null;
+          // A ray starting inside the ground has no normal: call it flat
+          const normal = new Vector3(hit.normal.x, hit.normal.y, hit.normal.z);
+          return normal.lengthSq() > 0.5 ? normal : normal.set(0, 1, 0);
         }
       }
 
-      return false;
+      return null;
     } catch (error) {
       console.error("Rapier raycast error:", error);
-      return false;
+      return null;
+    }
+  };
+
+  // Height of a step ahead (a riser at the ankles, room above it and walkable
+  // ground on top) that the character can be lifted onto; null for none
+  const findStepUp = (directionX: number, directionZ: number) => {
+    if (!rb.current || !world || !rapier || STEP_HEIGHT <= 0) return null;
+
+    try {
+      const position = rb.current.translation();
+      const currentHalfHeight = isCrouchingRef.current
+        ? (capsuleHeight * 0.5) / 2
+        : capsuleHeight / 2;
+      const feetY = position.y - currentHalfHeight - capsuleRadius;
+      const reach = capsuleRadius + STEP_REACH;
+      const walkableY = Math.cos(degToRad(MAX_SLOPE_ANGLE));
+
+      const castAhead = (height: number) =>
+        world.castRayAndGetNormal(
+          new rapier.Ray(
+            { x: position.x, y: feetY + height, z: position.z },
+            { x: directionX, y: 0, z: directionZ }
+          ),
+          reach,
+          true,
+          rapier.QueryFilterFlags.EXCLUDE_SENSORS,
+          undefined,
+          undefined,
+          rb.current
+        );
+
+      // A ramp ahead is a slope, not a step
+      const riser = castAhead(STEP_MIN_HEIGHT);
+      if (!riser || riser.normal.y >= walkableY) return null;
+      if (castAhead(STEP_HEIGHT + 0.05)) return null;
+
+      const topRay = new rapier.Ray(
+        {
+          x: position.x + directionX * reach,
+          y: feetY + STEP_HEIGHT + 0.05,
+          z: position.z + directionZ * reach,
+        },
+        { x: 0, y: -1, z: 0 }
+      );
+      const top = world.castRayAndGetNormal(
+        topRay,
+        STEP_HEIGHT + 0.05,
+        true,
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS,
+        undefined,
+        undefined,
+        rb.current
+      );
+      if (!top || top.normal.y < walkableY) return null;
+
+      const height = STEP_HEIGHT + 0.05 - top.timeOfImpact;
+      return height > STEP_MIN_HEIGHT ? height : null;
+    } catch (error) {
+      console.error("Step-up check error:", error);
+      return null;
     }
   };
 
@@ -841,7 +1192,7 @@ export const GodotCharacterHybrid = ({
         ray,
         rayLength,
         true,
-        undefined,
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS,
         undefined,
         undefined,
         rb.current,
@@ -860,16 +1211,158 @@ export const GodotCharacterHybrid = ({
     }
   };
 
+  // PARKOUR probe: a ball a little thinner than the capsule, cast from the chest
+  const wallProbe = useMemo(
+    () => new rapier.Ball(capsuleRadius * 0.8),
+    [rapier, capsuleRadius]
+  );
+
+  // Shape cast for a wall along a horizontal direction; null for no wall
+  // or for slopes and ceilings
+  const castWall = (direction: Vector3, maxDistance: number) => {
+    if (!rb.current || !world || !rapier) return null;
+
+    try {
+      const position = rb.current.translation();
+      const hit = world.castShape(
+        { x: position.x, y: position.y + capsuleHeight / 4, z: position.z },
+        { x: 0, y: 0, z: 0, w: 1 },
+        { x: direction.x, y: direction.y, z: direction.z },
+        wallProbe,
+        0,
+        maxDistance,
+        true,
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS,
+        undefined,
+        undefined,
+        rb.current
+      );
+      if (!hit) return null;
+
+      // normal1 is the wall's own normal, pointing back at the probe
+      const normal = new Vector3(hit.normal1.x, hit.normal1.y, hit.normal1.z);
+      if (normal.lengthSq() < 0.5 || Math.abs(normal.y) > WALL_MAX_NORMAL_Y) {
+        return null;
+      }
+
+      return {
+        normal: normal.setY(0).normalize(),
+        distance: hit.time_of_impact,
+        collider: hit.collider,
+      };
+    } catch (error) {
+      console.error("Wall cast error:", error);
+      return null;
+    }
+  };
+
+  // Height of a ledge on top of the wall ahead, within reach above the head.
+  // The ray starts above the reach, so a hit also means there's room on top.
+  const findLedge = (forward: Vector3, wallDistance: number) => {
+    if (!rb.current || !world || !rapier) return null;
+
+    try {
+      const position = rb.current.translation();
+      const headY = position.y + capsuleHeight / 2 + capsuleRadius;
+      const reachIn = wallDistance + capsuleRadius * 0.8 + 0.15;
+      const rayOrigin = {
+        x: position.x + forward.x * reachIn,
+        y: headY + LEDGE_REACH,
+        z: position.z + forward.z * reachIn,
+      };
+      const rayLength = LEDGE_REACH + capsuleHeight / 2;
+
+      const ray = new rapier.Ray(rayOrigin, { x: 0, y: -1, z: 0 });
+      const hit = world.castRayAndGetNormal(
+        ray,
+        rayLength,
+        true,
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS,
+        undefined,
+        undefined,
+        rb.current
+      );
+
+      // Starting inside something means there's no room above the edge
+      if (!hit || hit.timeOfImpact < 0.05 || hit.normal.y < 0.7) {
+        return null;
+      }
+      return rayOrigin.y - hit.timeOfImpact;
+    } catch (error) {
+      console.error("Ledge check error:", error);
+      return null;
+    }
+  };
+
+  // Something to climb: the ladder whose volume the character is in, else a
+  // climbable wall ahead. In 3D a ladder has to be faced to be climbed.
+  const findClimbSurface = (forward: Vector3) => {
+    const ladder = getLadder();
+    if (ladder) {
+      const facing = -(
+        forward.x * ladder.normal.x +
+        forward.z * ladder.normal.z
+      );
+      if (!is2_5DMode && facing < 0.3) return null;
+      return {
+        ladder,
+        normal: new Vector3(ladder.normal.x, 0, ladder.normal.z),
+      };
+    }
+
+    const wall = castWall(forward, WALL_PROBE_DISTANCE);
+    if (wall && isClimbableBody(wall.collider.parent())) {
+      return { ladder: null, normal: wall.normal };
+    }
+    return null;
+  };
+
+  // Back to plain falling (or floating, if a parkour move ended in water)
+  const endParkour = () => {
+    if (parkourState.current === "none") return;
+    parkourState.current = "none";
+    rb.current?.setGravityScale(isSwimming.current ? 0 : 1, true);
+    wallLean.current = 0;
+  };
+
+  // Paused (level editor): hold the character in place and idle
+  useEffect(() => {
+    if (paused && rb.current) {
+      rb.current.setLinvel({ x: 0, y: 0, z: 0 }, true);
+      kinematicVelocity.current.set(0, 0, 0);
+      carriedVelocity.current.set(0, 0, 0);
+      endParkour();
+      jumpPhase.current = "none";
+      setAnimation("idle");
+    }
+  }, [paused]);
+
   useFrame((_state, delta) => {
+    if (paused) return;
+
     if (rb.current) {
       footstepCooldownRef.current = Math.max(
         footstepCooldownRef.current - delta,
         0
       );
 
-      const vel = rb.current.linvel();
+      // A kinematic body keeps no velocity: start from what the controller
+      // moved it by last frame
+      const vel = characterController.current
+        ? { ...kinematicVelocity.current }
+        : rb.current.linvel();
       if (!vel) return;
 
+      // Launch pads set velocity on the body, which only reaches a kinematic
+      // one through here; a push upwards also lifts it off the ground
+      const pushed = takeBodyVelocity(rb.current);
+      if (pushed && characterController.current) {
+        vel.x = pushed.x;
+        vel.y = pushed.y;
+        vel.z = pushed.z;
+        if (pushed.y > 0) kinematicGrounded.current = false;
+      }
+
       // Initialize locked Z position for 2.5D mode on first frame
       if (is2_5DMode && lockedZPosition.current === null && rb.current) {
         const pos = rb.current.translation();
@@ -902,20 +1395,77 @@ export const GodotCharacterHybrid = ({
         onVelocityChange([vel.x, vel.y, vel.z]);
       }
 
+      // MOVING PLATFORMS - movement works relative to the ground: take off the
+      // platform velocity added last frame, the current one goes back on below
+      vel.x -= carriedVelocity.current.x;
+      vel.y -= carriedVelocity.current.y;
+      vel.z -= carriedVelocity.current.z;
+
+      // WATER - depth at the feet decides between walking, wading and swimming
+      const bodyPosition = rb.current.translation();
+      const waterLevel = getWaterLevel(bodyPosition.x, bodyPosition.z);
+      const feetY =
+        bodyPosition.y -
+        (isCrouchingRef.current
+          ? (capsuleHeight * 0.5) / 2
+          : capsuleHeight / 2) -
+        capsuleRadius;
+      const waterDepth = waterLevel === null ? 0 : waterLevel - feetY;
+      const swimDepth = (capsuleHeight + capsuleRadius * 2) * SWIM_DEPTH_RATIO;
+      swimReentryTimer.current = Math.max(swimReentryTimer.current - delta, 0);
+      let swimming = isSwimming.current
+        ? waterDepth > swimDepth - SWIM_EXIT_MARGIN
+        : waterDepth > swimDepth && swimReentryTimer.current === 0;
+      if (swimming !== isSwimming.current) {
+        isSwimming.current = swimming;
+        // Swimming holds the character at the surface instead of gravity
+        rb.current.setGravityScale(swimming ? 0 : 1, true);
+        jumpPhase.current = "none";
+        // Wading out onto the shore isn't a landing
+        wasGrounded.current = true;
+      }
+
       // Get crouch input FIRST (needed for ground detection)
-      const crouchInput = get().crouch;
+      // Crouching dives while swimming
+      const crouchInput = get().crouch && !swimming;
+      const diveInput = get().crouch && swimming;
 
       // HYBRID GROUND DETECTION - BVH for static geometry + Rapier for dynamic objects
-      // Check BVH first (static geometry - terrain, buildings, platforms)
-      const groundedBVH = checkGroundedBVH();
-      // Check Rapier for dynamic objects (cubes, moving platforms)
-      const groundedRapier = checkGroundedRapier();
-      // Character is grounded if standing on either static or dynamic objects
-      let grounded = groundedBVH || groundedRapier;
+      // Swimming replaces the ground checks: there's nothing to stand on
+      let grounded = false;
+      // On ground steeper than MAX_SLOPE_ANGLE: not standing, sliding down
+      let sliding = false;
+      if (!swimming) {
+        // Check BVH first (static geometry - terrain, buildings, platforms)
+        const groundedBVH = checkGroundedBVH();
+        // Check Rapier for dynamic objects (cubes, moving platforms)
+        const groundedRapier = checkGroundedRapier();
+        // Character is grounded if standing on either static or dynamic objects;
+        // with both, the flatter one counts
+        const normal =
+          groundedBVH && groundedRapier && groundedRapier.y > groundedBVH.y
+            ? groundedRapier
+            : groundedBVH ?? groundedRapier;
+        groundNormal.current.copy(normal ?? UP);
+        if (normal) {
+          grounded = normal.y >= Math.cos(degToRad(MAX_SLOPE_ANGLE));
+          sliding = !grounded;
+        }
+        // The kinematic controller decides standing by its own slope limit
+        // and snapping; the rays still give the normal and the platform
+        if (characterController.current) {
+          grounded = kinematicGrounded.current;
+          sliding =
+            !grounded &&
+            !!normal &&
+            normal.y < Math.cos(degToRad(MAX_SLOPE_ANGLE));
+        }
+      }
 
       // FORCE grounded during crouch transitions to prevent fall animations
       if (crouchTransitioningRef.current) {
         grounded = true;
+        sliding = false;
       }
 
       setIsGrounded(grounded);
@@ -1060,9 +1610,22 @@ export const GodotCharacterHybrid = ({
         rollPressed.current = false;
       }
 
+      // SLOPES - slide down ground too steep to stand on
+      if (sliding) {
+        const normal = groundNormal.current;
+        const slide = SLIDE_ACCELERATION * delta;
+        vel.x += normal.x * normal.y * slide;
+        vel.y -= (1 - normal.y * normal.y) * slide;
+        vel.z = is2_5DMode ? 0 : vel.z + normal.z * normal.y * slide;
+        jumpPhase.current = "none";
+        setAnimation("slide");
+      }
+
       // If in air and not in jump phase, set to loop (unless crouching or transitioning)
       if (
         !grounded &&
+        !sliding &&
+        !swimming &&
         jumpPhase.current === "none" &&
         !shouldBeCrouched &&
         !crouchTransitioningRef.current &&
@@ -1072,7 +1635,8 @@ export const GodotCharacterHybrid = ({
         setAnimation("jumpLoop");
       }
 
-      wasGrounded.current = grounded;
+      // Sliding off a slope onto flatter ground isn't a landing
+      wasGrounded.current = grounded || sliding;
 
       const movement: any = { x: 0, z: 0 };
 
@@ -1122,6 +1686,34 @@ export const GodotCharacterHybrid = ({
         isCrouchingRef.current = shouldBeCrouched;
       }
 
+      // SWIM - float at the surface, dive with crouch, hop out with jump
+      if (swimming) {
+        const jumpInput = get().jump;
+        if (
+          jumpInput &&
+          !jumpPressed.current &&
+          waterDepth < swimDepth + SWIM_EXIT_MARGIN
+        ) {
+          jumpPressed.current = true;
+          vel.y = JUMP_FORCE;
+          swimming = false;
+          isSwimming.current = false;
+          swimReentryTimer.current = SWIM_REENTRY_DELAY;
+          rb.current.setGravityScale(1, true);
+          jumpPhase.current = "loop";
+          setAnimation("jumpLoop");
+        } else {
+          const targetVelY = diveInput
+            ? -SWIM_SPEED
+            : MathUtils.clamp(
+                (waterDepth - swimDepth) * 2,
+                -SWIM_SPEED,
+                SWIM_SPEED
+              );
+          vel.y = MathUtils.lerp(vel.y, targetVelY, 0.1);
+        }
+      }
+
       // Movement input FIRST (before jump)
       // In 2.5D mode: disable forward/backward (Up/Down arrows), only allow left/right
       if (is2_5DMode) {
@@ -1160,6 +1752,20 @@ export const GodotCharacterHybrid = ({
       if (shouldBeCrouched) {
         speed = WALK_SPEED * 0.5; // Crouch walk is slower
       }
+      if (swimming) {
+        speed = SWIM_SPEED;
+      } else if (waterDepth > WADE_DEPTH) {
+        // Slower the deeper the water, down to WADE_SPEED_FACTOR
+        speed *= MathUtils.lerp(
+          1,
+          WADE_SPEED_FACTOR,
+          MathUtils.clamp(
+            (waterDepth - WADE_DEPTH) / (swimDepth - WADE_DEPTH),
+            0,
+            1
+          )
+        );
+      }
 
       if (movement.x !== 0 || movement.z !== 0) {
         let intendedVelX = 0;
@@ -1203,9 +1809,9 @@ export const GodotCharacterHybrid = ({
           }
         }
 
-        // Apply velocity only when grounded AND not in landing animation
+        // Apply velocity only when grounded (or swimming) AND not in landing animation
         // Block movement during landing animation to prevent sliding during jumpLand animation
-        if (grounded && jumpPhase.current !== "land") {
+        if ((grounded || swimming) && jumpPhase.current !== "land") {
           vel.x = intendedVelX;
           // Lock Z velocity in 2.5D mode
           if (!is2_5DMode) {
@@ -1213,6 +1819,48 @@ export const GodotCharacterHybrid = ({
           } else {
             vel.z = 0;
           }
+
+          const horizontalVel = Math.hypot(vel.x, vel.z);
+          if (grounded && horizontalVel > 0.01) {
+            // Slower uphill, faster downhill, and following the surface so
+            // walking downhill doesn't turn into hopping
+            const normal = groundNormal.current;
+            const rise = -(vel.x * normal.x + vel.z * normal.z) / normal.y;
+            const incline =
+              Math.atan(rise / horizontalVel) / degToRad(MAX_SLOPE_ANGLE);
+            const slopeFactor =
+              incline > 0
+                ? MathUtils.lerp(1, UPHILL_SPEED_FACTOR, Math.min(incline, 1))
+                : MathUtils.lerp(
+                    1,
+                    DOWNHILL_SPEED_FACTOR,
+                    Math.min(-incline, 1)
+                  );
+            vel.x *= slopeFactor;
+            vel.z *= slopeFactor;
+            vel.y = rise * slopeFactor;
+
+            // Lift onto small ledges and stair steps instead of stopping;
+            // the kinematic controller autosteps by itself
+            const stepHeight = characterController.current
+              ? null
+              : findStepUp(
+                  vel.x / (horizontalVel * slopeFactor),
+                  vel.z / (horizontalVel * slopeFactor)
+                );
+            if (stepHeight !== null) {
+              const position = rb.current.translation();
+              rb.current.setTranslation(
+                {
+                  x: position.x,
+                  y: position.y + stepHeight + 0.01,
+                  z: position.z,
+                },
+                true
+              );
+              vel.y = Math.max(vel.y, 0);
+            }
+          }
         }
         // When not grounded or during landing, don't touch velocity - let Rapier handle it
 
@@ -1243,7 +1891,9 @@ export const GodotCharacterHybrid = ({
         }
 
         // Don't change animation during landing - let landing animation finish
-        if (
+        if (swimming) {
+          setAnimation("swim");
+        } else if (
           grounded &&
           jumpPhase.current === "none" &&
           !danceInput &&
@@ -1267,7 +1917,7 @@ export const GodotCharacterHybrid = ({
         // No movement input
 
         // Don't apply deceleration during landing animation - let landing animation finish
-        if (grounded && jumpPhase.current !== "land") {
+        if ((grounded || swimming) && jumpPhase.current !== "land") {
           vel.x *= 0.85;
           if (!is2_5DMode) {
             vel.z *= 0.85;
@@ -1298,7 +1948,9 @@ export const GodotCharacterHybrid = ({
           jumpPressed.current = false;
         }
 
-        if (
+        if (swimming) {
+          setAnimation("swimIdle");
+        } else if (
           grounded &&
           jumpPhase.current === "none" &&
           !danceInput &&
@@ -1315,6 +1967,350 @@ export const GodotCharacterHybrid = ({
         }
       }
 
+      // PARKOUR - wall-run, wall-jump and ledge grab, all in the air. In 2.5D
+      // the wall-run goes up the wall ahead instead of along one beside.
+      parkourCooldown.current = Math.max(parkourCooldown.current - delta, 0);
+
+      // Point the character (and the follow camera) along a world direction
+      const faceDirection = (x: number, z: number) => {
+        if (is2_5DMode) {
+          const side = x >= 0 ? Math.PI / 2 : -Math.PI / 2;
+          rotationTarget.current = side;
+          characterRotationTarget.current = side;
+        } else {
+          rotationTarget.current = Math.atan2(x, z);
+          characterRotationTarget.current = 0;
+        }
+      };
+
+      // Push off a wall: lose the speed into it, keep the speed along it
+      const wallJump = (normal: Vector3) => {
+        const into = Math.min(vel.x * normal.x + vel.z * normal.z, 0);
+        vel.x += normal.x * (WALL_JUMP_PUSH - into);
+        vel.z = is2_5DMode ? 0 : vel.z + normal.z * (WALL_JUMP_PUSH - into);
+        vel.y = WALL_JUMP_FORCE;
+        endParkour();
+        faceDirection(vel.x, vel.z);
+        jumpPressed.current = true;
+        parkourCooldown.current = WALL_JUMP_COOLDOWN;
+        lastWallRunNormal.current = normal.clone();
+
+        jumpPhase.current = "start";
+        setAnimation("wallJump");
+        setTimeout(() => {
+          if (jumpPhase.current === "start") {
+            jumpPhase.current = "loop";
+            setAnimation("jumpLoop");
+          }
+        }, 200);
+      };
+
+      // Pull up over an edge at the given height, ending `reach` from the
+      // start, away from wallNormal
+      const startMantle = (top: number, reach = capsuleRadius * 2 + 0.2) => {
+        parkourState.current = "mantle";
+        mantleTimer.current = 0;
+        const position = rb.current.translation();
+        mantleStart.current.set(position.x, position.y, position.z);
+        mantleEnd.current
+          .copy(wallNormal.current)
+          .multiplyScalar(-reach)
+          .add(mantleStart.current)
+          .setY(top + capsuleHeight / 2 + capsuleRadius + 0.05);
+        setAnimation("ledgeClimb");
+      };
+
+      const freshJump = get().jump && !jumpPressed.current;
+      const heading = is2_5DMode
+        ? rotationTarget.current
+        : rotationTarget.current + characterRotationTarget.current;
+      const forward = parkourForward.current.set(
+        Math.sin(heading),
+        0,
+        Math.cos(heading)
+      );
+      // Up/down climbs; in 2.5D these keys do nothing else
+      const climbInput = (get().forward ? 1 : 0) - (get().backward ? 1 : 0);
+
+      // CLIMB - grab a ladder or climbable wall, from the ground or the air
+      if (
+        parkourState.current === "none" &&
+        parkourCooldown.current === 0 &&
+        !swimming &&
+        !shouldBeCrouched &&
+        (climbInput > 0 || (climbInput < 0 && !grounded))
+      ) {
+        const surface = findClimbSurface(forward);
+        if (surface) {
+          parkourState.current = "climb";
+          climbLadder.current = surface.ladder;
+          wallNormal.current.copy(surface.normal);
+          rb.current.setGravityScale(0, true);
+          setAnimation("climb");
+        }
+      }
+
+      if (
+        (grounded && parkourState.current !== "climb") ||
+        swimming ||
+        shouldBeCrouched
+      ) {
+        // Crouching lets go of a ledge or a ladder
+        if (
+          parkourState.current === "ledgeHang" ||
+          parkourState.current === "climb"
+        ) {
+          parkourCooldown.current = LEDGE_REGRAB_DELAY;
+        }
+        if (!grounded && !swimming && parkourState.current !== "none") {
+          setAnimation("jumpLoop");
+        }
+        endParkour();
+        if (grounded) {
+          lastWallRunNormal.current = null;
+        }
+      } else if (parkourState.current === "climb") {
+        const position = rb.current.translation();
+        const ladder = climbLadder.current;
+        const intoWall = parkourSide.current.copy(wallNormal.current).negate();
+        const wall = ladder ? null : castWall(intoWall, WALL_PROBE_DISTANCE);
+        const onSurface = ladder
+          ? getLadder() === ladder
+          : wall !== null && isClimbableBody(wall.collider.parent());
+        const feetY = position.y - capsuleHeight / 2 - capsuleRadius;
+        const ledge =
+          wall && climbInput > 0 ? findLedge(intoWall, wall.distance) : null;
+        faceDirection(intoWall.x, intoWall.z);
+
+        if (freshJump) {
+          // Jumping lets go, pushing off the surface
+          wallJump(wallNormal.current);
+        } else if (
+          ladder &&
+          climbInput > 0 &&
+          feetY > ladder.top - capsuleHeight / 2
+        ) {
+          // Further in: the character hangs off the rungs, not on a wall
+          startMantle(ladder.top, capsuleRadius * 3 + 0.2);
+        } else if (ledge !== null) {
+          startMantle(ledge);
+        } else if (!onSurface || (grounded && climbInput < 0)) {
+          // Off the side of the surface, or down on the ground
+          endParkour();
+          if (!grounded) {
+            setAnimation("jumpLoop");
+          }
+        } else {
+          vel.y = climbInput * CLIMB_SPEED;
+          if (ladder) {
+            // Pulled onto the rungs' center line
+            const standOff = capsuleRadius + LADDER_GAP;
+            vel.x =
+              (ladder.x + ladder.normal.x * standOff - position.x) *
+              LADDER_SNAP;
+            vel.z =
+              (ladder.z + ladder.normal.z * standOff - position.z) *
+              LADDER_SNAP;
+          } else if (wall) {
+            // Held against the wall; left/right sidestep along it in 3D
+            wallNormal.current.copy(wall.normal);
+            const sidestep = is2_5DMode ? 0 : movement.x * CLIMB_SPEED;
+            vel.x = -wall.normal.z * sidestep - wall.normal.x * WALL_RUN_STICK;
+            vel.z = wall.normal.x * sidestep - wall.normal.z * WALL_RUN_STICK;
+          }
+          if (is2_5DMode) {
+            vel.z = 0;
+          }
+          setAnimation(climbInput !== 0 ? "climb" : "climbIdle");
+        }
+      } else {
+        if (parkourState.current === "mantle") {
+          // Up the wall first, then over the edge
+          mantleTimer.current += delta;
+          const t = Math.min(mantleTimer.current / MANTLE_TIME, 1);
+          const rise = MathUtils.smoothstep(t, 0, 0.6);
+          const over = MathUtils.smoothstep(t, 0.5, 1);
+          rb.current.setTranslation(
+            {
+              x: MathUtils.lerp(
+                mantleStart.current.x,
+                mantleEnd.current.x,
+                over
+              ),
+              y: MathUtils.lerp(
+                mantleStart.current.y,
+                mantleEnd.current.y,
+                rise
+              ),
+              z: MathUtils.lerp(
+                mantleStart.current.z,
+                mantleEnd.current.z,
+                over
+              ),
+            },
+            true
+          );
+          vel.x = 0;
+          vel.y = 0;
+          vel.z = 0;
+          if (t >= 1) {
+            endParkour();
+          }
+        } else if (parkourState.current === "ledgeHang") {
+          vel.x = 0;
+          vel.y = 0;
+          vel.z = 0;
+          faceDirection(-wallNormal.current.x, -wallNormal.current.z);
+          // Jump, or push towards the wall, to climb up
+          const towardWall = is2_5DMode
+            ? movement.x * -wallNormal.current.x > 0.5
+            : movement.z > 0;
+          if (freshJump || towardWall) {
+            jumpPressed.current = freshJump || jumpPressed.current;
+            startMantle(ledgeHeight.current);
+          } else {
+            setAnimation("ledgeHang");
+          }
+        } else if (parkourState.current === "wallRun") {
+          wallRunTimer.current -= delta;
+          const intoWall = parkourSide.current
+            .copy(wallNormal.current)
+            .negate();
+          const side = castWall(intoWall, WALL_PROBE_DISTANCE);
+
+          if (freshJump) {
+            wallJump(side?.normal ?? wallNormal.current);
+          } else if (is2_5DMode) {
+            // Up the wall while pushing into it, slowing to a stop, and over
+            // the top if it comes within reach
+            const pushing = movement.x * -wallNormal.current.x > 0.5;
+            const ledge = side ? findLedge(intoWall, side.distance) : null;
+            if (ledge !== null) {
+              startMantle(ledge);
+            } else if (!side || wallRunTimer.current <= 0 || !pushing) {
+              endParkour();
+              setAnimation("jumpLoop");
+            } else {
+              wallNormal.current.copy(side.normal);
+              vel.x = -side.normal.x * WALL_RUN_STICK;
+              vel.y =
+                WALL_RUN_SPEED * (wallRunTimer.current / WALL_RUN_DURATION);
+              vel.z = 0;
+              faceDirection(intoWall.x, intoWall.z);
+              setAnimation("wallRun");
+            }
+          } else if (!side || wallRunTimer.current <= 0 || !get().forward) {
+            endParkour();
+            setAnimation("jumpLoop");
+          } else {
+            wallNormal.current.copy(side.normal);
+            // Run along the wall, the way the character was already going
+            const along = parkourSide.current
+              .set(vel.x, 0, vel.z)
+              .addScaledVector(
+                side.normal,
+                -(vel.x * side.normal.x + vel.z * side.normal.z)
+              );
+            if (along.lengthSq() < 1e-4) {
+              endParkour();
+              setAnimation("jumpLoop");
+            } else {
+              along.normalize();
+              vel.x = along.x * WALL_RUN_SPEED - side.normal.x * WALL_RUN_STICK;
+              vel.z = along.z * WALL_RUN_SPEED - side.normal.z * WALL_RUN_STICK;
+              faceDirection(along.x, along.z);
+              // Wall on the right (character's -X) leans the head left
+              const wallOnRight =
+                along.z * side.normal.x - along.x * side.normal.z > 0;
+              wallLean.current = wallOnRight ? -WALL_RUN_LEAN : WALL_RUN_LEAN;
+              setAnimation("wallRun");
+            }
+          }
+        } else if (parkourCooldown.current === 0) {
+          const front = castWall(forward, WALL_PROBE_DISTANCE);
+          const ledge =
+            front && !freshJump && vel.y < LEDGE_GRAB_MAX_RISE
+              ? findLedge(forward, front.distance)
+              : null;
+
+          if (front && freshJump) {
+            wallJump(front.normal);
+          } else if (front && ledge !== null) {
+            // Hang with the head at the edge and the chest on the wall
+            parkourState.current = "ledgeHang";
+            wallNormal.current.copy(front.normal);
+            ledgeHeight.current = ledge;
+            rb.current.setGravityScale(0, true);
+            const position = rb.current.translation();
+            const snap = Math.max(front.distance - capsuleRadius * 0.25, 0);
+            rb.current.setTranslation(
+              {
+                x: position.x + forward.x * snap,
+                y: ledge - capsuleHeight / 2 - capsuleRadius,
+                z: position.z + forward.z * snap,
+              },
+              true
+            );
+            vel.x = 0;
+            vel.y = 0;
+            vel.z = 0;
+            faceDirection(-front.normal.x, -front.normal.z);
+            jumpPhase.current = "loop";
+            setAnimation("ledgeHang");
+          } else if (is2_5DMode) {
+            // Wall-run up a wall met at speed while pushing into it
+            const pushing = front && movement.x * -front.normal.x > 0.5;
+            const sameWall =
+              front &&
+              lastWallRunNormal.current &&
+              front.normal.dot(lastWallRunNormal.current) > WALL_RUN_SAME_WALL;
+            if (
+              front &&
+              pushing &&
+              !sameWall &&
+              Math.abs(vel.x) >= WALL_RUN_MIN_SPEED
+            ) {
+              parkourState.current = "wallRun";
+              wallRunTimer.current = WALL_RUN_DURATION;
+              wallNormal.current.copy(front.normal);
+              lastWallRunNormal.current = front.normal.clone();
+              rb.current.setGravityScale(WALL_RUN_GRAVITY, true);
+              jumpPhase.current = "loop";
+              setAnimation("wallRun");
+            }
+          } else if (get().forward) {
+            // Wall-run on a wall beside the character when running fast enough
+            const runSpeed = Math.hypot(vel.x, vel.z);
+            const runDirection = parkourSide.current.set(vel.x, 0, vel.z);
+            if (runSpeed >= WALL_RUN_MIN_SPEED) {
+              runDirection.divideScalar(runSpeed);
+              const right = new Vector3(-runDirection.z, 0, runDirection.x);
+              const side =
+                castWall(right, WALL_PROBE_DISTANCE) ??
+                castWall(right.negate(), WALL_PROBE_DISTANCE);
+              const sameWall =
+                side &&
+                lastWallRunNormal.current &&
+                side.normal.dot(lastWallRunNormal.current) > WALL_RUN_SAME_WALL;
+              if (
+                side &&
+                !sameWall &&
+                Math.abs(side.normal.dot(runDirection)) < 0.5
+              ) {
+                parkourState.current = "wallRun";
+                wallRunTimer.current = WALL_RUN_DURATION;
+                wallNormal.current.copy(side.normal);
+                lastWallRunNormal.current = side.normal.clone();
+                rb.current.setGravityScale(WALL_RUN_GRAVITY, true);
+                vel.y = Math.max(vel.y, WALL_RUN_LIFT);
+                jumpPhase.current = "loop";
+                setAnimation("wallRun");
+              }
+            }
+          }
+        }
+      }
+
       if (character.current) {
         // Character rotation should be independent of camera orbit
         // In 2.5D mode, character rotation is already set correctly (left/right facing)
@@ -1333,6 +2329,11 @@ export const GodotCharacterHybrid = ({
           targetRotation,
           0.1
         );
+        character.current.rotation.z = MathUtils.lerp(
+          character.current.rotation.z,
+          wallLean.current,
+          0.15
+        );
       }
 
       // Notify rotation change for third-person camera
@@ -1451,7 +2452,84 @@ export const GodotCharacterHybrid = ({
         }
       }
 
-      rb.current.setLinvel(vel, true);
+      // MOVING PLATFORMS - ride along with a kinematic body underfoot: its
+      // velocity at the character, spin included. In the air the last one
+      // stays on, so jumping off keeps the platform's momentum.
+      const carried = carriedVelocity.current;
+      const platform = grounded ? groundPlatform.current : null;
+      if (platform && parkourState.current === "none") {
+        const linvel = platform.linvel();
+        const angvel = platform.angvel();
+        const center = platform.worldCom();
+        const position = rb.current.translation();
+        const rx = position.x - center.x;
+        const ry = position.y - center.y;
+        const rz = position.z - center.z;
+        carried.set(
+          linvel.x + angvel.y * rz - angvel.z * ry,
+          linvel.y + angvel.z * rx - angvel.x * rz,
+          linvel.z + angvel.x * ry - angvel.y * rx
+        );
+        // Turning platforms turn the character's heading with them
+        if (!is2_5DMode) {
+          rotationTarget.current += angvel.y * delta;
+        }
+      } else if (grounded || swimming || parkourState.current !== "none") {
+        carried.set(0, 0, 0);
+      }
+      if (is2_5DMode) {
+        carried.z = 0;
+      }
+      vel.x += carried.x;
+      vel.y += carried.y;
+      vel.z += carried.z;
+
+      const controller = characterController.current;
+      if (controller && colliderRef.current) {
+        // Gravity is not applied to kinematic bodies; the controller slides
+        // the move along whatever it runs into
+        vel.y += world.gravity.y * rb.current.gravityScale() * delta;
+        const step = Math.max(delta, 1e-4);
+        controller.computeColliderMovement(
+          colliderRef.current,
+          { x: vel.x * step, y: vel.y * step, z: vel.z * step },
+          rapier.QueryFilterFlags.EXCLUDE_SENSORS
+        );
+        const movement = controller.computedMovement();
+        const position = rb.current.translation();
+        rb.current.setNextKinematicTranslation({
+          x: position.x + movement.x,
+          y: position.y + movement.y,
+          z: position.z + movement.z,
+        });
+        kinematicVelocity.current.set(
+          movement.x / step,
+          movement.y / step,
+          movement.z / step
+        );
+        kinematicGrounded.current = controller.computedGrounded();
+
+        // Restitution only acts through the solver, so bounce off springy
+        // surfaces (trampolines) here, combining the two the way it does
+        let restitution = 0;
+        for (let i = 0; i < controller.numComputedCollisions(); i++) {
+          const collision = controller.computedCollision(i);
+          if (collision?.collider && collision.normal1.y > 0.5) {
+            restitution = Math.max(
+              restitution,
+              (collision.collider.restitution() +
+                colliderRef.current.restitution()) /
+                2
+            );
+          }
+        }
+        if (restitution > 0 && -vel.y > BOUNCE_MIN_SPEED) {
+          kinematicVelocity.current.y = -vel.y * restitution;
+          kinematicGrounded.current = false;
+        }
+      } else {
+        rb.current.setLinvel(vel, true);
+      }
     }
 
     // CAMERA
@@ -1583,7 +2661,12 @@ export const GodotCharacterHybrid = ({
         position={position}
         gravityScale={1}
         enabledRotations={[false, false, false]}
-        type="dynamic"
+        type={
+          paused || CONTROLLER_MODE === "kinematic"
+            ? "kinematicPosition"
+            : "dynamic"
+        }
+        userData={CHARACTER_BODY_USER_DATA}
         ccd={true}
       >
         <group ref={container}>
@@ -1604,6 +2687,7 @@ export const GodotCharacterHybrid = ({
           </group>
         </group>
         <CapsuleCollider
+          ref={colliderRef}
           args={[
             isCrouchingRef.current
               ? (capsuleHeight * 0.5) / 2
@@ -1612,6 +2696,11 @@ export const GodotCharacterHybrid = ({
           ]}
           friction={0.5}
           restitution={0}
+          // Kinematic mode still has to trip checkpoint and ladder sensors
+          activeCollisionTypes={
+            rapier.ActiveCollisionTypes.DEFAULT |
+            rapier.ActiveCollisionTypes.KINEMATIC_FIXED
+          }
         />
       </RigidBody>
       {enableFootstepParticles && (
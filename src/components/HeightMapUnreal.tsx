@@ -3,15 +3,48 @@ import React, {
   useMemo,
   forwardRef,
   useEffect,
+  useState,
   useCallback,
 } from "react";
 import { useLoader } from "@react-three/fiber";
-import { RigidBody } from "@react-three/rapier";
-import { TextureLoader } from "three";
+import {
+  HeightfieldCollider,
+  RigidBody,
+  type HeightfieldArgs,
+} from "@react-three/rapier";
 import * as THREE from "three";
-import { useControls } from "leva";
+import { button, useControls } from "leva";
+import {
+  createTerrainHeightSampler,
+  getCenteredTerrainBounds,
+  getTerrainHeightsFromTexture,
+  registerHeightmapTexture,
+} from "../utils/terrainUtils";
+import { useTerrainRegistration } from "../hooks/useTerrainRegistration";
+import { useTerrainSplatMaterial } from "../hooks/useTerrainSplatMaterial";
+import { useTerrainSplatControls } from "./useTerrainSplatControls";
+import {
+  downloadHeightfieldPng,
+  useTerrainSculpt,
+} from "../hooks/useTerrainSculpt";
+import { useTerrainSculptControls } from "./useTerrainSculptControls";
+import { useBVHRegistration } from "../hooks/useBVHRegistration";
+import { bvhManager } from "../utils/bvhManager";
+import { EditableHeightfield } from "../utils/terrainSculpt";
+import {
+  HeightmapLoader,
+  inferHeightmapFormat,
+  type HeightmapFile,
+} from "../utils/heightmapLoader";
+
+export const HEIGHTMAP_URL = "/textures/unreal-heightmap.png";
+const DEFAULT_HEIGHTMAP: HeightmapFile = { url: HEIGHTMAP_URL };
+// Splat map texels per side; about 4 world units each at the default size
+const SPLAT_RESOLUTION = 512;
 
 interface HeightMapUnrealProps {
+  /** Heightmap file; its size, heightScale and centerRegionSize win over the props */
+  heightmap?: HeightmapFile;
   size?: number;
   segments?: number;
   heightScale?: number;
@@ -53,6 +86,7 @@ function getGradientColor(
 export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
   (
     {
+      heightmap = DEFAULT_HEIGHTMAP,
       size: initialSize = 2000,
       segments: initialSegments = 200,
       heightScale: initialHeightScale = 100,
@@ -65,12 +99,41 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
   ) => {
     const group = useRef<THREE.Group>(null);
 
+    // A file picked with the import button replaces the heightmap prop
+    const [importedHeightmap, setImportedHeightmap] =
+      useState<HeightmapFile | null>(null);
+    const heightmapFile = importedHeightmap ?? heightmap;
+    useEffect(
+      () => () => {
+        if (importedHeightmap) URL.revokeObjectURL(importedHeightmap.url);
+      },
+      [importedHeightmap]
+    );
+
+    const importHeightmap = () => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = ".png,.r16,.raw,.r32,.f32,image/*";
+      input.onchange = () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        console.log(`📂 HeightMapUnreal: Importing heightmap "${file.name}"`);
+        setImportedHeightmap({
+          url: URL.createObjectURL(file),
+          format: inferHeightmapFormat(file.name),
+        });
+      };
+      input.click();
+    };
+    // Leva buttons keep the first closure they get, so route through a ref
+    const importHeightmapRef = useRef(importHeightmap);
+    importHeightmapRef.current = importHeightmap;
+
     // Terrain geometry controls
-    const { size, segments, heightScale, centerRegionSize } = useControls(
-      "🗻 Terrain Geometry",
-      {
+    const [{ size, segments, heightScale, centerRegionSize }, setGeometry] =
+      useControls("🗻 Terrain Geometry", () => ({
         size: {
-          value: initialSize,
+          value: heightmap.size ?? initialSize,
           min: 500,
           max: 10000,
           step: 100,
@@ -84,21 +147,35 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
           label: "🔲 Segments (Resolution)",
         },
         heightScale: {
-          value: initialHeightScale,
+          value: heightmap.heightScale ?? initialHeightScale,
           min: 0,
           max: 500,
           step: 10,
           label: "📐 Height Scale",
         },
         centerRegionSize: {
-          value: 5,
+          value: heightmap.centerRegionSize ?? 5,
           min: 1,
           max: 20,
           step: 1,
           label: "🎯 Center Peak Detection",
         },
-      }
-    );
+        "📂 Import Heightmap (png/r16/raw/r32)": button(() =>
+          importHeightmapRef.current()
+        ),
+      }));
+
+    // Files that carry their own layout apply it when they become active
+    useEffect(() => {
+      const layout = Object.fromEntries(
+        Object.entries({
+          size: heightmapFile.size,
+          heightScale: heightmapFile.heightScale,
+          centerRegionSize: heightmapFile.centerRegionSize,
+        }).filter(([, value]) => value !== undefined)
+      );
+      if (Object.keys(layout).length > 0) setGeometry(layout);
+    }, [heightmapFile, setGeometry]);
 
     // Gradient color controls
     const { enableGradient, lowColor, midColor, highColor, midPoint } =
@@ -128,115 +205,63 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
         },
       });
 
-    // Load the heightmap texture
-    const heightmapTexture = useLoader(
-      TextureLoader,
-      "/textures/unreal-heightmap.png"
-    ) as THREE.Texture;
-
-    // Cache the heightmap image data ONCE - this is expensive! (Same pattern as ZeldaTerrain2)
-    const heightmapImageData = useMemo(() => {
-      const canvas = document.createElement("canvas");
-      const ctx = canvas.getContext("2d");
-      if (!ctx) return null;
-
-      canvas.width = heightmapTexture.image.width;
-      canvas.height = heightmapTexture.image.height;
-      ctx.drawImage(heightmapTexture.image, 0, 0);
-      return ctx.getImageData(0, 0, canvas.width, canvas.height);
-    }, [heightmapTexture]);
-
-    // Store height data for lookup function (processed once, shared with grass)
-    const heightData = useMemo(() => {
-      if (!heightmapImageData) return null;
-
-      const data = heightmapImageData.data;
-      const canvas = {
-        width: heightmapImageData.width,
-        height: heightmapImageData.height,
-      };
+    const { splatEnabled, rules, textureScale, triplanarSharpness, snowColor } =
+      useTerrainSplatControls(
+        (heightmap.heightScale ?? initialHeightScale) * 0.2
+      );
 
-      // Find min and max heights for normalization
-      const heights: number[] = [];
-      for (let y = 0; y < canvas.height; y++) {
-        for (let x = 0; x < canvas.width; x++) {
-          const pixelIndex = (y * canvas.width + x) * 4;
-          const height = data[pixelIndex] / 255;
-          heights.push(height);
-        }
-      }
-
-      let minHeight = heights[0];
-      let maxHeight = heights[0];
-      for (let i = 1; i < heights.length; i++) {
-        if (heights[i] < minHeight) minHeight = heights[i];
-        if (heights[i] > maxHeight) maxHeight = heights[i];
-      }
-      const heightRange = maxHeight - minHeight;
-
-      // Find max height at center region
-      const centerX = Math.floor(canvas.width / 2);
-      const centerY = Math.floor(canvas.height / 2);
-      let maxCenterHeight = 0;
-
-      for (let dx = -centerRegionSize; dx <= centerRegionSize; dx++) {
-        for (let dy = -centerRegionSize; dy <= centerRegionSize; dy++) {
-          const x = Math.max(0, Math.min(canvas.width - 1, centerX + dx));
-          const y = Math.max(0, Math.min(canvas.height - 1, centerY + dy));
-          const pixelIndex = (y * canvas.width + x) * 4;
-          const height = data[pixelIndex] / 255;
-          if (height > maxCenterHeight) {
-            maxCenterHeight = height;
-          }
-        }
-      }
+    // Decoded from the file's bytes, so 16-bit and float heightmaps keep
+    // their precision (a canvas read-back would cut them to 8 bits)
+    const heightmapTexture = useLoader(
+      HeightmapLoader,
+      heightmapFile.url,
+      (loader) =>
+        loader
+          .setFormat(heightmapFile.format ?? null)
+          .setDimensions(heightmapFile.width, heightmapFile.height)
+    );
 
-      // Calculate offset to place center peak at Y=0
-      const normalizedMaxCenterHeight =
-        (maxCenterHeight - minHeight) / heightRange;
-      const peakOffset = -(normalizedMaxCenterHeight * heightScale);
-
-      // Create normalized height array
-      const normalizedHeights: number[] = [];
-      for (let i = 0; i < heights.length; i++) {
-        const normalizedHeight =
-          heightRange > 0 ? (heights[i] - minHeight) / heightRange : 0;
-        normalizedHeights.push(normalizedHeight * heightScale + peakOffset);
-      }
+    // Let spawn resolution sample the same image as the rendered terrain
+    useEffect(() => {
+      registerHeightmapTexture(heightmapFile.url, heightmapTexture);
+    }, [heightmapFile.url, heightmapTexture]);
+
+    // Heights are normalized to the full heightScale with the center peak at
+    // Y=0; the mesh has always been displaced mirrored along Z
+    const sampleOptions = useMemo(
+      () => ({
+        normalize: true,
+        centerPeakRadius: centerRegionSize,
+        mirrorZ: true,
+      }),
+      [centerRegionSize]
+    );
 
-      return {
-        heights: normalizedHeights,
-        width: canvas.width,
-        height: canvas.height,
-        minHeight,
-        maxHeight,
-        heightRange,
-        peakOffset,
-      };
-    }, [heightmapImageData, heightScale, centerRegionSize]);
+    // Sampled once per vertex into an editable grid; the mesh, collider and
+    // heightmap lookup all read from it, so sculpting moves them together
+    const heightfield = useMemo(() => {
+      const sampler = createTerrainHeightSampler(
+        heightmapTexture,
+        size,
+        heightScale,
+        0,
+        sampleOptions
+      );
+      return sampler
+        ? EditableHeightfield.fromHeightFn(sampler, size, segments + 1)
+        : null;
+    }, [heightmapTexture, size, segments, heightScale, sampleOptions]);
 
     // Create heightmap lookup function for grass and other components (SAME as ZeldaTerrain2!)
-    const heightmapLookup = useMemo(() => {
-      if (!heightData) return null;
-
-      return (x: number, z: number): number => {
-        // Convert world coordinates to heightmap coordinates
-        const normalizedX = (x + size / 2) / size;
-        const normalizedZ = (z + size / 2) / size;
-
-        // Clamp to valid range
-        const clampedX = Math.max(0, Math.min(1, normalizedX));
-        const clampedZ = Math.max(0, Math.min(1, normalizedZ));
-
-        // Convert to pixel coordinates
-        const pixelX = Math.floor(clampedX * (heightData.width - 1));
-        const pixelZ = Math.floor(clampedZ * (heightData.height - 1));
+    const heightmapLookup = useMemo(
+      () =>
+        heightfield
+          ? (x: number, z: number) => heightfield.getHeight(x, z)
+          : null,
+      [heightfield]
+    );
 
-        // Get height value from stored height data
-        const index = pixelZ * heightData.width + pixelX;
-        return heightData.heights[index] || 0;
-      };
-    }, [heightData, size]);
+    useTerrainRegistration(heightmapLookup, getCenteredTerrainBounds(size));
 
     // Notify parent component when heightmap lookup is ready (SAME as ZeldaTerrain2!)
     useEffect(() => {
@@ -248,97 +273,55 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
       }
     }, [heightmapLookup, onHeightmapReady]);
 
+    // Grass/rock/dirt/snow layers replace the gradient when enabled
+    const terrainSplat = useTerrainSplatMaterial(
+      splatEnabled ? heightmapLookup : null,
+      size,
+      SPLAT_RESOLUTION,
+      { rules, textureScale, triplanarSharpness, snowColor }
+    );
+
+    const sculptControls = useTerrainSculptControls(() => {
+      if (heightfield) {
+        // Same row order as the source image, so the export loads back as is
+        downloadHeightfieldPng(heightfield, "unreal-heightmap-edited.png", {
+          mirrorZ: true,
+        });
+      }
+    });
+
     // Create geometry with heightmap displacement
     const geometry = useMemo(() => {
       const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
 
-      // Use cached heightmap image data (no canvas recreation!)
-      if (!heightmapImageData) return geometry;
-
-      const data = heightmapImageData.data;
-      const canvas = {
-        width: heightmapImageData.width,
-        height: heightmapImageData.height,
-      };
-
       // Get vertex positions
       const positions = geometry.attributes.position.array;
 
-      // First pass: collect all heights to find min/max for normalization
-      const heights: number[] = [];
-      for (let i = 0; i < positions.length; i += 3) {
-        const x = positions[i];
-        const z = positions[i + 1];
-
-        // Convert world coordinates to texture coordinates
-        const u = (x + size / 2) / size; // Normalize to 0-1
-        const v = (z + size / 2) / size; // Normalize to 0-1
-
-        // Clamp to valid range
-        const clampedU = Math.max(0, Math.min(1, u));
-        const clampedV = Math.max(0, Math.min(1, v));
-
-        // Get pixel coordinates
-        const pixelX = Math.floor(clampedU * (canvas.width - 1));
-        const pixelY = Math.floor(clampedV * (canvas.height - 1));
-
-        // Get pixel index (RGBA format)
-        const pixelIndex = (pixelY * canvas.width + pixelX) * 4;
-
-        // Use red channel for height (grayscale heightmap)
-        const height = data[pixelIndex] / 255; // Normalize to 0-1
-        heights.push(height);
+      // Plane-local Y becomes world -Z once the mesh is rotated flat
+      const worldPositions = new Float32Array((positions.length / 3) * 2);
+      for (let i = 0, j = 0; i < positions.length; i += 3, j += 2) {
+        worldPositions[j] = positions[i];
+        worldPositions[j + 1] = -positions[i + 1];
       }
 
-      // Find min and max heights for normalization (avoid spread operator with large arrays)
-      let minHeight = heights[0];
-      let maxHeight = heights[0];
-      for (let i = 1; i < heights.length; i++) {
-        if (heights[i] < minHeight) minHeight = heights[i];
-        if (heights[i] > maxHeight) maxHeight = heights[i];
-      }
-      const heightRange = maxHeight - minHeight;
-
-      // Find max height at center region (for centering on Y=0)
-      const centerX = Math.floor(canvas.width / 2);
-      const centerY = Math.floor(canvas.height / 2);
-      let maxCenterHeight = 0;
-
-      for (let dx = -centerRegionSize; dx <= centerRegionSize; dx++) {
-        for (let dy = -centerRegionSize; dy <= centerRegionSize; dy++) {
-          const x = Math.max(0, Math.min(canvas.width - 1, centerX + dx));
-          const y = Math.max(0, Math.min(canvas.height - 1, centerY + dy));
-          const pixelIndex = (y * canvas.width + x) * 4;
-          const height = data[pixelIndex] / 255;
-          if (height > maxCenterHeight) {
-            maxCenterHeight = height;
-          }
+      // Normalized 0-1 heights for the color gradient
+      const colors = getTerrainHeightsFromTexture(
+        worldPositions,
+        heightmapTexture,
+        size,
+        1,
+        0,
+        { normalize: true, mirrorZ: true }
+      );
+
+      // Vertices are in heightfield node order, so grass and spawns sit on
+      // the mesh
+      if (heightfield) {
+        for (let i = 0, j = 0; i < positions.length; i += 3, j++) {
+          positions[i + 2] = heightfield.heights[j];
         }
       }
 
-      // Calculate offset to place center peak at Y=0
-      const normalizedMaxCenterHeight =
-        (maxCenterHeight - minHeight) / heightRange;
-      const peakOffset = -(normalizedMaxCenterHeight * heightScale);
-
-      // Second pass: apply normalized height displacement and colors
-      let heightIndex = 0;
-      const colors: number[] = [];
-
-      for (let i = 0; i < positions.length; i += 3) {
-        const rawHeight = heights[heightIndex++];
-
-        // Normalize height so lowest point is at 0 and highest point uses full heightScale
-        const normalizedHeight =
-          heightRange > 0 ? (rawHeight - minHeight) / heightRange : 0;
-
-        // Apply height displacement with peak at center positioned at Y=0
-        positions[i + 2] = normalizedHeight * heightScale + peakOffset;
-
-        // Store normalized height for color mapping
-        colors.push(normalizedHeight);
-      }
-
       // Apply gradient colors to vertices
       if (enableGradient) {
         const colorArray = new Float32Array(positions.length);
@@ -366,11 +349,10 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
 
       return geometry;
     }, [
-      heightmapImageData,
+      heightmapTexture,
+      heightfield,
       size,
       segments,
-      heightScale,
-      centerRegionSize,
       enableGradient,
       lowColor,
       midColor,
@@ -397,20 +379,64 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
       return mat;
     }, [heightmapTexture, enableGradient]);
 
+    const [terrainMesh, setTerrainMesh] = useState<THREE.Mesh | null>(null);
+    const meshRef = useCallback(
+      (mesh: THREE.Mesh | null) => {
+        setTerrainMesh(mesh);
+        if (typeof ref === "function") ref(mesh);
+        else if (ref) ref.current = mesh;
+      },
+      [ref]
+    );
+
+    // A new geometry (e.g. a gradient change) needs a new BVH, not a refit
+    useEffect(() => {
+      if (terrainMesh) bvhManager.updateBVH(terrainMesh);
+    }, [terrainMesh, geometry]);
+
+    const bvhMeshes = useMemo(() => [terrainMesh], [terrainMesh]);
+    useBVHRegistration(bvhMeshes);
+
+    const colliderHeights = useTerrainSculpt(terrainMesh, heightfield, {
+      enabled: sculptControls.sculptEnabled,
+      brush: sculptControls.brush,
+      radius: sculptControls.radius,
+      strength: sculptControls.strength,
+      paintLayer: sculptControls.paintLayer,
+      splatMap: terrainSplat?.splatMap,
+    });
+
+    // Heightfield collider centered on the mesh, rebuilt after edits
+    const colliderArgs = useMemo<HeightfieldArgs | null>(
+      () =>
+        colliderHeights
+          ? [
+              segments,
+              segments,
+              colliderHeights as unknown as number[],
+              { x: size * scale, y: scale, z: size * scale },
+            ]
+          : null,
+      [colliderHeights, segments, size, scale]
+    );
+
     return (
       <group ref={group} {...props}>
-        <RigidBody type="fixed" colliders="trimesh">
-          <mesh
-            ref={ref}
-            position={position}
-            rotation={[-Math.PI / 2, 0, 0]}
-            scale={scale}
-            geometry={geometry}
-            material={material}
-            receiveShadow
-            castShadow
-          />
-        </RigidBody>
+        {colliderArgs && (
+          <RigidBody type="fixed" colliders={false} position={position}>
+            <HeightfieldCollider args={colliderArgs} />
+          </RigidBody>
+        )}
+        <mesh
+          ref={meshRef}
+          position={position}
+          rotation={[-Math.PI / 2, 0, 0]}
+          scale={scale}
+          geometry={geometry}
+          material={terrainSplat?.material ?? material}
+          receiveShadow
+          castShadow
+        />
       </group>
     );
   }
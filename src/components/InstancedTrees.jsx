@@ -3,6 +3,8 @@ import { useGLTF } from "@react-three/drei";
 import { useThree } from "@react-three/fiber";
 import * as THREE from "three";
 import { InstancedMesh2, createRadixSort } from "@three.ez/instanced-mesh";
+import alea from "alea";
+import { useTerrain } from "../context/TerrainContext";
 
 /**
  * 🌲 INSTANCED TREES - Performance-optimized tree forest using InstancedMesh2
@@ -11,7 +13,10 @@ import { InstancedMesh2, createRadixSort } from "@three.ez/instanced-mesh";
  * - Uses InstancedMesh2 for efficient rendering of many trees
  * - Creates SEPARATE InstancedMesh2 for each mesh (trunk + leaves)
  * - Handles transparency for shadows (alphaTest on leaves)
- * - Supports terrain height positioning
+ * - Supports terrain height positioning (getTerrainHeight, or the active
+ *   terrain from TerrainProvider when omitted)
+ * - Optional seed for the same layout every time (streamed terrain chunks)
+ * - Optional getDensity(x, z) thinning trees out per region (biomes)
  * - Randomization (position, rotation, scale)
  * - BVH for frustum culling
  * - Transparent sorting for leaves
@@ -24,7 +29,9 @@ export const InstancedTrees = ({
   minRadius = 0,
   scaleRange = [0.8, 1.2],
   enabled = true,
-  getTerrainHeight,
+  getTerrainHeight: getTerrainHeightProp,
+  seed,
+  getDensity,
   enableBVH = true,
   bvhMargin = 0.1,
   enableLOD = false,
@@ -42,6 +49,8 @@ export const InstancedTrees = ({
 }) => {
   const { scene } = useGLTF("/models/tree_elm-transformed.glb");
   const { scene: threeScene, gl, camera } = useThree();
+  const { terrain } = useTerrain();
+  const getTerrainHeight = getTerrainHeightProp ?? terrain?.getHeight;
   const instancedMeshesRef = useRef([]);
   const materialsRef = useRef([]);
   const groupRef = useRef(null);
@@ -134,19 +143,23 @@ export const InstancedTrees = ({
       // CRITICAL: Generate ALL random values ONCE and store them
       // This ensures trunk and leaves use EXACTLY the same transformations
       const treeTransforms = [];
+      const random = seed !== undefined ? alea(seed) : Math.random;
 
       for (let i = 0; i < count; i++) {
         // Random position in ring (donut shape)
-        const angle = Math.random() * Math.PI * 2;
-        const distance = minRadius + Math.random() * (radius - minRadius);
+        const angle = random() * Math.PI * 2;
+        const distance = minRadius + random() * (radius - minRadius);
 
         const x = position[0] + Math.cos(angle) * distance;
         const z = position[2] + Math.sin(angle) * distance;
 
         // Generate random scale and rotation ONCE and store them
         const randomScale =
-          Math.random() * (scaleRange[1] - scaleRange[0]) + scaleRange[0];
-        const randomRotation = Math.random() * Math.PI * 2;
+          random() * (scaleRange[1] - scaleRange[0]) + scaleRange[0];
+        const randomRotation = random() * Math.PI * 2;
+        // Drawn for every tree so the others keep their place
+        const keep = random();
+        if (getDensity && keep > getDensity(x, z)) continue;
 
         // Calculate terrain-adjusted Y position (using pre-calculated treeBottomOffset)
         let finalY = position[1];
@@ -264,7 +277,7 @@ export const InstancedTrees = ({
         // Add all tree instances using PRE-GENERATED transformation data
         // CRITICAL: Both trunk and leaves use the SAME stored transformations
         // This ensures perfect synchronization - no desync issues!
-        instancedMesh.addInstances(count, (obj, index) => {
+        instancedMesh.addInstances(treeTransforms.length, (obj, index) => {
           // Use the PRE-GENERATED transform data (same for trunk and leaves)
           const transform = treeTransforms[index];
 
@@ -278,7 +291,9 @@ export const InstancedTrees = ({
           obj.updateMatrix();
         });
 
-        console.log(`   ✅ Added ${count} instances with randomization`);
+        console.log(
+          `   ✅ Added ${treeTransforms.length} instances with randomization`
+        );
 
         // Enable sorting for transparent leaves (can be expensive with many instances)
         if (isTransparent && enableTransparentSorting) {
@@ -387,6 +402,8 @@ export const InstancedTrees = ({
     scaleRange,
     enabled,
     getTerrainHeight,
+    seed,
+    getDensity,
     enableBVH,
     bvhMargin,
     enableLOD,
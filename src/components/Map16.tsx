@@ -14,6 +14,7 @@ import {
   TILE_REFERENCE_SIZE,
 } from "./tileMaterialConfig";
 import { TeleportationRequest } from "../types/teleportation";
+import { useMapStateRegistration } from "../hooks/useMapStateRegistration";
 
 type Map16Props = {
   scale?: number;
@@ -260,6 +261,10 @@ type TeleportationDoorProps = {
 
 const teleportDoorCooldownRegistry = new Map<string, Map<number, number>>();
 
+// Cooldowns restored from a save can't know the new body handles, so they are
+// stored under this handle and apply to any body
+const ANY_BODY_HANDLE = -1;
+
 const TeleportationDoor = ({
   door,
   targetDoor,
@@ -333,6 +338,25 @@ const TeleportationDoor = ({
 
   const delayMs = door.delayMs ?? 200;
   const cooldownMs = door.cooldownMs ?? 1000;
+
+  useMapStateRegistration(
+    `teleport-door:${door.id}`,
+    () => {
+      const last = Math.max(-Infinity, ...Array.from(cooldownMap.values()));
+      const remainingMs = cooldownMs - (performance.now() - last);
+      return remainingMs > 0 ? { remainingMs } : undefined;
+    },
+    (state) => {
+      const remainingMs = (state as { remainingMs?: unknown } | null)
+        ?.remainingMs;
+      if (typeof remainingMs === "number" && Number.isFinite(remainingMs)) {
+        cooldownMap.set(
+          ANY_BODY_HANDLE,
+          performance.now() - (cooldownMs - remainingMs)
+        );
+      }
+    }
+  );
   const originPosition: [number, number, number] = [
     originWorld.x,
     originWorld.y,
@@ -382,8 +406,11 @@ const TeleportationDoor = ({
 
           const handle = body.handle;
           const now = performance.now();
-          const last = cooldownMap.get(handle);
-          if (last !== undefined && now - last < cooldownMs) {
+          const last = Math.max(
+            cooldownMap.get(handle) ?? -Infinity,
+            cooldownMap.get(ANY_BODY_HANDLE) ?? -Infinity
+          );
+          if (now - last < cooldownMs) {
             return;
           }
 
@@ -1,11 +1,7 @@
-import {
-  RigidBody,
-  CuboidCollider,
-  CylinderCollider,
-} from "@react-three/rapier";
+import { RigidBody } from "@react-three/rapier";
 import { useRef, useMemo, useEffect, useState } from "react";
 import { useControls, folder } from "leva";
-import { Stars, useGLTF } from "@react-three/drei";
+import { Stars } from "@react-three/drei";
 import { useThree } from "@react-three/fiber";
 import ClaudeGrassQuick from "./ClaudeGrassQuick";
 import ClaudeGrassQuick2 from "./ClaudeGrassQuick2";
@@ -21,6 +17,7 @@ import { Skybox } from "./Skybox";
 import HorizonSky from "./HorizonSky";
 import { TileCube } from "./TileCube";
 import { PhysicsDebugCubes } from "./PhysicsDebugCubes";
+import { ParkourLevel } from "./ParkourLevel";
 import { useBVHRegistration } from "../hooks/useBVHRegistration";
 import * as THREE from "three";
 import { TileMaterial } from "./TileMaterial";
@@ -30,877 +27,6 @@ import { TILE_REFERENCE_SCALE, TILE_DENSITY } from "./tileMaterialConfig";
 // with Z-axis variations for depth layering (keep close to -80 for gameplay)
 const CHARACTER_Z = -80;
 
-const TILE_WORLD_UNIT = 1 / TILE_DENSITY;
-
-// GLB model paths
-const CYLINDER_PATH = "/models/parkour/cylinder.glb";
-const PARKOUR_PATH = "/models/parkour/parkour1.glb";
-const HOLEWALL_PATH = "/models/parkour/holewall.glb";
-useGLTF.preload(CYLINDER_PATH);
-useGLTF.preload(PARKOUR_PATH);
-useGLTF.preload(HOLEWALL_PATH);
-
-// Helper types (using JSDoc for JSX file)
-/**
- * @typedef {Object} ExtractedMesh
- * @property {THREE.BufferGeometry} geometry
- * @property {[number, number, number]} position
- * @property {[number, number, number]} rotation
- * @property {[number, number, number]} scale
- * @property {number} textureScale
- */
-
-/**
- * @typedef {Object} SharedTileProps
- * @property {[number, number, number]} [position]
- * @property {number} [textureScale]
- */
-
-// Helper functions for tiled geometry
-/**
- * @param {number} width
- * @param {number} height
- * @param {number} depth
- * @returns {THREE.BufferGeometry}
- */
-const createTiledBoxGeometry = (width, height, depth) => {
-  const geometry = new THREE.BoxGeometry(width, height, depth);
-  const positionAttr = geometry.attributes.position;
-  const normalAttr = geometry.attributes.normal;
-  const uvAttr = geometry.attributes.uv;
-
-  const positionVector = new THREE.Vector3();
-  const normalVector = new THREE.Vector3();
-
-  for (let i = 0; i < uvAttr.count; i++) {
-    positionVector.fromBufferAttribute(positionAttr, i);
-    normalVector.fromBufferAttribute(normalAttr, i);
-
-    const absNormalX = Math.abs(normalVector.x);
-    const absNormalY = Math.abs(normalVector.y);
-    const absNormalZ = Math.abs(normalVector.z);
-
-    if (absNormalX >= absNormalY && absNormalX >= absNormalZ) {
-      const u = (positionVector.z + depth * 0.5) / TILE_WORLD_UNIT;
-      const v = (positionVector.y + height * 0.5) / TILE_WORLD_UNIT;
-      uvAttr.setXY(i, u, v);
-    } else if (absNormalY >= absNormalX && absNormalY >= absNormalZ) {
-      const u = (positionVector.x + width * 0.5) / TILE_WORLD_UNIT;
-      const v = (positionVector.z + depth * 0.5) / TILE_WORLD_UNIT;
-      uvAttr.setXY(i, u, v);
-    } else {
-      const u = (positionVector.x + width * 0.5) / TILE_WORLD_UNIT;
-      const v = (positionVector.y + height * 0.5) / TILE_WORLD_UNIT;
-      uvAttr.setXY(i, u, v);
-    }
-  }
-
-  uvAttr.needsUpdate = true;
-  return geometry;
-};
-
-/**
- * @param {[number, number, number]} size
- * @returns {THREE.BufferGeometry}
- */
-const useTiledBoxGeometry = (size) => {
-  const [width, height, depth] = size;
-
-  const geometry = useMemo(
-    () => createTiledBoxGeometry(width, height, depth),
-    [width, height, depth]
-  );
-
-  useEffect(() => {
-    return () => {
-      geometry.dispose();
-    };
-  }, [geometry]);
-
-  return geometry;
-};
-
-/**
- * @param {number} radius
- * @param {number} height
- * @param {number} [radialSegments=48]
- * @returns {THREE.BufferGeometry}
- */
-const createTiledCylinderGeometry = (radius, height, radialSegments = 48) => {
-  const geometry = new THREE.CylinderGeometry(
-    radius,
-    radius,
-    height,
-    radialSegments,
-    1,
-    false
-  );
-
-  const positionAttr = geometry.attributes.position;
-  const normalAttr = geometry.attributes.normal;
-  const uvAttr = geometry.attributes.uv;
-
-  const positionVector = new THREE.Vector3();
-  const normalVector = new THREE.Vector3();
-  const circumference = 2 * Math.PI * radius;
-
-  for (let i = 0; i < uvAttr.count; i++) {
-    positionVector.fromBufferAttribute(positionAttr, i);
-    normalVector.fromBufferAttribute(normalAttr, i);
-
-    if (Math.abs(normalVector.y) < 0.5) {
-      const angle = Math.atan2(positionVector.z, positionVector.x);
-      const wrappedAngle = angle < 0 ? angle + Math.PI * 2 : angle;
-      const distanceAlong = (wrappedAngle / (Math.PI * 2)) * circumference;
-      const u = distanceAlong / TILE_WORLD_UNIT;
-      const v = (positionVector.y + height * 0.5) / TILE_WORLD_UNIT;
-      uvAttr.setXY(i, u, v);
-    } else {
-      const u = (positionVector.x + radius) / TILE_WORLD_UNIT;
-      const v = (positionVector.z + radius) / TILE_WORLD_UNIT;
-      uvAttr.setXY(i, u, v);
-    }
-  }
-
-  uvAttr.needsUpdate = true;
-  return geometry;
-};
-
-/**
- * @param {number} radius
- * @param {number} height
- * @param {number} [radialSegments=48]
- * @returns {THREE.BufferGeometry}
- */
-const useTiledCylinderGeometry = (radius, height, radialSegments = 48) => {
-  const geometry = useMemo(
-    () => createTiledCylinderGeometry(radius, height, radialSegments),
-    [radius, height, radialSegments]
-  );
-
-  useEffect(() => {
-    return () => {
-      geometry.dispose();
-    };
-  }, [geometry]);
-
-  return geometry;
-};
-
-/**
- * @param {THREE.Group} scene
- * @param {(geometry: THREE.BufferGeometry, meshScale: THREE.Vector3) => void} [adjustGeometry]
- * @returns {ExtractedMesh[]}
- */
-const createMeshEntries = (scene, adjustGeometry) => {
-  const results = [];
-  scene.updateMatrixWorld(true);
-
-  scene.traverse((child) => {
-    if (child.isMesh) {
-      const mesh = child;
-      const geometry = mesh.geometry.clone();
-      geometry.computeVertexNormals();
-      geometry.computeBoundingBox();
-
-      if (adjustGeometry) {
-        adjustGeometry(geometry, mesh.scale.clone());
-        geometry.computeBoundingBox();
-      }
-
-      const size = new THREE.Vector3();
-      geometry.boundingBox?.getSize(size);
-      size.multiply(mesh.scale);
-
-      const spanX = Math.abs(size.x);
-      const spanZ = Math.abs(size.z);
-      const representativeSpan =
-        spanX > 0 && spanZ > 0
-          ? (spanX + spanZ) * 0.5
-          : Math.max(spanX, spanZ, 1);
-
-      const localPosition = mesh.position.clone();
-      const localRotation = new THREE.Euler(
-        mesh.rotation.x,
-        mesh.rotation.y,
-        mesh.rotation.z
-      );
-      const localScale = mesh.scale.clone();
-
-      results.push({
-        geometry,
-        position: [localPosition.x, localPosition.y, localPosition.z],
-        rotation: [localRotation.x, localRotation.y, localRotation.z],
-        scale: [localScale.x, localScale.y, localScale.z],
-        textureScale: representativeSpan * TILE_DENSITY,
-      });
-    }
-  });
-
-  return results;
-};
-
-// Parkour components
-/**
- * @param {SharedTileProps} props
- */
-const CylinderTile = ({ position = [0, 0, 0] }) => {
-  const { scene } = useGLTF(CYLINDER_PATH);
-  const meshes = useMemo(() => createMeshEntries(scene), [scene]);
-
-  return (
-    <RigidBody
-      type="fixed"
-      colliders="trimesh"
-      position={position}
-      friction={1}
-      restitution={0}
-    >
-      {meshes.map((mesh, index) => (
-        <mesh
-          key={index}
-          geometry={mesh.geometry}
-          position={mesh.position}
-          rotation={mesh.rotation}
-          scale={mesh.scale}
-          castShadow
-          receiveShadow
-        >
-          <TileMaterial
-            textureScale={mesh.textureScale}
-            gradientBias={-0.5}
-            gradientIntensity={2}
-          />
-        </mesh>
-      ))}
-    </RigidBody>
-  );
-};
-
-/**
- * @param {SharedTileProps} props
- */
-const ParkourTile = ({ position = [0, 0, 0] }) => {
-  const { scene } = useGLTF(PARKOUR_PATH);
-
-  const meshes = useMemo(
-    () =>
-      createMeshEntries(scene, (geometry, meshScale) => {
-        const boundingBox = geometry.boundingBox;
-        if (!boundingBox) return;
-
-        const size = new THREE.Vector3();
-        boundingBox.getSize(size);
-        size.multiply(meshScale);
-
-        if (size.y > 0) {
-          const targetHeight = 2;
-          const verticalScale = targetHeight / size.y;
-          geometry.scale(1, verticalScale, 1);
-        }
-      }),
-    [scene]
-  );
-
-  return (
-    <RigidBody
-      type="fixed"
-      colliders="trimesh"
-      position={position}
-      friction={1}
-      restitution={0}
-    >
-      {meshes.map((mesh, index) => (
-        <mesh
-          key={index}
-          geometry={mesh.geometry}
-          position={mesh.position}
-          rotation={mesh.rotation}
-          scale={mesh.scale}
-          castShadow
-          receiveShadow
-        >
-          <TileMaterial
-            textureScale={mesh.textureScale}
-            gradientBias={-0.5}
-            gradientIntensity={2}
-          />
-        </mesh>
-      ))}
-    </RigidBody>
-  );
-};
-
-/**
- * @param {SharedTileProps} props
- */
-const HoleWallTile = ({ position = [0, 0, 0] }) => {
-  const { scene } = useGLTF(HOLEWALL_PATH);
-  const meshes = useMemo(() => createMeshEntries(scene), [scene]);
-
-  return (
-    <RigidBody
-      type="fixed"
-      colliders="trimesh"
-      position={position}
-      friction={1}
-      restitution={0}
-    >
-      {meshes.map((mesh, index) => (
-        <mesh
-          key={index}
-          geometry={mesh.geometry}
-          position={mesh.position}
-          rotation={mesh.rotation}
-          scale={mesh.scale}
-          castShadow
-          receiveShadow
-        >
-          <TileMaterial
-            textureScale={mesh.textureScale}
-            gradientBias={-0.5}
-            gradientIntensity={2}
-          />
-        </mesh>
-      ))}
-    </RigidBody>
-  );
-};
-
-/**
- * @typedef {Object} WallSegmentProps
- * @property {number} length
- * @property {number} height
- * @property {number} thickness
- * @property {[number, number, number]} position
- * @property {"x" | "z"} orientation
- */
-
-/**
- * @param {WallSegmentProps} props
- */
-const WallSegment = ({ length, height, thickness, position, orientation }) => {
-  const geometryArgs =
-    orientation === "x"
-      ? [length, height, thickness]
-      : [thickness, height, length];
-  const geometry = useTiledBoxGeometry(geometryArgs);
-
-  return (
-    <RigidBody
-      type="fixed"
-      colliders="cuboid"
-      position={position}
-      restitution={0}
-      friction={1}
-    >
-      <mesh castShadow receiveShadow geometry={geometry}>
-        <TileMaterial />
-      </mesh>
-    </RigidBody>
-  );
-};
-
-/**
- * @typedef {Object} WallWithOpeningProps
- * @property {number} length
- * @property {number} height
- * @property {number} thickness
- * @property {[number, number, number]} position
- * @property {"x" | "z"} orientation
- * @property {number} openingWidth
- */
-
-/**
- * @param {WallWithOpeningProps} props
- */
-const WallWithOpening = ({
-  length,
-  height,
-  thickness,
-  position,
-  orientation,
-  openingWidth,
-}) => {
-  const cappedOpening = Math.min(Math.max(openingWidth, 0), length);
-  const segmentLength = (length - cappedOpening) * 0.5;
-
-  if (segmentLength <= 0) {
-    return null;
-  }
-
-  const offset = segmentLength * 0.5 + cappedOpening * 0.5;
-
-  if (orientation === "x") {
-    return (
-      <>
-        <WallSegment
-          length={segmentLength}
-          height={height}
-          thickness={thickness}
-          orientation="x"
-          position={[position[0] - offset, position[1], position[2]]}
-        />
-        <WallSegment
-          length={segmentLength}
-          height={height}
-          thickness={thickness}
-          orientation="x"
-          position={[position[0] + offset, position[1], position[2]]}
-        />
-      </>
-    );
-  }
-
-  return (
-    <>
-      <WallSegment
-        length={segmentLength}
-        height={height}
-        thickness={thickness}
-        orientation="z"
-        position={[position[0], position[1], position[2] - offset]}
-      />
-      <WallSegment
-        length={segmentLength}
-        height={height}
-        thickness={thickness}
-        orientation="z"
-        position={[position[0], position[1], position[2] + offset]}
-      />
-    </>
-  );
-};
-
-/**
- * @typedef {Object} JumpTestingCirclesProps
- * @property {[number, number, number]} startPosition
- * @property {[number, number, number]} step
- * @property {number} radius
- * @property {number} count
- */
-
-/**
- * @param {JumpTestingCirclesProps} props
- */
-const JumpTestingCircles = ({ startPosition, step, radius, count }) => {
-  const positions = useMemo(() => {
-    const all = Array.from({ length: count }, (_, index) => {
-      return [
-        startPosition[0] + step[0] * index,
-        startPosition[1] + step[1] * index,
-        startPosition[2] + step[2] * index,
-      ];
-    });
-    all.shift();
-    return all;
-  }, [count, startPosition, step]);
-
-  return (
-    <>
-      {positions.map((position, index) => (
-        <CircularJumpPlatform
-          key={`jump-circle-${index}`}
-          position={position}
-          radius={radius}
-        />
-      ))}
-    </>
-  );
-};
-
-/**
- * @typedef {Object} CircularJumpPlatformProps
- * @property {[number, number, number]} position
- * @property {number} radius
- */
-
-/**
- * @param {CircularJumpPlatformProps} props
- */
-const CircularJumpPlatform = ({ position, radius }) => {
-  const thickness = 0.6;
-  const geometry = useTiledCylinderGeometry(radius, thickness);
-
-  return (
-    <RigidBody
-      type="fixed"
-      colliders={false}
-      position={position}
-      friction={1}
-      restitution={0}
-    >
-      <CylinderCollider
-        args={[thickness * 0.5, radius]}
-        friction={1}
-        restitution={0}
-      />
-      <mesh castShadow receiveShadow geometry={geometry}>
-        <TileMaterial />
-      </mesh>
-    </RigidBody>
-  );
-};
-
-/**
- * @typedef {Object} TrampolineProps
- * @property {[number, number, number]} [position]
- * @property {number} [restitution]
- */
-
-/**
- * @param {TrampolineProps} props
- */
-const Trampoline = ({ position = [0, 0.3, 0], restitution = 2.5 }) => {
-  const [x, y, z] = position;
-  const legOffsets = [
-    [-1.5, -1.5],
-    [1.5, -1.5],
-    [-1.5, 1.5],
-    [1.5, 1.5],
-  ];
-
-  return (
-    <group>
-      <RigidBody
-        type="fixed"
-        colliders={false}
-        position={position}
-        friction={0.5}
-        restitution={restitution}
-      >
-        <CuboidCollider
-          args={[1.5, 0.15, 1.5]}
-          friction={0.5}
-          restitution={restitution}
-        />
-        <mesh castShadow receiveShadow>
-          <boxGeometry args={[3, 0.3, 3]} />
-          <meshStandardMaterial
-            color="#00ff88"
-            roughness={0.3}
-            metalness={0.1}
-            emissive="#00ff88"
-            emissiveIntensity={0.2}
-          />
-        </mesh>
-      </RigidBody>
-
-      <mesh castShadow receiveShadow position={[x, y - 0.2, z]}>
-        <boxGeometry args={[3.4, 0.2, 3.4]} />
-        <meshStandardMaterial color="#333333" roughness={0.8} metalness={0.3} />
-      </mesh>
-
-      {legOffsets.map(([offsetX, offsetZ], index) => (
-        <mesh
-          key={`trampoline-leg-${index}`}
-          position={[x + offsetX, y - 0.4, z + offsetZ]}
-        >
-          <cylinderGeometry args={[0.1, 0.15, 0.4, 8]} />
-          <meshStandardMaterial
-            color="#333333"
-            roughness={0.8}
-            metalness={0.3}
-          />
-        </mesh>
-      ))}
-    </group>
-  );
-};
-
-/**
- * @typedef {Object} LaunchPadProps
- * @property {[number, number, number]} [position]
- * @property {number} [radius]
- * @property {number} [height]
- * @property {number} [restitution]
- */
-
-/**
- * @param {LaunchPadProps} props
- */
-const LaunchPad = ({
-  position = [0, 0.04, 0],
-  radius = 1.5,
-  height = 0.04,
-  restitution = 0,
-}) => {
-  const halfHeight = Math.max(height * 0.5, 0.01);
-  const launchVelocity = 22;
-  const cooldownMs = 300;
-  const lastTriggerRef = useRef(0);
-
-  return (
-    <RigidBody
-      type="fixed"
-      colliders={false}
-      position={position}
-      friction={0.2}
-      restitution={restitution}
-    >
-      <CylinderCollider
-        args={[halfHeight, radius]}
-        sensor
-        friction={0}
-        restitution={0}
-        onIntersectionEnter={({ other }) => {
-          const now = performance.now();
-          if (now - lastTriggerRef.current < cooldownMs) return;
-
-          const body = other.rigidBody;
-          if (!body) return;
-
-          lastTriggerRef.current = now;
-          const velocity = body.linvel();
-          body.setLinvel(
-            { x: velocity.x, y: launchVelocity, z: velocity.z },
-            true
-          );
-        }}
-      />
-      <mesh castShadow receiveShadow>
-        <cylinderGeometry args={[radius, radius, height, 48]} />
-        <meshStandardMaterial
-          color="#ff2222"
-          emissive="#ff2222"
-          emissiveIntensity={0.05}
-          roughness={0.35}
-          metalness={0.15}
-        />
-      </mesh>
-    </RigidBody>
-  );
-};
-
-/**
- * @typedef {Object} ElevatorPlatformProps
- * @property {[number, number, number]} [position]
- * @property {number} [height]
- * @property {number} [climbDuration]
- * @property {number} [descentDuration]
- * @property {number} [bottomPause]
- * @property {number} [topPause]
- * @property {[number, number, number]} [size]
- */
-
-/**
- * @param {ElevatorPlatformProps} props
- */
-const ElevatorPlatform = ({
-  position = [0, 0, 0],
-  height = 20,
-  climbDuration = 10,
-  descentDuration = 10,
-  bottomPause = 0,
-  topPause = 0,
-  size = [4, 0.5, 4],
-}) => {
-  const bodyRef = useRef(null);
-  const animationFrameRef = useRef(null);
-  const timeRef = useRef(0);
-  const lastTimeRef = useRef(null);
-  const [width, thickness, depth] = size;
-  const platformGeometry = useTiledBoxGeometry(size);
-
-  useEffect(() => {
-    if (bodyRef.current) {
-      bodyRef.current.setTranslation(
-        { x: position[0], y: position[1], z: position[2] },
-        true
-      );
-      bodyRef.current.setLinvel({ x: 0, y: 0, z: 0 }, true);
-    }
-  }, [position]);
-
-  useEffect(() => {
-    const pauseTotal = bottomPause + topPause;
-    const travelTotal = climbDuration + descentDuration;
-    const totalDuration = travelTotal + pauseTotal;
-    const amplitude = height / 2;
-    const centerY = position[1] + amplitude;
-    const bottomY = position[1];
-    const topY = position[1] + height;
-
-    const ease = (u) => (1 - Math.cos(Math.PI * u)) * 0.5;
-    const easeDerivative = (u) => Math.PI * 0.5 * Math.sin(Math.PI * u);
-
-    timeRef.current = 0;
-    lastTimeRef.current = performance.now();
-
-    const animate = () => {
-      const body = bodyRef.current;
-      if (body) {
-        const now = performance.now();
-        const last = lastTimeRef.current ?? now;
-        const deltaSeconds = Math.min((now - last) / 1000, 0.05);
-        lastTimeRef.current = now;
-
-        timeRef.current = (timeRef.current + deltaSeconds) % totalDuration;
-
-        const time = timeRef.current;
-        let targetY = bottomY;
-        let velocityY = 0;
-
-        if (time < bottomPause) {
-          targetY = bottomY;
-          velocityY = 0;
-        } else if (time < bottomPause + climbDuration) {
-          const u = (time - bottomPause) / climbDuration;
-          targetY = bottomY + height * ease(u);
-          velocityY = (height * easeDerivative(u)) / climbDuration;
-        } else if (time < bottomPause + climbDuration + topPause) {
-          targetY = topY;
-          velocityY = 0;
-        } else {
-          const u =
-            (time - bottomPause - climbDuration - topPause) / descentDuration;
-          targetY = topY - height * ease(u);
-          velocityY = (-height * easeDerivative(u)) / descentDuration;
-        }
-
-        body.setNextKinematicTranslation({
-          x: position[0],
-          y: targetY,
-          z: position[2],
-        });
-        body.setLinvel({ x: 0, y: velocityY, z: 0 }, true);
-      }
-
-      animationFrameRef.current = requestAnimationFrame(animate);
-    };
-
-    animationFrameRef.current = requestAnimationFrame(animate);
-
-    return () => {
-      if (animationFrameRef.current !== null) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
-      animationFrameRef.current = null;
-      lastTimeRef.current = null;
-    };
-  }, [climbDuration, descentDuration, bottomPause, topPause, height, position]);
-
-  return (
-    <RigidBody
-      ref={bodyRef}
-      type="kinematicVelocity"
-      colliders={false}
-      friction={1}
-      restitution={0}
-      ccd
-      position={position}
-    >
-      <CuboidCollider
-        args={[width / 2, thickness / 2, depth / 2]}
-        friction={1}
-        restitution={0}
-      />
-      <mesh castShadow receiveShadow geometry={platformGeometry}>
-        <TileMaterial />
-      </mesh>
-    </RigidBody>
-  );
-};
-
-/**
- * @typedef {Object} StaticPlatformProps
- * @property {[number, number, number]} position
- * @property {[number, number, number]} size
- */
-
-/**
- * @param {StaticPlatformProps} props
- */
-const StaticPlatform = ({ position, size }) => {
-  const platformGeometry = useTiledBoxGeometry(size);
-
-  return (
-    <RigidBody
-      type="fixed"
-      colliders="cuboid"
-      position={position}
-      friction={1}
-      restitution={0}
-    >
-      <mesh castShadow receiveShadow geometry={platformGeometry}>
-        <TileMaterial />
-      </mesh>
-    </RigidBody>
-  );
-};
-
-/**
- * @typedef {Object} StaircaseProps
- * @property {[number, number, number]} [position]
- * @property {[number, number, number]} [rotation]
- * @property {number} [stepWidth]
- * @property {number} [stepDepth]
- * @property {number} [totalHeight]
- * @property {number} [stepHeight]
- */
-
-/**
- * @param {StaircaseProps} props
- */
-const Staircase = ({
-  position = [0, 0, 0],
-  rotation = [0, 0, 0],
-  stepWidth = 4,
-  stepDepth = 2,
-  totalHeight = 8,
-  stepHeight = 0.2,
-}) => {
-  const { geometry, stepOffsets } = useMemo(() => {
-    const desiredHeight = Math.max(0.5, totalHeight);
-    const desiredStepHeight = Math.max(0.05, stepHeight);
-
-    const stepCount = Math.max(
-      1,
-      Math.round(desiredHeight / desiredStepHeight)
-    );
-    const actualStepHeight = desiredHeight / stepCount;
-
-    const sharedGeometry = createTiledBoxGeometry(
-      stepWidth,
-      actualStepHeight,
-      stepDepth
-    );
-
-    const offsets = Array.from({ length: stepCount }, (_, index) => {
-      const y = actualStepHeight * 0.5 + index * actualStepHeight;
-      const z = index * stepDepth;
-      return [0, y, z];
-    });
-
-    return { geometry: sharedGeometry, stepOffsets: offsets };
-  }, [stepWidth, stepDepth, totalHeight, stepHeight]);
-
-  useEffect(() => {
-    return () => {
-      geometry.dispose();
-    };
-  }, [geometry]);
-
-  return (
-    <group position={position} rotation={rotation}>
-      {stepOffsets.map((stepPos, index) => (
-        <RigidBody
-          key={`stair-step-${index}`}
-          type="fixed"
-          colliders="cuboid"
-          position={stepPos}
-          friction={1}
-          restitution={0}
-        >
-          <mesh castShadow receiveShadow geometry={geometry}>
-            <TileMaterial />
-          </mesh>
-        </RigidBody>
-      ))}
-    </group>
-  );
-};
-
 export const Map19 = ({
   scale = 1,
   position = [0, 0, 0],
@@ -1368,27 +494,8 @@ export const Map19 = ({
         zOffset={CHARACTER_Z}
       /> */}
 
-      {/* 2.5D Parkour Objects - Positioned along X-axis (left/right movement) with Z-axis at CHARACTER_Z for gameplay */}
-      {/* Basic parkour tiles */}
-      {/* <ParkourTile position={[10, 0, CHARACTER_Z]} /> */}
-
-      {/* Walls - positioned for 2.5D side view */}
-      {/* Left and right walls (along Z-axis orientation) */}
-      <WallSegment
-        length={200}
-        height={10}
-        thickness={2}
-        orientation="z"
-        position={[-100, 5, CHARACTER_Z]}
-      />
-      <WallSegment
-        length={200}
-        height={10}
-        thickness={2}
-        orientation="z"
-        position={[100, 5, CHARACTER_Z]}
-      />
-      {/* Back wall removed - no wall facing camera */}
+      {/* 2.5D course walls - layout lives in src/levels/map19.json */}
+      <ParkourLevel levelName="map19" />
 
       {/* ClaudeGrassQuick - Quick_Grass port with advanced shaders */}
       {claudeGrassQuickControls.enabled && (
@@ -69,9 +69,7 @@ export const Map3 = ({
       />
       <HeightMapUnreal
         ref={terrainMeshRef}
-        size={4000}
         segments={200}
-        heightScale={200}
         position={position}
         scale={scale}
         onHeightmapReady={handleHeightmapReady}
@@ -9,6 +9,98 @@ import LensFlare from "./LensFlare";
 import { FloorDebugSpheres } from "./FloorDebugSpheres";
 import { useFloorDebugSpheresControls } from "./useFloorDebugSpheresControls";
 import { PhysicsDebugCubes } from "./PhysicsDebugCubes";
+import { InstancedTrees } from "./InstancedTrees";
+import { ChunkGrass } from "./ChunkGrass";
+import { Water } from "./Water";
+
+// A rock ridge with a walk-through tunnel and a few noise caves, meshed as a
+// voxel section of the terrain
+const VOXEL_SECTIONS = [
+  {
+    x: 80,
+    z: -80,
+    width: 64,
+    length: 64,
+    edits: [
+      {
+        shape: "box",
+        operation: "add",
+        center: [0, 7, 0],
+        halfExtents: [9, 9, 18],
+        rounding: 4,
+      },
+      {
+        shape: "capsule",
+        operation: "subtract",
+        start: [-16, 2.5, 0],
+        end: [16, 2.5, 0],
+        radius: 3.5,
+      },
+    ],
+    caves: { scale: 24, radius: 2.5, depth: 14 },
+  },
+];
+
+// Trees and grass for one streamed terrain chunk, seeded per chunk so they
+// come back identical when the chunk streams in again. With biomes the
+// counts are the densest region's and the rest are thinned and tinted.
+// Nothing grows on bare ground (riverbeds, voxel sections).
+const ChunkFoliage = ({
+  centerX,
+  centerZ,
+  size,
+  seed,
+  treeCount,
+  grassCount,
+  getTerrainHeight,
+  biomes,
+  bareGround,
+}) => {
+  const treePosition = useMemo(() => [centerX, 0, centerZ], [centerX, centerZ]);
+
+  const foliage = useMemo(() => {
+    if (!biomes && !bareGround) return null;
+    const getDensity = (x, z, pick) =>
+      (biomes ? biomes.blend(x, z, pick) : 1) *
+      (bareGround ? 1 - bareGround(x, z) : 1);
+    return {
+      getTreeDensity: (x, z) => getDensity(x, z, (biome) => biome.treeDensity),
+      getGrassDensity: (x, z) =>
+        getDensity(x, z, (biome) => biome.grass.density),
+      getGrassColor:
+        biomes &&
+        ((x, z, target) =>
+          biomes.blendColor(x, z, (biome) => biome.grass.tipColor1, target)),
+    };
+  }, [biomes, bareGround]);
+
+  return (
+    <>
+      {treeCount > 0 && (
+        <InstancedTrees
+          count={treeCount}
+          position={treePosition}
+          radius={size / 2}
+          seed={`${seed}:trees`}
+          getTerrainHeight={getTerrainHeight}
+          getDensity={foliage?.getTreeDensity}
+        />
+      )}
+      {grassCount > 0 && (
+        <ChunkGrass
+          centerX={centerX}
+          centerZ={centerZ}
+          size={size}
+          count={grassCount}
+          seed={`${seed}:grass`}
+          getTerrainHeight={getTerrainHeight}
+          getDensity={foliage?.getGrassDensity}
+          getColor={foliage?.getGrassColor}
+        />
+      )}
+    </>
+  );
+};
 
 export const Map9 = forwardRef(
   (
@@ -25,6 +117,7 @@ export const Map9 = forwardRef(
     const group = useRef(null);
     const [heightmapLookup, setHeightmapLookup] = useState(null);
     const [isTerrainMeshReady, setIsTerrainMeshReady] = useState(false);
+    const [rivers, setRivers] = useState([]);
 
     // Get Height Fog controls from hook
     const { heightFogEnabled, fogColor, fogHeight, fogNear, fogFar } =
@@ -73,6 +166,9 @@ export const Map9 = forwardRef(
       forestPositionX,
       forestPositionY,
       forestPositionZ,
+      chunkFoliageEnabled,
+      chunkTreeCount,
+      chunkGrassCount,
     } = useControls("🌿 FOLIAGE", {
       forest: folder(
         {
@@ -125,6 +221,29 @@ export const Map9 = forwardRef(
         },
         { collapsed: true }
       ),
+      chunkFoliage: folder(
+        {
+          chunkFoliageEnabled: {
+            value: true,
+            label: "🌾 Stream With Terrain Chunks",
+          },
+          chunkTreeCount: {
+            value: 8,
+            min: 0,
+            max: 50,
+            step: 1,
+            label: "🌳 Trees per Chunk",
+          },
+          chunkGrassCount: {
+            value: 1500,
+            min: 0,
+            max: 10000,
+            step: 100,
+            label: "🌱 Grass per Chunk",
+          },
+        },
+        { collapsed: true }
+      ),
     });
 
     // Get PhysicsDebugCubes controls
@@ -174,12 +293,37 @@ export const Map9 = forwardRef(
       [heightmapLookup]
     );
 
+    // Foliage is generated per terrain chunk so it streams with the terrain
+    const renderChunkContent = useCallback(
+      (chunk) =>
+        chunkFoliageEnabled &&
+        heightmapLookup && (
+          <ChunkFoliage
+            centerX={chunk.centerX}
+            centerZ={chunk.centerZ}
+            size={chunk.size}
+            seed={chunk.seed}
+            treeCount={chunkTreeCount}
+            grassCount={chunkGrassCount}
+            getTerrainHeight={heightmapLookup}
+            biomes={chunk.biomes}
+            bareGround={chunk.bareGround}
+          />
+        ),
+      [chunkFoliageEnabled, chunkTreeCount, chunkGrassCount, heightmapLookup]
+    );
+
     return (
       <group ref={group} {...props}>
         <ProceduralTerrain8
           onTerrainReady={onTerrainReady}
           onHeightmapReady={handleHeightmapReady}
+          onRiversReady={setRivers}
+          characterPosition={characterPosition}
+          renderChunkContent={renderChunkContent}
+          voxelSections={VOXEL_SECTIONS}
         />
+        {rivers.length > 0 && <Water rivers={rivers} />}
 
         {/* Only render HeightFog after terrain mesh is ready */}
         {isTerrainMeshReady && (
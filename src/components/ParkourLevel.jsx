@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useBVHRegistration } from "../hooks/useBVHRegistration";
+import { useLevelEditor } from "../context/LevelEditorContext";
+import { validateParkourLevel } from "../utils/parkourLevel";
+import { parkourLevels } from "../levels";
+import { ParkourLevelEditor } from "./ParkourLevelEditor";
+import {
+  Checkpoint,
+  CircularJumpPlatform,
+  CylinderTile,
+  ElevatorPlatform,
+  HoleWallTile,
+  JumpTestingCircles,
+  Ladder,
+  LaunchPad,
+  ParkourTile,
+  Staircase,
+  StaticPlatform,
+  Trampoline,
+  WallSegment,
+  WallWithOpening,
+} from "./ParkourPrimitives";
+
+export const PARKOUR_PRIMITIVE_COMPONENTS = {
+  CylinderTile,
+  ParkourTile,
+  HoleWallTile,
+  StaticPlatform,
+  ElevatorPlatform,
+  Trampoline,
+  LaunchPad,
+  Staircase,
+  WallSegment,
+  WallWithOpening,
+  JumpTestingCircles,
+  CircularJumpPlatform,
+  Checkpoint,
+  Ladder,
+};
+
+/**
+ * @typedef {Object} ParkourLevelEntry
+ * @property {string} key - React key; replaced to remount the primitive's colliders
+ * @property {Object} primitive - Primitive data exactly as it appears in the level file
+ */
+
+/**
+ * @typedef {Object} ParkourLevelProps
+ * @property {string} [levelName] - Name of a level file in src/levels
+ * @property {Object} [level] - Level data (takes precedence over levelName)
+ */
+
+/**
+ * Instantiates a parkour level description: every primitive gets its Rapier
+ * colliders from its component, and static meshes are registered with the
+ * BVH manager for the character's ground checks. While the level editor is
+ * enabled the layout can be changed in place (see ParkourLevelEditor).
+ * @param {ParkourLevelProps} props
+ */
+export const ParkourLevel = ({ levelName, level }) => {
+  const groupRef = useRef(null);
+  const keyCounterRef = useRef(0);
+  const [staticMeshes, setStaticMeshes] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const { enabled: editorEnabled } = useLevelEditor();
+
+  const validatedLevel = useMemo(() => {
+    const data = level ?? parkourLevels[levelName];
+    if (!data) {
+      throw new Error(
+        `ParkourLevel: unknown level "${levelName}" (available: ${Object.keys(
+          parkourLevels
+        ).join(", ")})`
+      );
+    }
+    return validateParkourLevel(data, levelName ?? data.name);
+  }, [level, levelName]);
+
+  const nextKey = useCallback(() => `primitive-${keyCounterRef.current++}`, []);
+
+  const resetEntries = useCallback(() => {
+    setEntries(
+      validatedLevel.primitives.map((primitive) => ({
+        key: nextKey(),
+        primitive,
+      }))
+    );
+    setSelectedKey(null);
+  }, [validatedLevel, nextKey]);
+
+  useEffect(() => {
+    resetEntries();
+  }, [resetEntries]);
+
+  useEffect(() => {
+    if (!editorEnabled) {
+      setSelectedKey(null);
+    }
+  }, [editorEnabled]);
+
+  // Collect static meshes once the primitives (including GLB tiles) mounted
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+
+    const meshes = [];
+    group.traverse((child) => {
+      if (child.isMesh && child.userData.bvhStatic) {
+        meshes.push(child);
+      }
+    });
+    setStaticMeshes(meshes);
+  }, [entries]);
+
+  useBVHRegistration(staticMeshes, true);
+
+  return (
+    <>
+      <group ref={groupRef}>
+        {entries.map(({ key, primitive }) => {
+          const { type, ...props } = primitive;
+          const PrimitiveComponent = PARKOUR_PRIMITIVE_COMPONENTS[type];
+          return (
+            <group
+              key={key}
+              onClick={
+                editorEnabled
+                  ? (event) => {
+                      // Ignore clicks that ended an orbit drag
+                      if (event.delta > 2) return;
+                      event.stopPropagation();
+                      setSelectedKey(key);
+                    }
+                  : undefined
+              }
+            >
+              <PrimitiveComponent {...props} />
+            </group>
+          );
+        })}
+      </group>
+      {editorEnabled && (
+        <ParkourLevelEditor
+          levelName={levelName ?? validatedLevel.name ?? "level"}
+          levelTitle={validatedLevel.name}
+          entries={entries}
+          setEntries={setEntries}
+          selectedKey={selectedKey}
+          setSelectedKey={setSelectedKey}
+          nextKey={nextKey}
+          onReset={resetEntries}
+        />
+      )}
+    </>
+  );
+};
@@ -0,0 +1,266 @@
+import { useEffect, useMemo, useRef } from "react";
+import { TransformControls } from "@react-three/drei";
+import { useThree } from "@react-three/fiber";
+import { button, useControls } from "leva";
+import { validateParkourLevel } from "../utils/parkourLevel";
+import { TILE_DENSITY } from "./tileMaterialConfig";
+
+const TILE_WORLD_UNIT = 1 / TILE_DENSITY;
+
+// Copies land four tiles along X so they don't overlap the original
+const DUPLICATE_OFFSET = [4 * TILE_WORLD_UNIT, 0, 0];
+
+// Props given to freshly placed primitives (position is filled in on placement)
+const PLACEABLE_TEMPLATES = {
+  StaticPlatform: { size: [4, 1, 4] },
+  Trampoline: {},
+  LaunchPad: { radius: 1.75 },
+  ElevatorPlatform: {
+    height: 6,
+    climbDuration: 4,
+    descentDuration: 4,
+    bottomPause: 0.5,
+    topPause: 0.5,
+    size: [3, 0.5, 3],
+  },
+  Staircase: {
+    stepHeight: 0.08,
+    totalHeight: 4,
+    stepDepth: 0.8,
+    rotation: [0, 0, 0],
+  },
+  CylinderTile: {},
+  HoleWallTile: {},
+  Checkpoint: { size: [2, 3, 2] },
+  Ladder: { height: 4, rotation: 0 },
+};
+
+const snapToGrid = (value) =>
+  Math.round(value / TILE_WORLD_UNIT) * TILE_WORLD_UNIT;
+
+/**
+ * JumpTestingCircles is anchored on its start position, everything else on
+ * its position
+ * @param {Object} primitive
+ * @returns {"position" | "startPosition"}
+ */
+const getAnchorKey = (primitive) =>
+  primitive.type === "JumpTestingCircles" ? "startPosition" : "position";
+
+/**
+ * @param {Object} primitive
+ * @returns {[number, number, number]}
+ */
+const getAnchorPosition = (primitive) =>
+  primitive[getAnchorKey(primitive)] ?? [0, 0, 0];
+
+/**
+ * @param {Object} primitive
+ * @param {[number, number, number]} anchor
+ */
+const withAnchorPosition = (primitive, anchor) => ({
+  ...primitive,
+  [getAnchorKey(primitive)]: anchor,
+});
+
+const downloadJson = (fileName, data) => {
+  const blob = new Blob([`${JSON.stringify(data, null, 2)}\n`], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.tagName === "INPUT" ||
+    target.tagName === "TEXTAREA" ||
+    target.isContentEditable);
+
+/**
+ * @typedef {Object} ParkourLevelEditorProps
+ * @property {string} levelName - Used as the exported file name
+ * @property {string} [levelTitle] - Level "name" written to the export
+ * @property {import("./ParkourLevel").ParkourLevelEntry[]} entries
+ * @property {Function} setEntries
+ * @property {string | null} selectedKey
+ * @property {Function} setSelectedKey
+ * @property {() => string} nextKey
+ * @property {() => void} onReset
+ */
+
+/**
+ * Level editor overlay for ParkourLevel: Leva panel to place, duplicate,
+ * delete and export primitives, plus a translate gizmo snapped to the tile
+ * grid for the selected one. Click a primitive to select it, Delete removes
+ * it and Escape clears the selection.
+ * @param {ParkourLevelEditorProps} props
+ */
+export const ParkourLevelEditor = ({
+  levelName,
+  levelTitle,
+  entries,
+  setEntries,
+  selectedKey,
+  setSelectedKey,
+  nextKey,
+  onReset,
+}) => {
+  const anchorRef = useRef(null);
+  const controls = useThree((state) => state.controls);
+
+  const selectedEntry = useMemo(
+    () => entries.find((entry) => entry.key === selectedKey) ?? null,
+    [entries, selectedKey]
+  );
+
+  // Leva buttons keep the first closure they get, so route them through a ref
+  const actionsRef = useRef({});
+
+  const { placeType } = useControls("🛠️ LEVEL EDITOR", {
+    placeType: {
+      value: "StaticPlatform",
+      options: Object.keys(PLACEABLE_TEMPLATES),
+      label: "Primitive",
+    },
+    "➕ Place at camera target": button(() => actionsRef.current.place()),
+    "📄 Duplicate selected": button(() => actionsRef.current.duplicate()),
+    "🗑️ Delete selected": button(() => actionsRef.current.remove()),
+    "💾 Export JSON": button(() => actionsRef.current.exportLevel()),
+    "↩️ Reset to file": button(() => actionsRef.current.reset()),
+  });
+
+  actionsRef.current = {
+    place: () => {
+      const type = placeType;
+      const target = controls?.target;
+      const anchor = target
+        ? [snapToGrid(target.x), snapToGrid(target.y), snapToGrid(target.z)]
+        : [0, 0, 0];
+      const key = nextKey();
+      setEntries((current) => [
+        ...current,
+        {
+          key,
+          primitive: withAnchorPosition(
+            { type, ...structuredClone(PLACEABLE_TEMPLATES[type]) },
+            anchor
+          ),
+        },
+      ]);
+      setSelectedKey(key);
+    },
+    duplicate: () => {
+      if (!selectedEntry) return;
+      const { id, ...primitive } = structuredClone(selectedEntry.primitive);
+      const anchor = getAnchorPosition(primitive).map(
+        (value, axis) => value + DUPLICATE_OFFSET[axis]
+      );
+      const key = nextKey();
+      setEntries((current) => [
+        ...current,
+        { key, primitive: withAnchorPosition(primitive, anchor) },
+      ]);
+      setSelectedKey(key);
+    },
+    remove: () => {
+      if (!selectedEntry) return;
+      setEntries((current) =>
+        current.filter((entry) => entry.key !== selectedEntry.key)
+      );
+      setSelectedKey(null);
+    },
+    exportLevel: () => {
+      const level = {
+        version: 1,
+        ...(levelTitle ? { name: levelTitle } : {}),
+        primitives: entries.map((entry) => entry.primitive),
+      };
+      try {
+        validateParkourLevel(level, levelName);
+      } catch (error) {
+        console.error(error);
+        return;
+      }
+      downloadJson(`${levelName}.json`, level);
+      console.log(`📦 Exported parkour level "${levelName}"`);
+    },
+    reset: onReset,
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+
+      // Delete only: Backspace stays free for editing Leva text fields
+      if (e.key === "Delete") {
+        actionsRef.current.remove();
+      } else if (e.key === "Escape") {
+        setSelectedKey(null);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [setSelectedKey]);
+
+  // Live preview while dragging: only the anchor prop changes, so the
+  // primitive keeps its React key and just follows the gizmo
+  const handleObjectChange = () => {
+    const anchor = anchorRef.current;
+    if (!anchor || !selectedEntry) return;
+
+    const snapped = [
+      snapToGrid(anchor.position.x),
+      snapToGrid(anchor.position.y),
+      snapToGrid(anchor.position.z),
+    ];
+    setEntries((current) =>
+      current.map((entry) =>
+        entry.key === selectedEntry.key
+          ? {
+              ...entry,
+              primitive: withAnchorPosition(entry.primitive, snapped),
+            }
+          : entry
+      )
+    );
+  };
+
+  // Drag finished: remount the primitive so multi-body pieces (stairs, jump
+  // circles, walls with openings) rebuild their colliders at the new spot
+  const handleMouseUp = () => {
+    if (!selectedEntry) return;
+    const key = nextKey();
+    setEntries((current) =>
+      current.map((entry) =>
+        entry.key === selectedEntry.key ? { ...entry, key } : entry
+      )
+    );
+    setSelectedKey(key);
+  };
+
+  if (!selectedEntry) {
+    return null;
+  }
+
+  return (
+    <>
+      <group
+        ref={anchorRef}
+        position={getAnchorPosition(selectedEntry.primitive)}
+      />
+      <TransformControls
+        object={anchorRef}
+        mode="translate"
+        translationSnap={TILE_WORLD_UNIT}
+        onObjectChange={handleObjectChange}
+        onMouseUp={handleMouseUp}
+      />
+    </>
+  );
+};
@@ -0,0 +1,1108 @@
+import {
+  RigidBody,
+  CuboidCollider,
+  CylinderCollider,
+} from "@react-three/rapier";
+import { useRef, useMemo, useEffect } from "react";
+import { useGLTF } from "@react-three/drei";
+import * as THREE from "three";
+import { TileMaterial } from "./TileMaterial";
+import { TILE_DENSITY } from "./tileMaterialConfig";
+import { useMapStateRegistration } from "../hooks/useMapStateRegistration";
+import { useCheckpoints } from "../context/CheckpointContext";
+import { useClimbing } from "../context/ClimbingContext";
+import { isCharacterBody, setBodyVelocity } from "../utils/characterBody";
+import { CLIMBABLE_USER_DATA } from "../utils/climbing";
+
+/**
+ * Shared parkour primitives used by the parkour maps and the level loader.
+ * Meshes that belong to static colliders are tagged with
+ * BVH_STATIC_USER_DATA so ParkourLevel can register them for ground checks.
+ */
+
+export const BVH_STATIC_USER_DATA = { bvhStatic: true };
+
+const TILE_WORLD_UNIT = 1 / TILE_DENSITY;
+
+// GLB model paths
+const CYLINDER_PATH = "/models/parkour/cylinder.glb";
+const PARKOUR_PATH = "/models/parkour/parkour1.glb";
+const HOLEWALL_PATH = "/models/parkour/holewall.glb";
+useGLTF.preload(CYLINDER_PATH);
+useGLTF.preload(PARKOUR_PATH);
+useGLTF.preload(HOLEWALL_PATH);
+
+// Helper types (using JSDoc for JSX file)
+/**
+ * @typedef {Object} ExtractedMesh
+ * @property {THREE.BufferGeometry} geometry
+ * @property {[number, number, number]} position
+ * @property {[number, number, number]} rotation
+ * @property {[number, number, number]} scale
+ * @property {number} textureScale
+ */
+
+/**
+ * @typedef {Object} SharedTileProps
+ * @property {[number, number, number]} [position]
+ * @property {number} [textureScale]
+ */
+
+// Helper functions for tiled geometry
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} depth
+ * @returns {THREE.BufferGeometry}
+ */
+export const createTiledBoxGeometry = (width, height, depth) => {
+  const geometry = new THREE.BoxGeometry(width, height, depth);
+  const positionAttr = geometry.attributes.position;
+  const normalAttr = geometry.attributes.normal;
+  const uvAttr = geometry.attributes.uv;
+
+  const positionVector = new THREE.Vector3();
+  const normalVector = new THREE.Vector3();
+
+  for (let i = 0; i < uvAttr.count; i++) {
+    positionVector.fromBufferAttribute(positionAttr, i);
+    normalVector.fromBufferAttribute(normalAttr, i);
+
+    const absNormalX = Math.abs(normalVector.x);
+    const absNormalY = Math.abs(normalVector.y);
+    const absNormalZ = Math.abs(normalVector.z);
+
+    if (absNormalX >= absNormalY && absNormalX >= absNormalZ) {
+      const u = (positionVector.z + depth * 0.5) / TILE_WORLD_UNIT;
+      const v = (positionVector.y + height * 0.5) / TILE_WORLD_UNIT;
+      uvAttr.setXY(i, u, v);
+    } else if (absNormalY >= absNormalX && absNormalY >= absNormalZ) {
+      const u = (positionVector.x + width * 0.5) / TILE_WORLD_UNIT;
+      const v = (positionVector.z + depth * 0.5) / TILE_WORLD_UNIT;
+      uvAttr.setXY(i, u, v);
+    } else {
+      const u = (positionVector.x + width * 0.5) / TILE_WORLD_UNIT;
+      const v = (positionVector.y + height * 0.5) / TILE_WORLD_UNIT;
+      uvAttr.setXY(i, u, v);
+    }
+  }
+
+  uvAttr.needsUpdate = true;
+  return geometry;
+};
+
+/**
+ * @param {[number, number, number]} size
+ * @returns {THREE.BufferGeometry}
+ */
+export const useTiledBoxGeometry = (size) => {
+  const [width, height, depth] = size;
+
+  const geometry = useMemo(
+    () => createTiledBoxGeometry(width, height, depth),
+    [width, height, depth]
+  );
+
+  useEffect(() => {
+    return () => {
+      geometry.dispose();
+    };
+  }, [geometry]);
+
+  return geometry;
+};
+
+/**
+ * @param {number} radius
+ * @param {number} height
+ * @param {number} [radialSegments=48]
+ * @returns {THREE.BufferGeometry}
+ */
+export const createTiledCylinderGeometry = (
+  radius,
+  height,
+  radialSegments = 48
+) => {
+  const geometry = new THREE.CylinderGeometry(
+    radius,
+    radius,
+    height,
+    radialSegments,
+    1,
+    false
+  );
+
+  const positionAttr = geometry.attributes.position;
+  const normalAttr = geometry.attributes.normal;
+  const uvAttr = geometry.attributes.uv;
+
+  const positionVector = new THREE.Vector3();
+  const normalVector = new THREE.Vector3();
+  const circumference = 2 * Math.PI * radius;
+
+  for (let i = 0; i < uvAttr.count; i++) {
+    positionVector.fromBufferAttribute(positionAttr, i);
+    normalVector.fromBufferAttribute(normalAttr, i);
+
+    if (Math.abs(normalVector.y) < 0.5) {
+      const angle = Math.atan2(positionVector.z, positionVector.x);
+      const wrappedAngle = angle < 0 ? angle + Math.PI * 2 : angle;
+      const distanceAlong = (wrappedAngle / (Math.PI * 2)) * circumference;
+      const u = distanceAlong / TILE_WORLD_UNIT;
+      const v = (positionVector.y + height * 0.5) / TILE_WORLD_UNIT;
+      uvAttr.setXY(i, u, v);
+    } else {
+      const u = (positionVector.x + radius) / TILE_WORLD_UNIT;
+      const v = (positionVector.z + radius) / TILE_WORLD_UNIT;
+      uvAttr.setXY(i, u, v);
+    }
+  }
+
+  uvAttr.needsUpdate = true;
+  return geometry;
+};
+
+/**
+ * @param {number} radius
+ * @param {number} height
+ * @param {number} [radialSegments=48]
+ * @returns {THREE.BufferGeometry}
+ */
+export const useTiledCylinderGeometry = (
+  radius,
+  height,
+  radialSegments = 48
+) => {
+  const geometry = useMemo(
+    () => createTiledCylinderGeometry(radius, height, radialSegments),
+    [radius, height, radialSegments]
+  );
+
+  useEffect(() => {
+    return () => {
+      geometry.dispose();
+    };
+  }, [geometry]);
+
+  return geometry;
+};
+
+/**
+ * @param {THREE.Group} scene
+ * @param {(geometry: THREE.BufferGeometry, meshScale: THREE.Vector3) => void} [adjustGeometry]
+ * @returns {ExtractedMesh[]}
+ */
+const createMeshEntries = (scene, adjustGeometry) => {
+  const results = [];
+  scene.updateMatrixWorld(true);
+
+  scene.traverse((child) => {
+    if (child.isMesh) {
+      const mesh = child;
+      const geometry = mesh.geometry.clone();
+      geometry.computeVertexNormals();
+      geometry.computeBoundingBox();
+
+      if (adjustGeometry) {
+        adjustGeometry(geometry, mesh.scale.clone());
+        geometry.computeBoundingBox();
+      }
+
+      const size = new THREE.Vector3();
+      geometry.boundingBox?.getSize(size);
+      size.multiply(mesh.scale);
+
+      const spanX = Math.abs(size.x);
+      const spanZ = Math.abs(size.z);
+      const representativeSpan =
+        spanX > 0 && spanZ > 0
+          ? (spanX + spanZ) * 0.5
+          : Math.max(spanX, spanZ, 1);
+
+      const localPosition = mesh.position.clone();
+      const localRotation = new THREE.Euler(
+        mesh.rotation.x,
+        mesh.rotation.y,
+        mesh.rotation.z
+      );
+      const localScale = mesh.scale.clone();
+
+      results.push({
+        geometry,
+        position: [localPosition.x, localPosition.y, localPosition.z],
+        rotation: [localRotation.x, localRotation.y, localRotation.z],
+        scale: [localScale.x, localScale.y, localScale.z],
+        textureScale: representativeSpan * TILE_DENSITY,
+      });
+    }
+  });
+
+  return results;
+};
+
+// Parkour components
+/**
+ * @param {SharedTileProps} props
+ */
+export const CylinderTile = ({ position = [0, 0, 0] }) => {
+  const { scene } = useGLTF(CYLINDER_PATH);
+  const meshes = useMemo(() => createMeshEntries(scene), [scene]);
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders="trimesh"
+      position={position}
+      friction={1}
+      restitution={0}
+    >
+      {meshes.map((mesh, index) => (
+        <mesh
+          userData={BVH_STATIC_USER_DATA}
+          key={index}
+          geometry={mesh.geometry}
+          position={mesh.position}
+          rotation={mesh.rotation}
+          scale={mesh.scale}
+          castShadow
+          receiveShadow
+        >
+          <TileMaterial
+            textureScale={mesh.textureScale}
+            gradientBias={-0.5}
+            gradientIntensity={2}
+          />
+        </mesh>
+      ))}
+    </RigidBody>
+  );
+};
+
+/**
+ * @param {SharedTileProps} props
+ */
+export const ParkourTile = ({ position = [0, 0, 0] }) => {
+  const { scene } = useGLTF(PARKOUR_PATH);
+
+  const meshes = useMemo(
+    () =>
+      createMeshEntries(scene, (geometry, meshScale) => {
+        const boundingBox = geometry.boundingBox;
+        if (!boundingBox) return;
+
+        const size = new THREE.Vector3();
+        boundingBox.getSize(size);
+        size.multiply(meshScale);
+
+        if (size.y > 0) {
+          const targetHeight = 2;
+          const verticalScale = targetHeight / size.y;
+          geometry.scale(1, verticalScale, 1);
+        }
+      }),
+    [scene]
+  );
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders="trimesh"
+      position={position}
+      friction={1}
+      restitution={0}
+    >
+      {meshes.map((mesh, index) => (
+        <mesh
+          userData={BVH_STATIC_USER_DATA}
+          key={index}
+          geometry={mesh.geometry}
+          position={mesh.position}
+          rotation={mesh.rotation}
+          scale={mesh.scale}
+          castShadow
+          receiveShadow
+        >
+          <TileMaterial
+            textureScale={mesh.textureScale}
+            gradientBias={-0.5}
+            gradientIntensity={2}
+          />
+        </mesh>
+      ))}
+    </RigidBody>
+  );
+};
+
+/**
+ * @param {SharedTileProps} props
+ */
+export const HoleWallTile = ({ position = [0, 0, 0] }) => {
+  const { scene } = useGLTF(HOLEWALL_PATH);
+  const meshes = useMemo(() => createMeshEntries(scene), [scene]);
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders="trimesh"
+      position={position}
+      friction={1}
+      restitution={0}
+    >
+      {meshes.map((mesh, index) => (
+        <mesh
+          userData={BVH_STATIC_USER_DATA}
+          key={index}
+          geometry={mesh.geometry}
+          position={mesh.position}
+          rotation={mesh.rotation}
+          scale={mesh.scale}
+          castShadow
+          receiveShadow
+        >
+          <TileMaterial
+            textureScale={mesh.textureScale}
+            gradientBias={-0.5}
+            gradientIntensity={2}
+          />
+        </mesh>
+      ))}
+    </RigidBody>
+  );
+};
+
+/**
+ * @typedef {Object} WallSegmentProps
+ * @property {number} length
+ * @property {number} height
+ * @property {number} thickness
+ * @property {[number, number, number]} position
+ * @property {"x" | "z"} orientation
+ * @property {boolean} [climbable] - The character can climb its faces
+ */
+
+/**
+ * @param {WallSegmentProps} props
+ */
+export const WallSegment = ({
+  length,
+  height,
+  thickness,
+  position,
+  orientation,
+  climbable = false,
+}) => {
+  const geometryArgs =
+    orientation === "x"
+      ? [length, height, thickness]
+      : [thickness, height, length];
+  const geometry = useTiledBoxGeometry(geometryArgs);
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders="cuboid"
+      position={position}
+      restitution={0}
+      friction={1}
+      userData={climbable ? CLIMBABLE_USER_DATA : undefined}
+    >
+      <mesh
+        userData={BVH_STATIC_USER_DATA}
+        castShadow
+        receiveShadow
+        geometry={geometry}
+      >
+        <TileMaterial />
+      </mesh>
+    </RigidBody>
+  );
+};
+
+/**
+ * @typedef {Object} WallWithOpeningProps
+ * @property {number} length
+ * @property {number} height
+ * @property {number} thickness
+ * @property {[number, number, number]} position
+ * @property {"x" | "z"} orientation
+ * @property {number} openingWidth
+ * @property {boolean} [climbable]
+ */
+
+/**
+ * @param {WallWithOpeningProps} props
+ */
+export const WallWithOpening = ({
+  length,
+  height,
+  thickness,
+  position,
+  orientation,
+  openingWidth,
+  climbable = false,
+}) => {
+  const cappedOpening = Math.min(Math.max(openingWidth, 0), length);
+  const segmentLength = (length - cappedOpening) * 0.5;
+
+  if (segmentLength <= 0) {
+    return null;
+  }
+
+  const offset = segmentLength * 0.5 + cappedOpening * 0.5;
+
+  if (orientation === "x") {
+    return (
+      <>
+        <WallSegment
+          length={segmentLength}
+          height={height}
+          thickness={thickness}
+          orientation="x"
+          climbable={climbable}
+          position={[position[0] - offset, position[1], position[2]]}
+        />
+        <WallSegment
+          length={segmentLength}
+          height={height}
+          thickness={thickness}
+          orientation="x"
+          climbable={climbable}
+          position={[position[0] + offset, position[1], position[2]]}
+        />
+      </>
+    );
+  }
+
+  return (
+    <>
+      <WallSegment
+        length={segmentLength}
+        height={height}
+        thickness={thickness}
+        orientation="z"
+        climbable={climbable}
+        position={[position[0], position[1], position[2] - offset]}
+      />
+      <WallSegment
+        length={segmentLength}
+        height={height}
+        thickness={thickness}
+        orientation="z"
+        climbable={climbable}
+        position={[position[0], position[1], position[2] + offset]}
+      />
+    </>
+  );
+};
+
+/**
+ * @typedef {Object} JumpTestingCirclesProps
+ * @property {[number, number, number]} startPosition
+ * @property {[number, number, number]} step
+ * @property {number} radius
+ * @property {number} count
+ */
+
+/**
+ * @param {JumpTestingCirclesProps} props
+ */
+export const JumpTestingCircles = ({ startPosition, step, radius, count }) => {
+  const positions = useMemo(() => {
+    const all = Array.from({ length: count }, (_, index) => {
+      return [
+        startPosition[0] + step[0] * index,
+        startPosition[1] + step[1] * index,
+        startPosition[2] + step[2] * index,
+      ];
+    });
+    all.shift();
+    return all;
+  }, [count, startPosition, step]);
+
+  return (
+    <>
+      {positions.map((position, index) => (
+        <CircularJumpPlatform
+          key={`jump-circle-${index}`}
+          position={position}
+          radius={radius}
+        />
+      ))}
+    </>
+  );
+};
+
+/**
+ * @typedef {Object} CircularJumpPlatformProps
+ * @property {[number, number, number]} position
+ * @property {number} radius
+ */
+
+/**
+ * @param {CircularJumpPlatformProps} props
+ */
+export const CircularJumpPlatform = ({ position, radius }) => {
+  const thickness = 0.6;
+  const geometry = useTiledCylinderGeometry(radius, thickness);
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders={false}
+      position={position}
+      friction={1}
+      restitution={0}
+    >
+      <CylinderCollider
+        args={[thickness * 0.5, radius]}
+        friction={1}
+        restitution={0}
+      />
+      <mesh
+        userData={BVH_STATIC_USER_DATA}
+        castShadow
+        receiveShadow
+        geometry={geometry}
+      >
+        <TileMaterial />
+      </mesh>
+    </RigidBody>
+  );
+};
+
+/**
+ * @typedef {Object} TrampolineProps
+ * @property {[number, number, number]} [position]
+ * @property {number} [restitution]
+ */
+
+/**
+ * @param {TrampolineProps} props
+ */
+export const Trampoline = ({ position = [0, 0.3, 0], restitution = 2.5 }) => {
+  const [x, y, z] = position;
+  const legOffsets = [
+    [-1.5, -1.5],
+    [1.5, -1.5],
+    [-1.5, 1.5],
+    [1.5, 1.5],
+  ];
+
+  return (
+    <group>
+      <RigidBody
+        type="fixed"
+        colliders={false}
+        position={position}
+        friction={0.5}
+        restitution={restitution}
+      >
+        <CuboidCollider
+          args={[1.5, 0.15, 1.5]}
+          friction={0.5}
+          restitution={restitution}
+        />
+        <mesh userData={BVH_STATIC_USER_DATA} castShadow receiveShadow>
+          <boxGeometry args={[3, 0.3, 3]} />
+          <meshStandardMaterial
+            color="#00ff88"
+            roughness={0.3}
+            metalness={0.1}
+            emissive="#00ff88"
+            emissiveIntensity={0.2}
+          />
+        </mesh>
+      </RigidBody>
+
+      <mesh castShadow receiveShadow position={[x, y - 0.2, z]}>
+        <boxGeometry args={[3.4, 0.2, 3.4]} />
+        <meshStandardMaterial color="#333333" roughness={0.8} metalness={0.3} />
+      </mesh>
+
+      {legOffsets.map(([offsetX, offsetZ], index) => (
+        <mesh
+          key={`trampoline-leg-${index}`}
+          position={[x + offsetX, y - 0.4, z + offsetZ]}
+        >
+          <cylinderGeometry args={[0.1, 0.15, 0.4, 8]} />
+          <meshStandardMaterial
+            color="#333333"
+            roughness={0.8}
+            metalness={0.3}
+          />
+        </mesh>
+      ))}
+    </group>
+  );
+};
+
+/**
+ * @typedef {Object} LaunchPadProps
+ * @property {[number, number, number]} [position]
+ * @property {number} [radius]
+ * @property {number} [height]
+ * @property {number} [restitution]
+ */
+
+/**
+ * @param {LaunchPadProps} props
+ */
+export const LaunchPad = ({
+  position = [0, 0.04, 0],
+  radius = 1.5,
+  height = 0.04,
+  restitution = 0,
+}) => {
+  const halfHeight = Math.max(height * 0.5, 0.01);
+  const launchVelocity = 22;
+  const cooldownMs = 300;
+  const lastTriggerRef = useRef(0);
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders={false}
+      position={position}
+      friction={0.2}
+      restitution={restitution}
+    >
+      <CylinderCollider
+        args={[halfHeight, radius]}
+        sensor
+        friction={0}
+        restitution={0}
+        onIntersectionEnter={({ other }) => {
+          const now = performance.now();
+          if (now - lastTriggerRef.current < cooldownMs) return;
+
+          const body = other.rigidBody;
+          if (!body) return;
+
+          lastTriggerRef.current = now;
+          const velocity = body.linvel();
+          setBodyVelocity(body, {
+            x: velocity.x,
+            y: launchVelocity,
+            z: velocity.z,
+          });
+        }}
+      />
+      <mesh castShadow receiveShadow>
+        <cylinderGeometry args={[radius, radius, height, 48]} />
+        <meshStandardMaterial
+          color="#ff2222"
+          emissive="#ff2222"
+          emissiveIntensity={0.05}
+          roughness={0.35}
+          metalness={0.15}
+        />
+      </mesh>
+    </RigidBody>
+  );
+};
+
+/**
+ * @typedef {Object} ElevatorPlatformProps
+ * @property {string} [id] - Save game key (defaults to the position)
+ * @property {[number, number, number]} [position]
+ * @property {number} [height]
+ * @property {number} [climbDuration]
+ * @property {number} [descentDuration]
+ * @property {number} [bottomPause]
+ * @property {number} [topPause]
+ * @property {[number, number, number]} [size]
+ */
+
+/**
+ * @param {ElevatorPlatformProps} props
+ */
+export const ElevatorPlatform = ({
+  id,
+  position = [0, 0, 0],
+  height = 20,
+  climbDuration = 10,
+  descentDuration = 10,
+  bottomPause = 0,
+  topPause = 0,
+  size = [4, 0.5, 4],
+}) => {
+  const bodyRef = useRef(null);
+  const animationFrameRef = useRef(null);
+  const timeRef = useRef(0);
+  const lastTimeRef = useRef(null);
+  const [width, thickness, depth] = size;
+  const platformGeometry = useTiledBoxGeometry(size);
+
+  useEffect(() => {
+    if (bodyRef.current) {
+      bodyRef.current.setTranslation(
+        { x: position[0], y: position[1], z: position[2] },
+        true
+      );
+      bodyRef.current.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    }
+  }, [position]);
+
+  useEffect(() => {
+    const pauseTotal = bottomPause + topPause;
+    const travelTotal = climbDuration + descentDuration;
+    const totalDuration = travelTotal + pauseTotal;
+    const amplitude = height / 2;
+    const centerY = position[1] + amplitude;
+    const bottomY = position[1];
+    const topY = position[1] + height;
+
+    const ease = (u) => (1 - Math.cos(Math.PI * u)) * 0.5;
+    const easeDerivative = (u) => Math.PI * 0.5 * Math.sin(Math.PI * u);
+
+    timeRef.current = 0;
+    lastTimeRef.current = performance.now();
+
+    const animate = () => {
+      const body = bodyRef.current;
+      if (body) {
+        const now = performance.now();
+        const last = lastTimeRef.current ?? now;
+        const deltaSeconds = Math.min((now - last) / 1000, 0.05);
+        lastTimeRef.current = now;
+
+        timeRef.current = (timeRef.current + deltaSeconds) % totalDuration;
+
+        const time = timeRef.current;
+        let targetY = bottomY;
+        let velocityY = 0;
+
+        if (time < bottomPause) {
+          targetY = bottomY;
+          velocityY = 0;
+        } else if (time < bottomPause + climbDuration) {
+          const u = (time - bottomPause) / climbDuration;
+          targetY = bottomY + height * ease(u);
+          velocityY = (height * easeDerivative(u)) / climbDuration;
+        } else if (time < bottomPause + climbDuration + topPause) {
+          targetY = topY;
+          velocityY = 0;
+        } else {
+          const u =
+            (time - bottomPause - climbDuration - topPause) / descentDuration;
+          targetY = topY - height * ease(u);
+          velocityY = (-height * easeDerivative(u)) / descentDuration;
+        }
+
+        body.setNextKinematicTranslation({
+          x: position[0],
+          y: targetY,
+          z: position[2],
+        });
+        body.setLinvel({ x: 0, y: velocityY, z: 0 }, true);
+      }
+
+      animationFrameRef.current = requestAnimationFrame(animate);
+    };
+
+    animationFrameRef.current = requestAnimationFrame(animate);
+
+    return () => {
+      if (animationFrameRef.current !== null) {
+        cancelAnimationFrame(animationFrameRef.current);
+      }
+      animationFrameRef.current = null;
+      lastTimeRef.current = null;
+    };
+  }, [climbDuration, descentDuration, bottomPause, topPause, height, position]);
+
+  // Save games keep the cycle phase so a loaded run finds the lift where it was
+  useMapStateRegistration(
+    `elevator:${id ?? position.join(",")}`,
+    () => ({ time: timeRef.current }),
+    (state) => {
+      if (Number.isFinite(state?.time)) {
+        timeRef.current = state.time;
+      }
+    }
+  );
+
+  return (
+    <RigidBody
+      ref={bodyRef}
+      type="kinematicVelocity"
+      colliders={false}
+      friction={1}
+      restitution={0}
+      ccd
+      position={position}
+    >
+      <CuboidCollider
+        args={[width / 2, thickness / 2, depth / 2]}
+        friction={1}
+        restitution={0}
+      />
+      <mesh castShadow receiveShadow geometry={platformGeometry}>
+        <TileMaterial />
+      </mesh>
+    </RigidBody>
+  );
+};
+
+/**
+ * @typedef {Object} StaticPlatformProps
+ * @property {[number, number, number]} position
+ * @property {[number, number, number]} size
+ */
+
+/**
+ * @param {StaticPlatformProps} props
+ */
+export const StaticPlatform = ({ position, size }) => {
+  const platformGeometry = useTiledBoxGeometry(size);
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders="cuboid"
+      position={position}
+      friction={1}
+      restitution={0}
+    >
+      <mesh
+        userData={BVH_STATIC_USER_DATA}
+        castShadow
+        receiveShadow
+        geometry={platformGeometry}
+      >
+        <TileMaterial />
+      </mesh>
+    </RigidBody>
+  );
+};
+
+/**
+ * @typedef {Object} StaircaseProps
+ * @property {[number, number, number]} [position]
+ * @property {[number, number, number]} [rotation]
+ * @property {number} [stepWidth]
+ * @property {number} [stepDepth]
+ * @property {number} [totalHeight]
+ * @property {number} [stepHeight]
+ */
+
+/**
+ * @param {StaircaseProps} props
+ */
+export const Staircase = ({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  stepWidth = 4,
+  stepDepth = 2,
+  totalHeight = 8,
+  stepHeight = 0.2,
+}) => {
+  const { geometry, stepOffsets } = useMemo(() => {
+    const desiredHeight = Math.max(0.5, totalHeight);
+    const desiredStepHeight = Math.max(0.05, stepHeight);
+
+    const stepCount = Math.max(
+      1,
+      Math.round(desiredHeight / desiredStepHeight)
+    );
+    const actualStepHeight = desiredHeight / stepCount;
+
+    const sharedGeometry = createTiledBoxGeometry(
+      stepWidth,
+      actualStepHeight,
+      stepDepth
+    );
+
+    const offsets = Array.from({ length: stepCount }, (_, index) => {
+      const y = actualStepHeight * 0.5 + index * actualStepHeight;
+      const z = index * stepDepth;
+      return [0, y, z];
+    });
+
+    return { geometry: sharedGeometry, stepOffsets: offsets };
+  }, [stepWidth, stepDepth, totalHeight, stepHeight]);
+
+  useEffect(() => {
+    return () => {
+      geometry.dispose();
+    };
+  }, [geometry]);
+
+  return (
+    <group position={position} rotation={rotation}>
+      {stepOffsets.map((stepPos, index) => (
+        <RigidBody
+          key={`stair-step-${index}`}
+          type="fixed"
+          colliders="cuboid"
+          position={stepPos}
+          friction={1}
+          restitution={0}
+        >
+          <mesh
+            userData={BVH_STATIC_USER_DATA}
+            castShadow
+            receiveShadow
+            geometry={geometry}
+          >
+            <TileMaterial />
+          </mesh>
+        </RigidBody>
+      ))}
+    </group>
+  );
+};
+
+/**
+ * @typedef {Object} CheckpointProps
+ * @property {string} [id] - Checkpoint id stored in saves (defaults to the position)
+ * @property {[number, number, number]} position - Center of the volume's base
+ * @property {[number, number, number]} [size] - Trigger volume size
+ * @property {[number, number, number]} [spawnOffset] - Respawn point relative to position
+ */
+
+/**
+ * Trigger volume that autosaves when the character walks through it. Only the
+ * first entry counts until another checkpoint is reached.
+ * @param {CheckpointProps} props
+ */
+export const Checkpoint = ({
+  id,
+  position,
+  size = [2, 3, 2],
+  spawnOffset = [0, 1, 0],
+}) => {
+  const { activeCheckpointId, reachCheckpoint } = useCheckpoints();
+  const checkpointId = id ?? `checkpoint:${position.join(",")}`;
+  const isActive = activeCheckpointId === checkpointId;
+  const [width, height, depth] = size;
+  const color = isActive ? "#3bff8c" : "#ffd23b";
+
+  return (
+    <RigidBody type="fixed" colliders={false} position={position}>
+      <CuboidCollider
+        args={[width / 2, height / 2, depth / 2]}
+        position={[0, height / 2, 0]}
+        sensor
+        onIntersectionEnter={({ other }) => {
+          if (isActive || !isCharacterBody(other.rigidBody)) return;
+
+          reachCheckpoint({
+            id: checkpointId,
+            spawnPosition: [
+              position[0] + spawnOffset[0],
+              position[1] + spawnOffset[1],
+              position[2] + spawnOffset[2],
+            ],
+          });
+        }}
+      />
+      <mesh position={[0, 0.02, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+        <ringGeometry args={[0.45 * width, 0.5 * width, 48]} />
+        <meshStandardMaterial
+          color={color}
+          emissive={color}
+          emissiveIntensity={0.6}
+          side={THREE.DoubleSide}
+        />
+      </mesh>
+      <mesh position={[0, height / 2, 0]}>
+        <boxGeometry args={[width, height, depth]} />
+        <meshStandardMaterial
+          color={color}
+          transparent
+          opacity={isActive ? 0.08 : 0.15}
+          depthWrite={false}
+        />
+      </mesh>
+    </RigidBody>
+  );
+};
+
+// Rung spacing and how far in front of the ladder its volume reaches
+const LADDER_RUNG_SPACING = 0.35;
+const LADDER_VOLUME_DEPTH = 1;
+// The volume reaches past the top so the character can climb off
+const LADDER_VOLUME_HEADROOM = 1;
+
+/**
+ * @typedef {Object} LadderProps
+ * @property {[number, number, number]} position - Foot of the ladder
+ * @property {number} [height]
+ * @property {number} [width]
+ * @property {number} [rotation] - Yaw in radians; at 0 it's climbed from +Z
+ */
+
+/**
+ * Rails and rungs plus a trigger volume on the climbing side. Up while in the
+ * volume starts climbing; the rungs themselves have no collider.
+ * @param {LadderProps} props
+ */
+export const Ladder = ({ position, height = 4, width = 0.8, rotation = 0 }) => {
+  const { enterLadder, exitLadder } = useClimbing();
+  const ladder = useMemo(
+    () => ({
+      x: position[0],
+      z: position[2],
+      bottom: position[1],
+      top: position[1] + height,
+      normal: { x: Math.sin(rotation), z: Math.cos(rotation) },
+    }),
+    [position, height, rotation]
+  );
+
+  // Removing the ladder mustn't leave the character holding on to it
+  useEffect(() => () => exitLadder(ladder), [ladder, exitLadder]);
+
+  const rungHeights = useMemo(() => {
+    const count = Math.max(1, Math.floor(height / LADDER_RUNG_SPACING) - 1);
+    return Array.from(
+      { length: count },
+      (_, index) => (index + 1) * LADDER_RUNG_SPACING
+    );
+  }, [height]);
+  const volumeHeight = height + LADDER_VOLUME_HEADROOM;
+
+  return (
+    <RigidBody
+      type="fixed"
+      colliders={false}
+      position={position}
+      rotation={[0, rotation, 0]}
+    >
+      <CuboidCollider
+        args={[width / 2 + 0.2, volumeHeight / 2, LADDER_VOLUME_DEPTH / 2]}
+        position={[0, volumeHeight / 2, LADDER_VOLUME_DEPTH / 2]}
+        sensor
+        onIntersectionEnter={({ other }) => {
+          if (isCharacterBody(other.rigidBody)) enterLadder(ladder);
+        }}
+        onIntersectionExit={({ other }) => {
+          if (isCharacterBody(other.rigidBody)) exitLadder(ladder);
+        }}
+      />
+      {[-1, 1].map((side) => (
+        <mesh
+          key={side}
+          position={[(side * width) / 2, height / 2, 0]}
+          castShadow
+          receiveShadow
+        >
+          <boxGeometry args={[0.08, height, 0.08]} />
+          <meshStandardMaterial color="#7a5230" roughness={0.9} />
+        </mesh>
+      ))}
+      {rungHeights.map((rungHeight) => (
+        <mesh
+          key={rungHeight}
+          position={[0, rungHeight, 0]}
+          rotation={[0, 0, Math.PI / 2]}
+          castShadow
+        >
+          <cylinderGeometry args={[0.03, 0.03, width, 8]} />
+          <meshStandardMaterial color="#8b6239" roughness={0.9} />
+        </mesh>
+      ))}
+    </RigidBody>
+  );
+};
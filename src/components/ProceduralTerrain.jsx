@@ -3,6 +3,13 @@ import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
 import { RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
+import { useTerrainRegistration } from "../hooks/useTerrainRegistration";
+import { useTerrainErosion } from "../hooks/useTerrainErosion";
+import { sampleErosionMap } from "../utils/terrainErosion";
+import { getCenteredTerrainBounds } from "../utils/terrainUtils";
+
+// Erosion grid nodes per side, spread over the whole terrain
+const EROSION_RESOLUTION = 256;
 
 // Simple Perlin-like noise implementation
 function createNoiseGenerator(seed = 0) {
@@ -119,6 +126,10 @@ function TerrainChunk({
   highColor,
   lowHeight,
   highHeight,
+  erosion,
+  erosionColorStrength,
+  flowColor,
+  sedimentColor,
 }) {
   const meshRef = useRef();
 
@@ -153,6 +164,8 @@ function TerrainChunk({
     const lowRgb = hexToRgb(lowColor);
     const midRgb = hexToRgb(midColor);
     const highRgb = hexToRgb(highColor);
+    const flowRgb = hexToRgb(flowColor);
+    const sedimentRgb = hexToRgb(sedimentColor);
 
     // Generate vertices at ABSOLUTE WORLD POSITIONS (not relative to chunk center)
     for (let z = 0; z <= segments; z++) {
@@ -162,12 +175,16 @@ function TerrainChunk({
         const worldZ = worldStartZ + z * stepSize;
 
         // Get height at this world position
-        const height = getTerrainHeight(
+        let height = getTerrainHeight(
           worldX,
           worldZ,
           noiseGenerators,
           heightScale
         );
+        // Erosion works in world space, where Z is the negated plane Z
+        if (erosion) {
+          height += erosion.getDelta(worldX, -worldZ);
+        }
 
         // Store as WORLD position (not local)
         positions.push(worldX, worldZ, height);
@@ -197,6 +214,22 @@ function TerrainChunk({
             b = midRgb.b + (highRgb.b - midRgb.b) * t;
           }
 
+          // Tint where erosion deposited sediment and where water ran
+          if (erosion && erosionColorStrength > 0) {
+            const sedimentBlend =
+              sampleErosionMap(erosion, erosion.sediment, worldX, -worldZ) *
+              erosionColorStrength;
+            const flowBlend =
+              sampleErosionMap(erosion, erosion.flow, worldX, -worldZ) *
+              erosionColorStrength;
+            r += (sedimentRgb.r - r) * sedimentBlend;
+            g += (sedimentRgb.g - g) * sedimentBlend;
+            b += (sedimentRgb.b - b) * sedimentBlend;
+            r += (flowRgb.r - r) * flowBlend;
+            g += (flowRgb.g - g) * flowBlend;
+            b += (flowRgb.b - b) * flowBlend;
+          }
+
           colors.push(r, g, b);
         } else {
           // Default white color
@@ -243,6 +276,10 @@ function TerrainChunk({
     highColor,
     lowHeight,
     highHeight,
+    erosion,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   ]);
 
   const material = useMemo(() => {
@@ -322,6 +359,14 @@ export const ProceduralTerrain = ({
     highColor,
     lowHeight,
     highHeight,
+    erosionEnabled,
+    erosionIterations,
+    erosionRainAmount,
+    erosionSedimentCapacity,
+    erosionThermalIterations,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   } = useControls("🎮 Procedural Terrain", {
     terrainSize: {
       value: size,
@@ -432,6 +477,54 @@ export const ProceduralTerrain = ({
       step: 5,
       label: "High Height Threshold",
     },
+    // Erosion pass over the generated heights
+    erosionEnabled: {
+      value: false,
+      label: "💧 Enable Erosion",
+    },
+    erosionIterations: {
+      value: 50000,
+      min: 10000,
+      max: 500000,
+      step: 10000,
+      label: "💧 Erosion Iterations (droplets)",
+    },
+    erosionRainAmount: {
+      value: 1.0,
+      min: 0.1,
+      max: 4.0,
+      step: 0.1,
+      label: "💧 Rain Amount (water per droplet)",
+    },
+    erosionSedimentCapacity: {
+      value: 4.0,
+      min: 0.5,
+      max: 16.0,
+      step: 0.5,
+      label: "💧 Sediment Capacity",
+    },
+    erosionThermalIterations: {
+      value: 10,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "🪨 Thermal Erosion Passes",
+    },
+    erosionColorStrength: {
+      value: 0.6,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      label: "🎨 Erosion Color Amount",
+    },
+    flowColor: {
+      value: "#2f3a1c",
+      label: "🎨 Water Flow Color (gullies)",
+    },
+    sedimentColor: {
+      value: "#8a7a55",
+      label: "🎨 Sediment Color (deposits)",
+    },
   });
 
   const { camera } = useThree();
@@ -450,6 +543,42 @@ export const ProceduralTerrain = ({
     };
   }, [terrainSeed]);
 
+  // Uneroded height lookup; the erosion pass samples it
+  // The mesh is rotated -90° around X, so world Z is the negated noise Z
+  const noiseHeightLookup = useMemo(
+    () => (x, z) =>
+      getTerrainHeight(x, -z, noiseGenerators, terrainHeightScale),
+    [noiseGenerators, terrainHeightScale]
+  );
+
+  const { erosion, pending: erosionPending } = useTerrainErosion(
+    noiseHeightLookup,
+    terrainSize,
+    EROSION_RESOLUTION,
+    erosionEnabled
+      ? {
+          iterations: erosionIterations,
+          rainAmount: erosionRainAmount,
+          sedimentCapacity: erosionSedimentCapacity,
+          thermalIterations: erosionThermalIterations,
+          seed: terrainSeed,
+        }
+      : null
+  );
+
+  // Same surface the chunks build, for grass, trees and spawns
+  // (held back while erosion runs, so nothing settles on uneroded heights)
+  const heightmapLookup = useMemo(() => {
+    if (erosionPending) return null;
+    if (!erosion) return noiseHeightLookup;
+    return (x, z) => noiseHeightLookup(x, z) + erosion.getDelta(x, z);
+  }, [noiseHeightLookup, erosion, erosionPending]);
+
+  useTerrainRegistration(
+    heightmapLookup,
+    getCenteredTerrainBounds(terrainSize)
+  );
+
   // Calculate segments per chunk based on chunk size
   // Each chunk should have appropriate detail for its size
   const segmentsPerChunk = Math.max(
@@ -561,6 +690,10 @@ export const ProceduralTerrain = ({
           highColor={highColor}
           lowHeight={lowHeight}
           highHeight={highHeight}
+          erosion={erosion}
+          erosionColorStrength={erosionColorStrength}
+          flowColor={flowColor}
+          sedimentColor={sedimentColor}
         />
       </group>
     );
@@ -596,6 +729,10 @@ export const ProceduralTerrain = ({
             highColor={highColor}
             lowHeight={lowHeight}
             highHeight={highHeight}
+            erosion={erosion}
+            erosionColorStrength={erosionColorStrength}
+            flowColor={flowColor}
+            sedimentColor={sedimentColor}
           />
         );
       })}
@@ -2,6 +2,13 @@ import { useRef, useMemo, useEffect } from "react";
 import * as THREE from "three";
 import { RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
+import { useTerrainRegistration } from "../hooks/useTerrainRegistration";
+import { useTerrainErosion } from "../hooks/useTerrainErosion";
+import { sampleErosionMap } from "../utils/terrainErosion";
+import { getCenteredTerrainBounds } from "../utils/terrainUtils";
+
+// Erosion grid nodes per side, spread over the whole terrain
+const EROSION_RESOLUTION = 256;
 
 // Simple Perlin-like noise implementation
 function createNoiseGenerator(seed = 0) {
@@ -121,6 +128,14 @@ export const ProceduralTerrain2 = ({
     highColor,
     lowHeight,
     highHeight,
+    erosionEnabled,
+    erosionIterations,
+    erosionRainAmount,
+    erosionSedimentCapacity,
+    erosionThermalIterations,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   } = useControls("🌄 Simple Terrain", {
     terrainSize: {
       value: size,
@@ -180,6 +195,54 @@ export const ProceduralTerrain2 = ({
       step: 5,
       label: "High Height Threshold",
     },
+    // Erosion pass over the generated heights
+    erosionEnabled: {
+      value: false,
+      label: "💧 Enable Erosion",
+    },
+    erosionIterations: {
+      value: 50000,
+      min: 10000,
+      max: 500000,
+      step: 10000,
+      label: "💧 Erosion Iterations (droplets)",
+    },
+    erosionRainAmount: {
+      value: 1.0,
+      min: 0.1,
+      max: 4.0,
+      step: 0.1,
+      label: "💧 Rain Amount (water per droplet)",
+    },
+    erosionSedimentCapacity: {
+      value: 4.0,
+      min: 0.5,
+      max: 16.0,
+      step: 0.5,
+      label: "💧 Sediment Capacity",
+    },
+    erosionThermalIterations: {
+      value: 10,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "🪨 Thermal Erosion Passes",
+    },
+    erosionColorStrength: {
+      value: 0.6,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      label: "🎨 Erosion Color Amount",
+    },
+    flowColor: {
+      value: "#2f3a1c",
+      label: "🎨 Water Flow Color (gullies)",
+    },
+    sedimentColor: {
+      value: "#8a7a55",
+      label: "🎨 Sediment Color (deposits)",
+    },
   });
 
   // Create noise generators
@@ -191,6 +254,41 @@ export const ProceduralTerrain2 = ({
     };
   }, [terrainSeed]);
 
+  // Uneroded height lookup; the erosion pass samples it
+  const noiseHeightLookup = useMemo(
+    () => (x, z) => {
+      // The terrain mesh is rotated -90° around X axis (rotation={[-Math.PI / 2, 0, 0]})
+      // Original geometry: positions.push(worldX, worldZ, height)
+      // After rotation: world.x = worldX, world.y = height, world.z = -worldZ
+      // So we need to negate the Z coordinate when looking up height
+      return getTerrainHeight(x, -z, noiseGenerators, terrainHeightScale);
+    },
+    [noiseGenerators, terrainHeightScale]
+  );
+
+  const { erosion, pending: erosionPending } = useTerrainErosion(
+    noiseHeightLookup,
+    terrainSize,
+    EROSION_RESOLUTION,
+    erosionEnabled
+      ? {
+          iterations: erosionIterations,
+          rainAmount: erosionRainAmount,
+          sedimentCapacity: erosionSedimentCapacity,
+          thermalIterations: erosionThermalIterations,
+          seed: terrainSeed,
+        }
+      : null
+  );
+
+  // Heightmap lookup shared by grass, onHeightmapReady and the TerrainProvider
+  // (held back while erosion runs, so nothing settles on uneroded heights)
+  const heightmapLookup = useMemo(() => {
+    if (erosionPending) return null;
+    if (!erosion) return noiseHeightLookup;
+    return (x, z) => noiseHeightLookup(x, z) + erosion.getDelta(x, z);
+  }, [noiseHeightLookup, erosion, erosionPending]);
+
   const geometry = useMemo(() => {
     const verticesPerSide = terrainSegments + 1;
     const positions = [];
@@ -216,6 +314,8 @@ export const ProceduralTerrain2 = ({
     const lowRgb = hexToRgb(lowColor);
     const midRgb = hexToRgb(midColor);
     const highRgb = hexToRgb(highColor);
+    const flowRgb = hexToRgb(flowColor);
+    const sedimentRgb = hexToRgb(sedimentColor);
 
     // Generate vertices
     for (let z = 0; z <= terrainSegments; z++) {
@@ -223,12 +323,16 @@ export const ProceduralTerrain2 = ({
         const worldX = x * stepSize - halfSize;
         const worldZ = z * stepSize - halfSize;
 
-        const height = getTerrainHeight(
+        let height = getTerrainHeight(
           worldX,
           worldZ,
           noiseGenerators,
           terrainHeightScale
         );
+        // Erosion works in world space, where Z is the negated plane Z
+        if (erosion) {
+          height += erosion.getDelta(worldX, -worldZ);
+        }
 
         positions.push(worldX, worldZ, height);
         uvs.push(x / terrainSegments, z / terrainSegments);
@@ -254,6 +358,22 @@ export const ProceduralTerrain2 = ({
             b = midRgb.b + (highRgb.b - midRgb.b) * t;
           }
 
+          // Tint where erosion deposited sediment and where water ran
+          if (erosion && erosionColorStrength > 0) {
+            const sedimentBlend =
+              sampleErosionMap(erosion, erosion.sediment, worldX, -worldZ) *
+              erosionColorStrength;
+            const flowBlend =
+              sampleErosionMap(erosion, erosion.flow, worldX, -worldZ) *
+              erosionColorStrength;
+            r += (sedimentRgb.r - r) * sedimentBlend;
+            g += (sedimentRgb.g - g) * sedimentBlend;
+            b += (sedimentRgb.b - b) * sedimentBlend;
+            r += (flowRgb.r - r) * flowBlend;
+            g += (flowRgb.g - g) * flowBlend;
+            b += (flowRgb.b - b) * flowBlend;
+          }
+
           colors.push(r, g, b);
         } else {
           colors.push(1, 1, 1);
@@ -296,6 +416,10 @@ export const ProceduralTerrain2 = ({
     highColor,
     lowHeight,
     highHeight,
+    erosion,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   ]);
 
   const material = useMemo(() => {
@@ -309,26 +433,16 @@ export const ProceduralTerrain2 = ({
 
   // Expose heightmap lookup function for grass and other systems
   useEffect(() => {
-    if (onHeightmapReady && geometry) {
-      // Create heightmap lookup function
-      const heightmapLookup = (x, z) => {
-        // The terrain mesh is rotated -90° around X axis (rotation={[-Math.PI / 2, 0, 0]})
-        // Original geometry: positions.push(worldX, worldZ, height)
-        // After rotation: world.x = worldX, world.y = height, world.z = -worldZ
-        // So we need to negate the Z coordinate when looking up height
-        const height = getTerrainHeight(
-          x,
-          -z,
-          noiseGenerators,
-          terrainHeightScale
-        );
-        return height;
-      };
-
+    if (onHeightmapReady && geometry && heightmapLookup) {
       console.log("✅ ProceduralTerrain2 heightmap ready");
       onHeightmapReady(heightmapLookup);
     }
-  }, [geometry, onHeightmapReady, noiseGenerators, terrainHeightScale]);
+  }, [geometry, onHeightmapReady, heightmapLookup]);
+
+  useTerrainRegistration(
+    heightmapLookup,
+    getCenteredTerrainBounds(terrainSize)
+  );
 
   return (
     <RigidBody type="fixed" colliders="trimesh">
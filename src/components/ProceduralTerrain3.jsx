@@ -1,8 +1,20 @@
 import { useRef, useMemo, useState, useEffect } from "react";
 import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
-import { RigidBody } from "@react-three/rapier";
+import { HeightfieldCollider, RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
+import { useTerrainRegistration } from "../hooks/useTerrainRegistration";
+import { useTerrainErosion } from "../hooks/useTerrainErosion";
+import { sampleErosionMap } from "../utils/terrainErosion";
+import { getCenteredTerrainBounds } from "../utils/terrainUtils";
+import {
+  getChunkColliderPosition,
+  getChunkHeightfieldArgs,
+  sampleChunkHeightfield,
+} from "../utils/terrainHeightfield";
+
+// Erosion grid nodes per side, spread over the whole terrain
+const EROSION_RESOLUTION = 256;
 
 // Simple Perlin-like noise implementation
 function createNoiseGenerator(seed = 0) {
@@ -187,6 +199,10 @@ function TerrainChunk({
   aoIntensity,
   aoRadius,
   aoEdgeFade,
+  erosion,
+  erosionColorStrength,
+  flowColor,
+  sedimentColor,
 }) {
   const meshRef = useRef();
   const heightMapRef = useRef(null);
@@ -213,13 +229,17 @@ function TerrainChunk({
       for (let x = 0; x <= segments; x++) {
         const worldX = worldStartX + x * stepSize;
         const worldZ = worldStartZ + z * stepSize;
-        const height = getTerrainHeight(
+        let height = getTerrainHeight(
           worldX,
           worldZ,
           noiseGenerators,
           heightScale,
           terrainControls
         );
+        // Erosion works in world space, where Z is the negated plane Z
+        if (erosion) {
+          height += erosion.getDelta(worldX, -worldZ);
+        }
         heightMap[z][x] = height;
       }
     }
@@ -278,11 +298,45 @@ function TerrainChunk({
     noiseGenerators,
     lodLevel,
     terrainControls,
+    erosion,
     // Note: Color and AO params intentionally NOT in dependencies
     // They are captured in closure but won't trigger regeneration
     // Geometry only regenerates when terrain SHAPE changes
   ]);
 
+  // Collision is sampled from the noise at full chunk resolution, so it
+  // doesn't change (or rebuild) with the visual LOD
+  const colliderArgs = useMemo(() => {
+    const heights = sampleChunkHeightfield(
+      (noiseX, noiseZ) =>
+        getTerrainHeight(
+          noiseX,
+          noiseZ,
+          noiseGenerators,
+          heightScale,
+          terrainControls
+        ) + (erosion ? erosion.getDelta(noiseX, -noiseZ) : 0),
+      chunkX,
+      chunkZ,
+      chunkSize,
+      segmentsPerChunk
+    );
+    return getChunkHeightfieldArgs(heights, chunkSize, segmentsPerChunk);
+  }, [
+    chunkX,
+    chunkZ,
+    chunkSize,
+    segmentsPerChunk,
+    heightScale,
+    noiseGenerators,
+    terrainControls,
+    erosion,
+  ]);
+  const colliderPosition = useMemo(
+    () => getChunkColliderPosition(chunkX, chunkZ, chunkSize),
+    [chunkX, chunkZ, chunkSize]
+  );
+
   // Step 2: Update colors when color/AO settings change (without regenerating geometry)
   useEffect(() => {
     if (!geometry || !heightMapRef.current) return;
@@ -319,6 +373,8 @@ function TerrainChunk({
     const mountainRgb = hexToRgb(mountainColor);
     const peakRgb = hexToRgb(peakColor);
     const cliffRgb = hexToRgb(cliffColor);
+    const flowRgb = hexToRgb(flowColor);
+    const sedimentRgb = hexToRgb(sedimentColor);
 
     // Get world start positions for noise calculation
     const worldStartX = chunkX * chunkSize;
@@ -513,6 +569,24 @@ function TerrainChunk({
             baseColor.b *= texVariation;
           }
 
+          // Tint where erosion deposited sediment and where water ran
+          if (erosion && erosionColorStrength > 0) {
+            const worldX = worldStartX + x * stepSize;
+            const worldZ = -(worldStartZ + z * stepSize);
+            const sedimentBlend =
+              sampleErosionMap(erosion, erosion.sediment, worldX, worldZ) *
+              erosionColorStrength;
+            const flowBlend =
+              sampleErosionMap(erosion, erosion.flow, worldX, worldZ) *
+              erosionColorStrength;
+            baseColor.r += (sedimentRgb.r - baseColor.r) * sedimentBlend;
+            baseColor.g += (sedimentRgb.g - baseColor.g) * sedimentBlend;
+            baseColor.b += (sedimentRgb.b - baseColor.b) * sedimentBlend;
+            baseColor.r += (flowRgb.r - baseColor.r) * flowBlend;
+            baseColor.g += (flowRgb.g - baseColor.g) * flowBlend;
+            baseColor.b += (flowRgb.b - baseColor.b) * flowBlend;
+          }
+
           r = Math.max(0, Math.min(1, baseColor.r));
           g = Math.max(0, Math.min(1, baseColor.g));
           b = Math.max(0, Math.min(1, baseColor.b));
@@ -554,6 +628,10 @@ function TerrainChunk({
     chunkZ,
     chunkSize,
     noiseGenerators,
+    erosion,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   ]);
 
   const material = useMemo(() => {
@@ -600,7 +678,8 @@ function TerrainChunk({
 
   // NO POSITION - geometry is already in world space!
   return (
-    <RigidBody type="fixed" colliders="trimesh">
+    <RigidBody type="fixed" colliders={false}>
+      <HeightfieldCollider args={colliderArgs} position={colliderPosition} />
       <mesh
         ref={meshRef}
         geometry={geometry}
@@ -665,6 +744,14 @@ export const ProceduralTerrain3 = ({
     aoIntensity,
     aoRadius,
     aoEdgeFade,
+    erosionEnabled,
+    erosionIterations,
+    erosionRainAmount,
+    erosionSedimentCapacity,
+    erosionThermalIterations,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   } = useControls("🎮 Procedural Terrain 3", {
     terrainSize: {
       value: size,
@@ -881,6 +968,54 @@ export const ProceduralTerrain3 = ({
       step: 0.05,
       label: "🌑 AO Edge Fade",
     },
+    // Erosion pass over the generated heights
+    erosionEnabled: {
+      value: false,
+      label: "💧 Enable Erosion",
+    },
+    erosionIterations: {
+      value: 50000,
+      min: 10000,
+      max: 500000,
+      step: 10000,
+      label: "💧 Erosion Iterations (droplets)",
+    },
+    erosionRainAmount: {
+      value: 1.0,
+      min: 0.1,
+      max: 4.0,
+      step: 0.1,
+      label: "💧 Rain Amount (water per droplet)",
+    },
+    erosionSedimentCapacity: {
+      value: 4.0,
+      min: 0.5,
+      max: 16.0,
+      step: 0.5,
+      label: "💧 Sediment Capacity",
+    },
+    erosionThermalIterations: {
+      value: 10,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "🪨 Thermal Erosion Passes",
+    },
+    erosionColorStrength: {
+      value: 0.6,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      label: "🎨 Erosion Color Amount",
+    },
+    flowColor: {
+      value: "#2f3a1c",
+      label: "🎨 Water Flow Color (gullies)",
+    },
+    sedimentColor: {
+      value: "#8a7a55",
+      label: "🎨 Sediment Color (deposits)",
+    },
   });
 
   const { camera } = useThree();
@@ -943,27 +1078,55 @@ export const ProceduralTerrain3 = ({
     ]
   );
 
-  // Expose heightmap lookup function for grass and other systems
-  useEffect(() => {
-    if (onHeightmapReady && noiseGenerators) {
-      // Create heightmap lookup function using the shared getTerrainHeight
-      const heightmapLookup = (x, z) => {
-        // The terrain mesh is rotated -90° around X axis
-        // After rotation: world.x = x, world.y = height, world.z = -z
-        const height = getTerrainHeight(
-          x,
-          -z, // Invert Z due to rotation
-          noiseGenerators,
-          terrainHeightScale,
-          terrainControls
-        );
-        return height;
-      };
+  // Uneroded height lookup; the erosion pass samples it
+  const noiseHeightLookup = useMemo(() => {
+    if (!noiseGenerators) return null;
+    // The terrain mesh is rotated -90° around X axis
+    // After rotation: world.x = x, world.y = height, world.z = -z
+    return (x, z) =>
+      getTerrainHeight(
+        x,
+        -z, // Invert Z due to rotation
+        noiseGenerators,
+        terrainHeightScale,
+        terrainControls
+      );
+  }, [noiseGenerators, terrainHeightScale, terrainControls]);
+
+  const { erosion, pending: erosionPending } = useTerrainErosion(
+    noiseHeightLookup,
+    terrainSize,
+    EROSION_RESOLUTION,
+    erosionEnabled
+      ? {
+          iterations: erosionIterations,
+          rainAmount: erosionRainAmount,
+          sedimentCapacity: erosionSedimentCapacity,
+          thermalIterations: erosionThermalIterations,
+          seed: terrainSeed,
+        }
+      : null
+  );
+
+  // Heightmap lookup shared by grass, onHeightmapReady and the TerrainProvider
+  // (held back while erosion runs, so nothing settles on uneroded heights)
+  const heightmapLookup = useMemo(() => {
+    if (erosionPending) return null;
+    if (!erosion) return noiseHeightLookup;
+    return (x, z) => noiseHeightLookup(x, z) + erosion.getDelta(x, z);
+  }, [noiseHeightLookup, erosion, erosionPending]);
 
+  useEffect(() => {
+    if (onHeightmapReady && heightmapLookup) {
       console.log("✅ ProceduralTerrain3 heightmap ready");
       onHeightmapReady(heightmapLookup);
     }
-  }, [noiseGenerators, terrainHeightScale, terrainControls, onHeightmapReady]);
+  }, [heightmapLookup, onHeightmapReady]);
+
+  useTerrainRegistration(
+    heightmapLookup,
+    getCenteredTerrainBounds(terrainSize)
+  );
 
   // Calculate segments per chunk based on chunk size
   // Each chunk should have appropriate detail for its size
@@ -1088,6 +1251,10 @@ export const ProceduralTerrain3 = ({
           aoIntensity={aoIntensity}
           aoRadius={aoRadius}
           aoEdgeFade={aoEdgeFade}
+          erosion={erosion}
+          erosionColorStrength={erosionColorStrength}
+          flowColor={flowColor}
+          sedimentColor={sedimentColor}
         />
       </group>
     );
@@ -1132,6 +1299,10 @@ export const ProceduralTerrain3 = ({
             aoIntensity={aoIntensity}
             aoRadius={aoRadius}
             aoEdgeFade={aoEdgeFade}
+            erosion={erosion}
+            erosionColorStrength={erosionColorStrength}
+            flowColor={flowColor}
+            sedimentColor={sedimentColor}
           />
         );
       })}
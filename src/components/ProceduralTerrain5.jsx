@@ -1,10 +1,21 @@
 import { useRef, useMemo, useState, useEffect } from "react";
 import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
-import { RigidBody } from "@react-three/rapier";
+import { HeightfieldCollider, RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
 import { createNoise2D } from "simplex-noise";
 import alea from "alea";
+import { useTerrainRegistration } from "../hooks/useTerrainRegistration";
+import { useTerrainErosion } from "../hooks/useTerrainErosion";
+import { getCenteredTerrainBounds } from "../utils/terrainUtils";
+import {
+  getChunkColliderPosition,
+  getChunkHeightfieldArgs,
+  sampleChunkHeightfield,
+} from "../utils/terrainHeightfield";
+
+// Erosion grid nodes per side, spread over the whole terrain
+const EROSION_RESOLUTION = 256;
 
 // Simplex noise generator using simplex-noise library
 function createNoiseGenerator(seed = 0) {
@@ -182,6 +193,10 @@ function TerrainChunk({
   heightSlope,
   heightPeak,
   terrainControls,
+  erosion,
+  erosionColorStrength,
+  flowColor,
+  sedimentColor,
 }) {
   const meshRef = useRef();
   const heightMapRef = useRef(null);
@@ -204,13 +219,17 @@ function TerrainChunk({
       for (let x = 0; x <= segments; x++) {
         const worldX = worldStartX + x * stepSize;
         const worldZ = worldStartZ + z * stepSize;
-        const height = getTerrainHeight(
+        let height = getTerrainHeight(
           worldX,
           worldZ,
           noiseGenerators,
           heightScale,
           terrainControls
         );
+        // Erosion works in world space, where Z is the negated plane Z
+        if (erosion) {
+          height += erosion.getDelta(worldX, -worldZ);
+        }
         heightMap[z][x] = height;
       }
     }
@@ -261,8 +280,44 @@ function TerrainChunk({
     noiseGenerators,
     lodLevel,
     terrainControls,
+    erosion,
   ]);
 
+  // Collision is sampled from the noise at full chunk resolution, so it
+  // doesn't change (or rebuild) with the visual LOD
+  const colliderArgs = useMemo(() => {
+    const heights = sampleChunkHeightfield(
+      (noiseX, noiseZ) => {
+        const height = getTerrainHeight(
+          noiseX,
+          noiseZ,
+          noiseGenerators,
+          heightScale,
+          terrainControls
+        );
+        return erosion ? height + erosion.getDelta(noiseX, -noiseZ) : height;
+      },
+      chunkX,
+      chunkZ,
+      chunkSize,
+      segmentsPerChunk
+    );
+    return getChunkHeightfieldArgs(heights, chunkSize, segmentsPerChunk);
+  }, [
+    chunkX,
+    chunkZ,
+    chunkSize,
+    segmentsPerChunk,
+    heightScale,
+    noiseGenerators,
+    terrainControls,
+    erosion,
+  ]);
+  const colliderPosition = useMemo(
+    () => getChunkColliderPosition(chunkX, chunkZ, chunkSize),
+    [chunkX, chunkZ, chunkSize]
+  );
+
   // Step 2: Create material with onBeforeCompile for SHADER-BASED height coloring
   const material = useMemo(() => {
     let color = 0xffffff;
@@ -310,6 +365,19 @@ function TerrainChunk({
         };
         shader.uniforms.textureNoiseScale = { value: textureNoiseScale };
         shader.uniforms.textureFrequency = { value: textureFrequency };
+        // Erosion flow/sediment tinting
+        shader.uniforms.erosionMap = { value: erosion?.texture ?? null };
+        shader.uniforms.erosionMapSize = { value: erosion?.size ?? 1 };
+        shader.uniforms.erosionMapResolution = {
+          value: erosion?.resolution ?? 1,
+        };
+        shader.uniforms.erosionColorStrength = {
+          value: erosion ? erosionColorStrength : 0.0,
+        };
+        shader.uniforms.flowColor = { value: new THREE.Color(flowColor) };
+        shader.uniforms.sedimentColor = {
+          value: new THREE.Color(sedimentColor),
+        };
 
         // Modify vertex shader to pass world position
         shader.vertexShader = shader.vertexShader.replace(
@@ -347,6 +415,12 @@ function TerrainChunk({
           uniform float enableTextureNoise;
           uniform float textureNoiseScale;
           uniform float textureFrequency;
+          uniform sampler2D erosionMap;
+          uniform float erosionMapSize;
+          uniform float erosionMapResolution;
+          uniform float erosionColorStrength;
+          uniform vec3 flowColor;
+          uniform vec3 sedimentColor;
           
           // Simple hash-based noise function for GPU (similar to Simplex noise)
           float hash(vec2 p) {
@@ -413,6 +487,18 @@ function TerrainChunk({
             heightColor *= texVariation;
           }
           
+          // Tint where erosion deposited sediment and where water ran
+          if (erosionColorStrength > 0.0) {
+            vec2 erosionCoord = vWorldPos.xz / erosionMapSize + 0.5;
+            if (all(greaterThanEqual(erosionCoord, vec2(0.0))) && all(lessThanEqual(erosionCoord, vec2(1.0)))) {
+              // Node values sit at texel centers
+              vec2 erosionUv = (erosionCoord * (erosionMapResolution - 1.0) + 0.5) / erosionMapResolution;
+              vec2 erosionSample = texture2D(erosionMap, erosionUv).rg;
+              heightColor = mix(heightColor, sedimentColor, erosionSample.g * erosionColorStrength);
+              heightColor = mix(heightColor, flowColor, erosionSample.r * erosionColorStrength);
+            }
+          }
+          
           diffuseColor.rgb = heightColor;
           `
         );
@@ -440,6 +526,7 @@ function TerrainChunk({
     heightGrass,
     heightSlope,
     heightPeak,
+    erosion,
   ]);
 
   // Update shader uniforms when noise settings change
@@ -489,6 +576,17 @@ function TerrainChunk({
         if (shader.uniforms.heightPeak) {
           shader.uniforms.heightPeak.value = heightPeak;
         }
+        if (shader.uniforms.erosionColorStrength) {
+          shader.uniforms.erosionColorStrength.value = erosion
+            ? erosionColorStrength
+            : 0.0;
+        }
+        if (shader.uniforms.flowColor) {
+          shader.uniforms.flowColor.value.set(flowColor);
+        }
+        if (shader.uniforms.sedimentColor) {
+          shader.uniforms.sedimentColor.value.set(sedimentColor);
+        }
       }
     }
   }, [
@@ -506,10 +604,15 @@ function TerrainChunk({
     heightGrass,
     heightSlope,
     heightPeak,
+    erosion,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   ]);
 
   return (
-    <RigidBody type="fixed" colliders="trimesh">
+    <RigidBody type="fixed" colliders={false}>
+      <HeightfieldCollider args={colliderArgs} position={colliderPosition} />
       <mesh
         ref={meshRef}
         geometry={geometry}
@@ -570,6 +673,14 @@ export const ProceduralTerrain5 = ({
     ridgeSharpness,
     valleyDepth,
     detailAmount,
+    erosionEnabled,
+    erosionIterations,
+    erosionRainAmount,
+    erosionSedimentCapacity,
+    erosionThermalIterations,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   } = useControls("🗻 BOTW Terrain v5 (Shader)", {
     terrainSize: {
       value: size,
@@ -770,6 +881,54 @@ export const ProceduralTerrain5 = ({
       step: 0.01,
       label: "✨ Detail Amount (reduced to prevent spikes)",
     },
+    // Erosion pass over the generated heights
+    erosionEnabled: {
+      value: false,
+      label: "💧 Enable Erosion",
+    },
+    erosionIterations: {
+      value: 50000,
+      min: 10000,
+      max: 500000,
+      step: 10000,
+      label: "💧 Erosion Iterations (droplets)",
+    },
+    erosionRainAmount: {
+      value: 1.0,
+      min: 0.1,
+      max: 4.0,
+      step: 0.1,
+      label: "💧 Rain Amount (water per droplet)",
+    },
+    erosionSedimentCapacity: {
+      value: 4.0,
+      min: 0.5,
+      max: 16.0,
+      step: 0.5,
+      label: "💧 Sediment Capacity",
+    },
+    erosionThermalIterations: {
+      value: 10,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "🪨 Thermal Erosion Passes",
+    },
+    erosionColorStrength: {
+      value: 0.6,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      label: "🎨 Erosion Color Amount",
+    },
+    flowColor: {
+      value: "#2f3a1c",
+      label: "🎨 Water Flow Color (gullies)",
+    },
+    sedimentColor: {
+      value: "#8a7a55",
+      label: "🎨 Sediment Color (deposits)",
+    },
   });
 
   const { camera } = useThree();
@@ -826,22 +985,55 @@ export const ProceduralTerrain5 = ({
     ]
   );
 
+  // Uneroded height lookup; the erosion pass samples it
+  const noiseHeightLookup = useMemo(() => {
+    if (!noiseGenerators) return null;
+    // The terrain mesh is rotated -90° around X axis
+    // After rotation: world.x = x, world.y = height, world.z = -z
+    return (x, z) =>
+      getTerrainHeight(
+        x,
+        -z, // Invert Z due to rotation
+        noiseGenerators,
+        terrainHeightScale,
+        terrainControls
+      );
+  }, [noiseGenerators, terrainHeightScale, terrainControls]);
+
+  const { erosion, pending: erosionPending } = useTerrainErosion(
+    noiseHeightLookup,
+    terrainSize,
+    EROSION_RESOLUTION,
+    erosionEnabled
+      ? {
+          iterations: erosionIterations,
+          rainAmount: erosionRainAmount,
+          sedimentCapacity: erosionSedimentCapacity,
+          thermalIterations: erosionThermalIterations,
+          seed: terrainSeed,
+        }
+      : null
+  );
+
+  // Heightmap lookup shared by grass, onHeightmapReady and the TerrainProvider
+  // (held back while erosion runs, so nothing settles on uneroded heights)
+  const heightmapLookup = useMemo(() => {
+    if (erosionPending) return null;
+    if (!erosion) return noiseHeightLookup;
+    return (x, z) => noiseHeightLookup(x, z) + erosion.getDelta(x, z);
+  }, [noiseHeightLookup, erosion, erosionPending]);
+
   useEffect(() => {
-    if (onHeightmapReady && noiseGenerators) {
-      const heightmapLookup = (x, z) => {
-        const height = getTerrainHeight(
-          x,
-          -z,
-          noiseGenerators,
-          terrainHeightScale,
-          terrainControls
-        );
-        return height;
-      };
+    if (onHeightmapReady && heightmapLookup) {
       console.log("✅ ProceduralTerrain5 (Shader) heightmap ready");
       onHeightmapReady(heightmapLookup);
     }
-  }, [noiseGenerators, terrainHeightScale, terrainControls, onHeightmapReady]);
+  }, [heightmapLookup, onHeightmapReady]);
+
+  useTerrainRegistration(
+    heightmapLookup,
+    getCenteredTerrainBounds(terrainSize)
+  );
 
   const segmentsPerChunk = Math.max(
     10,
@@ -934,6 +1126,10 @@ export const ProceduralTerrain5 = ({
           heightSlope={heightSlope}
           heightPeak={heightPeak}
           terrainControls={terrainControls}
+          erosion={erosion}
+          erosionColorStrength={erosionColorStrength}
+          flowColor={flowColor}
+          sedimentColor={sedimentColor}
         />
       </group>
     );
@@ -975,6 +1171,10 @@ export const ProceduralTerrain5 = ({
             heightSlope={heightSlope}
             heightPeak={heightPeak}
             terrainControls={terrainControls}
+            erosion={erosion}
+            erosionColorStrength={erosionColorStrength}
+            flowColor={flowColor}
+            sedimentColor={sedimentColor}
           />
         );
       })}
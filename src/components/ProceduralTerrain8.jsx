@@ -1,312 +1,57 @@
-import { useRef, useMemo, useState, useEffect } from "react";
+import { useRef, useMemo, useState, useEffect, useCallback } from "react";
 import { useFrame, useThree, useLoader } from "@react-three/fiber";
 import * as THREE from "three";
-import { RigidBody } from "@react-three/rapier";
+import { HeightfieldCollider, RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
-import { createNoise2D } from "simplex-noise";
-import alea from "alea";
 import { TextureLoader } from "three";
-
-// Simplex noise generator using simplex-noise library
-function createNoiseGenerator(seed = 0) {
-  const prng = alea(seed);
-  const noise2D = createNoise2D(prng);
-
-  // Return wrapper function that matches the interface from ProceduralTerrain3
-  return (x, y) => noise2D(x, y);
-}
-
-// Fractional Brownian Motion (fBm) - Multiple octaves of noise for natural terrain
-// Creates fractal-like detail by layering noise at different frequencies and amplitudes
-function fBm(
-  noiseFunc,
-  x,
-  y,
-  octaves = 6,
-  frequency = 0.0005,
-  persistence = 0.5,
-  lacunarity = 2.0,
-  amplitude = 1.0,
-  offsetX = 0,
-  offsetY = 0
-) {
-  let value = 0;
-  let amp = amplitude;
-  let freq = frequency;
-  let maxValue = 0; // For normalization
-
-  // Add multiple octaves (layers) of noise
-  for (let i = 0; i < octaves; i++) {
-    value += noiseFunc(x * freq + offsetX, y * freq + offsetY) * amp;
-    maxValue += amp;
-
-    // Each octave: frequency doubles, amplitude reduces by persistence
-    freq *= lacunarity;
-    amp *= persistence;
-  }
-
-  // Normalize to keep values in a reasonable range
-  return maxValue > 0 ? value / maxValue : 0;
-}
-
-// SHARED height calculation - Optimized for BOTW-style open world
-function getTerrainHeight(
-  worldX,
-  worldZ,
-  noiseGenerators,
-  heightScale,
-  terrainControls = {}
-) {
-  const { noise, noise2, noise3, noise4 } = noiseGenerators;
-
-  // Extract controls with defaults
-  const {
-    mountainIntensity = 1.0,
-    flatnessThreshold = 0.35,
-    flatnessSmooth = 0.25,
-    ridgeSharpness = 1.8,
-    valleyDepth = 0.4,
-    detailAmount = 0.18,
-    biomeVariation = 0.5,
-    // fBm controls
-    fbmEnabled = true,
-    fbmOctaves = 6,
-    fbmPersistence = 0.5,
-    fbmLacunarity = 2.0,
-    fbmBaseFrequency = 0.0005,
-  } = terrainControls;
-
-  // === LARGE-SCALE REGIONS - Creates distinct biomes/areas ===
-  const regionFreq = 0.0006; // Lower frequency for larger regions
-  const regionNoise = noise(worldX * regionFreq, worldZ * regionFreq);
-  const regionNoise2 = noise2(
-    worldX * regionFreq * 1.5 + 1000,
-    worldZ * regionFreq * 1.5 + 1000
-  );
-  const regionMask = (regionNoise * 0.65 + regionNoise2 * 0.35) * 0.5 + 0.5; // 0 to 1
-
-  // === FLAT PLAINS - Large traversable areas like Hyrule Field ===
-  let flatnessFactor = 1.0;
-  if (regionMask < flatnessThreshold) {
-    // Smooth transition to flat - creates wide plains
-    flatnessFactor =
-      Math.pow(regionMask / flatnessThreshold, 1.8) * flatnessSmooth +
-      (1 - flatnessSmooth);
-  }
-
-  // === RIDGED MOUNTAINS - Smooth peaks and ridges with fBm ===
-  let ridgeTerrain;
-  if (fbmEnabled) {
-    // Use fBm for more natural ridge patterns
-    const ridgeFreq = 0.0012;
-    const ridgeFbm1 = fBm(
-      noise3,
-      worldX,
-      worldZ,
-      Math.floor(fbmOctaves * 0.7),
-      ridgeFreq,
-      fbmPersistence * 0.8, // Slightly lower persistence for smoother ridges
-      fbmLacunarity,
-      1.0,
-      0,
-      0
-    );
-    let ridge1 = Math.abs(ridgeFbm1);
-    ridge1 = 1 - ridge1; // Invert to create ridges
-
-    const ridgeFbm2 = fBm(
-      noise4,
-      worldX,
-      worldZ,
-      Math.floor(fbmOctaves * 0.6),
-      ridgeFreq * 2.3,
-      fbmPersistence * 0.7,
-      fbmLacunarity,
-      1.0,
-      2000,
-      2000
-    );
-    let ridge2 = Math.abs(ridgeFbm2);
-    ridge2 = 1 - ridge2;
-
-    // Smooth ridges
-    ridge1 = Math.pow(ridge1, Math.max(1.0, ridgeSharpness * 0.6));
-    ridge1 = Math.pow(ridge1, 0.85);
-    ridge2 = Math.pow(ridge2, Math.max(1.0, ridgeSharpness * 0.55));
-    ridge2 = Math.pow(ridge2, 0.85);
-
-    const ridgeBlend = ridge1 * 0.75 + ridge2 * 0.25;
-    ridgeTerrain = Math.pow(ridgeBlend, 0.95) * mountainIntensity;
-  } else {
-    // Fallback to original
-    const ridgeFreq = 0.0012;
-    let ridge1 = Math.abs(noise3(worldX * ridgeFreq, worldZ * ridgeFreq));
-    ridge1 = 1 - ridge1;
-    ridge1 = Math.pow(ridge1, Math.max(1.0, ridgeSharpness * 0.6));
-    ridge1 = Math.pow(ridge1, 0.85);
-
-    let ridge2 = Math.abs(
-      noise4(worldX * ridgeFreq * 2.3 + 2000, worldZ * ridgeFreq * 2.3 + 2000)
-    );
-    ridge2 = 1 - ridge2;
-    ridge2 = Math.pow(ridge2, Math.max(1.0, ridgeSharpness * 0.55));
-    ridge2 = Math.pow(ridge2, 0.85);
-
-    const ridgeBlend = ridge1 * 0.75 + ridge2 * 0.25;
-    ridgeTerrain = Math.pow(ridgeBlend, 0.95) * mountainIntensity;
-  }
-
-  // === BASE TERRAIN - Gentle undulating landscape ===
-  // Use fBm for more natural, fractal-like terrain
-  let baseTerrain;
-  if (fbmEnabled) {
-    // fBm creates natural multi-scale detail
-    const fbm1 = fBm(
-      noise,
-      worldX,
-      worldZ,
-      fbmOctaves,
-      fbmBaseFrequency,
-      fbmPersistence,
-      fbmLacunarity,
-      1.0,
-      3000,
-      3000
-    );
-    const fbm2 = fBm(
-      noise2,
-      worldX,
-      worldZ,
-      Math.floor(fbmOctaves * 0.8),
-      fbmBaseFrequency * 0.6,
-      fbmPersistence,
-      fbmLacunarity,
-      1.0,
-      4000,
-      4000
-    );
-    baseTerrain = (fbm1 * 0.65 + fbm2 * 0.35) * 0.6;
-  } else {
-    // Fallback to original single-octave approach
-    const baseFreq = 0.0005;
-    const base1 = noise(worldX * baseFreq + 3000, worldZ * baseFreq + 3000);
-    const base2 = noise2(
-      worldX * baseFreq * 0.6 + 4000,
-      worldZ * baseFreq * 0.6 + 4000
-    );
-    baseTerrain = (base1 * 0.65 + base2 * 0.35) * 0.6;
-  }
-
-  // === VALLEYS AND DEPRESSIONS - Negative features ===
-  const valleyFreq = 0.0009;
-  const valleyNoise = noise3(
-    worldX * valleyFreq + 5000,
-    worldZ * valleyFreq + 5000
-  );
-  const valleys = Math.min(0, valleyNoise * valleyDepth);
-
-  // === ROLLING HILLS - Medium frequency undulation with fBm ===
-  const hillFreq = 0.002;
-  let hills;
-  if (fbmEnabled) {
-    hills =
-      fBm(
-        noise4,
-        worldX,
-        worldZ,
-        Math.floor(fbmOctaves * 0.5),
-        hillFreq,
-        fbmPersistence * 0.9,
-        fbmLacunarity,
-        1.0,
-        6000,
-        6000
-      ) * 0.25;
-  } else {
-    hills = noise4(worldX * hillFreq + 6000, worldZ * hillFreq + 6000) * 0.25;
-  }
-
-  // === FINE DETAIL - Surface texture with fBm ===
-  const detailFreq = 0.007;
-  let detail;
-  if (fbmEnabled) {
-    detail =
-      fBm(
-        noise2,
-        worldX,
-        worldZ,
-        Math.floor(fbmOctaves * 0.4),
-        detailFreq,
-        fbmPersistence * 0.6,
-        fbmLacunarity,
-        1.0,
-        7000,
-        7000
-      ) *
-      detailAmount *
-      0.6; // Reduced to prevent spike artifacts
-  } else {
-    detail =
-      noise2(worldX * detailFreq + 7000, worldZ * detailFreq + 7000) *
-      detailAmount *
-      0.6;
-  }
-
-  // === COMBINE LAYERS ===
-  // Mountain regions get ridges, flat regions stay mostly flat
-  const mountainMask = Math.pow(
-    Math.max(0, regionMask - flatnessThreshold),
-    1.3
-  );
-  const mountainHeight = ridgeTerrain * mountainMask;
-
-  // Add biome variation for more interesting terrain
-  const biomeVar =
-    noise4(worldX * 0.0004 + 8000, worldZ * 0.0004 + 8000) *
-    biomeVariation *
-    0.3;
-
-  let height =
-    baseTerrain +
-    mountainHeight +
-    valleys +
-    hills +
-    detail * flatnessFactor +
-    biomeVar;
-
-  // Apply flatness factor to reduce all variation in flat areas
-  height = height * flatnessFactor;
-
-  // Smooth the final height to remove any remaining spikes
-  // This acts as a gentle low-pass filter on the noise output
-  // We can't sample neighbors here, but we can apply a smoothing function
-  // by slightly reducing extreme values
-  const heightNormalized = height;
-  const smoothedHeight =
-    heightNormalized * 0.98 +
-    Math.sign(heightNormalized) * Math.abs(heightNormalized) * 0.02 * 0.5;
-
-  const finalHeight = smoothedHeight * heightScale;
-
-  // Safety check - clamp height to prevent rendering issues
-  if (!isFinite(finalHeight) || Math.abs(finalHeight) > 10000) {
-    return 0;
-  }
-
-  return finalHeight;
-}
-
-// Single terrain chunk with SHADER-BASED coloring
-function TerrainChunk({
-  chunkX,
-  chunkZ,
-  chunkSize,
-  segments,
-  heightScale,
-  noiseGenerators,
+import { useTerrainRegistration } from "../hooks/useTerrainRegistration";
+import { useTerrainErosion } from "../hooks/useTerrainErosion";
+import { useTerrainSplatMaterial } from "../hooks/useTerrainSplatMaterial";
+import { useTerrainSplatControls } from "./useTerrainSplatControls";
+import { useTerrainBiomes } from "../hooks/useTerrainBiomes";
+import { useTerrainBiomeControls } from "./useTerrainBiomeControls";
+import { useTerrainRivers } from "../hooks/useTerrainRivers";
+import { useTerrainRiverControls } from "./useTerrainRiverControls";
+import { getBiomeColors, getBiomeSplatRules } from "../utils/terrainBiomes";
+import { sampleErosionMap } from "../utils/terrainErosion";
+import { getCenteredTerrainBounds } from "../utils/terrainUtils";
+import {
+  getChunkColliderPosition,
+  getChunkHeightfieldArgs,
+} from "../utils/terrainHeightfield";
+import {
+  createTerrainNoiseGenerators,
+  getTerrainHeight,
+} from "../utils/proceduralTerrain8Height";
+import { terrainChunkWorkerPool } from "../utils/terrainChunkWorkerPool";
+import { bvhManager } from "../utils/bvhManager";
+import { useLodTileGeometry } from "../hooks/useLodTileGeometry";
+import { DEFAULT_CLIPMAP_RING_CELLS } from "../utils/terrainClipmap";
+import { TerrainClipmap } from "./TerrainClipmap";
+import { VoxelTerrainSection } from "./VoxelTerrainSection";
+import { getVoxelSink, layoutVoxelSection } from "../utils/voxelTerrain";
+
+// Chunks within this distance of the spawn must be built (with colliders)
+// before onTerrainReady
+const SPAWN_READY_DISTANCE = 100;
+// Erosion grid nodes per side, spread over the whole (finite) terrain
+const EROSION_RESOLUTION = 256;
+// Splat map texels per side, also over the finite terrain; the shader picks
+// layers from height and slope beyond it
+const SPLAT_RESOLUTION = 256;
+// Biome map texels per side over the finite terrain; beyond it the default
+// gradient colors apply
+const BIOME_RESOLUTION = 128;
+// River carving grid nodes per side over the finite terrain; finer than
+// erosion so narrow channels keep their shape
+const RIVER_RESOLUTION = 512;
+const NO_VOXEL_SECTIONS = [];
+
+// Height-colored (and optionally textured) chunk material, rebuilt when its
+// settings change; the clipmap renderer draws with one of these too
+function useTerrainChunkMaterial({
   lodLevel,
   showColorDebug,
-  maxSegments,
   segmentsPerChunk,
   enableHeightGradient,
   enableColorNoise,
@@ -322,94 +67,21 @@ function TerrainChunk({
   heightGrass,
   heightSlope,
   heightPeak,
-  terrainControls,
   groundTexture,
   normalMapTexture,
   roughnessMapTexture,
   textureRepeat,
   useTexture,
+  erosionTexture,
+  erosionSize,
+  erosionResolution,
+  erosionColorStrength,
+  flowColor,
+  sedimentColor,
+  biomeTexture,
+  biomeSize,
+  biomeResolution,
 }) {
-  const meshRef = useRef();
-  const heightMapRef = useRef(null);
-
-  // Step 1: Generate base geometry (positions, indices, uvs) - NO vertex colors
-  const geometry = useMemo(() => {
-    const verticesPerSide = segments + 1;
-    const positions = [];
-    const indices = [];
-    const uvs = [];
-
-    const worldStartX = chunkX * chunkSize;
-    const worldStartZ = chunkZ * chunkSize;
-    const stepSize = chunkSize / segments;
-
-    // Generate heightmap and store in ref for later use (for heightmap lookup)
-    const heightMap = [];
-    for (let z = 0; z <= segments; z++) {
-      heightMap[z] = [];
-      for (let x = 0; x <= segments; x++) {
-        const worldX = worldStartX + x * stepSize;
-        const worldZ = worldStartZ + z * stepSize;
-        const height = getTerrainHeight(
-          worldX,
-          worldZ,
-          noiseGenerators,
-          heightScale,
-          terrainControls
-        );
-        heightMap[z][x] = height;
-      }
-    }
-
-    heightMapRef.current = heightMap;
-
-    // Generate positions and UVs (NO vertex colors - colors come from shader)
-    for (let z = 0; z <= segments; z++) {
-      for (let x = 0; x <= segments; x++) {
-        const height = heightMap[z][x];
-        const worldX = worldStartX + x * stepSize;
-        const worldZ = worldStartZ + z * stepSize;
-        positions.push(worldX, worldZ, height);
-        uvs.push(x / segments, z / segments);
-      }
-    }
-
-    // Generate indices for triangles
-    for (let z = 0; z < segments; z++) {
-      for (let x = 0; x < segments; x++) {
-        const a = x + z * verticesPerSide;
-        const b = x + (z + 1) * verticesPerSide;
-        const c = x + 1 + (z + 1) * verticesPerSide;
-        const d = x + 1 + z * verticesPerSide;
-
-        indices.push(a, d, b);
-        indices.push(b, d, c);
-      }
-    }
-
-    const geo = new THREE.BufferGeometry();
-    geo.setAttribute(
-      "position",
-      new THREE.Float32BufferAttribute(positions, 3)
-    );
-    geo.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
-    // NO color attribute - colors come from shader
-    geo.setIndex(indices);
-    geo.computeVertexNormals();
-
-    return geo;
-  }, [
-    chunkX,
-    chunkZ,
-    chunkSize,
-    segments,
-    heightScale,
-    noiseGenerators,
-    lodLevel,
-    terrainControls,
-  ]);
-
-  // Step 2: Create material with onBeforeCompile for SHADER-BASED height coloring
   const material = useMemo(() => {
     let color = 0xffffff;
     if (showColorDebug) {
@@ -517,6 +189,35 @@ function TerrainChunk({
         shader.uniforms.useTextureMap = {
           value: useTexture && groundTexture ? 1.0 : 0.0,
         };
+        // Erosion flow/sediment tinting
+        shader.uniforms.erosionMap = { value: erosionTexture };
+        shader.uniforms.erosionMapSize = { value: erosionSize };
+        shader.uniforms.erosionMapResolution = { value: erosionResolution };
+        shader.uniforms.erosionColorStrength = {
+          value: erosionTexture ? erosionColorStrength : 0.0,
+        };
+        shader.uniforms.flowColor = { value: new THREE.Color(flowColor) };
+        shader.uniforms.sedimentColor = {
+          value: new THREE.Color(sedimentColor),
+        };
+        // Per-biome gradients, blended by the biome map (size 0 = off)
+        shader.uniforms.biomeMap = { value: biomeTexture };
+        shader.uniforms.biomeMapSize = {
+          value: biomeTexture ? biomeSize : 0.0,
+        };
+        shader.uniforms.biomeMapResolution = { value: biomeResolution };
+        shader.uniforms.biomeValleyColors = {
+          value: getBiomeColors((biome) => biome.terrainColors.valley),
+        };
+        shader.uniforms.biomeGrassColors = {
+          value: getBiomeColors((biome) => biome.terrainColors.grass),
+        };
+        shader.uniforms.biomeMountainColors = {
+          value: getBiomeColors((biome) => biome.terrainColors.mountain),
+        };
+        shader.uniforms.biomePeakColors = {
+          value: getBiomeColors((biome) => biome.terrainColors.peak),
+        };
 
         // Modify vertex shader to pass world position
         shader.vertexShader = shader.vertexShader.replace(
@@ -555,6 +256,19 @@ function TerrainChunk({
           uniform float textureNoiseScale;
           uniform float textureFrequency;
           uniform float useTextureMap;
+          uniform sampler2D erosionMap;
+          uniform float erosionMapSize;
+          uniform float erosionMapResolution;
+          uniform float erosionColorStrength;
+          uniform vec3 flowColor;
+          uniform vec3 sedimentColor;
+          uniform sampler2D biomeMap;
+          uniform float biomeMapSize;
+          uniform float biomeMapResolution;
+          uniform vec3 biomeValleyColors[4];
+          uniform vec3 biomeGrassColors[4];
+          uniform vec3 biomeMountainColors[4];
+          uniform vec3 biomePeakColors[4];
           
           // Simple hash-based noise function for GPU (similar to Simplex noise)
           float hash(vec2 p) {
@@ -575,19 +289,37 @@ function TerrainChunk({
             return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
           }
           
-          vec3 getHeightColor(float height) {
+          vec3 getGradientColor(float height, vec3 valley, vec3 grass, vec3 mountain, vec3 peak) {
             vec3 color;
             if (height < heightGrass) {
               float t = smoothstep(heightValley, heightGrass, height);
-              color = mix(colorValley, colorGrass, t);
+              color = mix(valley, grass, t);
             }
             else if (height < heightSlope) {
               float t = smoothstep(heightGrass, heightSlope, height);
-              color = mix(colorGrass, colorMountain, t);
+              color = mix(grass, mountain, t);
             }
             else {
               float t = smoothstep(heightSlope, heightPeak, height);
-              color = mix(colorMountain, colorPeak, t);
+              color = mix(mountain, peak, t);
+            }
+            return color;
+          }
+          
+          vec3 getHeightColor(float height) {
+            vec3 color = getGradientColor(height, colorValley, colorGrass, colorMountain, colorPeak);
+            if (biomeMapSize > 0.0) {
+              vec2 biomeCoord = vWorldPos.xz / biomeMapSize + 0.5;
+              if (all(greaterThanEqual(biomeCoord, vec2(0.0))) && all(lessThanEqual(biomeCoord, vec2(1.0)))) {
+                // Node values sit at texel centers
+                vec2 biomeUv = (biomeCoord * (biomeMapResolution - 1.0) + 0.5) / biomeMapResolution;
+                vec4 biomeWeights = texture2D(biomeMap, biomeUv);
+                biomeWeights /= max(dot(biomeWeights, vec4(1.0)), 0.0001);
+                color = vec3(0.0);
+                for (int i = 0; i < 4; i++) {
+                  color += getGradientColor(height, biomeValleyColors[i], biomeGrassColors[i], biomeMountainColors[i], biomePeakColors[i]) * biomeWeights[i];
+                }
+              }
             }
             return color;
           }
@@ -621,6 +353,18 @@ function TerrainChunk({
             heightColor *= texVariation;
           }
           
+          // Tint where erosion deposited sediment and where water ran
+          if (erosionColorStrength > 0.0) {
+            vec2 erosionCoord = vWorldPos.xz / erosionMapSize + 0.5;
+            if (all(greaterThanEqual(erosionCoord, vec2(0.0))) && all(lessThanEqual(erosionCoord, vec2(1.0)))) {
+              // Node values sit at texel centers
+              vec2 erosionUv = (erosionCoord * (erosionMapResolution - 1.0) + 0.5) / erosionMapResolution;
+              vec2 erosionSample = texture2D(erosionMap, erosionUv).rg;
+              heightColor = mix(heightColor, sedimentColor, erosionSample.g * erosionColorStrength);
+              heightColor = mix(heightColor, flowColor, erosionSample.r * erosionColorStrength);
+            }
+          }
+          
           // Blend texture with height colors if texture is enabled
           #ifdef USE_MAP
             if (useTextureMap > 0.5) {
@@ -664,6 +408,12 @@ function TerrainChunk({
     roughnessMapTexture,
     textureRepeat,
     useTexture,
+    erosionTexture,
+    erosionSize,
+    erosionResolution,
+    biomeTexture,
+    biomeSize,
+    biomeResolution,
   ]);
 
   // Update texture settings when they change
@@ -724,6 +474,17 @@ function TerrainChunk({
         if (shader.uniforms.heightPeak) {
           shader.uniforms.heightPeak.value = heightPeak;
         }
+        if (shader.uniforms.erosionColorStrength) {
+          shader.uniforms.erosionColorStrength.value = erosionTexture
+            ? erosionColorStrength
+            : 0.0;
+        }
+        if (shader.uniforms.flowColor) {
+          shader.uniforms.flowColor.value.set(flowColor);
+        }
+        if (shader.uniforms.sedimentColor) {
+          shader.uniforms.sedimentColor.value.set(sedimentColor);
+        }
       }
     }
   }, [
@@ -743,18 +504,133 @@ function TerrainChunk({
     heightPeak,
     useTexture,
     groundTexture,
+    erosionTexture,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   ]);
 
+  return material;
+}
+
+// Heightfield collider centered on the chunk, at the collision resolution
+// the worker sampled it with rather than the visual LOD
+function TerrainChunkCollider({
+  chunkX,
+  chunkZ,
+  chunkSize,
+  collisionSegments,
+  heightfield,
+}) {
+  const args = useMemo(
+    () => getChunkHeightfieldArgs(heightfield, chunkSize, collisionSegments),
+    [collisionSegments, heightfield, chunkSize]
+  );
+  const position = useMemo(
+    () => getChunkColliderPosition(chunkX, chunkZ, chunkSize),
+    [chunkX, chunkZ, chunkSize]
+  );
+  return <HeightfieldCollider args={args} position={position} />;
+}
+
+// Single terrain chunk with SHADER-BASED coloring
+// Geometry and collider come prebuilt from the chunk worker (see buffers)
+function TerrainChunk({
+  chunkX,
+  chunkZ,
+  chunkSize,
+  segments,
+  collisionSegments,
+  buffers,
+  edges,
+  lodSkirtDepth,
+  lodMorphTime,
+  registerBVH,
+  splatMaterial,
+  ...materialOptions
+}) {
+  const { showColorDebug, segmentsPerChunk } = materialOptions;
+  const meshRef = useRef();
+
+  // Step 1: Wrap the worker's buffers (positions, normals, uvs, indices) - NO vertex colors
+  const baseGeometry = useMemo(() => {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute(
+      "position",
+      new THREE.BufferAttribute(buffers.positions, 3)
+    );
+    geo.setAttribute("normal", new THREE.BufferAttribute(buffers.normals, 3));
+    geo.setAttribute("uv", new THREE.BufferAttribute(buffers.uvs, 2));
+    // NO color attribute - colors come from shader
+    geo.setIndex(new THREE.BufferAttribute(buffers.indices, 1));
+    geo.computeBoundingSphere();
+    return geo;
+  }, [buffers]);
+
+  useEffect(() => () => baseGeometry.dispose(), [baseGeometry]);
+
+  // Same LOD colors as the material, per edge: a stitched edge shows the
+  // coarser neighbour's
+  const getEdgeColor = useCallback(
+    (edgeSegments) => {
+      if (edgeSegments >= Math.floor(segmentsPerChunk * 0.8)) return 0x00ff00;
+      if (edgeSegments >= Math.floor(segmentsPerChunk * 0.4)) return 0xffff00;
+      return 0xff0000;
+    },
+    [segmentsPerChunk]
+  );
+
+  // Skirted, stitched to coarser neighbours and morphing between LODs
+  const { geometry, edgeLines } = useLodTileGeometry(
+    baseGeometry,
+    segments,
+    edges,
+    {
+      skirtDepth: lodSkirtDepth,
+      morphTime: lodMorphTime,
+      tileKey: `${chunkX},${chunkZ}`,
+      getEdgeColor: showColorDebug ? getEdgeColor : null,
+      onSettled: () => {
+        if (registerBVH && meshRef.current) {
+          bvhManager.updateBVH(meshRef.current);
+        }
+      },
+    }
+  );
+
+  // Streamed chunks replace their geometry, so rebuild the BVH with it
+  useEffect(() => {
+    const mesh = meshRef.current;
+    if (!registerBVH || !mesh) return;
+    bvhManager.buildBVH(mesh);
+    return () => bvhManager.removeBVH(mesh);
+  }, [registerBVH, geometry]);
+
+  // Step 2: Material with SHADER-BASED height coloring
+  const material = useTerrainChunkMaterial(materialOptions);
+
   return (
-    <RigidBody type="fixed" colliders="trimesh">
+    <RigidBody type="fixed" colliders={false}>
+      <TerrainChunkCollider
+        chunkX={chunkX}
+        chunkZ={chunkZ}
+        chunkSize={chunkSize}
+        collisionSegments={collisionSegments}
+        heightfield={buffers.heightfield}
+      />
       <mesh
         ref={meshRef}
         geometry={geometry}
-        material={material}
+        material={splatMaterial ?? material}
         rotation={[-Math.PI / 2, 0, 0]}
         receiveShadow
         castShadow
       />
+      {edgeLines && (
+        <lineSegments geometry={edgeLines} rotation={[-Math.PI / 2, 0, 0]}>
+          <lineBasicMaterial vertexColors />
+        </lineSegments>
+      )}
     </RigidBody>
   );
 }
@@ -772,6 +648,13 @@ export const ProceduralTerrain8 = ({
   lodFar = 1200,
   onTerrainReady,
   onHeightmapReady,
+  onRiversReady,
+  characterPosition,
+  infinite = false,
+  renderer = "chunks",
+  renderChunkContent,
+  // Boxes meshed from a density field (caves, tunnels), see voxelTerrain
+  voxelSections = NO_VOXEL_SECTIONS,
 }) => {
   // Load all terrain textures
   const groundTexture = useLoader(
@@ -836,11 +719,16 @@ export const ProceduralTerrain8 = ({
     terrainViewDistance,
     enableViewDistanceCulling,
     enableChunks,
+    infiniteTerrain,
     enableLOD,
     showColorDebug,
     terrainLodNear,
     terrainLodMedium,
     terrainLodFar,
+    lodSkirtDepth,
+    lodMorphTime,
+    terrainRenderer,
+    clipmapRingCells,
     enableHeightGradient,
     enableColorNoise,
     colorNoiseScale,
@@ -868,6 +756,14 @@ export const ProceduralTerrain8 = ({
     fbmPersistence,
     fbmLacunarity,
     fbmBaseFrequency,
+    erosionEnabled,
+    erosionIterations,
+    erosionRainAmount,
+    erosionSedimentCapacity,
+    erosionThermalIterations,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
   } = useControls("🗻 BOTW Terrain v6 (Texture)", {
     terrainSize: {
       value: size,
@@ -919,6 +815,10 @@ export const ProceduralTerrain8 = ({
       value: true,
       label: "Enable Chunks",
     },
+    infiniteTerrain: {
+      value: infinite,
+      label: "♾️ Infinite Terrain (streams around character)",
+    },
     enableLOD: {
       value: false,
       label: "Enable LOD",
@@ -948,6 +848,32 @@ export const ProceduralTerrain8 = ({
       step: 50,
       label: "LOD Far",
     },
+    lodSkirtDepth: {
+      value: 10,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "LOD Skirt Depth",
+    },
+    lodMorphTime: {
+      value: 0.5,
+      min: 0,
+      max: 2,
+      step: 0.1,
+      label: "LOD Morph Time (s)",
+    },
+    terrainRenderer: {
+      value: renderer,
+      options: { Chunks: "chunks", "Clipmap (GPU)": "clipmap" },
+      label: "🧭 Renderer (clipmap: finite terrain only)",
+    },
+    clipmapRingCells: {
+      value: DEFAULT_CLIPMAP_RING_CELLS,
+      min: 8,
+      max: 128,
+      step: 8,
+      label: "🧭 Clipmap Ring Half-Size (cells)",
+    },
     enableHeightGradient: {
       value: true,
       label: "🎨 Enable Height Gradient (Shader)",
@@ -1112,41 +1038,79 @@ export const ProceduralTerrain8 = ({
       step: 0.0001,
       label: "🌊 fBm Base Frequency (overall terrain scale)",
     },
+    // Erosion pass over the generated heights (finite world area only)
+    erosionEnabled: {
+      value: false,
+      label: "💧 Enable Erosion",
+    },
+    erosionIterations: {
+      value: 50000,
+      min: 10000,
+      max: 500000,
+      step: 10000,
+      label: "💧 Erosion Iterations (droplets)",
+    },
+    erosionRainAmount: {
+      value: 1.0,
+      min: 0.1,
+      max: 4.0,
+      step: 0.1,
+      label: "💧 Rain Amount (water per droplet)",
+    },
+    erosionSedimentCapacity: {
+      value: 4.0,
+      min: 0.5,
+      max: 16.0,
+      step: 0.5,
+      label: "💧 Sediment Capacity",
+    },
+    erosionThermalIterations: {
+      value: 10,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "🪨 Thermal Erosion Passes",
+    },
+    erosionColorStrength: {
+      value: 0.6,
+      min: 0,
+      max: 1,
+      step: 0.05,
+      label: "🎨 Erosion Color Amount",
+    },
+    flowColor: {
+      value: "#2f3a1c",
+      label: "🎨 Water Flow Color (gullies)",
+    },
+    sedimentColor: {
+      value: "#8a7a55",
+      label: "🎨 Sediment Color (deposits)",
+    },
   });
 
   const { camera } = useThree();
   const [visibleChunks, setVisibleChunks] = useState(new Map());
+  // Built chunks by key; a chunk keeps showing its last build until the
+  // rebuild for new settings or LOD arrives
+  const [builtChunks, setBuiltChunks] = useState(new Map());
+  const builtChunksRef = useRef(builtChunks);
+  builtChunksRef.current = builtChunks;
+  const pendingBuildsRef = useRef(new Map());
   const terrainReadyCalledRef = useRef(false);
 
-  useEffect(() => {
-    if (onTerrainReady && !terrainReadyCalledRef.current) {
-      const shouldTrigger = enableChunks ? visibleChunks.size > 0 : true;
-      if (shouldTrigger) {
-        terrainReadyCalledRef.current = true;
-        const timer = setTimeout(() => {
-          const mode = enableChunks
-            ? `${visibleChunks.size} chunks`
-            : "single terrain";
-          console.log(`✅ ProceduralTerrain5 (Shader) ready with ${mode}`);
-          onTerrainReady();
-        }, 1000);
-        return () => clearTimeout(timer);
-      }
-    }
-  }, [onTerrainReady, visibleChunks.size, enableChunks]);
-
   const chunksPerSide = Math.ceil(terrainSize / terrainChunkSize);
-  const halfSize = terrainSize / 2;
-
-  // Create simplex noise generators ONCE - shared by all chunks
-  const noiseGenerators = useMemo(() => {
-    return {
-      noise: createNoiseGenerator(terrainSeed),
-      noise2: createNoiseGenerator(terrainSeed + 1000),
-      noise3: createNoiseGenerator(terrainSeed + 2000),
-      noise4: createNoiseGenerator(terrainSeed + 3000),
-    };
-  }, [terrainSeed]);
+  // Clipmap rings draw from one height texture of the whole terrain; chunks
+  // only supply its heights and the colliders
+  const useClipmap = terrainRenderer === "clipmap" && !infiniteTerrain;
+  // Infinite mode keeps every chunk within the view distance of the character
+  const ringRadius = Math.ceil(terrainViewDistance / terrainChunkSize);
+  const ringSize = ringRadius * 2 + 1;
+
+  // Main-thread copy of the noise for height lookups; chunks are built in workers
+  const noiseGenerators = useMemo(
+    () => createTerrainNoiseGenerators(terrainSeed),
+    [terrainSeed]
+  );
 
   const terrainControls = useMemo(
     () => ({
@@ -1179,22 +1143,156 @@ export const ProceduralTerrain8 = ({
     ]
   );
 
+  // Uneroded height lookup; the erosion pass samples it
+  const noiseHeightLookup = useMemo(() => {
+    if (!noiseGenerators) return null;
+    // The terrain mesh is rotated -90° around X axis
+    // After rotation: world.x = x, world.y = height, world.z = -z
+    return (x, z) =>
+      getTerrainHeight(
+        x,
+        -z, // Invert Z due to rotation
+        noiseGenerators,
+        terrainHeightScale,
+        terrainControls
+      );
+  }, [noiseGenerators, terrainHeightScale, terrainControls]);
+
+  const erosionSettings = useMemo(
+    () =>
+      erosionEnabled
+        ? {
+            iterations: erosionIterations,
+            rainAmount: erosionRainAmount,
+            sedimentCapacity: erosionSedimentCapacity,
+            thermalIterations: erosionThermalIterations,
+            seed: terrainSeed,
+          }
+        : null,
+    [
+      erosionEnabled,
+      erosionIterations,
+      erosionRainAmount,
+      erosionSedimentCapacity,
+      erosionThermalIterations,
+      terrainSeed,
+    ]
+  );
+  // Chunks wait while erosion is pending instead of building twice
+  const { erosion, pending: erosionPending } = useTerrainErosion(
+    noiseHeightLookup,
+    terrainSize,
+    EROSION_RESOLUTION,
+    erosionSettings
+  );
+
+  // Eroded height lookup; rivers are traced over it
+  const erodedHeightLookup = useMemo(() => {
+    if (erosionPending) return null;
+    if (!erosion) return noiseHeightLookup;
+    return (x, z) => noiseHeightLookup(x, z) + erosion.getDelta(x, z);
+  }, [noiseHeightLookup, erosion, erosionPending]);
+
+  const riverSettings = useTerrainRiverControls(terrainSeed);
+  const rivers = useTerrainRivers(
+    erodedHeightLookup,
+    terrainSize,
+    RIVER_RESOLUTION,
+    riverSettings
+  );
+
+  // Heightmap lookup shared by grass, onHeightmapReady and the TerrainProvider
+  const heightmapLookup = useMemo(() => {
+    if (!erodedHeightLookup || !rivers) return erodedHeightLookup;
+    return (x, z) => erodedHeightLookup(x, z) + rivers.getDelta(x, z);
+  }, [erodedHeightLookup, rivers]);
+
   useEffect(() => {
-    if (onHeightmapReady && noiseGenerators) {
-      const heightmapLookup = (x, z) => {
-        const height = getTerrainHeight(
-          x,
-          -z,
-          noiseGenerators,
-          terrainHeightScale,
-          terrainControls
-        );
-        return height;
-      };
-      console.log("✅ ProceduralTerrain5 (Shader) heightmap ready");
+    onRiversReady?.(rivers?.rivers ?? []);
+  }, [rivers, onRiversReady]);
+
+  // Voxel sections sit on the finished surface; chunks sink under them
+  const voxelLayouts = useMemo(
+    () =>
+      heightmapLookup
+        ? voxelSections.map((section) =>
+            layoutVoxelSection(section, heightmapLookup)
+          )
+        : [],
+    [heightmapLookup, voxelSections]
+  );
+  const voxelSinks = useMemo(
+    () => voxelLayouts.map(getVoxelSink),
+    [voxelLayouts]
+  );
+
+  // Nothing grows in riverbeds or on voxel sections
+  const getBareGround = useMemo(() => {
+    if (!rivers && voxelLayouts.length === 0) return null;
+    return (x, z) => {
+      const inSection = voxelLayouts.some(
+        ({ bounds }) =>
+          x >= bounds.minX &&
+          x <= bounds.maxX &&
+          z >= bounds.minZ &&
+          z <= bounds.maxZ
+      );
+      return inSection ? 1 : rivers ? rivers.getMask(x, z) : 0;
+    };
+  }, [rivers, voxelLayouts]);
+
+  const { splatEnabled, rules, textureScale, triplanarSharpness, snowColor } =
+    useTerrainSplatControls(heightScale * 0.8);
+  // Erosion deposits and riverbeds show up as dirt
+  const getSediment = useMemo(() => {
+    if (!erosion && !rivers) return undefined;
+    return (x, z) =>
+      Math.max(
+        erosion ? sampleErosionMap(erosion, erosion.sediment, x, z) : 0,
+        rivers ? rivers.getMask(x, z) : 0
+      );
+  }, [erosion, rivers]);
+  const biomeSettings = useTerrainBiomeControls();
+  const biomes = useTerrainBiomes(
+    terrainSeed,
+    terrainSize,
+    BIOME_RESOLUTION,
+    biomeSettings
+  );
+  // Biomes move the dirt and snow layers (e.g. sand in deserts)
+  const getBiomeRules = useMemo(
+    () =>
+      biomes
+        ? (x, z, rules) => getBiomeSplatRules(biomes.sampler, x, z, rules)
+        : undefined,
+    [biomes]
+  );
+
+  const terrainSplat = useTerrainSplatMaterial(
+    splatEnabled && !showColorDebug ? heightmapLookup : null,
+    terrainSize,
+    SPLAT_RESOLUTION,
+    {
+      rules,
+      getSediment,
+      getLocalRules: getBiomeRules,
+      textureScale,
+      triplanarSharpness,
+      snowColor,
+    }
+  );
+
+  useEffect(() => {
+    if (onHeightmapReady && heightmapLookup) {
+      console.log("✅ ProceduralTerrain8 heightmap ready");
       onHeightmapReady(heightmapLookup);
     }
-  }, [noiseGenerators, terrainHeightScale, terrainControls, onHeightmapReady]);
+  }, [heightmapLookup, onHeightmapReady]);
+
+  useTerrainRegistration(
+    heightmapLookup,
+    getCenteredTerrainBounds(infiniteTerrain ? Infinity : terrainSize)
+  );
 
   const segmentsPerChunk = Math.max(
     10,
@@ -1202,41 +1300,106 @@ export const ProceduralTerrain8 = ({
   );
 
   const getLODSegments = (distance) => {
-    if (!enableLOD) return segmentsPerChunk;
+    if (!enableLOD || useClipmap) return segmentsPerChunk;
     if (distance < terrainLodNear) return segmentsPerChunk;
     if (distance < terrainLodMedium) return Math.floor(segmentsPerChunk / 2);
     return Math.floor(segmentsPerChunk / 4);
   };
+  const collisionSegments =
+    enableChunks || infiniteTerrain ? segmentsPerChunk : terrainSegments;
+
+  // Anything that changes chunk heights invalidates every build
+  const generationKey = useMemo(
+    () =>
+      JSON.stringify([
+        terrainSeed,
+        terrainHeightScale,
+        terrainChunkSize,
+        terrainSize,
+        enableChunks,
+        terrainControls,
+        erosionSettings,
+        riverSettings,
+        voxelSections,
+      ]),
+    [
+      terrainSeed,
+      terrainHeightScale,
+      terrainChunkSize,
+      terrainSize,
+      enableChunks,
+      terrainControls,
+      erosionSettings,
+      riverSettings,
+      voxelSections,
+    ]
+  );
 
+  // Stream around the character (the camera until the character reports in)
   useFrame(() => {
-    if (!enableChunks) {
-      if (visibleChunks.size > 0) {
-        setVisibleChunks(new Map());
-      }
-      return;
-    }
-
-    const cameraPos = camera.position;
+    const focus = characterPosition ?? camera.position;
     const newVisibleChunks = new Map();
 
-    for (let x = 0; x < chunksPerSide; x++) {
-      for (let z = 0; z < chunksPerSide; z++) {
-        const chunkMinX = x * terrainChunkSize - halfSize;
+    if (!enableChunks && !infiniteTerrain) {
+      newVisibleChunks.set("single", {
+        chunkX: -0.5,
+        chunkZ: -0.5,
+        size: terrainSize,
+        lodLevel: terrainSegments,
+        distance: 0,
+      });
+    } else {
+      const addChunk = (chunkX, chunkZ, key) => {
+        // Chunk extent in world space (the mesh maps plane Y to world -Z)
+        const chunkMinX = chunkX * terrainChunkSize;
         const chunkMaxX = chunkMinX + terrainChunkSize;
-        const chunkMinZ = z * terrainChunkSize - halfSize;
-        const chunkMaxZ = chunkMinZ + terrainChunkSize;
+        const chunkMaxZ = -chunkZ * terrainChunkSize;
+        const chunkMinZ = chunkMaxZ - terrainChunkSize;
 
-        const nearestX = Math.max(chunkMinX, Math.min(cameraPos.x, chunkMaxX));
-        const nearestZ = Math.max(chunkMinZ, Math.min(cameraPos.z, chunkMaxZ));
+        const nearestX = Math.max(chunkMinX, Math.min(focus.x, chunkMaxX));
+        const nearestZ = Math.max(chunkMinZ, Math.min(focus.z, chunkMaxZ));
 
-        const dx = cameraPos.x - nearestX;
-        const dz = cameraPos.z - nearestZ;
+        const dx = focus.x - nearestX;
+        const dz = focus.z - nearestZ;
         const distance = Math.sqrt(dx * dx + dz * dz);
 
-        if (!enableViewDistanceCulling || distance < terrainViewDistance) {
-          const lodLevel = getLODSegments(distance);
-          const chunkKey = `${x},${z}`;
-          newVisibleChunks.set(chunkKey, { x, z, lodLevel, distance });
+        // The clipmap's height texture needs every chunk
+        if (
+          !(enableViewDistanceCulling || infiniteTerrain) ||
+          useClipmap ||
+          distance < terrainViewDistance
+        ) {
+          newVisibleChunks.set(key, {
+            chunkX,
+            chunkZ,
+            size: terrainChunkSize,
+            lodLevel: getLODSegments(distance),
+            distance,
+          });
+        }
+      };
+
+      if (infiniteTerrain) {
+        // A square of ringSize² slots centered on the character's chunk. Each
+        // slot is reused by whichever chunk maps onto it, so a chunk that
+        // falls off one edge is recycled as the chunk entering the other
+        const centerX = Math.floor(focus.x / terrainChunkSize);
+        const centerZ = Math.floor(-focus.z / terrainChunkSize);
+        for (let x = centerX - ringRadius; x <= centerX + ringRadius; x++) {
+          for (let z = centerZ - ringRadius; z <= centerZ + ringRadius; z++) {
+            const slotX = ((x % ringSize) + ringSize) % ringSize;
+            const slotZ = ((z % ringSize) + ringSize) % ringSize;
+            addChunk(x, z, `slot:${slotX},${slotZ}`);
+          }
+        }
+      } else {
+        const firstChunk = -Math.floor(chunksPerSide / 2);
+        for (let x = 0; x < chunksPerSide; x++) {
+          for (let z = 0; z < chunksPerSide; z++) {
+            const chunkX = firstChunk + x;
+            const chunkZ = firstChunk + z;
+            addChunk(chunkX, chunkZ, `${chunkX},${chunkZ}`);
+          }
         }
       }
     }
@@ -1245,7 +1408,13 @@ export const ProceduralTerrain8 = ({
     if (!needsUpdate) {
       for (const [key, value] of newVisibleChunks) {
         const old = visibleChunks.get(key);
-        if (!old || old.lodLevel !== value.lodLevel) {
+        if (
+          !old ||
+          old.chunkX !== value.chunkX ||
+          old.chunkZ !== value.chunkZ ||
+          old.lodLevel !== value.lodLevel ||
+          old.size !== value.size
+        ) {
           needsUpdate = true;
           break;
         }
@@ -1257,90 +1426,332 @@ export const ProceduralTerrain8 = ({
     }
   });
 
-  if (!enableChunks) {
-    return (
-      <group>
-        <TerrainChunk
-          key="single-terrain"
-          chunkX={-0.5}
-          chunkZ={-0.5}
-          chunkSize={terrainSize}
-          segments={terrainSegments}
-          heightScale={terrainHeightScale}
-          noiseGenerators={noiseGenerators}
-          lodLevel={terrainSegments}
-          showColorDebug={showColorDebug}
-          maxSegments={terrainSegments}
-          segmentsPerChunk={terrainSegments}
-          enableHeightGradient={enableHeightGradient}
-          enableColorNoise={enableColorNoise}
-          colorNoiseScale={colorNoiseScale}
-          enableTextureNoise={enableTextureNoise}
-          textureNoiseScale={textureNoiseScale}
-          textureFrequency={textureFrequency}
-          valleyColor={valleyColor}
-          grassColor={grassColor}
-          mountainColor={mountainColor}
-          peakColor={peakColor}
-          heightValley={heightValley}
-          heightGrass={heightGrass}
-          heightSlope={heightSlope}
-          heightPeak={heightPeak}
-          terrainControls={terrainControls}
-          groundTexture={groundTexture}
-          normalMapTexture={normalMapTexture}
-          roughnessMapTexture={roughnessMapTexture}
-          textureRepeat={textureRepeat}
-          useTexture={useTexture}
-        />
-      </group>
+  // Queue worker builds for visible chunks, nearest first, and drop the rest
+  useEffect(() => {
+    const pending = pendingBuildsRef.current;
+
+    pending.forEach((build, key) => {
+      if (!visibleChunks.has(key)) {
+        build.cancel();
+        pending.delete(key);
+      }
+    });
+
+    visibleChunks.forEach((chunk, key) => {
+      const buildKey = `${generationKey}:${chunk.chunkX},${chunk.chunkZ}:${chunk.lodLevel}:${collisionSegments}:${useClipmap}`;
+      if (builtChunksRef.current.get(key)?.buildKey === buildKey) return;
+      if (pending.get(key)?.buildKey === buildKey) return;
+      if (erosionPending) return;
+
+      pending.get(key)?.cancel();
+      const cancel = terrainChunkWorkerPool.schedule(
+        {
+          seed: terrainSeed,
+          chunkX: chunk.chunkX,
+          chunkZ: chunk.chunkZ,
+          chunkSize: chunk.size,
+          segments: chunk.lodLevel,
+          collisionSegments,
+          heightsOnly: useClipmap,
+          heightScale: terrainHeightScale,
+          terrainControls,
+          erosion: erosion && {
+            size: erosion.size,
+            resolution: erosion.resolution,
+            delta: erosion.delta,
+          },
+          rivers: rivers && {
+            size: rivers.size,
+            resolution: rivers.resolution,
+            delta: rivers.delta,
+          },
+          voxelSinks,
+        },
+        chunk.distance,
+        (buffers) => {
+          pending.delete(key);
+          setBuiltChunks((current) =>
+            new Map(current).set(key, {
+              ...chunk,
+              buildKey,
+              buffers,
+              collisionSegments,
+              heightsOnly: useClipmap,
+            })
+          );
+        }
+      );
+      pending.set(key, { buildKey, cancel });
+    });
+
+    setBuiltChunks((current) => {
+      let changed = false;
+      const next = new Map(current);
+      next.forEach((_chunk, key) => {
+        if (!visibleChunks.has(key)) {
+          next.delete(key);
+          changed = true;
+        }
+      });
+      return changed ? next : current;
+    });
+  }, [
+    visibleChunks,
+    generationKey,
+    collisionSegments,
+    useClipmap,
+    erosion,
+    erosionPending,
+    rivers,
+    voxelSinks,
+  ]);
+
+  // Nothing left to deliver results to once the terrain unmounts
+  useEffect(() => {
+    const pending = pendingBuildsRef.current;
+    return () => {
+      pending.forEach((build) => build.cancel());
+      pending.clear();
+    };
+  }, []);
+
+  // Every chunk's heightfield stitched into one grid for the clipmap, once
+  // all of them are built for the current settings
+  const clipmapGrid = useMemo(() => {
+    if (!useClipmap || visibleChunks.size === 0) return null;
+    const buildPrefix = `${generationKey}:`;
+    const tiles = [];
+    for (const key of visibleChunks.keys()) {
+      const chunk = builtChunks.get(key);
+      if (
+        !chunk?.heightsOnly ||
+        !chunk.buildKey.startsWith(buildPrefix) ||
+        chunk.collisionSegments !== collisionSegments
+      ) {
+        return null;
+      }
+      tiles.push(chunk);
+    }
+
+    const tileSize = tiles[0].size;
+    const tileSegments = collisionSegments;
+    const minChunkX = Math.min(...tiles.map((tile) => tile.chunkX));
+    const maxChunkX = Math.max(...tiles.map((tile) => tile.chunkX));
+    const minChunkZ = Math.min(...tiles.map((tile) => tile.chunkZ));
+    const maxChunkZ = Math.max(...tiles.map((tile) => tile.chunkZ));
+    const columns = (maxChunkX - minChunkX + 1) * tileSegments + 1;
+    const rows = (maxChunkZ - minChunkZ + 1) * tileSegments + 1;
+
+    // Heightfield rows already run along world +Z, i.e. down noise Z
+    const heights = new Float32Array(columns * rows);
+    const side = tileSegments + 1;
+    tiles.forEach(({ chunkX, chunkZ, buffers }) => {
+      const columnOffset = (chunkX - minChunkX) * tileSegments;
+      const rowOffset = (maxChunkZ - chunkZ) * tileSegments;
+      for (let column = 0; column < side; column++) {
+        for (let row = 0; row < side; row++) {
+          heights[(rowOffset + row) * columns + columnOffset + column] =
+            buffers.heightfield[column * side + row];
+        }
+      }
+    });
+
+    return {
+      heights,
+      columns,
+      rows,
+      bounds: {
+        minX: minChunkX * tileSize,
+        maxX: (maxChunkX + 1) * tileSize,
+        minZ: -(maxChunkZ + 1) * tileSize,
+        maxZ: -minChunkZ * tileSize,
+      },
+      tileSize,
+    };
+  }, [
+    useClipmap,
+    visibleChunks,
+    builtChunks,
+    generationKey,
+    collisionSegments,
+  ]);
+
+  // Ready once the chunks around the spawn have colliders, so the character
+  // never lands on a chunk that is still in a worker
+  useEffect(() => {
+    if (!onTerrainReady || terrainReadyCalledRef.current) return;
+    if (visibleChunks.size === 0) return;
+    // Nothing is drawn until the clipmap has all of its heights
+    if (useClipmap && !clipmapGrid) return;
+
+    const buildPrefix = `${generationKey}:`;
+    let spawnChunks = 0;
+    for (const [key, chunk] of visibleChunks) {
+      if (chunk.distance > SPAWN_READY_DISTANCE) continue;
+      if (!builtChunks.get(key)?.buildKey.startsWith(buildPrefix)) return;
+      spawnChunks++;
+    }
+
+    terrainReadyCalledRef.current = true;
+    console.log(
+      `✅ ProceduralTerrain8 ready with ${spawnChunks} chunks around spawn`
     );
-  }
+    onTerrainReady();
+  }, [
+    onTerrainReady,
+    visibleChunks,
+    builtChunks,
+    generationKey,
+    useClipmap,
+    clipmapGrid,
+  ]);
+
+  // Segments each chunk shows, so edges facing a coarser chunk get stitched
+  const builtSegments = useMemo(() => {
+    const segmentsByChunk = new Map();
+    builtChunks.forEach((chunk) =>
+      segmentsByChunk.set(`${chunk.chunkX},${chunk.chunkZ}`, chunk.lodLevel)
+    );
+    return segmentsByChunk;
+  }, [builtChunks]);
+
+  const getChunkEdges = (chunk) => {
+    const edgeSegments = (dx, dz) =>
+      Math.min(
+        chunk.lodLevel,
+        builtSegments.get(`${chunk.chunkX + dx},${chunk.chunkZ + dz}`) ??
+          chunk.lodLevel
+      );
+    // Chunk grids run along noise X (i) and noise Z (j)
+    return {
+      minI: edgeSegments(-1, 0),
+      maxI: edgeSegments(1, 0),
+      minJ: edgeSegments(0, -1),
+      maxJ: edgeSegments(0, 1),
+    };
+  };
+
+  // Everything TerrainChunk (and the clipmap) needs for its material
+  const chunkMaterialOptions = {
+    showColorDebug,
+    segmentsPerChunk: collisionSegments,
+    enableHeightGradient,
+    enableColorNoise,
+    colorNoiseScale,
+    enableTextureNoise,
+    textureNoiseScale,
+    textureFrequency,
+    valleyColor,
+    grassColor,
+    mountainColor,
+    peakColor,
+    heightValley,
+    heightGrass,
+    heightSlope,
+    heightPeak,
+    groundTexture,
+    normalMapTexture,
+    roughnessMapTexture,
+    textureRepeat,
+    useTexture,
+    biomeTexture: biomes?.texture ?? null,
+    biomeSize: biomes?.size ?? terrainSize,
+    biomeResolution: biomes?.resolution ?? BIOME_RESOLUTION,
+    erosionTexture: erosion?.texture ?? null,
+    erosionSize: erosion?.size ?? terrainSize,
+    erosionResolution: erosion?.resolution ?? EROSION_RESOLUTION,
+    erosionColorStrength,
+    flowColor,
+    sedimentColor,
+  };
+
+  // The clipmap patches its material for the rings, so it gets its own
+  // rather than sharing the chunks'
+  const clipmapChunkMaterial = useTerrainChunkMaterial({
+    ...chunkMaterialOptions,
+    lodLevel: collisionSegments,
+  });
+  const splatMaterial = terrainSplat?.material ?? null;
+  const clipmapSplatMaterial = useMemo(
+    () => (useClipmap && splatMaterial ? splatMaterial.clone() : null),
+    [useClipmap, splatMaterial]
+  );
+  useEffect(
+    () => () => clipmapSplatMaterial?.dispose(),
+    [clipmapSplatMaterial]
+  );
 
   return (
     <group>
-      {Array.from(visibleChunks.values()).map((chunkData) => {
-        const { x, z, lodLevel } = chunkData;
-        const chunkX = x - Math.floor(chunksPerSide / 2);
-        const chunkZ = z - Math.floor(chunksPerSide / 2);
-        const chunkKey = `${x},${z}`;
-
-        return (
-          <TerrainChunk
-            key={`${chunkKey}`}
-            chunkX={chunkX}
-            chunkZ={chunkZ}
-            chunkSize={terrainChunkSize}
-            segments={lodLevel}
-            heightScale={terrainHeightScale}
-            noiseGenerators={noiseGenerators}
-            lodLevel={lodLevel}
-            showColorDebug={showColorDebug}
-            maxSegments={terrainSegments}
-            segmentsPerChunk={segmentsPerChunk}
-            enableHeightGradient={enableHeightGradient}
-            enableColorNoise={enableColorNoise}
-            colorNoiseScale={colorNoiseScale}
-            enableTextureNoise={enableTextureNoise}
-            textureNoiseScale={textureNoiseScale}
-            textureFrequency={textureFrequency}
-            valleyColor={valleyColor}
-            grassColor={grassColor}
-            mountainColor={mountainColor}
-            peakColor={peakColor}
-            heightValley={heightValley}
-            heightGrass={heightGrass}
-            heightSlope={heightSlope}
-            heightPeak={heightPeak}
-            terrainControls={terrainControls}
-            groundTexture={groundTexture}
-            normalMapTexture={normalMapTexture}
-            roughnessMapTexture={roughnessMapTexture}
-            textureRepeat={textureRepeat}
-            useTexture={useTexture}
+      {clipmapGrid && (
+        <TerrainClipmap
+          grid={clipmapGrid}
+          material={clipmapSplatMaterial ?? clipmapChunkMaterial}
+          viewDistance={terrainViewDistance}
+          ringCells={clipmapRingCells}
+          uvScale={1 / clipmapGrid.tileSize}
+          focus={characterPosition}
+          showLevelColors={showColorDebug}
+        />
+      )}
+      {heightmapLookup &&
+        voxelLayouts.map((layout, index) => (
+          <VoxelTerrainSection
+            key={index}
+            layout={layout}
+            getHeight={heightmapLookup}
+            seed={terrainSeed}
+            groundColor={grassColor}
+            rockColor={mountainColor}
           />
-        );
-      })}
+        ))}
+      {Array.from(builtChunks, ([key, chunk]) => (
+        <group key={key}>
+          {chunk.heightsOnly ? (
+            // Clipmap mode: the chunk is only a collider
+            <RigidBody type="fixed" colliders={false}>
+              <TerrainChunkCollider
+                chunkX={chunk.chunkX}
+                chunkZ={chunk.chunkZ}
+                chunkSize={chunk.size}
+                collisionSegments={chunk.collisionSegments}
+                heightfield={chunk.buffers.heightfield}
+              />
+            </RigidBody>
+          ) : (
+            <TerrainChunk
+              chunkX={chunk.chunkX}
+              chunkZ={chunk.chunkZ}
+              chunkSize={chunk.size}
+              segments={chunk.lodLevel}
+              collisionSegments={chunk.collisionSegments}
+              buffers={chunk.buffers}
+              lodLevel={chunk.lodLevel}
+              edges={getChunkEdges(chunk)}
+              lodSkirtDepth={lodSkirtDepth}
+              lodMorphTime={lodMorphTime}
+              registerBVH={infiniteTerrain}
+              splatMaterial={splatMaterial}
+              {...chunkMaterialOptions}
+            />
+          )}
+          {renderChunkContent && (
+            // Keyed by chunk so a recycled slot rebuilds its content
+            <group key={`${chunk.chunkX},${chunk.chunkZ}`}>
+              {renderChunkContent({
+                chunkX: chunk.chunkX,
+                chunkZ: chunk.chunkZ,
+                size: chunk.size,
+                centerX: (chunk.chunkX + 0.5) * chunk.size,
+                centerZ: -(chunk.chunkZ + 0.5) * chunk.size,
+                seed: `${terrainSeed}:${chunk.chunkX}:${chunk.chunkZ}`,
+                biomes: biomes?.sampler ?? null,
+                bareGround: getBareGround,
+              })}
+            </group>
+          )}
+        </group>
+      ))}
     </group>
   );
 };
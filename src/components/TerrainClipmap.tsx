@@ -0,0 +1,135 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import {
+  applyClipmapToMaterial,
+  createClipmapHeightTexture,
+  createClipmapRingGeometry,
+  createClipmapUniforms,
+  DEFAULT_CLIPMAP_RING_CELLS,
+  getClipmapLevelCount,
+  type ClipmapHeightGrid,
+} from "../utils/terrainClipmap";
+
+// More rings than this would only cover ground past any sane view distance
+const MAX_LEVELS = 10;
+
+interface TerrainClipmapProps {
+  grid: ClipmapHeightGrid;
+  /** Patched for the clipmap in place, so don't share it with other meshes */
+  material: THREE.Material;
+  /** How far the coarsest ring reaches from the focus */
+  viewDistance: number;
+  /** Ring half-size in cells */
+  ringCells?: number;
+  /** Material map UVs per world unit */
+  uvScale?: number;
+  /** Rings follow this (the camera when not given) */
+  focus?: THREE.Vector3 | null;
+  castShadow?: boolean;
+  showLevelColors?: boolean;
+}
+
+/**
+ * Terrain drawn as geometry clipmap rings around the focus (see
+ * terrainClipmap); one draw call per ring however large the grid is
+ */
+export const TerrainClipmap: React.FC<TerrainClipmapProps> = ({
+  grid,
+  material,
+  viewDistance,
+  ringCells = DEFAULT_CLIPMAP_RING_CELLS,
+  uvScale = 1,
+  focus,
+  castShadow = true,
+  showLevelColors = false,
+}) => {
+  const { camera } = useThree();
+  const ringsRef = useRef<(THREE.Mesh | null)[]>([]);
+
+  // Finest rings match the grid spacing
+  const baseCell = (grid.bounds.maxX - grid.bounds.minX) / (grid.columns - 1);
+  const levels = Math.min(
+    MAX_LEVELS,
+    getClipmapLevelCount(viewDistance, baseCell, ringCells)
+  );
+
+  const heightTexture = useMemo(() => createClipmapHeightTexture(grid), [grid]);
+  useEffect(() => () => heightTexture.dispose(), [heightTexture]);
+
+  // Shared by the material and the shadow material; updated in place
+  const uniforms = useMemo(() => createClipmapUniforms(), []);
+  uniforms.clipmapHeightMap.value = heightTexture;
+  uniforms.clipmapHeightMapSize.value.set(grid.columns, grid.rows);
+  uniforms.clipmapBounds.value.set(
+    grid.bounds.minX,
+    grid.bounds.minZ,
+    grid.bounds.maxX,
+    grid.bounds.maxZ
+  );
+  uniforms.clipmapRingCells.value = ringCells;
+  uniforms.clipmapBaseCell.value = baseCell;
+  uniforms.clipmapUvScale.value = uvScale;
+  uniforms.clipmapShowLevels.value = showLevelColors ? 1 : 0;
+
+  useLayoutEffect(
+    () => applyClipmapToMaterial(material, uniforms),
+    [material, uniforms]
+  );
+
+  // Shadows need the same displacement and holes
+  const depthMaterial = useMemo(() => {
+    const depth = new THREE.MeshDepthMaterial({
+      depthPacking: THREE.RGBADepthPacking,
+    });
+    applyClipmapToMaterial(depth, uniforms);
+    return depth;
+  }, [uniforms]);
+  useEffect(() => () => depthMaterial.dispose(), [depthMaterial]);
+
+  const geometry = useMemo(
+    () => createClipmapRingGeometry(ringCells),
+    [ringCells]
+  );
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  // Each ring snaps to twice its cell size, so the ring inside it always
+  // lines up with its vertices
+  useFrame(() => {
+    const { x, z } = focus ?? camera.position;
+    uniforms.clipmapFocus.value.set(x, z);
+    ringsRef.current.forEach((ring, level) => {
+      if (!ring) return;
+      const snap = baseCell * 2 ** level * 2;
+      ring.position.set(
+        Math.round(x / snap) * snap,
+        0,
+        Math.round(z / snap) * snap
+      );
+    });
+  });
+
+  return (
+    <group>
+      {Array.from({ length: levels }, (_, level) => {
+        const cell = baseCell * 2 ** level;
+        return (
+          <mesh
+            key={level}
+            ref={(ring) => {
+              ringsRef.current[level] = ring;
+            }}
+            geometry={geometry}
+            material={material}
+            customDepthMaterial={depthMaterial}
+            scale={[cell, 1, cell]}
+            // Rings are displaced on the GPU, their bounds mean nothing
+            frustumCulled={false}
+            receiveShadow
+            castShadow={castShadow}
+          />
+        );
+      })}
+    </group>
+  );
+};
@@ -0,0 +1,89 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { RigidBody } from "@react-three/rapier";
+import * as THREE from "three";
+import type { TerrainHeightFn } from "../types/terrain";
+import { bvhManager } from "../utils/bvhManager";
+import { buildSurfaceNets } from "../utils/surfaceNets";
+import {
+  createVoxelDensity,
+  type VoxelSectionLayout,
+} from "../utils/voxelTerrain";
+
+interface VoxelTerrainSectionProps {
+  layout: VoxelSectionLayout;
+  /** The terrain's height lookup the layout was made with */
+  getHeight: TerrainHeightFn;
+  seed: number | string;
+  /** Color of ground facing up */
+  groundColor?: string;
+  /** Color of walls, ceilings and overhangs */
+  rockColor?: string;
+}
+
+/**
+ * ⛏️ VOXEL TERRAIN SECTION - A box of terrain meshed from a density field
+ *
+ * Surface nets over the section's grid, with a trimesh collider and a BVH so
+ * the character can walk through its tunnels and under its overhangs. The
+ * terrain that owns the section sinks its heightfield underneath.
+ */
+export const VoxelTerrainSection: React.FC<VoxelTerrainSectionProps> = ({
+  layout,
+  getHeight,
+  seed,
+  groundColor = "#1d4110",
+  rockColor = "#5a5148",
+}) => {
+  const meshRef = useRef<THREE.Mesh>(null);
+
+  const geometry = useMemo(() => {
+    const startTime = performance.now();
+    const density = createVoxelDensity(layout, getHeight, seed);
+    const { positions, normals, indices } = buildSurfaceNets(
+      density,
+      layout.min,
+      layout.cellSize,
+      layout.cells
+    );
+
+    // Ground on top, rock where the surface turns steep or faces down
+    const ground = new THREE.Color(groundColor);
+    const rock = new THREE.Color(rockColor);
+    const color = new THREE.Color();
+    const colors = new Float32Array(positions.length);
+    for (let i = 0; i < normals.length; i += 3) {
+      const t = THREE.MathUtils.smoothstep(normals[i + 1], 0.65, 0.85);
+      color.lerpColors(rock, ground, t).toArray(colors, i);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeBoundingSphere();
+    console.log(
+      `✅ Voxel section meshed in ${(performance.now() - startTime).toFixed(
+        0
+      )}ms (${indices.length / 3} triangles)`
+    );
+    return geometry;
+  }, [layout, getHeight, seed, groundColor, rockColor]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  useEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    bvhManager.buildBVH(mesh);
+    return () => bvhManager.removeBVH(mesh);
+  }, [geometry]);
+
+  return (
+    // Keyed by geometry so the trimesh collider is rebuilt with it
+    <RigidBody key={geometry.uuid} type="fixed" colliders="trimesh">
+      <mesh ref={meshRef} geometry={geometry} castShadow receiveShadow>
+        <meshStandardMaterial vertexColors roughness={0.95} />
+      </mesh>
+    </RigidBody>
+  );
+};
@@ -0,0 +1,440 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { useWater } from "../context/WaterContext";
+import type { TerrainBounds } from "../types/terrain";
+import {
+  createRiverGeometry,
+  getRiverSurface,
+  type TerrainRiver,
+} from "../utils/terrainRivers";
+
+const vertexShader = /* glsl */ `
+  uniform mat4 reflectionMatrix;
+  varying vec4 vReflectionCoord;
+  varying vec4 vClipPosition;
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    vReflectionCoord = reflectionMatrix * worldPosition;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    vClipPosition = gl_Position;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  #include <packing>
+
+  uniform sampler2D reflectionMap;
+  uniform sampler2D refractionMap;
+  uniform sampler2D depthMap;
+  uniform bool useReflection;
+  uniform vec3 skyColor;
+  uniform vec3 shallowColor;
+  uniform vec3 deepColor;
+  uniform vec3 foamColor;
+  uniform float clarity;
+  uniform float foamWidth;
+  uniform float waveStrength;
+  uniform float waveScale;
+  uniform float time;
+  uniform float cameraNear;
+  uniform float cameraFar;
+  uniform vec3 sunDirection;
+  varying vec4 vReflectionCoord;
+  varying vec4 vClipPosition;
+  varying vec3 vWorldPosition;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+  }
+
+  float valueNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+      mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x),
+      u.y
+    );
+  }
+
+  // Slope of one travelling sine wave
+  vec2 waveSlope(vec2 p, vec2 direction, float wavelength, float speed) {
+    float k = 6.28318 / wavelength;
+    vec2 d = normalize(direction);
+    return d * cos(dot(d, p) * k + time * speed);
+  }
+
+  vec3 getWaveNormal(vec2 p) {
+    p *= waveScale;
+    vec2 slope = waveSlope(p, vec2(1.0, 0.3), 9.0, 1.1) * 0.5;
+    slope += waveSlope(p, vec2(-0.4, 1.0), 5.3, 1.6) * 0.3;
+    slope += waveSlope(p, vec2(0.7, -0.8), 2.9, 2.3) * 0.15;
+    slope += waveSlope(p, vec2(-1.0, -0.2), 1.7, 3.1) * 0.05;
+    // Breaks up the regular pattern up close
+    slope += (vec2(valueNoise(p * 1.7 + time * 0.3), valueNoise(p * 1.7 - time * 0.3 + 17.0)) - 0.5) * 0.3;
+    return normalize(vec3(-slope.x * waveStrength, 1.0, -slope.y * waveStrength));
+  }
+
+  // View distance to whatever is behind the water at a screen position
+  float getSceneViewZ(vec2 uv) {
+    return perspectiveDepthToViewZ(texture2D(depthMap, uv).x, cameraNear, cameraFar);
+  }
+
+  void main() {
+    vec3 normal = getWaveNormal(vWorldPosition.xz);
+    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+    vec2 screenUv = vClipPosition.xy / vClipPosition.w * 0.5 + 0.5;
+    float surfaceViewZ = perspectiveDepthToViewZ(gl_FragCoord.z, cameraNear, cameraFar);
+
+    // Water thickness along the view ray, fading the distortion out at the shore
+    float thickness = max(surfaceViewZ - getSceneViewZ(screenUv), 0.0);
+    vec2 distortion = normal.xz * 0.03 * clamp(thickness, 0.0, 1.0);
+    vec2 refractionUv = screenUv + distortion;
+    // Don't pull in things in front of the water
+    if (getSceneViewZ(refractionUv) > surfaceViewZ) {
+      refractionUv = screenUv;
+    } else {
+      thickness = max(surfaceViewZ - getSceneViewZ(refractionUv), 0.0);
+    }
+
+    vec3 refraction = texture2D(refractionMap, refractionUv).rgb * shallowColor;
+    float absorption = 1.0 - exp(-thickness * clarity);
+    vec3 waterColor = mix(refraction, deepColor, absorption);
+
+    vec3 reflection = skyColor;
+    if (useReflection) {
+      vec4 reflectionCoord = vReflectionCoord;
+      reflectionCoord.xy += normal.xz * 0.05 * reflectionCoord.w;
+      reflection = texture2DProj(reflectionMap, reflectionCoord).rgb;
+    }
+
+    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(normal, viewDirection), 0.0), 5.0);
+    vec3 color = mix(waterColor, reflection, fresnel);
+
+    vec3 halfVector = normalize(sunDirection + viewDirection);
+    color += pow(max(dot(normal, halfVector), 0.0), 400.0) * 2.0;
+
+    // Shoreline foam where the water is shallow, broken up by noise
+    float shore = 1.0 - smoothstep(0.0, foamWidth, thickness);
+    float foamNoise = valueNoise(vWorldPosition.xz * 1.3 + vec2(time * 0.2, 0.0));
+    float foam = smoothstep(0.45, 0.6, shore * (0.5 + foamNoise));
+    color = mix(color, foamColor, foam * 0.85);
+
+    gl_FragColor = vec4(color, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+const WATER_UP = new THREE.Vector3(0, 1, 0);
+
+interface WaterProps {
+  /** Surface height of flat water */
+  level?: number;
+  /** XZ extent; an ocean following the camera when not given */
+  bounds?: TerrainBounds | null;
+  /** Render along these rivers' splines instead of a flat surface */
+  rivers?: TerrainRiver[];
+  /**
+   * Mirror the scene in the surface (one extra render per frame); flat
+   * water only
+   */
+  reflections?: boolean;
+  /** Reflection and refraction buffers relative to the screen */
+  resolution?: number;
+  /** Points towards the sun (specular highlight) */
+  sunPosition?: [number, number, number];
+  skyColor?: string;
+  shallowColor?: string;
+  deepColor?: string;
+  foamColor?: string;
+  /** Light absorbed per unit of depth; higher is murkier */
+  clarity?: number;
+  /** Depth over which shoreline foam fades out */
+  foamWidth?: number;
+  waveStrength?: number;
+  /** Waves per world unit, relative */
+  waveScale?: number;
+  waveSpeed?: number;
+}
+
+/**
+ * 🌊 WATER - Flat water surface with reflection, refraction and shore foam
+ *
+ * Every frame the scene is rendered without the water into a refraction
+ * buffer (color + depth) and, when reflections are on, from a camera
+ * mirrored below the surface. The depth behind each water pixel gives the
+ * water thickness, which drives the color absorption and the shore foam.
+ * The body is registered with the WaterProvider for swimming and buoyancy.
+ * Rivers are one ribbon mesh sloping down their splines, each registered as
+ * its own sloped body; they reflect the sky color only.
+ */
+export const Water: React.FC<WaterProps> = ({
+  level = 0,
+  bounds = null,
+  rivers,
+  reflections = true,
+  resolution = 0.5,
+  sunPosition = [10, 20, 10],
+  skyColor = "#9cc3e6",
+  shallowColor = "#c9f0e8",
+  deepColor = "#0d3b4f",
+  foamColor = "#f2f7f7",
+  clarity = 0.25,
+  foamWidth = 0.6,
+  waveStrength = 0.35,
+  waveScale = 1,
+  waveSpeed = 1,
+}) => {
+  const { gl, scene, camera, size, viewport } = useThree();
+  const { registerWater } = useWater();
+  const meshRef = useRef<THREE.Mesh>(null);
+
+  useEffect(() => {
+    if (!rivers) return registerWater({ level, bounds });
+    const unregister = rivers.map((river) =>
+      registerWater({
+        // Rivers never run uphill, so the source is the highest point
+        level: river.points[0].surface,
+        bounds: river.bounds,
+        getSurface: (x, z) => getRiverSurface(river, x, z),
+      })
+    );
+    return () => unregister.forEach((callback) => callback());
+  }, [registerWater, level, bounds, rivers]);
+
+  const riverGeometry = useMemo(
+    () => (rivers ? createRiverGeometry(rivers) : null),
+    [rivers]
+  );
+  useEffect(() => () => riverGeometry?.dispose(), [riverGeometry]);
+
+  const targets = useMemo(() => {
+    const options = { type: THREE.HalfFloatType };
+    const refraction = new THREE.WebGLRenderTarget(1, 1, {
+      ...options,
+      depthTexture: new THREE.DepthTexture(1, 1),
+    });
+    const reflection = new THREE.WebGLRenderTarget(1, 1, options);
+    return { refraction, reflection };
+  }, []);
+  useEffect(
+    () => () => {
+      targets.refraction.depthTexture?.dispose();
+      targets.refraction.dispose();
+      targets.reflection.dispose();
+    },
+    [targets]
+  );
+
+  useEffect(() => {
+    const width = Math.max(
+      1,
+      Math.floor(size.width * viewport.dpr * resolution)
+    );
+    const height = Math.max(
+      1,
+      Math.floor(size.height * viewport.dpr * resolution)
+    );
+    targets.refraction.setSize(width, height);
+    targets.reflection.setSize(width, height);
+  }, [targets, size, viewport.dpr, resolution]);
+
+  const material = useMemo(
+    () =>
+      new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        uniforms: {
+          reflectionMap: { value: targets.reflection.texture },
+          refractionMap: { value: targets.refraction.texture },
+          depthMap: { value: targets.refraction.depthTexture },
+          reflectionMatrix: { value: new THREE.Matrix4() },
+          useReflection: { value: false },
+          skyColor: { value: new THREE.Color() },
+          shallowColor: { value: new THREE.Color() },
+          deepColor: { value: new THREE.Color() },
+          foamColor: { value: new THREE.Color() },
+          clarity: { value: 0 },
+          foamWidth: { value: 0 },
+          waveStrength: { value: 0 },
+          waveScale: { value: 1 },
+          time: { value: 0 },
+          cameraNear: { value: 0.1 },
+          cameraFar: { value: 1000 },
+          sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+        },
+      }),
+    [targets]
+  );
+  useEffect(() => () => material.dispose(), [material]);
+
+  // Look settings are plain uniform updates
+  useEffect(() => {
+    const { uniforms } = material;
+    uniforms.skyColor.value.set(skyColor);
+    uniforms.shallowColor.value.set(shallowColor);
+    uniforms.deepColor.value.set(deepColor);
+    uniforms.foamColor.value.set(foamColor);
+    uniforms.clarity.value = clarity;
+    uniforms.foamWidth.value = foamWidth;
+    uniforms.waveStrength.value = waveStrength;
+    uniforms.waveScale.value = waveScale;
+    uniforms.sunDirection.value.set(...sunPosition).normalize();
+  }, [
+    material,
+    skyColor,
+    shallowColor,
+    deepColor,
+    foamColor,
+    clarity,
+    foamWidth,
+    waveStrength,
+    waveScale,
+    sunPosition,
+  ]);
+
+  // Mirrored camera state (same construction as three's Reflector)
+  const mirror = useMemo(
+    () => ({
+      camera: new THREE.PerspectiveCamera(),
+      plane: new THREE.Plane(),
+      clipPlane: new THREE.Vector4(),
+      q: new THREE.Vector4(),
+      surfacePosition: new THREE.Vector3(),
+      cameraPosition: new THREE.Vector3(),
+      rotation: new THREE.Matrix4(),
+      lookAt: new THREE.Vector3(),
+      view: new THREE.Vector3(),
+      target: new THREE.Vector3(),
+    }),
+    []
+  );
+
+  const renderReflection = (perspective: THREE.PerspectiveCamera) => {
+    const {
+      camera: mirrorCamera,
+      plane,
+      clipPlane,
+      q,
+      surfacePosition,
+      cameraPosition,
+      rotation,
+      lookAt,
+      view,
+      target,
+    } = mirror;
+
+    surfacePosition.set(perspective.position.x, level, perspective.position.z);
+    cameraPosition.setFromMatrixPosition(perspective.matrixWorld);
+    view.subVectors(surfacePosition, cameraPosition);
+    // Camera under the surface: nothing to mirror
+    if (view.dot(WATER_UP) > 0) return false;
+
+    view.reflect(WATER_UP).negate().add(surfacePosition);
+    rotation.extractRotation(perspective.matrixWorld);
+    lookAt.set(0, 0, -1).applyMatrix4(rotation).add(cameraPosition);
+    target.subVectors(surfacePosition, lookAt);
+    target.reflect(WATER_UP).negate().add(surfacePosition);
+
+    mirrorCamera.position.copy(view);
+    mirrorCamera.up.set(0, 1, 0).applyMatrix4(rotation).reflect(WATER_UP);
+    mirrorCamera.lookAt(target);
+    mirrorCamera.far = perspective.far;
+    mirrorCamera.updateMatrixWorld();
+    mirrorCamera.projectionMatrix.copy(perspective.projectionMatrix);
+
+    material.uniforms.reflectionMatrix.value
+      .set(0.5, 0, 0, 0.5, 0, 0.5, 0, 0.5, 0, 0, 0.5, 0.5, 0, 0, 0, 1)
+      .multiply(mirrorCamera.projectionMatrix)
+      .multiply(mirrorCamera.matrixWorldInverse);
+
+    // Oblique near plane so nothing below the surface gets mirrored
+    plane.setFromNormalAndCoplanarPoint(WATER_UP, surfacePosition);
+    plane.applyMatrix4(mirrorCamera.matrixWorldInverse);
+    clipPlane.set(
+      plane.normal.x,
+      plane.normal.y,
+      plane.normal.z,
+      plane.constant
+    );
+    const projection = mirrorCamera.projectionMatrix.elements;
+    q.x = (Math.sign(clipPlane.x) + projection[8]) / projection[0];
+    q.y = (Math.sign(clipPlane.y) + projection[9]) / projection[5];
+    q.z = -1;
+    q.w = (1 + projection[10]) / projection[14];
+    clipPlane.multiplyScalar(2 / clipPlane.dot(q));
+    projection[2] = clipPlane.x;
+    projection[6] = clipPlane.y;
+    projection[10] = clipPlane.z + 1;
+    projection[14] = clipPlane.w;
+
+    gl.setRenderTarget(targets.reflection);
+    gl.render(scene, mirrorCamera);
+    return true;
+  };
+
+  useFrame((_state, delta) => {
+    const mesh = meshRef.current;
+    if (!mesh || !(camera instanceof THREE.PerspectiveCamera)) return;
+
+    material.uniforms.time.value += delta * waveSpeed;
+    material.uniforms.cameraNear.value = camera.near;
+    material.uniforms.cameraFar.value = camera.far;
+
+    // The ocean is a plane out to the far plane under the camera
+    if (!bounds && !riverGeometry) {
+      mesh.position.set(camera.position.x, level, camera.position.z);
+      mesh.scale.set(camera.far * 2, camera.far * 2, 1);
+    }
+    camera.updateMatrixWorld();
+
+    // Render what's around the water without it, and without redrawing
+    // the shadow maps for these passes
+    const previousTarget = gl.getRenderTarget();
+    const shadowAutoUpdate = gl.shadowMap.autoUpdate;
+    gl.shadowMap.autoUpdate = false;
+    mesh.visible = false;
+
+    gl.setRenderTarget(targets.refraction);
+    gl.render(scene, camera);
+    material.uniforms.useReflection.value =
+      reflections && !riverGeometry && renderReflection(camera);
+
+    mesh.visible = true;
+    gl.shadowMap.autoUpdate = shadowAutoUpdate;
+    gl.setRenderTarget(previousTarget);
+  });
+
+  if (riverGeometry) {
+    // Already in world space
+    return <mesh ref={meshRef} geometry={riverGeometry} material={material} />;
+  }
+
+  const center: [number, number, number] = bounds
+    ? [(bounds.minX + bounds.maxX) / 2, level, (bounds.minZ + bounds.maxZ) / 2]
+    : [0, level, 0];
+  // Plane-local Y ends up along world Z
+  const scale: [number, number, number] = bounds
+    ? [bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ, 1]
+    : [1, 1, 1];
+
+  return (
+    <mesh
+      ref={meshRef}
+      position={center}
+      scale={scale}
+      rotation-x={-Math.PI / 2}
+      material={material}
+      // The ocean moves with the camera
+      frustumCulled={!!bounds}
+    >
+      <planeGeometry args={[1, 1]} />
+    </mesh>
+  );
+};
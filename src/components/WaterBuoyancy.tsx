@@ -0,0 +1,104 @@
+import { useRef } from "react";
+import { useBeforePhysicsStep, useRapier } from "@react-three/rapier";
+import * as THREE from "three";
+import { useWater } from "../context/WaterContext";
+import { isCharacterBody } from "../utils/characterBody";
+import {
+  getSubmergedFraction,
+  WATER_ANGULAR_DRAG,
+  WATER_DENSITY,
+  WATER_LINEAR_DRAG,
+} from "../utils/water";
+
+/**
+ * 🛟 WATER BUOYANCY - Floats dynamic rigid bodies in the active water
+ *
+ * Runs before every physics step: each collider of an awake dynamic body
+ * gets an upward impulse for the water it displaces plus drag, so light
+ * bodies (the physics debug cubes...) bob at the surface and heavy ones
+ * sink slowly. The character swims on its own and is skipped.
+ */
+export const WaterBuoyancy = () => {
+  const { rapier } = useRapier();
+  const { getWaterLevel } = useWater();
+  const rotation = useRef(new THREE.Quaternion());
+  const rotationMatrix = useRef(new THREE.Matrix4());
+
+  // Vertical half extent of a collider in its current orientation
+  const getHalfHeight = (collider: any) => {
+    switch (collider.shapeType()) {
+      case rapier.ShapeType.Ball:
+        return collider.radius();
+      case rapier.ShapeType.Capsule:
+        return collider.halfHeight() + collider.radius();
+      case rapier.ShapeType.Cuboid:
+      case rapier.ShapeType.RoundCuboid: {
+        const { x, y, z } = collider.halfExtents();
+        const q = collider.rotation();
+        rotation.current.set(q.x, q.y, q.z, q.w);
+        const e = rotationMatrix.current.makeRotationFromQuaternion(
+          rotation.current
+        ).elements;
+        // Row y of the rotation against the half extents
+        return Math.abs(e[1]) * x + Math.abs(e[5]) * y + Math.abs(e[9]) * z;
+      }
+      default:
+        // A cube of the same volume
+        return Math.cbrt(collider.volume()) / 2;
+    }
+  };
+
+  useBeforePhysicsStep((world) => {
+    const dt = world.timestep;
+    const gravity = -world.gravity.y;
+
+    world.forEachActiveRigidBody((body) => {
+      if (!body.isDynamic() || isCharacterBody(body)) return;
+
+      let buoyancy = 0;
+      let submerged = 0;
+      for (let i = 0; i < body.numColliders(); i++) {
+        const collider = body.collider(i);
+        if (collider.isSensor()) continue;
+
+        const center = collider.translation();
+        const level = getWaterLevel(center.x, center.z);
+        if (level === null) continue;
+
+        const fraction = getSubmergedFraction(
+          center.y,
+          getHalfHeight(collider),
+          level
+        );
+        buoyancy += WATER_DENSITY * collider.volume() * fraction * gravity;
+        submerged = Math.max(submerged, fraction);
+      }
+      if (submerged === 0) return;
+
+      const mass = body.mass();
+      const velocity = body.linvel();
+      const drag = Math.min(1, WATER_LINEAR_DRAG * submerged * dt);
+      body.applyImpulse(
+        {
+          x: -velocity.x * mass * drag,
+          y: buoyancy * dt - velocity.y * mass * drag,
+          z: -velocity.z * mass * drag,
+        },
+        true
+      );
+
+      const angularVelocity = body.angvel();
+      const angularDrag = 1 - Math.min(1, WATER_ANGULAR_DRAG * submerged * dt);
+      body.setAngvel(
+        {
+          x: angularVelocity.x * angularDrag,
+          y: angularVelocity.y * angularDrag,
+          z: angularVelocity.z * angularDrag,
+        },
+        true
+      );
+    });
+  });
+
+  return null;
+};
@@ -6,25 +6,119 @@ import React, {
   useCallback,
 } from "react";
 import { useLoader, useFrame, useThree } from "@react-three/fiber";
-import { TextureLoader } from "three";
 import * as THREE from "three";
 import { useControls } from "leva";
-import { RigidBody, useRapier } from "@react-three/rapier";
+import {
+  HeightfieldCollider,
+  RigidBody,
+  useRapier,
+  type HeightfieldArgs,
+} from "@react-three/rapier";
 import { Detailed } from "@react-three/drei";
+import {
+  getCenteredTerrainBounds,
+  getHeightmapCenterPeak,
+  getHeightmapData,
+  registerHeightmapTexture,
+  sampleHeightmap,
+} from "../utils/terrainUtils";
+import { HEIGHTMAP_URL } from "./HeightMapUnreal";
+import { useTerrainRegistration } from "../hooks/useTerrainRegistration";
+import { useBVHRegistration } from "../hooks/useBVHRegistration";
+import {
+  downloadHeightfieldPng,
+  useTerrainSculpt,
+} from "../hooks/useTerrainSculpt";
+import { useTerrainSplatMaterial } from "../hooks/useTerrainSplatMaterial";
+import { useTerrainSculptControls } from "./useTerrainSculptControls";
+import { useTerrainSplatControls } from "./useTerrainSplatControls";
+import { bvhManager } from "../utils/bvhManager";
+import { EditableHeightfield } from "../utils/terrainSculpt";
+import { HeightmapLoader } from "../utils/heightmapLoader";
+import type { LodTileEdges } from "../utils/terrainLod";
+import { useLodTileGeometry } from "../hooks/useLodTileGeometry";
+
+// Splat map texels per side; about 8 world units each at the default size
+const SPLAT_RESOLUTION = 512;
+
+// The LOD view splits the world into TILES_PER_SIDE² tiles; LOD segment
+// counts are for the whole world, so each tile gets its share
+const TILES_PER_SIDE = 4;
+
+// Debug colors per LOD, also used for the per-edge lines
+const LOD_COLORS = ["#ff0000", "#ffff00", "#00ff00", "#0000ff"];
 
 // Tile interface for TypeScript
 interface TerrainTile {
-  x: number;
-  z: number;
+  /** Column (along +X) and row (along +Z) in the tile grid */
+  i: number;
+  j: number;
   centerX: number;
   centerZ: number;
   distanceToCamera: number;
   currentLOD: number | null;
-  mesh: THREE.Mesh | null;
-  tileSize: number;
-  lastUpdateTime: number;
 }
 
+// Grid geometry for tile (i, j) at the given segments, centered on the tile
+type CreateTileGeometry = (
+  i: number,
+  j: number,
+  segments: number
+) => THREE.BufferGeometry;
+
+// One tile: stitched to coarser neighbours, skirted and morphing between LODs
+const TerrainLodTile = ({
+  tile,
+  segments,
+  edges,
+  material,
+  createTileGeometry,
+  skirtDepth,
+  morphTime,
+  getEdgeColor,
+}: {
+  tile: TerrainTile;
+  segments: number;
+  edges: LodTileEdges;
+  material: THREE.Material;
+  createTileGeometry: CreateTileGeometry;
+  skirtDepth: number;
+  morphTime: number;
+  getEdgeColor: ((edgeSegments: number) => string) | null;
+}) => {
+  const baseGeometry = useMemo(
+    () => createTileGeometry(tile.i, tile.j, segments),
+    [createTileGeometry, tile.i, tile.j, segments]
+  );
+  useEffect(() => () => baseGeometry.dispose(), [baseGeometry]);
+
+  const { geometry, edgeLines } = useLodTileGeometry(
+    baseGeometry,
+    segments,
+    edges,
+    { skirtDepth, morphTime, getEdgeColor }
+  );
+
+  // Inside the rotated terrain group, where local Y is world -Z
+  const position: [number, number, number] = [tile.centerX, -tile.centerZ, 0];
+  return (
+    <>
+      <mesh
+        position={position}
+        geometry={geometry}
+        material={material}
+        receiveShadow
+        castShadow={false}
+      />
+      {edgeLines && (
+        <lineSegments position={position} geometry={edgeLines}>
+          <lineBasicMaterial vertexColors />
+        </lineSegments>
+      )}
+    </>
+  );
+};
+
 // Tiled Terrain LOD Component - Like your grass system
 const TiledTerrainLOD = ({
   worldSize,
@@ -38,42 +132,46 @@ const TiledTerrainLOD = ({
   terrainMaterial,
   lodMaterials,
   showLODColors,
-  createTerrainGeometry,
+  createTileGeometry,
+  skirtDepth,
+  morphTime,
   camera,
   showLODInfo,
 }) => {
   const [tiles, setTiles] = useState<TerrainTile[]>([]);
   const lastUpdateTime = useRef(0);
   const tilesRef = useRef<TerrainTile[]>([]);
+  const tileSize = worldSize / TILES_PER_SIDE;
+
+  // Segments per tile at each LOD
+  const lodSegments = useMemo(
+    () =>
+      [segmentCount, lodSegment1, lodSegment2, lodSegment3].map((segments) =>
+        Math.max(1, Math.round(segments / TILES_PER_SIDE))
+      ),
+    [segmentCount, lodSegment1, lodSegment2, lodSegment3]
+  );
 
   // Create terrain tiles
   useEffect(() => {
-    const TILE_SIZE = worldSize / 4; // 4x4 grid of tiles
-    const tilesPerSide = 4;
     const newTiles: TerrainTile[] = [];
 
-    for (let x = 0; x < tilesPerSide; x++) {
-      for (let z = 0; z < tilesPerSide; z++) {
-        const tileX = (x - tilesPerSide / 2) * TILE_SIZE + TILE_SIZE / 2;
-        const tileZ = (z - tilesPerSide / 2) * TILE_SIZE + TILE_SIZE / 2;
-
+    for (let i = 0; i < TILES_PER_SIDE; i++) {
+      for (let j = 0; j < TILES_PER_SIDE; j++) {
         newTiles.push({
-          x: tileX,
-          z: tileZ,
-          centerX: tileX,
-          centerZ: tileZ,
+          i,
+          j,
+          centerX: -worldSize / 2 + (i + 0.5) * tileSize,
+          centerZ: -worldSize / 2 + (j + 0.5) * tileSize,
           distanceToCamera: 0,
           currentLOD: null,
-          mesh: null,
-          tileSize: TILE_SIZE,
-          lastUpdateTime: 0,
         });
       }
     }
 
     tilesRef.current = newTiles;
     setTiles(newTiles);
-  }, [worldSize]);
+  }, [worldSize, tileSize]);
 
   // Update LOD for each tile based on camera distance
   useFrame(() => {
@@ -87,11 +185,17 @@ const TiledTerrainLOD = ({
     let updated = false;
 
     tilesRef.current.forEach((tile) => {
-      // Calculate 2D distance from tile center to camera
-      const distance = Math.sqrt(
-        Math.pow(tile.centerX - cameraPos.x, 2) +
-          Math.pow(tile.centerZ - cameraPos.z, 2)
+      // Distance to the nearest point of the tile, so every vertex of a tile
+      // is at least as far away as the distance its LOD was picked for
+      const dx = Math.max(
+        0,
+        Math.abs(cameraPos.x - tile.centerX) - tileSize / 2
       );
+      const dz = Math.max(
+        0,
+        Math.abs(cameraPos.z - tile.centerZ) - tileSize / 2
+      );
+      const distance = Math.sqrt(dx * dx + dz * dz);
 
       tile.distanceToCamera = distance;
 
@@ -110,7 +214,6 @@ const TiledTerrainLOD = ({
       // Update tile if LOD changed
       if (tile.currentLOD !== newLOD) {
         tile.currentLOD = newLOD;
-        tile.lastUpdateTime = now;
         updated = true;
 
         if (showLODInfo) {
@@ -129,46 +232,54 @@ const TiledTerrainLOD = ({
     }
   });
 
+  // Stitched edges take the coarser neighbour's color
+  const getEdgeColor = useCallback(
+    (edgeSegments: number) => {
+      const lod = lodSegments.findIndex((segments) => segments <= edgeSegments);
+      return LOD_COLORS[lod === -1 ? LOD_COLORS.length - 1 : lod];
+    },
+    [lodSegments]
+  );
+
+  // Segments shown by tile (i, j); outside the grid nothing to stitch to
+  const getTileSegments = (i: number, j: number) => {
+    if (i < 0 || j < 0 || i >= TILES_PER_SIDE || j >= TILES_PER_SIDE) {
+      return Infinity;
+    }
+    const lod = tiles[i * TILES_PER_SIDE + j]?.currentLOD;
+    return lod === null || lod === undefined ? Infinity : lodSegments[lod];
+  };
+
   return (
     <group>
       {tiles.map((tile, index) => {
         if (tile.currentLOD === null) return null;
 
-        // Determine geometry and material based on LOD
-        let geometry;
-        let material;
-
-        switch (tile.currentLOD) {
-          case 0:
-            geometry = createTerrainGeometry(segmentCount);
-            material = showLODColors ? lodMaterials.lod0 : terrainMaterial;
-            break;
-          case 1:
-            geometry = createTerrainGeometry(lodSegment1);
-            material = showLODColors ? lodMaterials.lod1 : terrainMaterial;
-            break;
-          case 2:
-            geometry = createTerrainGeometry(lodSegment2);
-            material = showLODColors ? lodMaterials.lod2 : terrainMaterial;
-            break;
-          case 3:
-            geometry = createTerrainGeometry(lodSegment3);
-            material = showLODColors ? lodMaterials.lod3 : terrainMaterial;
-            break;
-          default:
-            return null;
-        }
+        const segments = lodSegments[tile.currentLOD];
+        // Tile grids run along +X (i) and +Z (j) from the -X/-Z corner
+        const edges: LodTileEdges = {
+          minI: Math.min(segments, getTileSegments(tile.i - 1, tile.j)),
+          maxI: Math.min(segments, getTileSegments(tile.i + 1, tile.j)),
+          minJ: Math.min(segments, getTileSegments(tile.i, tile.j - 1)),
+          maxJ: Math.min(segments, getTileSegments(tile.i, tile.j + 1)),
+        };
 
         return (
-          <mesh
+          <TerrainLodTile
             key={`tile-${index}`}
-            position={[tile.centerX, 0, tile.centerZ]}
-            material={material}
-            receiveShadow
-            castShadow={false}
-          >
-            <primitive object={geometry} />
-          </mesh>
+            tile={tile}
+            segments={segments}
+            edges={edges}
+            material={
+              showLODColors
+                ? lodMaterials[`lod${tile.currentLOD}`]
+                : terrainMaterial
+            }
+            createTileGeometry={createTileGeometry}
+            skirtDepth={skirtDepth}
+            morphTime={morphTime}
+            getEdgeColor={showLODColors ? getEdgeColor : null}
+          />
         );
       })}
     </group>
@@ -180,7 +291,8 @@ const ZeldaTerrain2: React.FC<{
   onHeightmapReady?: (fn: (x: number, z: number) => number) => void;
 }> = ({ onHeightmapReady }) => {
   // Load the heightmap texture
-  const heightMap = useLoader(TextureLoader, "/textures/unreal-heightmap.png");
+  // Full 16-bit precision, like HeightMapUnreal
+  const heightMap = useLoader(HeightmapLoader, HEIGHTMAP_URL);
 
   // Get camera for LOD debugging
   const { camera } = useThree();
@@ -204,6 +316,8 @@ const ZeldaTerrain2: React.FC<{
     lodSegment1,
     lodSegment2,
     lodSegment3,
+    lodSkirtDepth,
+    lodMorphTime,
     showLODColors,
     showLODInfo,
     enableHeightGradient,
@@ -314,9 +428,23 @@ const ZeldaTerrain2: React.FC<{
       step: 4,
       label: "LOD 3 Segments (Low Detail)",
     },
+    lodSkirtDepth: {
+      value: 5,
+      min: 0,
+      max: 50,
+      step: 1,
+      label: "LOD Skirt Depth",
+    },
+    lodMorphTime: {
+      value: 0.5,
+      min: 0,
+      max: 2,
+      step: 0.1,
+      label: "LOD Morph Time (s)",
+    },
     showLODColors: {
       value: false,
-      label: "🎨 Show LOD Debug Colors",
+      label: "🎨 Show LOD Debug Colors (+ Tile Edges)",
     },
     showLODInfo: {
       value: false,
@@ -361,57 +489,64 @@ const ZeldaTerrain2: React.FC<{
     },
   });
 
+  // Decoded once per image and shared with every other sampler of this texture
+  const heightmapData = useMemo(() => getHeightmapData(heightMap), [heightMap]);
+
+  // Let spawn resolution sample the same image as the rendered terrain
+  useEffect(() => {
+    registerHeightmapTexture(HEIGHTMAP_URL, heightMap);
+  }, [heightMap]);
+
   // Calculate the center peak height to position terrain correctly
   // This calculates ONCE what the center peak height is, then we position the terrain
   // so that the center peak ends up at Y=0 in world space
   const centerPeakHeight = useMemo(() => {
-    // Get the heightmap image data
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d")!;
-    canvas.width = heightMap.image.width;
-    canvas.height = heightMap.image.height;
-    ctx.drawImage(heightMap.image, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    if (!heightmapData) return 0;
 
     // Find max height at center region
-    const centerX = Math.floor(imageData.width / 2);
-    const centerY = Math.floor(imageData.height / 2);
-    let maxCenterHeight = 0;
-
-    for (let dx = -centerRegionSize; dx <= centerRegionSize; dx++) {
-      for (let dy = -centerRegionSize; dy <= centerRegionSize; dy++) {
-        const x = Math.max(0, Math.min(imageData.width - 1, centerX + dx));
-        const y = Math.max(0, Math.min(imageData.height - 1, centerY + dy));
-        const pixelIndex = (y * imageData.width + x) * 4;
-        const height = imageData.data[pixelIndex] / 255;
-        if (height > maxCenterHeight) {
-          maxCenterHeight = height;
-        }
-      }
-    }
+    const maxCenterHeight = getHeightmapCenterPeak(
+      heightmapData,
+      centerRegionSize
+    );
 
     // Return the actual height in world units
     const worldHeight = maxCenterHeight * displacementScale;
     console.log(`🎯 Center peak height: ${worldHeight.toFixed(2)} units`);
     return worldHeight;
-  }, [heightMap, displacementScale, centerRegionSize]);
+  }, [heightmapData, displacementScale, centerRegionSize]);
+
+  // Calculate Y position to place center peak at Y=0
+  // terrainHeight is user-adjustable offset, centerPeakHeight is calculated from heightmap
+  const finalTerrainY = terrainHeight - centerPeakHeight;
+
+  // Base-resolution heights (before the Y offset) shared by the full-detail
+  // mesh, its collider and the heightmap lookup; sculpting edits this grid
+  const heightfield = useMemo(() => {
+    if (!heightmapData) return null;
+    const resolution = segmentCount + 1;
+    const heights = new Float32Array(resolution * resolution);
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        heights[j * resolution + i] =
+          sampleHeightmap(
+            heightmapData,
+            i / (resolution - 1),
+            j / (resolution - 1)
+          ) * displacementScale;
+      }
+    }
+    return new EditableHeightfield(worldSize, resolution, heights);
+  }, [heightmapData, worldSize, segmentCount, displacementScale]);
 
   // Helper function to create terrain geometry with LOD
-  const createTerrainGeometry = (segments: number) => {
-    const geom = new THREE.PlaneGeometry(
-      worldSize,
-      worldSize,
-      segments,
-      segments
-    );
-
-    // Get the heightmap image data
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d")!;
-    canvas.width = heightMap.image.width;
-    canvas.height = heightMap.image.height;
-    ctx.drawImage(heightMap.image, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  // heights: optional (segments + 1)^2 world heights to use instead of the image
+  // size: extent of the plane, the whole world unless it's a tile
+  const createTerrainGeometry = (
+    segments: number,
+    heights?: Float32Array,
+    size: number = worldSize
+  ) => {
+    const geom = new THREE.PlaneGeometry(size, size, segments, segments);
 
     // Displace vertices based on heightmap
     const vertices = geom.attributes.position.array as Float32Array;
@@ -428,13 +563,12 @@ const ZeldaTerrain2: React.FC<{
       for (let j = 0; j < width; j++) {
         const index = (i * width + j) * 3;
 
-        // Map vertex position to heightmap pixel
-        const px = Math.floor((j / width) * canvas.width);
-        const py = Math.floor((i / height) * canvas.height);
-        const pixelIndex = (py * canvas.width + px) * 4;
-
-        // Get heightmap value (using red channel, 0-255)
-        const heightValue = imageData.data[pixelIndex] / 255;
+        // Row 0 is the -Z edge, like the texture and heightmapLookup
+        const heightValue = heights
+          ? heights[i * width + j] / displacementScale
+          : heightmapData
+          ? sampleHeightmap(heightmapData, j / (width - 1), i / (height - 1))
+          : 0;
 
         // Apply height displacement (Z becomes Y after rotation)
         vertices[index + 2] = heightValue * displacementScale;
@@ -493,8 +627,8 @@ const ZeldaTerrain2: React.FC<{
       color: enableHeightGradient
         ? "#ffffff"
         : useHeightmapAsTexture
-          ? "#ffffff"
-          : terrainColor,
+        ? "#ffffff"
+        : terrainColor,
       roughness: roughness,
       metalness: metalness,
       wireframe: showWireframe,
@@ -556,64 +690,17 @@ const ZeldaTerrain2: React.FC<{
     enableHeightGradient,
   ]);
 
-  // Create heightfield data for physics collider
-  const heightfieldData = useMemo(() => {
-    // Get the heightmap image data
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d")!;
-    canvas.width = heightMap.image.width;
-    canvas.height = heightMap.image.height;
-    ctx.drawImage(heightMap.image, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-    // Create heightfield data array
-    const heights: number[] = [];
-    const width = canvas.width;
-    const height = canvas.height;
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const pixelIndex = (y * width + x) * 4;
-        const heightValue = imageData.data[pixelIndex] / 255; // Red channel
-        heights.push(heightValue * displacementScale);
-      }
-    }
-
-    return {
-      heights,
-      width,
-      height,
-    };
-  }, [heightMap, displacementScale]);
-
   // Create heightmap lookup function for grass and other components
-  // IMPORTANT: Apply the same terrain offset (centerPeakHeight) so components spawn at correct world height
-  const heightmapLookup = useMemo(() => {
-    if (!heightfieldData) return null;
-
-    const { heights, width, height } = heightfieldData;
-
-    return (x: number, z: number) => {
-      // Convert world coordinates to heightmap coordinates
-      // Map from world space (-worldSize/2 to worldSize/2) to heightmap space (0 to width/height)
-      const normalizedX = (x + worldSize / 2) / worldSize;
-      const normalizedZ = (z + worldSize / 2) / worldSize;
-
-      // Clamp to valid range
-      const clampedX = Math.max(0, Math.min(1, normalizedX));
-      const clampedZ = Math.max(0, Math.min(1, normalizedZ));
-
-      // Convert to pixel coordinates
-      const pixelX = Math.floor(clampedX * (width - 1));
-      const pixelZ = Math.floor(clampedZ * (height - 1));
-
-      // Get height value from heightfield data and apply terrain offset
-      // This ensures the returned height matches the actual terrain mesh position in world space
-      const index = pixelZ * width + pixelX;
-      const rawHeight = heights[index] || 0;
-      return rawHeight - centerPeakHeight; // Apply the same offset as the terrain mesh!
-    };
-  }, [heightfieldData, worldSize, centerPeakHeight]);
+  // IMPORTANT: Apply the same terrain offset (terrainHeight - centerPeakHeight) so components spawn at correct world height
+  const heightmapLookup = useMemo(
+    () =>
+      heightfield
+        ? (x: number, z: number) => heightfield.getHeight(x, z) + finalTerrainY
+        : null,
+    [heightfield, finalTerrainY]
+  );
+
+  useTerrainRegistration(heightmapLookup, getCenteredTerrainBounds(worldSize));
 
   // Notify parent component when heightmap lookup is ready
   useEffect(() => {
@@ -634,10 +721,28 @@ const ZeldaTerrain2: React.FC<{
     }
   });
 
+  // Grass/rock/dirt/snow layers, off by default to keep the gradient look
+  const { splatEnabled, rules, textureScale, triplanarSharpness, snowColor } =
+    useTerrainSplatControls(displacementScale * 0.2, false);
+  const terrainSplat = useTerrainSplatMaterial(
+    splatEnabled ? heightmapLookup : null,
+    worldSize,
+    SPLAT_RESOLUTION,
+    { rules, textureScale, triplanarSharpness, snowColor }
+  );
+
+  const sculptControls = useTerrainSculptControls(() => {
+    if (heightfield) {
+      downloadHeightfieldPng(heightfield, "zelda-terrain-edited.png");
+    }
+  });
+
   // Create physics geometry (always high detail for accurate collision)
+  // Built from the heightfield, so sculpted edits survive a restyle
   const physicsGeometry = useMemo(() => {
-    return createTerrainGeometry(segmentCount);
+    return createTerrainGeometry(segmentCount, heightfield?.heights);
   }, [
+    heightfield,
     worldSize,
     segmentCount,
     heightMap,
@@ -650,6 +755,98 @@ const ZeldaTerrain2: React.FC<{
     highHeightThreshold,
   ]);
 
+  // LOD tile geometry, sampled from the heightfield like the physics mesh
+  const createTileGeometry = useCallback<CreateTileGeometry>(
+    (tileI, tileJ, segments) => {
+      const tileSize = worldSize / TILES_PER_SIDE;
+      const step = tileSize / segments;
+      const side = segments + 1;
+      const heights = new Float32Array(side * side);
+      for (let j = 0; j < side; j++) {
+        for (let i = 0; i < side; i++) {
+          heights[j * side + i] = heightfield
+            ? heightfield.getHeight(
+                -worldSize / 2 + tileI * tileSize + i * step,
+                -worldSize / 2 + tileJ * tileSize + j * step
+              )
+            : 0;
+        }
+      }
+      const geometry = createTerrainGeometry(segments, heights, tileSize);
+
+      // Normals and UVs as on the whole-world mesh; per-tile ones would seam
+      // at the tile borders
+      const normal = geometry.attributes.normal as THREE.BufferAttribute;
+      const uv = geometry.attributes.uv as THREE.BufferAttribute;
+      for (let j = 0; j < side; j++) {
+        for (let i = 0; i < side; i++) {
+          const x = -worldSize / 2 + tileI * tileSize + i * step;
+          const z = -worldSize / 2 + tileJ * tileSize + j * step;
+          const index = j * side + i;
+          if (heightfield) {
+            // Plane-local Y is world -Z, so the Z slope flips sign
+            const slopeX =
+              (heightfield.getHeight(x + step, z) -
+                heightfield.getHeight(x - step, z)) /
+              (2 * step);
+            const slopeZ =
+              (heightfield.getHeight(x, z + step) -
+                heightfield.getHeight(x, z - step)) /
+              (2 * step);
+            const length = Math.sqrt(slopeX * slopeX + slopeZ * slopeZ + 1);
+            normal.setXYZ(index, -slopeX / length, slopeZ / length, 1 / length);
+          }
+          uv.setXY(index, x / worldSize + 0.5, 0.5 - z / worldSize);
+        }
+      }
+      return geometry;
+    },
+    [
+      heightfield,
+      worldSize,
+      displacementScale,
+      enableHeightGradient,
+      lowHeightColor,
+      midHeightColor,
+      highHeightColor,
+      lowHeightThreshold,
+      highHeightThreshold,
+    ]
+  );
+
+  const [physicsMesh, setPhysicsMesh] = useState<THREE.Mesh | null>(null);
+
+  // A new geometry (e.g. a gradient change) needs a new BVH, not a refit
+  useEffect(() => {
+    if (physicsMesh) bvhManager.updateBVH(physicsMesh);
+  }, [physicsMesh, physicsGeometry]);
+
+  const bvhMeshes = useMemo(() => [physicsMesh], [physicsMesh]);
+  useBVHRegistration(bvhMeshes);
+
+  // LOD tiles are built from the heightfield once, so edits need the single mesh
+  const colliderHeights = useTerrainSculpt(physicsMesh, heightfield, {
+    enabled: sculptControls.sculptEnabled && !enableLOD,
+    brush: sculptControls.brush,
+    radius: sculptControls.radius,
+    strength: sculptControls.strength,
+    paintLayer: sculptControls.paintLayer,
+    splatMap: terrainSplat?.splatMap,
+  });
+
+  const colliderArgs = useMemo<HeightfieldArgs | null>(
+    () =>
+      colliderHeights
+        ? [
+            segmentCount,
+            segmentCount,
+            colliderHeights as unknown as number[],
+            { x: worldSize, y: 1, z: worldSize },
+          ]
+        : null,
+    [colliderHeights, segmentCount, worldSize]
+  );
+
   // Single large terrain mesh with LOD - Using drei Detail component
   const singleTerrain = useMemo(() => {
     console.log(
@@ -667,38 +864,47 @@ const ZeldaTerrain2: React.FC<{
       );
     }
 
-    // Calculate Y position to place center peak at Y=0
-    // terrainHeight is user-adjustable offset, centerPeakHeight is calculated from heightmap
-    const finalTerrainY = terrainHeight - centerPeakHeight;
+    // Heightfield collider from the full-detail grid
+    const collider = colliderArgs && (
+      <RigidBody
+        type="fixed"
+        colliders={false}
+        position={[0, finalTerrainY, 0]}
+      >
+        <HeightfieldCollider args={colliderArgs} friction={1} />
+      </RigidBody>
+    );
 
     if (!enableLOD) {
-      // No LOD - single geometry with trimesh physics
+      // No LOD - single geometry, also used for the BVH and sculpting
       return (
-        <RigidBody type="fixed" colliders="trimesh" friction={1}>
+        <>
+          {collider}
           <mesh
+            ref={setPhysicsMesh}
             rotation={[-Math.PI / 2, 0, 0]}
             position={[0, finalTerrainY, 0]}
-            material={terrainMaterial}
+            material={terrainSplat?.material ?? terrainMaterial}
             geometry={physicsGeometry}
             receiveShadow
             castShadow={false}
           />
-        </RigidBody>
+        </>
       );
     }
 
     // With LOD - separate physics and visual meshes
     return (
       <>
-        {/* Physics collider - always high detail trimesh */}
-        <RigidBody type="fixed" colliders="trimesh" friction={1}>
-          <mesh
-            rotation={[-Math.PI / 2, 0, 0]}
-            position={[0, finalTerrainY, 0]}
-            geometry={physicsGeometry}
-            visible={false} // Hide physics mesh
-          />
-        </RigidBody>
+        {collider}
+        {/* Full-detail mesh for the BVH - always high detail */}
+        <mesh
+          ref={setPhysicsMesh}
+          rotation={[-Math.PI / 2, 0, 0]}
+          position={[0, finalTerrainY, 0]}
+          geometry={physicsGeometry}
+          visible={false} // Hide physics mesh
+        />
 
         {/* Tiled Terrain LOD System - Like your grass system */}
         <group position={[0, finalTerrainY, 0]} rotation={[-Math.PI / 2, 0, 0]}>
@@ -711,10 +917,12 @@ const ZeldaTerrain2: React.FC<{
             lodDistance1={lodDistance1}
             lodDistance2={lodDistance2}
             lodDistance3={lodDistance3}
-            terrainMaterial={terrainMaterial}
+            terrainMaterial={terrainSplat?.material ?? terrainMaterial}
             lodMaterials={lodMaterials}
             showLODColors={showLODColors}
-            createTerrainGeometry={createTerrainGeometry}
+            createTileGeometry={createTileGeometry}
+            skirtDepth={lodSkirtDepth}
+            morphTime={lodMorphTime}
             camera={camera}
             showLODInfo={showLODInfo}
           />
@@ -726,9 +934,10 @@ const ZeldaTerrain2: React.FC<{
     segmentCount,
     heightMap,
     displacementScale,
-    terrainHeight,
-    centerPeakHeight,
+    finalTerrainY,
     terrainMaterial,
+    terrainSplat,
+    colliderArgs,
     lodMaterials,
     showLODColors,
     enableLOD,
@@ -738,6 +947,9 @@ const ZeldaTerrain2: React.FC<{
     lodSegment1,
     lodSegment2,
     lodSegment3,
+    lodSkirtDepth,
+    lodMorphTime,
+    createTileGeometry,
     physicsGeometry,
   ]);
 
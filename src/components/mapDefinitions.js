@@ -15,143 +15,97 @@ import { Map18 } from "./Map18";
 import { Map19 } from "./Map19";
 import { Map20 } from "./Map20";
 import { Map21 } from "./Map21";
+import rawMapManifest from "./mapManifest.json";
+import { getMapDisplayName, validateMapManifest } from "../utils/mapManifest";
+import { getRegisteredHeightmapTexture } from "../utils/terrainUtils";
 
-const createDefaultProps = () => ({
+// Components the manifest can reference by name. Adding, renaming or
+// reordering maps happens in mapManifest.json; only brand new map
+// components need to be registered here.
+export const mapComponents = {
+  Map1,
+  Map2,
+  Map3,
+  Map4,
+  Map5,
+  Map6,
+  Map7,
+  Map8,
+  Map9,
+  Map12,
+  Map15,
+  Map16,
+  Map17,
+  Map18,
+  Map19,
+  Map20,
+  Map21,
+};
+
+// Below every terrain we ship, including the procedural ones' water basins
+const DEFAULT_KILL_PLANE_Y = -100;
+
+const createDefaultProps = (props) => () => ({
   scale: 1,
   position: [0, 0, 0],
+  ...structuredClone(props ?? {}),
 });
 
-const createStaticSpawn = (position) => () => [...position];
-
-export const mapDefinitions = {
-  map1: {
-    component: Map1,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    passCharacterData: true,
-  },
-  map2: {
-    component: Map2,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-  },
-  map3: {
-    component: Map3,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: ({ getTerrainHeightFromTexture }) => {
-      const characterHeight = getTerrainHeightFromTexture(
-        0,
-        0,
-        null,
-        4000,
-        200,
-        0
+const createSpawnResolver = (spawn) => {
+  if (spawn.type === "heightmap") {
+    const options = {
+      normalize: spawn.normalize,
+      centerPeakRadius: spawn.centerPeakRadius,
+      mirrorZ: spawn.mirrorZ,
+    };
+    return ({ getTerrainHeightFromTexture }) => {
+      // Registered by the terrain component once the texture has loaded
+      const texture = spawn.texture
+        ? getRegisteredHeightmapTexture(spawn.texture)
+        : null;
+      const terrainHeight = getTerrainHeightFromTexture(
+        spawn.x,
+        spawn.z,
+        texture,
+        spawn.size,
+        spawn.heightScale,
+        spawn.terrainOffset ?? 0,
+        options
       );
-      return [0, characterHeight + 2, 0];
-    },
-    passCharacterData: true,
-  },
-  map4: {
-    component: Map4,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-  },
-  map5: {
-    component: Map5,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-  },
-  map6: {
-    component: Map6,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 5, 0]),
-    passCharacterData: true,
-  },
-  map7: {
-    component: Map7,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 5, 0]),
-  },
-  map8: {
-    component: Map8,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 50, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-  },
-  map9: {
-    component: Map9,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 50, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-    directionalOverride: [-15, 80, 15],
-  },
-  map12: {
-    component: Map12,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 50, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-  },
-  map15: {
-    component: Map15,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    requiresTerrainReadyCallback: true,
-  },
-  map16: {
-    component: Map16,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    requiresTerrainReadyCallback: true,
-    supportsTeleport: true,
-  },
-  map17: {
-    component: Map17,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    requiresTerrainReadyCallback: true,
-    supportsTeleport: true,
-  },
-  map18: {
-    component: Map18,
-    getDefaultProps: () => ({
-      scale: 1,
-      position: [0, 0, 0], // 2.5D: Terrain centered, character at front edge, background uses rest of depth
-    }),
-    getCharacterSpawn: createStaticSpawn([0, 2, -80]), // 2.5D: Character at front edge of terrain (200x200 plane: -100 to +100, so -100 is front edge closest to camera)
-    passCharacterData: true,
-  },
-  map19: {
-    component: Map19,
-    getDefaultProps: () => ({
-      scale: 1,
-      position: [0, 0, 0], // 2.5D: Terrain centered, character at front edge, background uses rest of depth
-    }),
-    getCharacterSpawn: createStaticSpawn([80, 2, -80]), // 2.5D: Character at front edge of terrain (200x200 plane: -100 to +100, so -100 is front edge closest to camera)
-    passCharacterData: true,
-  },
-  map20: {
-    component: Map20,
-    getDefaultProps: () => ({
-      scale: 1,
-      position: [0, 0, 0], // 2.5D: Terrain centered, character at front edge, background uses rest of depth
-    }),
-    getCharacterSpawn: createStaticSpawn([80, 2, -80]), // 2.5D: Character at front edge of terrain (200x200 plane: -100 to +100, so -100 is front edge closest to camera)
-    passCharacterData: true,
-  },
-  map21: {
-    component: Map21,
-    getDefaultProps: () => ({
-      scale: 1,
-      position: [0, 0, 0], // 2.5D: Terrain centered, character at front edge, background uses rest of depth
-    }),
-    getCharacterSpawn: createStaticSpawn([80, 2, -80]), // 2.5D: Character at front edge of terrain (200x200 plane: -100 to +100, so -100 is front edge closest to camera)
-    passCharacterData: true,
-  },
+      return [spawn.x, terrainHeight + (spawn.heightOffset ?? 2), spawn.z];
+    };
+  }
+
+  return () => [...spawn.position];
 };
 
-export const mapOrder = Object.keys(mapDefinitions);
+export const mapManifest = validateMapManifest(
+  rawMapManifest,
+  Object.keys(mapComponents)
+);
+
+/** @type {Record<string, import("../types/mapManifest").MapDefinition>} */
+export const mapDefinitions = Object.fromEntries(
+  mapManifest.maps.map((entry) => [
+    entry.id,
+    {
+      component: mapComponents[entry.component],
+      displayName: getMapDisplayName(entry),
+      getDefaultProps: createDefaultProps(entry.props),
+      getCharacterSpawn: createSpawnResolver(entry.spawn),
+      passCharacterData: entry.passCharacterData ?? false,
+      requiresTerrainReadyCallback: entry.requiresTerrainReadyCallback ?? false,
+      supportsTeleport: entry.supportsTeleport ?? false,
+      hasParkourLevel: entry.hasParkourLevel ?? false,
+      directionalOverride: entry.directionalOverride,
+      killPlaneY: entry.killPlaneY ?? DEFAULT_KILL_PLANE_Y,
+      water: entry.water
+        ? { level: entry.water.level, bounds: entry.water.bounds ?? null }
+        : null,
+    },
+  ])
+);
+
+export const mapOrder = mapManifest.maps.map((entry) => entry.id);
+
+export const defaultMapKey = mapManifest.defaultMap ?? mapOrder[0];
@@ -1,18 +1,25 @@
 import { useMemo } from "react";
-import { mapDefinitions, mapOrder } from "./mapDefinitions";
+import { defaultMapKey, mapDefinitions, mapOrder } from "./mapDefinitions";
 import { getTerrainHeightFromTexture } from "../utils/terrainUtils";
 import * as THREE from "three";
-
-const fallbackMapKey = "map16";
+import type { WaterBody } from "../types/water";
 
 interface ActiveMapResult {
   mapKey: string;
+  displayName: string;
   mapComponent: any;
   mapProps: Record<string, unknown>;
   spawnPosition: [number, number, number];
+  /** Spawn recomputed now, e.g. once a heightmap terrain has loaded */
+  resolveSpawnPosition: () => [number, number, number];
   requiresTerrainReadyCallback: boolean;
   supportsTeleport: boolean;
+  /** The level editor only works on maps with a ParkourLevel */
+  hasParkourLevel: boolean;
   directionalOverride?: [number, number, number];
+  killPlaneY: number;
+  /** The map's own water (lakes inside map components come on top) */
+  water: WaterBody | null;
 }
 
 export const useActiveMap = (
@@ -30,8 +37,14 @@ export const useActiveMap = (
   }
 ): ActiveMapResult => {
   return useMemo(() => {
-    const activeDefinition =
-      mapDefinitions[mapKey] ?? mapDefinitions[fallbackMapKey];
+    const activeDefinition = mapDefinitions[mapKey];
+    if (!activeDefinition) {
+      throw new Error(
+        `useActiveMap: unknown map "${mapKey}" (manifest maps: ${mapOrder.join(
+          ", "
+        )})`
+      );
+    }
     const mapComponent = activeDefinition.component;
     const baseProps = activeDefinition.getDefaultProps();
 
@@ -61,21 +74,28 @@ export const useActiveMap = (
       );
     }
 
-    const spawnPosition = activeDefinition.getCharacterSpawn
-      ? activeDefinition.getCharacterSpawn({
-          getTerrainHeightFromTexture,
-        })
-      : [0, 2, 0];
+    const resolveSpawnPosition = (): [number, number, number] =>
+      activeDefinition.getCharacterSpawn
+        ? activeDefinition.getCharacterSpawn({
+            getTerrainHeightFromTexture,
+          })
+        : [0, 2, 0];
+    const spawnPosition = resolveSpawnPosition();
 
     return {
       mapKey,
+      displayName: activeDefinition.displayName,
       mapComponent,
       mapProps,
       spawnPosition,
+      resolveSpawnPosition,
       requiresTerrainReadyCallback:
         activeDefinition.requiresTerrainReadyCallback ?? false,
       supportsTeleport: activeDefinition.supportsTeleport ?? false,
+      hasParkourLevel: activeDefinition.hasParkourLevel,
       directionalOverride: activeDefinition.directionalOverride,
+      killPlaneY: activeDefinition.killPlaneY,
+      water: activeDefinition.water,
     };
   }, [
     mapKey,
@@ -86,4 +106,4 @@ export const useActiveMap = (
   ]);
 };
 
-export const getDefaultMapKey = () => mapOrder[0] ?? fallbackMapKey;
+export const getDefaultMapKey = () => defaultMapKey;
@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useFrame } from "@react-three/fiber";
+
+export const RESPAWN_FADE_MS = 350;
+
+// Where the respawn teleport points the camera, relative to the spawn point
+const RESPAWN_LOOK_AT_HEIGHT = 1.5;
+
+const REQUEST_ID_PREFIX = "respawn-";
+
+/**
+ * @typedef {Object} UseRespawnOptions
+ * @property {boolean} enabled - Only watch the kill plane while the character is live
+ * @property {number} killPlaneY - Height below which the character respawns
+ * @property {import("three").Vector3} characterPosition - Updated every frame by the character
+ * @property {() => [number, number, number]} getRespawnPosition - Last checkpoint or map spawn
+ * @property {(request: import("../types/teleportation").TeleportationRequest) => void} onTeleportRequest
+ * @property {string} resetKey - Changes when physics remounts, cancelling a respawn in flight
+ */
+
+/**
+ * Kill plane and respawn flow: once the character drops below the map's kill
+ * plane the screen fades out, a TeleportationRequest moves the character to
+ * the respawn point, and the screen fades back in when the character reports
+ * the teleport as handled.
+ * @param {UseRespawnOptions} options
+ * @returns {{ fading: boolean, handleTeleportHandled: (id: string) => void }}
+ */
+export const useRespawn = ({
+  enabled,
+  killPlaneY,
+  characterPosition,
+  getRespawnPosition,
+  onTeleportRequest,
+  resetKey,
+}) => {
+  const [fading, setFading] = useState(false);
+  const respawningRef = useRef(false);
+  const timeoutRef = useRef(null);
+  const getRespawnPositionRef = useRef(getRespawnPosition);
+  getRespawnPositionRef.current = getRespawnPosition;
+
+  useEffect(() => {
+    respawningRef.current = false;
+    setFading(false);
+
+    return () => {
+      if (timeoutRef.current !== null) {
+        window.clearTimeout(timeoutRef.current);
+        timeoutRef.current = null;
+      }
+    };
+  }, [resetKey]);
+
+  useFrame(({ camera }) => {
+    if (!enabled || respawningRef.current) return;
+    if (characterPosition.y >= killPlaneY) return;
+
+    respawningRef.current = true;
+    setFading(true);
+
+    // Keep the current framing; the camera catches up after the teleport hold
+    const cameraOffset = camera.position.clone().sub(characterPosition);
+
+    timeoutRef.current = window.setTimeout(() => {
+      timeoutRef.current = null;
+      const [x, y, z] = getRespawnPositionRef.current();
+
+      onTeleportRequest({
+        id: `${REQUEST_ID_PREFIX}${Date.now()}`,
+        sourceId: "kill-plane",
+        targetId: "respawn",
+        targetPosition: [x, y, z],
+        spawnPosition: [x, y, z],
+        cameraPosition: [
+          x + cameraOffset.x,
+          y + cameraOffset.y,
+          z + cameraOffset.z,
+        ],
+        lookAtPosition: [x, y + RESPAWN_LOOK_AT_HEIGHT, z],
+        delayMs: 0,
+      });
+    }, RESPAWN_FADE_MS);
+  });
+
+  const handleTeleportHandled = useCallback((id) => {
+    if (!id.startsWith(REQUEST_ID_PREFIX)) return;
+    respawningRef.current = false;
+    setFading(false);
+  }, []);
+
+  return { fading, handleTeleportHandled };
+};
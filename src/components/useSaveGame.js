@@ -0,0 +1,183 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { button, useControls } from "leva";
+import { mapDefinitions } from "./mapDefinitions";
+import { mapStateRegistry } from "../utils/mapStateRegistry";
+import {
+  AUTOSAVE_SLOT,
+  SAVE_GAME_VERSION,
+  deleteSaveGame,
+  listSaveSlots,
+  readSaveGame,
+  writeSaveGame,
+} from "../utils/saveGame";
+
+/**
+ * @typedef {import("../types/saveGame").SaveGame} SaveGame
+ * @typedef {import("../types/saveGame").CheckpointState} CheckpointState
+ */
+
+/**
+ * @typedef {Object} UseSaveGameOptions
+ * @property {string} map - Active map key
+ * @property {(map: string) => void} setMap - Switches the Leva map selection
+ * @property {{ current: import("./GodotCharacterHybrid").GodotCharacterHandle | null }} characterRef
+ */
+
+/**
+ * Save/load for the Experience: a Leva panel with named localStorage slots
+ * and autosaves from checkpoints. Loading remounts the map (see physicsKey);
+ * the save's character state is handed out as `restore` until the next
+ * remount, and per-map state goes through the map state registry.
+ * @param {UseSaveGameOptions} options
+ */
+export const useSaveGame = ({ map, setMap, characterRef }) => {
+  const [session, setSession] = useState(0);
+  const [pendingSave, setPendingSave] = useState(null);
+  const [checkpoint, setCheckpoint] = useState(null);
+  const mapRef = useRef(map);
+  const checkpointRef = useRef(checkpoint);
+  mapRef.current = map;
+  checkpointRef.current = checkpoint;
+
+  const physicsKey = `${map}:${session}`;
+  const restore = pendingSave && pendingSave.map === map ? pendingSave : null;
+
+  /**
+   * @param {string} slot
+   * @param {Partial<SaveGame["character"]>} [characterOverrides]
+   * @returns {boolean}
+   */
+  const saveToSlot = useCallback(
+    (slot, characterOverrides) => {
+      const character = characterRef.current?.getSaveState();
+      if (!character) {
+        console.warn("SaveGame: character has not spawned yet, nothing saved");
+        return false;
+      }
+
+      /** @type {SaveGame} */
+      const save = {
+        version: SAVE_GAME_VERSION,
+        slot,
+        savedAt: new Date().toISOString(),
+        map: mapRef.current,
+        character: { ...character, ...characterOverrides },
+        checkpoint: checkpointRef.current,
+        mapState: mapStateRegistry.collect(),
+      };
+
+      const saved = writeSaveGame(save);
+      if (saved) {
+        console.log(`💾 Saved "${slot}" on ${save.map}`);
+      }
+      return saved;
+    },
+    [characterRef]
+  );
+
+  const loadFromSlot = useCallback(
+    (slot) => {
+      /** @type {SaveGame | null} */
+      let save;
+      try {
+        save = readSaveGame(slot);
+      } catch (error) {
+        console.error(error);
+        return;
+      }
+
+      if (!save) {
+        console.warn(
+          `SaveGame: slot "${slot}" is empty (saved slots: ${
+            listSaveSlots().join(", ") || "none"
+          })`
+        );
+        return;
+      }
+      if (!mapDefinitions[save.map]) {
+        console.error(
+          `SaveGame: slot "${slot}" uses unknown map "${save.map}"`
+        );
+        return;
+      }
+
+      mapStateRegistry.restore(save.mapState);
+      setCheckpoint(save.checkpoint);
+      setPendingSave(save);
+      // A different map remounts on its own; the same map needs a new session
+      if (save.map === mapRef.current) {
+        setSession((current) => current + 1);
+      } else {
+        setMap(save.map);
+      }
+      console.log(`📂 Loaded "${slot}" (${save.map}, ${save.savedAt})`);
+    },
+    [setMap]
+  );
+
+  // A remount that isn't a load (map picked by hand) starts the map fresh
+  const prevPhysicsKeyRef = useRef(physicsKey);
+  useEffect(() => {
+    if (prevPhysicsKeyRef.current === physicsKey) return;
+    prevPhysicsKeyRef.current = physicsKey;
+
+    if (!restore) {
+      setPendingSave(null);
+      setCheckpoint(null);
+      mapStateRegistry.clearPending();
+    }
+  }, [physicsKey, restore]);
+
+  /**
+   * @param {CheckpointState} reached
+   */
+  const handleCheckpoint = useCallback(
+    (reached) => {
+      checkpointRef.current = reached;
+      setCheckpoint(reached);
+      // Resume standing at the checkpoint rather than mid-stride
+      saveToSlot(AUTOSAVE_SLOT, {
+        position: reached.spawnPosition,
+        velocity: [0, 0, 0],
+      });
+    },
+    [saveToSlot]
+  );
+
+  // Leva buttons keep the first closure they get, so route them through a ref
+  const actionsRef = useRef({});
+
+  const { slot } = useControls("💾 SAVE GAME", {
+    slot: { value: "slot-1", label: "Slot" },
+    "💾 Save": button(() => actionsRef.current.save()),
+    "📂 Load": button(() => actionsRef.current.load()),
+    "🗑️ Delete": button(() => actionsRef.current.remove()),
+    "🏁 Load last checkpoint": button(() =>
+      actionsRef.current.loadCheckpoint()
+    ),
+    "📋 List slots": button(() => actionsRef.current.list()),
+  });
+
+  actionsRef.current = {
+    save: () => saveToSlot(slot),
+    load: () => loadFromSlot(slot),
+    remove: () => {
+      try {
+        deleteSaveGame(slot);
+      } catch (error) {
+        console.warn(error);
+        return;
+      }
+      console.log(`🗑️ Deleted "${slot}"`);
+    },
+    loadCheckpoint: () => loadFromSlot(AUTOSAVE_SLOT),
+    list: () => console.log("💾 Saved slots:", listSaveSlots()),
+  };
+
+  return {
+    physicsKey,
+    restore,
+    checkpoint,
+    handleCheckpoint,
+  };
+};
@@ -0,0 +1,44 @@
+import { useMemo } from "react";
+import { useControls } from "leva";
+import {
+  DEFAULT_BIOME_SETTINGS,
+  type BiomeSettings,
+} from "../utils/terrainBiomes";
+
+/**
+ * Leva controls for useTerrainBiomes
+ * @returns Settings for useTerrainBiomes, null while biomes are switched off
+ */
+export const useTerrainBiomeControls = (
+  enabled: boolean = true
+): BiomeSettings | null => {
+  const { biomesEnabled, biomeScale, biomeBlend } = useControls(
+    "🌍 BIOMES",
+    {
+      biomesEnabled: {
+        value: enabled,
+        label: "🌍 Biomes (temperature/moisture)",
+      },
+      biomeScale: {
+        value: DEFAULT_BIOME_SETTINGS.scale,
+        min: 200,
+        max: 5000,
+        step: 100,
+        label: "📏 Region Size (world units)",
+      },
+      biomeBlend: {
+        value: DEFAULT_BIOME_SETTINGS.blend,
+        min: 0.02,
+        max: 0.4,
+        step: 0.01,
+        label: "🌫️ Transition Softness",
+      },
+    },
+    { collapsed: true }
+  );
+
+  return useMemo(
+    () => (biomesEnabled ? { scale: biomeScale, blend: biomeBlend } : null),
+    [biomesEnabled, biomeScale, biomeBlend]
+  );
+};
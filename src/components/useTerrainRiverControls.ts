@@ -0,0 +1,69 @@
+import { useMemo } from "react";
+import { useControls } from "leva";
+import {
+  DEFAULT_RIVER_SETTINGS,
+  type RiverSettings,
+} from "../utils/terrainRivers";
+
+/**
+ * Leva controls for useTerrainRivers
+ * @returns Settings for useTerrainRivers, null while rivers are switched off
+ */
+export const useTerrainRiverControls = (
+  seed: number,
+  enabled: boolean = true
+): RiverSettings | null => {
+  const { riversEnabled, riverCount, riverWidth, riverDepth, riverMinLength } =
+    useControls(
+      "🏞️ RIVERS",
+      {
+        riversEnabled: {
+          value: enabled,
+          label: "🏞️ Carve Rivers",
+        },
+        riverCount: {
+          value: DEFAULT_RIVER_SETTINGS.count,
+          min: 0,
+          max: 12,
+          step: 1,
+          label: "🔢 River Count",
+        },
+        riverWidth: {
+          value: DEFAULT_RIVER_SETTINGS.width,
+          min: 4,
+          max: 60,
+          step: 1,
+          label: "↔️ Width at Mouth",
+        },
+        riverDepth: {
+          value: DEFAULT_RIVER_SETTINGS.depth,
+          min: 1,
+          max: 15,
+          step: 0.5,
+          label: "⬇️ Depth at Mouth",
+        },
+        riverMinLength: {
+          value: DEFAULT_RIVER_SETTINGS.minLength,
+          min: 50,
+          max: 2000,
+          step: 50,
+          label: "📏 Min Length",
+        },
+      },
+      { collapsed: true }
+    );
+
+  return useMemo(
+    () =>
+      riversEnabled
+        ? {
+            count: riverCount,
+            width: riverWidth,
+            depth: riverDepth,
+            minLength: riverMinLength,
+            seed,
+          }
+        : null,
+    [riversEnabled, riverCount, riverWidth, riverDepth, riverMinLength, seed]
+  );
+};
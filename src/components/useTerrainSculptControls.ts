@@ -0,0 +1,66 @@
+import { useRef } from "react";
+import { button, useControls } from "leva";
+import { HEIGHT_BRUSHES, type HeightBrush } from "../utils/terrainSculpt";
+import { SPLAT_LAYERS, type SplatLayer } from "../utils/terrainSplatMap";
+
+export type SculptBrush = HeightBrush | "paint";
+
+/**
+ * Leva controls for useTerrainSculpt
+ * @param onExport - Called by the export button
+ */
+export const useTerrainSculptControls = (onExport: () => void) => {
+  // Leva buttons keep the first closure they get, so route through a ref
+  const onExportRef = useRef(onExport);
+  onExportRef.current = onExport;
+
+  const {
+    sculptEnabled,
+    sculptBrush,
+    sculptRadius,
+    sculptStrength,
+    sculptPaintLayer,
+  } = useControls(
+    "🖌️ TERRAIN EDIT",
+    {
+      sculptEnabled: {
+        value: false,
+        label: "🖌️ Edit Mode (drag terrain, Alt to orbit)",
+      },
+      sculptBrush: {
+        value: "raise" as SculptBrush,
+        options: [...HEIGHT_BRUSHES, "paint"] as SculptBrush[],
+        label: "🛠️ Brush",
+      },
+      sculptRadius: {
+        value: 20,
+        min: 1,
+        max: 200,
+        step: 1,
+        label: "⭕ Brush Radius",
+      },
+      sculptStrength: {
+        value: 0.5,
+        min: 0.05,
+        max: 1,
+        step: 0.05,
+        label: "💪 Brush Strength",
+      },
+      sculptPaintLayer: {
+        value: "rock" as SplatLayer,
+        options: [...SPLAT_LAYERS] as SplatLayer[],
+        label: "🎨 Paint Layer",
+      },
+      "💾 Export 16-bit PNG": button(() => onExportRef.current()),
+    },
+    { collapsed: true }
+  );
+
+  return {
+    sculptEnabled,
+    brush: sculptBrush,
+    radius: sculptRadius,
+    strength: sculptStrength,
+    paintLayer: sculptPaintLayer,
+  };
+};
@@ -0,0 +1,91 @@
+import { useMemo } from "react";
+import { useControls } from "leva";
+import { DEFAULT_SPLAT_RULES, type SplatRules } from "../utils/terrainSplatMap";
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Leva controls for useTerrainSplatMaterial
+ * @param snowHeight - Default snow line for the terrain's height range
+ * @param enabled - Whether the layers start switched on
+ */
+export const useTerrainSplatControls = (
+  snowHeight: number,
+  enabled: boolean = true
+) => {
+  const {
+    splatEnabled,
+    splatTextureScale,
+    splatTriplanarSharpness,
+    splatRockSlope,
+    splatDirtSlope,
+    splatSnowHeight,
+    splatSnowColor,
+  } = useControls(
+    "🗺️ TERRAIN LAYERS",
+    {
+      splatEnabled: {
+        value: enabled,
+        label: "🗺️ Splat Map Layers (grass/rock/dirt/snow)",
+      },
+      splatTextureScale: {
+        value: 20,
+        min: 2,
+        max: 100,
+        step: 1,
+        label: "🖼️ Texture Size (world units)",
+      },
+      splatTriplanarSharpness: {
+        value: 4,
+        min: 1,
+        max: 16,
+        step: 0.5,
+        label: "🧊 Triplanar Sharpness",
+      },
+      splatRockSlope: {
+        value: Math.round(DEFAULT_SPLAT_RULES.rockSlope / DEG_TO_RAD),
+        min: 10,
+        max: 80,
+        step: 1,
+        label: "🪨 Rock Slope (°)",
+      },
+      splatDirtSlope: {
+        value: Math.round(DEFAULT_SPLAT_RULES.dirtSlope / DEG_TO_RAD),
+        min: 5,
+        max: 70,
+        step: 1,
+        label: "🟫 Dirt Slope (°)",
+      },
+      splatSnowHeight: {
+        value: snowHeight,
+        min: -100,
+        max: 400,
+        step: 1,
+        label: "❄️ Snow Line Height",
+      },
+      splatSnowColor: {
+        value: "#f2f5f8",
+        label: "❄️ Snow Color",
+      },
+    },
+    { collapsed: true }
+  );
+
+  const rules = useMemo<SplatRules>(
+    () => ({
+      ...DEFAULT_SPLAT_RULES,
+      rockSlope: splatRockSlope * DEG_TO_RAD,
+      dirtSlope: splatDirtSlope * DEG_TO_RAD,
+      snowHeight: splatSnowHeight,
+    }),
+    [splatRockSlope, splatDirtSlope, splatSnowHeight]
+  );
+
+  return {
+    splatEnabled,
+    rules,
+    textureScale: splatTextureScale,
+    triplanarSharpness: splatTriplanarSharpness,
+    snowColor: splatSnowColor,
+  };
+};
@@ -0,0 +1,61 @@
+import { useControls } from "leva";
+
+export const useWaterControls = () => {
+  return useControls(
+    "🌊 WATER",
+    {
+      waterEnabled: { value: true, label: "🌊 Show Map Water" },
+      waterReflections: { value: true, label: "🪞 Reflections" },
+      waterResolution: {
+        value: 0.5,
+        min: 0.25,
+        max: 1,
+        step: 0.05,
+        label: "📐 Reflection/Refraction Resolution",
+      },
+      waterSkyColor: {
+        value: "#9cc3e6",
+        label: "🌤️ Sky Color (no reflections)",
+      },
+      waterShallowColor: { value: "#c9f0e8", label: "🎨 Shallow Tint" },
+      waterDeepColor: { value: "#0d3b4f", label: "🎨 Deep Color" },
+      waterFoamColor: { value: "#f2f7f7", label: "🫧 Foam Color" },
+      waterClarity: {
+        value: 0.25,
+        min: 0.01,
+        max: 2,
+        step: 0.01,
+        label: "💧 Murkiness (absorption per unit)",
+      },
+      waterFoamWidth: {
+        value: 0.6,
+        min: 0,
+        max: 3,
+        step: 0.05,
+        label: "🫧 Shore Foam Depth",
+      },
+      waterWaveStrength: {
+        value: 0.35,
+        min: 0,
+        max: 1.5,
+        step: 0.05,
+        label: "〰️ Wave Strength",
+      },
+      waterWaveScale: {
+        value: 1,
+        min: 0.1,
+        max: 4,
+        step: 0.1,
+        label: "〰️ Wave Scale",
+      },
+      waterWaveSpeed: {
+        value: 1,
+        min: 0,
+        max: 4,
+        step: 0.1,
+        label: "⏩ Wave Speed",
+      },
+    },
+    { collapsed: true }
+  );
+};
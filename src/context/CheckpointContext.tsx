@@ -0,0 +1,43 @@
+import React, {
+  createContext,
+  useContext,
+  useMemo,
+  type ReactNode,
+} from "react";
+import type { CheckpointState } from "../types/saveGame";
+
+type CheckpointContextValue = {
+  activeCheckpointId: string | null;
+  reachCheckpoint: (checkpoint: CheckpointState) => void;
+};
+
+const CheckpointContext = createContext<CheckpointContextValue | null>(null);
+
+export const CheckpointProvider = ({
+  activeCheckpointId,
+  onCheckpoint,
+  children,
+}: {
+  activeCheckpointId: string | null;
+  onCheckpoint: (checkpoint: CheckpointState) => void;
+  children: ReactNode;
+}) => {
+  const value = useMemo(
+    () => ({ activeCheckpointId, reachCheckpoint: onCheckpoint }),
+    [activeCheckpointId, onCheckpoint]
+  );
+
+  return (
+    <CheckpointContext.Provider value={value}>
+      {children}
+    </CheckpointContext.Provider>
+  );
+};
+
+export const useCheckpoints = () => {
+  const context = useContext(CheckpointContext);
+  if (!context) {
+    throw new Error("useCheckpoints must be used within a CheckpointProvider");
+  }
+  return context;
+};
@@ -0,0 +1,67 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useRef,
+  type ReactNode,
+} from "react";
+import type { Ladder } from "../types/climbing";
+
+type ClimbingContextValue = {
+  /** Ladder whose volume the character is in, null when in none */
+  getLadder: () => Ladder | null;
+  enterLadder: (ladder: Ladder) => void;
+  exitLadder: (ladder: Ladder) => void;
+};
+
+const ClimbingContext = createContext<ClimbingContextValue | null>(null);
+
+/**
+ * Ladder volumes the character is standing in. Ladders report their trigger
+ * volume's enter and exit events; the character polls every frame, so this
+ * never re-renders consumers.
+ */
+export const ClimbingProvider = ({ children }: { children: ReactNode }) => {
+  // In entering order: overlapping volumes hand over to the newest
+  const laddersRef = useRef<Ladder[]>([]);
+
+  const exitLadder = useCallback((ladder: Ladder) => {
+    laddersRef.current = laddersRef.current.filter((entry) => entry !== ladder);
+  }, []);
+
+  const enterLadder = useCallback((ladder: Ladder) => {
+    laddersRef.current = [
+      ...laddersRef.current.filter((entry) => entry !== ladder),
+      ladder,
+    ];
+  }, []);
+
+  const getLadder = useCallback(
+    () => laddersRef.current[laddersRef.current.length - 1] ?? null,
+    []
+  );
+
+  const value = useMemo(
+    () => ({
+      getLadder,
+      enterLadder,
+      exitLadder,
+    }),
+    [getLadder, enterLadder, exitLadder]
+  );
+
+  return (
+    <ClimbingContext.Provider value={value}>
+      {children}
+    </ClimbingContext.Provider>
+  );
+};
+
+export const useClimbing = () => {
+  const context = useContext(ClimbingContext);
+  if (!context) {
+    throw new Error("useClimbing must be used within a ClimbingProvider");
+  }
+  return context;
+};
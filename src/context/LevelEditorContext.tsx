@@ -0,0 +1,36 @@
+import React, {
+  createContext,
+  useContext,
+  useMemo,
+  type ReactNode,
+} from "react";
+
+type LevelEditorContextValue = {
+  enabled: boolean;
+};
+
+const LevelEditorContext = createContext<LevelEditorContextValue | null>(null);
+
+export const LevelEditorProvider = ({
+  enabled,
+  children,
+}: {
+  enabled: boolean;
+  children: ReactNode;
+}) => {
+  const value = useMemo(() => ({ enabled }), [enabled]);
+
+  return (
+    <LevelEditorContext.Provider value={value}>
+      {children}
+    </LevelEditorContext.Provider>
+  );
+};
+
+export const useLevelEditor = () => {
+  const context = useContext(LevelEditorContext);
+  if (!context) {
+    throw new Error("useLevelEditor must be used within a LevelEditorProvider");
+  }
+  return context;
+};
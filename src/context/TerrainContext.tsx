@@ -0,0 +1,49 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useState,
+  type ReactNode,
+} from "react";
+import type { TerrainQuery } from "../types/terrain";
+
+type TerrainContextValue = {
+  /** The active map's terrain, null until it has registered */
+  terrain: TerrainQuery | null;
+  /** @returns Unregister function */
+  registerTerrain: (terrain: TerrainQuery) => () => void;
+};
+
+const TerrainContext = createContext<TerrainContextValue | null>(null);
+
+export const TerrainProvider = ({ children }: { children: ReactNode }) => {
+  const [terrain, setTerrain] = useState<TerrainQuery | null>(null);
+
+  const registerTerrain = useCallback((next: TerrainQuery) => {
+    setTerrain(next);
+    return () => {
+      setTerrain((current) => (current === next ? null : current));
+    };
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      terrain,
+      registerTerrain,
+    }),
+    [terrain, registerTerrain]
+  );
+
+  return (
+    <TerrainContext.Provider value={value}>{children}</TerrainContext.Provider>
+  );
+};
+
+export const useTerrain = () => {
+  const context = useContext(TerrainContext);
+  if (!context) {
+    throw new Error("useTerrain must be used within a TerrainProvider");
+  }
+  return context;
+};
@@ -0,0 +1,59 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useRef,
+  type ReactNode,
+} from "react";
+import type { WaterBody } from "../types/water";
+import { getWaterLevelAt } from "../utils/water";
+
+type WaterContextValue = {
+  /** Surface height at a world position, null where there's no water */
+  getWaterLevel: (x: number, z: number) => number | null;
+  /** @returns Unregister function */
+  registerWater: (body: WaterBody) => () => void;
+};
+
+const WaterContext = createContext<WaterContextValue | null>(null);
+
+/**
+ * Water bodies of the active map. Queried every frame (character, buoyancy),
+ * so registering doesn't re-render consumers.
+ */
+export const WaterProvider = ({ children }: { children: ReactNode }) => {
+  const bodiesRef = useRef(new Set<WaterBody>());
+
+  const registerWater = useCallback((body: WaterBody) => {
+    bodiesRef.current.add(body);
+    return () => {
+      bodiesRef.current.delete(body);
+    };
+  }, []);
+
+  const getWaterLevel = useCallback(
+    (x: number, z: number) => getWaterLevelAt(bodiesRef.current, x, z),
+    []
+  );
+
+  const value = useMemo(
+    () => ({
+      getWaterLevel,
+      registerWater,
+    }),
+    [getWaterLevel, registerWater]
+  );
+
+  return (
+    <WaterContext.Provider value={value}>{children}</WaterContext.Provider>
+  );
+};
+
+export const useWater = () => {
+  const context = useContext(WaterContext);
+  if (!context) {
+    throw new Error("useWater must be used within a WaterProvider");
+  }
+  return context;
+};
@@ -17,9 +17,21 @@ export const useBVHRegistration = (
   useEffect(() => {
     if (!enabled) return;
 
+    // Drop meshes that left the list (e.g. a primitive was deleted)
+    registeredRef.current.forEach((mesh) => {
+      if (!meshes.includes(mesh)) {
+        bvhManager.removeBVH(mesh);
+        registeredRef.current.delete(mesh);
+      }
+    });
+
     // Build BVH for all valid meshes
     meshes.forEach((mesh) => {
-      if (mesh && mesh instanceof THREE.Mesh && !registeredRef.current.has(mesh)) {
+      if (
+        mesh &&
+        mesh instanceof THREE.Mesh &&
+        !registeredRef.current.has(mesh)
+      ) {
         const bvhMesh = bvhManager.buildBVH(mesh);
         if (bvhMesh) {
           registeredRef.current.add(mesh);
@@ -34,15 +46,17 @@ export const useBVHRegistration = (
 
     return () => {
       clearInterval(interval);
-      // Cleanup: remove BVH for meshes that are no longer in the list
-      registeredRef.current.forEach((mesh) => {
-        if (!meshes.includes(mesh)) {
-          bvhManager.removeBVH(mesh);
-          registeredRef.current.delete(mesh);
-        }
-      });
     };
   }, [meshes, enabled, scene]);
+
+  // Cleanup: remove every registered BVH when the owner unmounts
+  useEffect(() => {
+    const registered = registeredRef.current;
+    return () => {
+      registered.forEach((mesh) => bvhManager.removeBVH(mesh));
+      registered.clear();
+    };
+  }, []);
 };
 
 /**
@@ -54,4 +68,3 @@ export const useBVHSingleMesh = (
 ) => {
   useBVHRegistration([mesh], enabled);
 };
-
@@ -0,0 +1,124 @@
+import { useEffect, useLayoutEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import {
+  addGridSkirts,
+  createLodEdgeLines,
+  getGridHeights,
+  resampleGrid,
+  setGridHeights,
+  stitchGridEdges,
+  type LodTileEdges,
+} from "../utils/terrainLod";
+
+// Debug edge lines float this far (world units) above the surface
+const EDGE_LINE_LIFT = 0.5;
+
+export type LodTileOptions = {
+  /** World units the skirt hangs below the tile border */
+  skirtDepth: number;
+  /** Seconds to blend from the previous surface; 0 switches instantly */
+  morphTime: number;
+  /** What the tile covers; a new key starts without a morph */
+  tileKey?: string;
+  /** Per-edge debug lines are only built with this */
+  getEdgeColor?: ((edgeSegments: number) => THREE.ColorRepresentation) | null;
+  /** Called once the tile's heights stop changing (e.g. to refit a BVH) */
+  onSettled?: () => void;
+};
+
+/**
+ * Hook to draw a terrain tile's grid geometry next to tiles at other LODs
+ * Returns a skirted copy of baseGeometry with its edges stitched to coarser
+ * neighbours. Whenever the segments or stitching change, the tile morphs
+ * from the surface it showed before (see terrainLod).
+ * @param baseGeometry - Indexed (segments + 1)² grid, heights on local Z
+ * @returns The geometry to render, plus border lines when getEdgeColor is set
+ */
+export const useLodTileGeometry = (
+  baseGeometry: THREE.BufferGeometry,
+  segments: number,
+  edges: LodTileEdges,
+  { skirtDepth, morphTime, tileKey, getEdgeColor, onSettled }: LodTileOptions
+) => {
+  const geometry = useMemo(
+    () => addGridSkirts(baseGeometry, segments),
+    [baseGeometry, segments]
+  );
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const targetHeights = useMemo(
+    () =>
+      stitchGridEdges(getGridHeights(baseGeometry, segments), segments, edges),
+    // Edges are compared by value, callers usually pass a fresh object
+    [baseGeometry, segments, edges.minI, edges.maxI, edges.minJ, edges.maxJ]
+  );
+
+  // Heights on screen (mid-morph included), the next morph starts from them
+  const shownRef = useRef<{
+    tileKey?: string;
+    segments: number;
+    heights: Float32Array;
+  } | null>(null);
+  const morphRef = useRef<{ from: Float32Array; elapsed: number } | null>(null);
+  const onSettledRef = useRef(onSettled);
+  onSettledRef.current = onSettled;
+
+  // Before paint, so a new geometry never shows unstitched for a frame
+  useLayoutEffect(() => {
+    const shown = shownRef.current;
+    const from =
+      shown && shown.tileKey === tileKey && morphTime > 0
+        ? resampleGrid(shown.heights, shown.segments, segments)
+        : null;
+    const heights = from ? from.slice() : targetHeights.slice();
+
+    morphRef.current = from ? { from, elapsed: 0 } : null;
+    shownRef.current = { tileKey, segments, heights };
+    setGridHeights(geometry, segments, heights, skirtDepth);
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    if (!from) onSettledRef.current?.();
+  }, [geometry, targetHeights, segments, skirtDepth, tileKey]);
+
+  useFrame((_, delta) => {
+    const morph = morphRef.current;
+    const shown = shownRef.current;
+    if (!morph || !shown) return;
+
+    morph.elapsed += delta;
+    const t = Math.min(1, morph.elapsed / morphTime);
+    const blend = t * t * (3 - 2 * t);
+    for (let i = 0; i < shown.heights.length; i++) {
+      shown.heights[i] =
+        morph.from[i] + (targetHeights[i] - morph.from[i]) * blend;
+    }
+    setGridHeights(geometry, segments, shown.heights, skirtDepth);
+
+    if (t >= 1) {
+      morphRef.current = null;
+      geometry.computeBoundingBox();
+      geometry.computeBoundingSphere();
+      onSettledRef.current?.();
+    }
+  });
+
+  const edgeLines = useMemo(
+    () =>
+      getEdgeColor
+        ? createLodEdgeLines(
+            baseGeometry,
+            segments,
+            targetHeights,
+            edges,
+            getEdgeColor,
+            EDGE_LINE_LIFT
+          )
+        : null,
+    // targetHeights changes with the edges
+    [baseGeometry, segments, targetHeights, getEdgeColor]
+  );
+  useEffect(() => () => edgeLines?.dispose(), [edgeLines]);
+
+  return { geometry, edgeLines };
+};
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from "react";
+import { mapStateRegistry } from "../utils/mapStateRegistry";
+
+/**
+ * Hook to expose a map object's runtime state to save games
+ * Use this in map components for state kept in refs (animation phases,
+ * cooldowns) that should survive a save/load
+ */
+export const useMapStateRegistration = (
+  key: string,
+  save: () => unknown,
+  load: (state: unknown) => void
+) => {
+  // Latest callbacks, so re-renders don't re-register
+  const saveRef = useRef(save);
+  const loadRef = useRef(load);
+  saveRef.current = save;
+  loadRef.current = load;
+
+  useEffect(
+    () =>
+      mapStateRegistry.register(key, {
+        save: () => saveRef.current(),
+        load: (state) => loadRef.current(state),
+      }),
+    [key]
+  );
+};
@@ -0,0 +1,44 @@
+import { useEffect, useMemo } from "react";
+import * as THREE from "three";
+import {
+  createBiomeMapTexture,
+  createBiomeSampler,
+  type BiomeSampler,
+  type BiomeSettings,
+} from "../utils/terrainBiomes";
+
+export type TerrainBiomes = {
+  sampler: BiomeSampler;
+  /** Biome weights (RGBA in BIOMES order) over the centered square of size */
+  texture: THREE.DataTexture;
+  size: number;
+  resolution: number;
+};
+
+/**
+ * Hook to lay out biomes for a terrain seed (see terrainBiomes)
+ * @returns null while settings is null (biomes switched off)
+ */
+export const useTerrainBiomes = (
+  seed: number,
+  size: number,
+  resolution: number,
+  settings: BiomeSettings | null
+): TerrainBiomes | null => {
+  const scale = settings?.scale;
+  const blend = settings?.blend;
+
+  const biomes = useMemo(() => {
+    if (scale === undefined || blend === undefined) return null;
+    const sampler = createBiomeSampler(seed, { scale, blend });
+    return {
+      sampler,
+      texture: createBiomeMapTexture(sampler, size, resolution),
+      size,
+      resolution,
+    };
+  }, [seed, size, resolution, scale, blend]);
+  useEffect(() => () => biomes?.texture.dispose(), [biomes]);
+
+  return biomes;
+};
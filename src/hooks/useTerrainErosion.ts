@@ -0,0 +1,125 @@
+import { useEffect, useMemo, useState } from "react";
+import * as THREE from "three";
+import type { TerrainHeightFn } from "../types/terrain";
+import type { ErosionMap, ErosionSettings } from "../utils/terrainErosion";
+import { sampleErosionMap } from "../utils/terrainErosion";
+
+export type TerrainErosion = ErosionMap & {
+  /** Height to add to the uneroded terrain at world (x, z) */
+  getDelta: TerrainHeightFn;
+  /** R = flow, G = sediment; covers the map's centered square */
+  texture: THREE.DataTexture;
+};
+
+export type TerrainErosionState = {
+  /** null while disabled or running, or when the worker failed */
+  erosion: TerrainErosion | null;
+  /** Enabled and still running; a failed pass is not pending */
+  pending: boolean;
+};
+
+/**
+ * Hook to run an erosion pass over a terrain's height function
+ * Samples getHeight onto a (resolution x resolution) grid over the centered
+ * square of `size` and erodes it in a worker. If the worker fails, the
+ * terrain keeps its uneroded heights.
+ */
+export const useTerrainErosion = (
+  getHeight: TerrainHeightFn | null,
+  size: number,
+  resolution: number,
+  settings: ErosionSettings | null
+): TerrainErosionState => {
+  // Compared by value, so callers don't need to memoize settings
+  const key = JSON.stringify([size, resolution, settings]);
+  // Tagged with the inputs it was run on: for the render where they change,
+  // the old result is already stale. A null map is a failed pass
+  const [result, setResult] = useState<{
+    key: string;
+    getHeight: TerrainHeightFn;
+    map: ErosionMap | null;
+  } | null>(null);
+  const current =
+    result && result.key === key && result.getHeight === getHeight
+      ? result
+      : null;
+  const map = current?.map ?? null;
+
+  useEffect(() => {
+    if (!getHeight || !settings) return;
+
+    const heights = new Float32Array(resolution * resolution);
+    const cellSize = size / (resolution - 1);
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        heights[j * resolution + i] = getHeight(
+          -size / 2 + i * cellSize,
+          -size / 2 + j * cellSize
+        );
+      }
+    }
+
+    const startTime = performance.now();
+    const worker = new Worker(
+      new URL("../workers/terrainErosion.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    worker.onmessage = (event: MessageEvent<ErosionMap>) => {
+      console.log(
+        `✅ Terrain erosion done in ${(performance.now() - startTime).toFixed(
+          0
+        )}ms (${settings.iterations.toLocaleString()} droplets)`
+      );
+      setResult({ key, getHeight, map: event.data });
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      console.error(
+        "useTerrainErosion: worker failed, keeping uneroded heights",
+        event.message
+      );
+      worker.terminate();
+      setResult({ key, getHeight, map: null });
+    };
+    worker.postMessage({ heights, resolution, size, settings }, [
+      heights.buffer,
+    ]);
+
+    return () => worker.terminate();
+  }, [getHeight, key]);
+
+  const erosion = useMemo(() => {
+    if (!map) return null;
+
+    const data = new Uint8Array(map.resolution * map.resolution * 4);
+    for (let i = 0; i < map.flow.length; i++) {
+      data[i * 4] = Math.round(map.flow[i] * 255);
+      data[i * 4 + 1] = Math.round(map.sediment[i] * 255);
+      data[i * 4 + 3] = 255;
+    }
+    const texture = new THREE.DataTexture(
+      data,
+      map.resolution,
+      map.resolution,
+      THREE.RGBAFormat
+    );
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+
+    return {
+      ...map,
+      getDelta: (x: number, z: number) =>
+        sampleErosionMap(map, map.delta, x, z),
+      texture,
+    };
+  }, [map]);
+
+  useEffect(() => () => erosion?.texture.dispose(), [erosion]);
+
+  return {
+    erosion,
+    pending: Boolean(settings) && !current,
+  };
+};
@@ -0,0 +1,25 @@
+import { useEffect } from "react";
+import { useTerrain } from "../context/TerrainContext";
+import { createTerrainQuery } from "../utils/terrainUtils";
+import type { TerrainBounds, TerrainHeightFn } from "../types/terrain";
+
+/**
+ * Hook to publish a terrain's height lookup as the active TerrainQuery
+ * Use this in terrain components so grass, trees, spawns and effects can
+ * query the surface without map-specific glue
+ * @param getHeight - World (x, z) => y, or null while the terrain is loading
+ */
+export const useTerrainRegistration = (
+  getHeight: TerrainHeightFn | null,
+  bounds: TerrainBounds
+) => {
+  const { registerTerrain } = useTerrain();
+  const { minX, maxX, minZ, maxZ } = bounds;
+
+  useEffect(() => {
+    if (!getHeight) return;
+    return registerTerrain(
+      createTerrainQuery(getHeight, { minX, maxX, minZ, maxZ })
+    );
+  }, [getHeight, minX, maxX, minZ, maxZ, registerTerrain]);
+};
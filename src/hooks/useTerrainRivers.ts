@@ -0,0 +1,48 @@
+import { useMemo } from "react";
+import type { TerrainHeightFn } from "../types/terrain";
+import { sampleErosionMap } from "../utils/terrainErosion";
+import {
+  createRiverMap,
+  type RiverMap,
+  type RiverSettings,
+} from "../utils/terrainRivers";
+
+export type TerrainRivers = RiverMap & {
+  /** Height to add to the uncarved terrain at world (x, z) */
+  getDelta: TerrainHeightFn;
+  /** 1 inside a riverbed, fading to 0 over the banks */
+  getMask: TerrainHeightFn;
+};
+
+/**
+ * Hook to trace and carve rivers into a terrain's height function (see
+ * terrainRivers)
+ * @returns null while getHeight or settings is null (rivers switched off)
+ */
+export const useTerrainRivers = (
+  getHeight: TerrainHeightFn | null,
+  size: number,
+  resolution: number,
+  settings: RiverSettings | null
+): TerrainRivers | null => {
+  // Compared by value, so callers don't need to memoize settings
+  const settingsKey = JSON.stringify(settings);
+
+  return useMemo(() => {
+    if (!getHeight || !settings) return null;
+
+    const startTime = performance.now();
+    const map = createRiverMap(getHeight, size, resolution, settings);
+    console.log(
+      `✅ Traced ${map.rivers.length} rivers in ${(
+        performance.now() - startTime
+      ).toFixed(0)}ms`
+    );
+    return {
+      ...map,
+      getDelta: (x: number, z: number) =>
+        sampleErosionMap(map, map.delta, x, z),
+      getMask: (x: number, z: number) => sampleErosionMap(map, map.mask, x, z),
+    };
+  }, [getHeight, size, resolution, settingsKey]);
+};
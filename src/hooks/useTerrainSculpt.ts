@@ -0,0 +1,222 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { bvhManager } from "../utils/bvhManager";
+import {
+  applyHeightfieldToGeometry,
+  type EditableHeightfield,
+} from "../utils/terrainSculpt";
+import type { SplatLayer, TerrainSplatMap } from "../utils/terrainSplatMap";
+import type { SculptBrush } from "../components/useTerrainSculptControls";
+
+// Brush speeds at full strength
+const RAISE_RATE = 40; // world units per second
+const BLEND_RATE = 4; // smooth/flatten blend per second
+const PAINT_RATE = 3; // splat weight per second
+// The collider and BVH are rebuilt at most this often (ms) during a stroke
+const PHYSICS_SYNC_INTERVAL = 250;
+
+export type TerrainSculptOptions = {
+  enabled: boolean;
+  brush: SculptBrush;
+  /** World units */
+  radius: number;
+  /** 0..1 */
+  strength: number;
+  paintLayer: SplatLayer;
+  /** Painted by the "paint" brush; painting is a no-op without one */
+  splatMap?: TerrainSplatMap | null;
+};
+
+type Stroke = {
+  /** Brush center in heightfield (plane-local) coordinates */
+  gridX: number;
+  gridZ: number;
+  worldX: number;
+  worldZ: number;
+  /** Height under the first dab, for the flatten brush */
+  targetHeight: number;
+  dirty: boolean;
+  lastSync: number;
+};
+
+/**
+ * Save a heightfield as a 16-bit grayscale PNG download
+ */
+export const downloadHeightfieldPng = async (
+  heightfield: EditableHeightfield,
+  fileName: string,
+  options?: { mirrorZ?: boolean }
+) => {
+  const blob = await heightfield.toPng16(options);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+  console.log(
+    `💾 Exported ${heightfield.resolution}x${heightfield.resolution} heightmap "${fileName}"`
+  );
+};
+
+/**
+ * Hook to sculpt and paint a heightmap terrain in place
+ * While enabled, left-dragging on the mesh runs the selected brush every
+ * frame (hold Alt to drag the camera instead). The mesh must be a flat
+ * PlaneGeometry matching the heightfield and registered with the BVH manager,
+ * which is also used to pick the brush position. Geometry updates are live;
+ * the BVH and the returned collider heights follow at a throttled rate.
+ * @returns Column-major heights for a HeightfieldCollider, null without a
+ * heightfield
+ */
+export const useTerrainSculpt = (
+  mesh: THREE.Mesh | null,
+  heightfield: EditableHeightfield | null,
+  {
+    enabled,
+    brush,
+    radius,
+    strength,
+    paintLayer,
+    splatMap,
+  }: TerrainSculptOptions
+): Float32Array | null => {
+  const { camera, gl } = useThree();
+  const strokeRef = useRef<Stroke | null>(null);
+  const [physicsVersion, setPhysicsVersion] = useState(0);
+
+  const colliderHeights = useMemo(
+    () => heightfield?.toColliderHeights() ?? null,
+    // physicsVersion marks edits to the same heightfield
+    [heightfield, physicsVersion]
+  );
+
+  const syncPhysics = () => {
+    const stroke = strokeRef.current;
+    if (!mesh || !stroke?.dirty) return;
+    mesh.geometry.computeBoundingBox();
+    mesh.geometry.computeBoundingSphere();
+    bvhManager.updateBVH(mesh);
+    setPhysicsVersion((version) => version + 1);
+    stroke.dirty = false;
+    stroke.lastSync = performance.now();
+  };
+  const syncPhysicsRef = useRef(syncPhysics);
+  syncPhysicsRef.current = syncPhysics;
+
+  useEffect(() => {
+    if (!enabled || !mesh || !heightfield) return;
+
+    const canvas = gl.domElement;
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const localPoint = new THREE.Vector3();
+
+    // Terrain point under the cursor, or null if something else is in front
+    const pickTerrain = (event: PointerEvent) => {
+      const rect = canvas.getBoundingClientRect();
+      pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, camera);
+      const hit = bvhManager.raycast(raycaster.ray);
+      if (!hit || hit.object !== mesh) return null;
+
+      // Plane-local Y is world -Z
+      localPoint.copy(hit.point);
+      mesh.worldToLocal(localPoint);
+      return {
+        gridX: localPoint.x,
+        gridZ: -localPoint.y,
+        worldX: hit.point.x,
+        worldZ: hit.point.z,
+      };
+    };
+
+    const handlePointerDown = (event: PointerEvent) => {
+      if (event.button !== 0 || event.altKey) return;
+      const point = pickTerrain(event);
+      if (!point) return;
+
+      // Keep the orbit camera from handling the same drag
+      event.stopPropagation();
+      canvas.setPointerCapture(event.pointerId);
+      strokeRef.current = {
+        ...point,
+        targetHeight: heightfield.getHeight(point.gridX, point.gridZ),
+        dirty: false,
+        lastSync: performance.now(),
+      };
+    };
+
+    const handlePointerMove = (event: PointerEvent) => {
+      const stroke = strokeRef.current;
+      if (!stroke) return;
+      const point = pickTerrain(event);
+      if (point) Object.assign(stroke, point);
+    };
+
+    const handlePointerUp = (event: PointerEvent) => {
+      if (!strokeRef.current) return;
+      canvas.releasePointerCapture(event.pointerId);
+      syncPhysicsRef.current();
+      strokeRef.current = null;
+    };
+
+    canvas.addEventListener("pointerdown", handlePointerDown);
+    canvas.addEventListener("pointermove", handlePointerMove);
+    canvas.addEventListener("pointerup", handlePointerUp);
+    canvas.addEventListener("pointercancel", handlePointerUp);
+
+    return () => {
+      canvas.removeEventListener("pointerdown", handlePointerDown);
+      canvas.removeEventListener("pointermove", handlePointerMove);
+      canvas.removeEventListener("pointerup", handlePointerUp);
+      canvas.removeEventListener("pointercancel", handlePointerUp);
+      syncPhysicsRef.current();
+      strokeRef.current = null;
+    };
+  }, [enabled, mesh, heightfield, gl, camera]);
+
+  useFrame((_, delta) => {
+    const stroke = strokeRef.current;
+    if (!stroke || !mesh || !heightfield) return;
+
+    if (brush === "paint") {
+      splatMap?.paint(
+        stroke.worldX,
+        stroke.worldZ,
+        radius,
+        paintLayer,
+        Math.min(1, strength * PAINT_RATE * delta)
+      );
+      return;
+    }
+
+    // The heightfield is in the mesh's local units
+    const scale = mesh.scale.x;
+    const amount =
+      brush === "raise" || brush === "lower"
+        ? (strength * RAISE_RATE * delta) / scale
+        : Math.min(1, strength * BLEND_RATE * delta);
+    const region = heightfield.applyBrush(
+      brush,
+      stroke.gridX,
+      stroke.gridZ,
+      radius / scale,
+      amount,
+      stroke.targetHeight
+    );
+    if (!region) return;
+
+    applyHeightfieldToGeometry(heightfield, mesh.geometry, region);
+    stroke.dirty = true;
+    if (performance.now() - stroke.lastSync > PHYSICS_SYNC_INTERVAL) {
+      syncPhysics();
+    }
+  });
+
+  return colliderHeights;
+};
@@ -0,0 +1,242 @@
+import { useEffect, useMemo } from "react";
+import { useTexture } from "@react-three/drei";
+import * as THREE from "three";
+import CustomShaderMaterial from "three-custom-shader-material/vanilla";
+import type { TerrainHeightFn } from "../types/terrain";
+import {
+  DEFAULT_SPLAT_RULES,
+  generateSplatMap,
+  type SplatRules,
+  type TerrainSplatMap,
+} from "../utils/terrainSplatMap";
+
+// Color textures for the grass, rock and dirt layers; snow is a flat color
+const LAYER_TEXTURES = [
+  "/textures/Grass005_1K-JPG_Color.jpg",
+  "/textures/Ground081_1K-JPG_Color.jpg",
+  "/textures/Ground036_1K-JPG_Color.jpg",
+];
+
+const vertexShader = /* glsl */ `
+  varying vec3 vSplatWorldPos;
+  varying vec3 vSplatWorldNormal;
+
+  void main() {
+    #ifdef USE_CLIPMAP
+      // Clipmap rings (see terrainClipmap) are flat until displaced here
+      vec3 splatPosition = position;
+      vec3 splatNormal;
+      clipmapDisplace(splatPosition, splatNormal);
+      csm_Position = splatPosition;
+      csm_Normal = splatNormal;
+      // Rings are scaled unevenly
+      vSplatWorldNormal = normalize(inverse(transpose(mat3(modelMatrix))) * splatNormal);
+    #else
+      vec3 splatPosition = position;
+      vSplatWorldNormal = normalize(mat3(modelMatrix) * normal);
+    #endif
+    vSplatWorldPos = (modelMatrix * vec4(splatPosition, 1.0)).xyz;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D splatMap;
+  uniform float splatMapSize;
+  uniform float splatMapResolution;
+  uniform sampler2D grassMap;
+  uniform sampler2D rockMap;
+  uniform sampler2D dirtMap;
+  uniform vec3 snowColor;
+  uniform float textureScale;
+  uniform float triplanarSharpness;
+  uniform float rockSlope;
+  uniform float dirtSlope;
+  uniform float snowHeight;
+  uniform float slopeBlend;
+  uniform float heightBlend;
+
+  varying vec3 vSplatWorldPos;
+  varying vec3 vSplatWorldNormal;
+
+  // Project along each axis and blend by the normal, so steep faces sample
+  // from the side instead of stretching the top-down projection
+  vec3 triplanar(sampler2D map, vec3 position, vec3 blend) {
+    vec3 color = vec3(0.0);
+    if (blend.x > 0.01) color += texture2D(map, position.zy).rgb * blend.x;
+    if (blend.y > 0.01) color += texture2D(map, position.xz).rgb * blend.y;
+    if (blend.z > 0.01) color += texture2D(map, position.xy).rgb * blend.z;
+    return color;
+  }
+
+  // Same rules as generateSplatMap, for ground outside the splat map
+  vec4 autoWeights(float height, float slope) {
+    float rock = smoothstep(rockSlope - slopeBlend, rockSlope + slopeBlend, slope);
+    float snow = smoothstep(snowHeight - heightBlend, snowHeight + heightBlend, height) * (1.0 - rock);
+    float dirt = smoothstep(dirtSlope - slopeBlend, dirtSlope + slopeBlend, slope) * (1.0 - rock) * (1.0 - snow);
+    float grass = max(0.0, 1.0 - rock - snow - dirt);
+    return vec4(grass, rock, dirt, snow);
+  }
+
+  void main() {
+    vec3 normal = normalize(vSplatWorldNormal);
+    vec3 blend = pow(abs(normal), vec3(triplanarSharpness));
+    blend /= blend.x + blend.y + blend.z;
+
+    vec4 weights;
+    vec2 splatCoord = vSplatWorldPos.xz / splatMapSize + 0.5;
+    if (all(greaterThanEqual(splatCoord, vec2(0.0))) && all(lessThanEqual(splatCoord, vec2(1.0)))) {
+      // Node values sit at texel centers
+      vec2 splatUv = (splatCoord * (splatMapResolution - 1.0) + 0.5) / splatMapResolution;
+      weights = texture2D(splatMap, splatUv);
+    } else {
+      weights = autoWeights(vSplatWorldPos.y, acos(clamp(normal.y, -1.0, 1.0)));
+    }
+    weights /= max(dot(weights, vec4(1.0)), 0.0001);
+
+    vec3 position = vSplatWorldPos / textureScale;
+    vec3 color = vec3(0.0);
+    if (weights.r > 0.0) color += triplanar(grassMap, position, blend) * weights.r;
+    // Rock reads better at a larger scale than the ground layers
+    if (weights.g > 0.0) color += triplanar(rockMap, position * 0.5, blend) * weights.g;
+    if (weights.b > 0.0) color += triplanar(dirtMap, position, blend) * weights.b;
+    color += snowColor * weights.a;
+
+    csm_DiffuseColor = vec4(color, 1.0);
+    csm_Roughness = mix(1.0, 0.6, weights.a);
+  }
+`;
+
+export type TerrainSplatMaterialOptions = {
+  /** Layer rules for the generated splat map (and ground outside it) */
+  rules?: SplatRules;
+  /** Optional world (x, z) => 0..1 sediment; deposits read as dirt */
+  getSediment?: TerrainHeightFn;
+  /** Optional per-position layer rules, e.g. from biomes */
+  getLocalRules?: (x: number, z: number, rules: SplatRules) => SplatRules;
+  /** World units per texture repeat */
+  textureScale?: number;
+  /** Higher = harder transitions between the triplanar projections */
+  triplanarSharpness?: number;
+  snowColor?: THREE.ColorRepresentation;
+};
+
+/**
+ * Hook to build a multi-layer terrain material (grass, rock, dirt, snow)
+ * Layers blend by a splat map generated from getHeight over the centered
+ * square of `size`; the returned splatMap can be painted afterwards. Use one
+ * material for every chunk of a terrain.
+ * @returns null while getHeight is null
+ */
+export const useTerrainSplatMaterial = (
+  getHeight: TerrainHeightFn | null,
+  size: number,
+  resolution: number,
+  {
+    rules = DEFAULT_SPLAT_RULES,
+    getSediment,
+    getLocalRules,
+    textureScale = 20,
+    triplanarSharpness = 4,
+    snowColor = "#f2f5f8",
+  }: TerrainSplatMaterialOptions = {}
+): { material: THREE.Material; splatMap: TerrainSplatMap } | null => {
+  const layerTextures = useTexture(LAYER_TEXTURES);
+  const { rockSlope, dirtSlope, snowHeight, slopeBlend, heightBlend } = rules;
+
+  const splatMap = useMemo(
+    () =>
+      getHeight
+        ? generateSplatMap(
+            getHeight,
+            size,
+            resolution,
+            { rockSlope, dirtSlope, snowHeight, slopeBlend, heightBlend },
+            getSediment,
+            getLocalRules
+          )
+        : null,
+    [
+      getHeight,
+      size,
+      resolution,
+      rockSlope,
+      dirtSlope,
+      snowHeight,
+      slopeBlend,
+      heightBlend,
+      getSediment,
+      getLocalRules,
+    ]
+  );
+  useEffect(() => () => splatMap?.dispose(), [splatMap]);
+
+  // Own copies, so the terrains' other materials keep their texture settings
+  const [grassMap, rockMap, dirtMap] = useMemo(
+    () =>
+      layerTextures.map((texture) => {
+        const layer = texture.clone();
+        layer.wrapS = THREE.RepeatWrapping;
+        layer.wrapT = THREE.RepeatWrapping;
+        layer.colorSpace = THREE.SRGBColorSpace;
+        layer.anisotropy = 16;
+        layer.needsUpdate = true;
+        return layer;
+      }),
+    [layerTextures]
+  );
+  useEffect(
+    () => () => [grassMap, rockMap, dirtMap].forEach((map) => map.dispose()),
+    [grassMap, rockMap, dirtMap]
+  );
+
+  // Shared with the material; updated in place as settings change
+  const uniforms = useMemo<Record<string, THREE.IUniform>>(
+    () => ({
+      splatMap: { value: null },
+      splatMapSize: { value: 1 },
+      splatMapResolution: { value: 1 },
+      grassMap: { value: null },
+      rockMap: { value: null },
+      dirtMap: { value: null },
+      snowColor: { value: new THREE.Color() },
+      textureScale: { value: 1 },
+      triplanarSharpness: { value: 1 },
+      rockSlope: { value: 0 },
+      dirtSlope: { value: 0 },
+      snowHeight: { value: 0 },
+      slopeBlend: { value: 0 },
+      heightBlend: { value: 0 },
+    }),
+    []
+  );
+  uniforms.splatMap.value = splatMap?.texture ?? null;
+  uniforms.splatMapSize.value = size;
+  uniforms.splatMapResolution.value = resolution;
+  uniforms.grassMap.value = grassMap;
+  uniforms.rockMap.value = rockMap;
+  uniforms.dirtMap.value = dirtMap;
+  uniforms.snowColor.value.set(snowColor);
+  uniforms.textureScale.value = textureScale;
+  uniforms.triplanarSharpness.value = triplanarSharpness;
+  uniforms.rockSlope.value = rockSlope;
+  uniforms.dirtSlope.value = dirtSlope;
+  uniforms.snowHeight.value = snowHeight;
+  uniforms.slopeBlend.value = slopeBlend;
+  uniforms.heightBlend.value = heightBlend;
+
+  const material = useMemo(
+    () =>
+      new CustomShaderMaterial({
+        baseMaterial: THREE.MeshStandardMaterial,
+        vertexShader,
+        fragmentShader,
+        uniforms,
+        metalness: 0,
+        envMapIntensity: 0.3,
+      }),
+    [uniforms]
+  );
+  useEffect(() => () => material.dispose(), [material]);
+
+  return splatMap ? { material, splatMap } : null;
+};
@@ -0,0 +1,13 @@
+// Every *.json file in this folder is a parkour level, keyed by file name
+// (e.g. "map18" for map18.json). Drop a new file here to make it available.
+const levelModules = import.meta.glob("./*.json", {
+  eager: true,
+  import: "default",
+});
+
+export const parkourLevels = Object.fromEntries(
+  Object.entries(levelModules).map(([path, level]) => [
+    path.replace(/^\.\//, "").replace(/\.json$/, ""),
+    level,
+  ])
+);
@@ -0,0 +1,11 @@
+/** A ladder, as the character needs it while climbing */
+export type Ladder = {
+  /** World XZ of the rungs' center line */
+  x: number;
+  z: number;
+  /** Height of the foot and the top of the ladder */
+  bottom: number;
+  top: number;
+  /** Horizontal unit vector out of the side the ladder is climbed from */
+  normal: { x: number; z: number };
+};
@@ -0,0 +1,78 @@
+import type { TerrainBounds } from "./terrain";
+import type { WaterBody } from "./water";
+import type { getTerrainHeightFromTexture } from "../utils/terrainUtils";
+
+export type Vec3 = [number, number, number];
+
+export type MapSpawnDescriptor =
+  | {
+      type: "static";
+      position: Vec3;
+    }
+  | {
+      type: "heightmap";
+      x: number;
+      z: number;
+      size: number;
+      heightScale: number;
+      terrainOffset?: number;
+      heightOffset?: number;
+      /** Heightmap image the terrain renders; without it spawns at terrainOffset */
+      texture?: string;
+      /** Match the terrain's height normalization (see HeightmapSampleOptions) */
+      normalize?: boolean;
+      centerPeakRadius?: number;
+      mirrorZ?: boolean;
+    };
+
+export type MapWaterDescriptor = {
+  /** Surface height */
+  level: number;
+  /** XZ extent; without it the water is an ocean reaching the horizon */
+  bounds?: TerrainBounds;
+};
+
+export type MapManifestEntry = {
+  id: string;
+  displayName?: string;
+  component: string;
+  props?: Record<string, unknown>;
+  spawn: MapSpawnDescriptor;
+  directionalOverride?: Vec3;
+  /** Falling below this height respawns the character */
+  killPlaneY?: number;
+  water?: MapWaterDescriptor;
+  passCharacterData?: boolean;
+  supportsTeleport?: boolean;
+  requiresTerrainReadyCallback?: boolean;
+  /** Renders a ParkourLevel, so the level editor has something to edit */
+  hasParkourLevel?: boolean;
+};
+
+export type MapManifest = {
+  version: number;
+  defaultMap?: string;
+  maps: MapManifestEntry[];
+};
+
+/** A manifest entry resolved against the registered map components */
+export type MapDefinition = {
+  component: any;
+  displayName: string;
+  getDefaultProps: () => Record<string, unknown>;
+  getCharacterSpawn?: (helpers: {
+    getTerrainHeightFromTexture: typeof getTerrainHeightFromTexture;
+  }) => Vec3;
+  /** Extra props built from the Experience callbacks */
+  extendProps?: (callbacks: {
+    onTerrainReady: () => void;
+    onTeleportRequest: (request: any) => void;
+  }) => Record<string, unknown>;
+  passCharacterData: boolean;
+  requiresTerrainReadyCallback: boolean;
+  supportsTeleport: boolean;
+  hasParkourLevel: boolean;
+  directionalOverride?: Vec3;
+  killPlaneY: number;
+  water: WaterBody | null;
+};
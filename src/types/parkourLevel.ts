@@ -0,0 +1,28 @@
+export type ParkourPrimitiveType =
+  | "CylinderTile"
+  | "ParkourTile"
+  | "HoleWallTile"
+  | "StaticPlatform"
+  | "ElevatorPlatform"
+  | "Trampoline"
+  | "LaunchPad"
+  | "Staircase"
+  | "WallSegment"
+  | "WallWithOpening"
+  | "JumpTestingCircles"
+  | "CircularJumpPlatform"
+  | "Checkpoint"
+  | "Ladder";
+
+export type ParkourPrimitive = {
+  type: ParkourPrimitiveType;
+  /** Stable identity, used by primitives that persist state in save games */
+  id?: string;
+  [prop: string]: unknown;
+};
+
+export type ParkourLevel = {
+  version: number;
+  name?: string;
+  primitives: ParkourPrimitive[];
+};
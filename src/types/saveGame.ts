@@ -0,0 +1,35 @@
+import type { Vec3 } from "./mapManifest";
+
+export type CharacterSaveState = {
+  position: Vec3;
+  velocity: Vec3;
+  /** Facing of the character model (radians) */
+  rotation: number;
+  /** Movement/camera heading the controller steers towards (radians) */
+  heading: number;
+  isCrouching: boolean;
+  camera: {
+    /** Accumulated follow-orbit yaw offset from mouse movement */
+    orbitOffset: number;
+    /** Accumulated follow-orbit pitch offset from mouse movement */
+    verticalOffset: number;
+  };
+};
+
+export type CheckpointState = {
+  id: string;
+  /** Where the character reappears when resuming from this checkpoint */
+  spawnPosition: Vec3;
+};
+
+export type SaveGame = {
+  version: number;
+  slot: string;
+  /** ISO timestamp */
+  savedAt: string;
+  map: string;
+  character: CharacterSaveState;
+  checkpoint: CheckpointState | null;
+  /** Per-map runtime state (elevator phases, door cooldowns...) keyed by owner */
+  mapState: Record<string, unknown>;
+};
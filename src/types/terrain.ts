@@ -0,0 +1,65 @@
+import type * as THREE from "three";
+
+export type TerrainHeightFn = (x: number, z: number) => number;
+
+/** World-space XZ extent of a terrain */
+export type TerrainBounds = {
+  minX: number;
+  maxX: number;
+  minZ: number;
+  maxZ: number;
+};
+
+/**
+ * Height queries against whichever terrain is active, independent of how the
+ * terrain generates its surface (heightmap image, noise, ...)
+ */
+export type TerrainQuery = {
+  getHeight: TerrainHeightFn;
+  /** Unit surface normal; writes into target when given */
+  getNormal: (x: number, z: number, target?: THREE.Vector3) => THREE.Vector3;
+  /** Angle between the surface and the horizontal, in radians */
+  getSlope: (x: number, z: number) => number;
+  bounds: TerrainBounds;
+};
+
+/** Where a heightfield sinks out of the way of a voxel section */
+export type VoxelSink = TerrainBounds & {
+  /** Height the heightfield sinks to, below the section's grid */
+  bottom: number;
+};
+
+/** Everything a worker needs to build one ProceduralTerrain8 chunk */
+export type TerrainChunkJob = {
+  seed: number;
+  chunkX: number;
+  chunkZ: number;
+  chunkSize: number;
+  segments: number;
+  /** Heightfield collider resolution, independent of the visual segments */
+  collisionSegments: number;
+  heightScale: number;
+  terrainControls: Record<string, number | boolean>;
+  /** Erosion height delta to add on top of the noise (see terrainErosion) */
+  erosion: { size: number; resolution: number; delta: Float32Array } | null;
+  /** River channel delta to add on top of the eroded height (see terrainRivers) */
+  rivers: { size: number; resolution: number; delta: Float32Array } | null;
+  /** Footprints to sink the heightfield under (see voxelTerrain) */
+  voxelSinks: VoxelSink[];
+  /** Skip the mesh and only sample the heightfield */
+  heightsOnly?: boolean;
+};
+
+/**
+ * Chunk geometry built by a worker. positions/normals/uvs/indices are in
+ * plane-local space (the mesh is rotated -90° around X); heightfield is the
+ * Rapier heightfield matrix, column-major, (collisionSegments + 1)² entries.
+ * Only heightfield is filled for heightsOnly jobs; the rest are empty.
+ */
+export type TerrainChunkBuffers = {
+  positions: Float32Array;
+  normals: Float32Array;
+  uvs: Float32Array;
+  indices: Uint32Array;
+  heightfield: Float32Array;
+};
@@ -0,0 +1,11 @@
+import type { TerrainBounds } from "./terrain";
+
+/** A body of water: a lake, a river or the ocean */
+export type WaterBody = {
+  /** Surface height; the highest point for sloped water */
+  level: number;
+  /** XZ extent, null for an ocean reaching the horizon */
+  bounds: TerrainBounds | null;
+  /** Surface height of sloped water (rivers), null where it's dry */
+  getSurface?: (x: number, z: number) => number | null;
+};
@@ -83,6 +83,22 @@ class BVHManager {
     this.bvhMeshes.delete(mesh);
   }
 
+  /**
+   * Refresh a registered mesh's BVH after its vertices moved (e.g. terrain
+   * sculpting); rebuilds it instead if the mesh got a new geometry
+   */
+  updateBVH(mesh: THREE.Mesh): void {
+    const bvhMesh = this.bvhMeshes.get(mesh);
+    if (!bvhMesh) return;
+
+    if (bvhMesh.bvh.geometry !== mesh.geometry) {
+      this.bvhMeshes.delete(mesh);
+      this.buildBVH(mesh);
+      return;
+    }
+    bvhMesh.bvh.refit();
+  }
+
   /**
    * Update inverse matrices for all BVH meshes
    * Call this when meshes are transformed
@@ -0,0 +1,38 @@
+/**
+ * Tags the player's rigid body so trigger volumes (checkpoints...) can tell it
+ * apart from other dynamic bodies entering them, and lets them push it
+ */
+
+import type { RapierRigidBody } from "@react-three/rapier";
+
+type Velocity = { x: number; y: number; z: number };
+
+export const CHARACTER_BODY_USER_DATA = { isCharacter: true };
+
+export const isCharacterBody = (
+  body: { userData?: unknown } | null | undefined
+) =>
+  !!body &&
+  typeof body.userData === "object" &&
+  body.userData !== null &&
+  (body.userData as { isCharacter?: boolean }).isCharacter === true;
+
+// Velocities set on the character from outside, kept for the kinematic
+// controller mode where setLinvel on the body has no effect
+const pendingVelocities = new WeakMap<RapierRigidBody, Velocity>();
+
+/**
+ * Sets a body's velocity from outside its own logic (launch pads...), in a way
+ * the character also picks up when driven by the kinematic controller
+ */
+export const setBodyVelocity = (body: RapierRigidBody, velocity: Velocity) => {
+  body.setLinvel(velocity, true);
+  if (isCharacterBody(body)) pendingVelocities.set(body, { ...velocity });
+};
+
+/** The velocity last set with setBodyVelocity, once */
+export const takeBodyVelocity = (body: RapierRigidBody) => {
+  const velocity = pendingVelocities.get(body) ?? null;
+  pendingVelocities.delete(body);
+  return velocity;
+};
@@ -0,0 +1,14 @@
+/**
+ * Tags a rigid body as climbable: walking into it with forward held makes the
+ * character climb it like a ladder
+ */
+
+export const CLIMBABLE_USER_DATA = { climbable: true };
+
+export const isClimbableBody = (
+  body: { userData?: unknown } | null | undefined
+) =>
+  !!body &&
+  typeof body.userData === "object" &&
+  body.userData !== null &&
+  (body.userData as { climbable?: boolean }).climbable === true;
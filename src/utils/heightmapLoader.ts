@@ -0,0 +1,241 @@
+import * as THREE from "three";
+import { cacheHeightmapData, type HeightmapData } from "./terrainUtils";
+import { decodePngChannel } from "./heightmapPng";
+
+/**
+ * Heightmap Loader
+ * three.js loader (usable with R3F's useLoader) that decodes heightmap files
+ * straight from their bytes instead of through a canvas, so 16-bit and float
+ * heightmaps keep their precision. Resolves to a grayscale preview texture
+ * whose full-precision values getHeightmapData returns.
+ *
+ * Formats:
+ * - png: 8 or 16-bit, first channel (falls back to the browser decoder for
+ *   palette or interlaced files)
+ * - r16 / raw: headerless little-endian uint16 (Unreal, World Machine)
+ * - r32: headerless little-endian float32, stretched to 0..1
+ * - image: anything the browser decodes (jpg, webp, ...), 8 bits
+ */
+
+export const HEIGHTMAP_FORMATS = ["png", "r16", "raw", "r32", "image"] as const;
+export type HeightmapFormat = (typeof HEIGHTMAP_FORMATS)[number];
+
+/**
+ * A heightmap file and how the terrain built from it is laid out
+ */
+export type HeightmapFile = {
+  url: string;
+  /** Inferred from the url's extension when omitted */
+  format?: HeightmapFormat;
+  /** Raw formats only; a square of the file's sample count when omitted */
+  width?: number;
+  height?: number;
+  /** World size (width and depth) the heightmap covers */
+  size?: number;
+  /** World height of the brightest value */
+  heightScale?: number;
+  /** Pixel radius searched for the center peak placed at Y=0 */
+  centerRegionSize?: number;
+};
+
+/**
+ * Format from a file name or url extension, "image" if unknown
+ */
+export const inferHeightmapFormat = (name: string): HeightmapFormat => {
+  const extension = name.split(/[?#]/)[0].split(".").pop()?.toLowerCase();
+  switch (extension) {
+    case "png":
+      return "png";
+    case "r16":
+      return "r16";
+    case "raw":
+      return "raw";
+    case "r32":
+    case "f32":
+      return "r32";
+    default:
+      return "image";
+  }
+};
+
+const getRawDimensions = (
+  sampleCount: number,
+  width?: number,
+  height?: number
+) => {
+  if (width && height) {
+    if (width * height !== sampleCount) {
+      throw new Error(
+        `HeightmapLoader: ${width}x${height} doesn't match ${sampleCount} samples`
+      );
+    }
+    return { width, height };
+  }
+  const side = Math.round(Math.sqrt(sampleCount));
+  if (side * side !== sampleCount) {
+    throw new Error(
+      `HeightmapLoader: ${sampleCount} samples aren't square, set width and height`
+    );
+  }
+  return { width: side, height: side };
+};
+
+const decodeImage = async (buffer: ArrayBuffer) => {
+  const bitmap = await createImageBitmap(new Blob([buffer]));
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) {
+    throw new Error("HeightmapLoader: no 2D canvas context");
+  }
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  const values = new Float32Array(canvas.width * canvas.height);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = data[i * 4] / 255;
+  }
+  return { width: canvas.width, height: canvas.height, values };
+};
+
+/**
+ * Decode heightmap file bytes
+ * @param width, height - Raw formats only, see HeightmapFile
+ */
+export async function decodeHeightmap(
+  buffer: ArrayBuffer,
+  format: HeightmapFormat,
+  width?: number,
+  height?: number
+): Promise<HeightmapData> {
+  let decoded: { width: number; height: number; values: Float32Array };
+
+  if (format === "r16" || format === "raw") {
+    const view = new DataView(buffer);
+    const dimensions = getRawDimensions(buffer.byteLength / 2, width, height);
+    const values = new Float32Array(dimensions.width * dimensions.height);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = view.getUint16(i * 2, true) / 65535;
+    }
+    decoded = { ...dimensions, values };
+  } else if (format === "r32") {
+    const view = new DataView(buffer);
+    const dimensions = getRawDimensions(buffer.byteLength / 4, width, height);
+    const values = new Float32Array(dimensions.width * dimensions.height);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      values[i] = view.getFloat32(i * 4, true);
+      min = Math.min(min, values[i]);
+      max = Math.max(max, values[i]);
+    }
+    // Floats are usually in meters; heightScale sets the world range instead
+    const range = max - min || 1;
+    for (let i = 0; i < values.length; i++) {
+      values[i] = (values[i] - min) / range;
+    }
+    decoded = { ...dimensions, values };
+  } else {
+    decoded =
+      (format === "png" ? await decodePngChannel(buffer) : null) ??
+      (await decodeImage(buffer));
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < decoded.values.length; i++) {
+    min = Math.min(min, decoded.values[i]);
+    max = Math.max(max, decoded.values[i]);
+  }
+  return { ...decoded, min, max };
+}
+
+/**
+ * 8-bit grayscale preview of a heightmap, for use as a material map
+ */
+const createPreviewTexture = (heightmap: HeightmapData) => {
+  const data = new Uint8Array(heightmap.width * heightmap.height * 4);
+  for (let i = 0; i < heightmap.values.length; i++) {
+    const value = Math.round(heightmap.values[i] * 255);
+    data[i * 4] = value;
+    data[i * 4 + 1] = value;
+    data[i * 4 + 2] = value;
+    data[i * 4 + 3] = 255;
+  }
+  const texture = new THREE.DataTexture(
+    data,
+    heightmap.width,
+    heightmap.height,
+    THREE.RGBAFormat
+  );
+  // Row 0 is the first image row, like a TextureLoader texture
+  texture.flipY = true;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  cacheHeightmapData(texture, heightmap);
+  return texture;
+};
+
+export class HeightmapLoader extends THREE.Loader<THREE.DataTexture> {
+  format: HeightmapFormat | null = null;
+  width?: number;
+  height?: number;
+
+  /** Override the format inferred from the url (e.g. for blob urls) */
+  setFormat(format: HeightmapFormat | null) {
+    this.format = format;
+    return this;
+  }
+
+  /** Sample grid of raw files that aren't square */
+  setDimensions(width?: number, height?: number) {
+    this.width = width;
+    this.height = height;
+    return this;
+  }
+
+  load(
+    url: string,
+    onLoad: (texture: THREE.DataTexture) => void,
+    onProgress?: (event: ProgressEvent) => void,
+    onError?: (error: unknown) => void
+  ) {
+    const format = this.format ?? inferHeightmapFormat(url);
+    const fileLoader = new THREE.FileLoader(this.manager);
+    fileLoader.setPath(this.path);
+    fileLoader.setResponseType("arraybuffer");
+    fileLoader.setRequestHeader(this.requestHeader);
+    fileLoader.setWithCredentials(this.withCredentials);
+
+    fileLoader.load(
+      url,
+      (buffer) => {
+        this.parse(buffer as ArrayBuffer, format)
+          .then(onLoad)
+          .catch((error) => {
+            if (onError) {
+              onError(error);
+            } else {
+              console.error(error);
+            }
+            this.manager.itemError(url);
+          });
+      },
+      onProgress,
+      onError
+    );
+  }
+
+  async parse(buffer: ArrayBuffer, format: HeightmapFormat) {
+    const heightmap = await decodeHeightmap(
+      buffer,
+      format,
+      this.width,
+      this.height
+    );
+    return createPreviewTexture(heightmap);
+  }
+}
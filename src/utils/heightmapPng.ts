@@ -0,0 +1,232 @@
+/**
+ * Heightmap PNG
+ * Minimal encoder and decoder for 16-bit heightmap PNGs. Canvas can neither
+ * write them (toBlob) nor read them back (getImageData) without dropping to 8
+ * bits per channel, which terraces imported terrain. (De)compression comes
+ * from the browser's Compression/DecompressionStream, whose "deflate" format
+ * is the zlib stream PNG uses.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable: Uint32Array | null = null;
+
+const crc32 = (bytes: Uint8Array) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Length, type, data, then a CRC over type and data
+const createChunk = (type: string, data: Uint8Array) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+
+const pipeBytes = async (
+  bytes: Uint8Array,
+  transform: CompressionStream | DecompressionStream
+) => {
+  // Blob only takes ArrayBuffer-backed views, so copy rather than cast
+  const stream = new Blob([new Uint8Array(bytes)])
+    .stream()
+    .pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const deflate = (bytes: Uint8Array) =>
+  pipeBytes(bytes, new CompressionStream("deflate"));
+
+const inflate = (bytes: Uint8Array) =>
+  pipeBytes(bytes, new DecompressionStream("deflate"));
+
+/**
+ * Encode samples as a 16-bit grayscale PNG
+ * @param samples - (width x height) values, row 0 first
+ * @param text - Optional tEXt metadata (latin-1 keywords and values)
+ */
+export async function encodePng16(
+  samples: Uint16Array,
+  width: number,
+  height: number,
+  text: Record<string, string> = {}
+): Promise<Blob> {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 16; // bit depth
+  header[9] = 0; // grayscale
+
+  // Each scanline: filter type 0 (none), then big-endian samples
+  const stride = 1 + width * 2;
+  const raw = new Uint8Array(stride * height);
+  const rawView = new DataView(raw.buffer);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rawView.setUint16(y * stride + 1 + x * 2, samples[y * width + x]);
+    }
+  }
+
+  const textChunks = Object.entries(text).map(([keyword, value]) =>
+    createChunk(
+      "tEXt",
+      Uint8Array.from(`${keyword}\0${value}`, (char) => char.charCodeAt(0))
+    )
+  );
+
+  return new Blob(
+    [
+      new Uint8Array(PNG_SIGNATURE),
+      createChunk("IHDR", header),
+      ...textChunks,
+      createChunk("IDAT", await deflate(raw)),
+      createChunk("IEND", new Uint8Array(0)),
+    ],
+    { type: "image/png" }
+  );
+}
+
+// Samples per pixel for each supported PNG color type
+const CHANNELS: Record<number, number> = {
+  0: 1, // grayscale
+  2: 3, // RGB
+  4: 2, // grayscale + alpha
+  6: 4, // RGBA
+};
+
+const paeth = (left: number, up: number, upLeft: number) => {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+    return left;
+  }
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+};
+
+/**
+ * Decode the first channel (gray or red) of a PNG at full precision
+ * Supports non-interlaced 8 and 16-bit grayscale, gray+alpha, RGB and RGBA;
+ * returns null for anything else (palette, interlaced, < 8 bits), which the
+ * caller can hand to the browser's image decoder instead.
+ * @returns Values 0..1, row 0 first
+ */
+export async function decodePngChannel(buffer: ArrayBuffer): Promise<{
+  width: number;
+  height: number;
+  values: Float32Array;
+} | null> {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) {
+      throw new Error("decodePngChannel: not a PNG file");
+    }
+  }
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  const dataChunks: Uint8Array[] = [];
+  for (let offset = PNG_SIGNATURE.length; offset < bytes.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === "IDAT") {
+      dataChunks.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = CHANNELS[colorType];
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16) || interlace !== 0) {
+    return null;
+  }
+
+  const compressed = new Uint8Array(
+    dataChunks.reduce((total, chunk) => total + chunk.length, 0)
+  );
+  dataChunks.reduce((offset, chunk) => {
+    compressed.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  const raw = await inflate(compressed);
+
+  // Undo the per-scanline filters in place, row by row
+  const bytesPerPixel = (channels * bitDepth) / 8;
+  const stride = width * bytesPerPixel;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = pixels.subarray(y * stride, (y + 1) * stride);
+    const previous =
+      y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+      const up = previous ? previous[x] : 0;
+      const upLeft =
+        previous && x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      let predicted = 0;
+      switch (filter) {
+        case 1:
+          predicted = left;
+          break;
+        case 2:
+          predicted = up;
+          break;
+        case 3:
+          predicted = (left + up) >> 1;
+          break;
+        case 4:
+          predicted = paeth(left, up, upLeft);
+          break;
+      }
+      row[x] = (source[x] + predicted) & 0xff;
+    }
+  }
+
+  const values = new Float32Array(width * height);
+  if (bitDepth === 16) {
+    for (let i = 0; i < values.length; i++) {
+      const index = i * bytesPerPixel;
+      values[i] = ((pixels[index] << 8) | pixels[index + 1]) / 65535;
+    }
+  } else {
+    for (let i = 0; i < values.length; i++) {
+      values[i] = pixels[i * bytesPerPixel] / 255;
+    }
+  }
+
+  return { width, height, values };
+}
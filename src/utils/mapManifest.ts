@@ -0,0 +1,271 @@
+import type {
+  MapManifest,
+  MapManifestEntry,
+  MapSpawnDescriptor,
+  MapWaterDescriptor,
+} from "../types/mapManifest";
+import { isFiniteNumber, isPlainObject, isVec3 } from "./validation";
+
+/**
+ * Map manifest validation
+ * Checks the JSON map manifest before any map is registered, so a broken
+ * entry fails loudly instead of silently falling back to another map
+ */
+
+const SUPPORTED_VERSION = 1;
+
+const ENTRY_KEYS = new Set([
+  "id",
+  "displayName",
+  "component",
+  "props",
+  "spawn",
+  "directionalOverride",
+  "killPlaneY",
+  "water",
+  "passCharacterData",
+  "supportsTeleport",
+  "requiresTerrainReadyCallback",
+  "hasParkourLevel",
+]);
+
+const BOOLEAN_KEYS = [
+  "passCharacterData",
+  "supportsTeleport",
+  "requiresTerrainReadyCallback",
+  "hasParkourLevel",
+] as const;
+
+export class MapManifestError extends Error {
+  issues: string[];
+
+  constructor(issues: string[]) {
+    super(
+      `Invalid map manifest (${issues.length} issue${
+        issues.length === 1 ? "" : "s"
+      }):\n  - ${issues.join("\n  - ")}`
+    );
+    this.name = "MapManifestError";
+    this.issues = issues;
+  }
+}
+
+const validateSpawn = (
+  spawn: unknown,
+  label: string,
+  issues: string[]
+): spawn is MapSpawnDescriptor => {
+  if (!isPlainObject(spawn)) {
+    issues.push(`${label}: "spawn" must be an object`);
+    return false;
+  }
+
+  const startCount = issues.length;
+
+  if (spawn.type === "static") {
+    if (!isVec3(spawn.position)) {
+      issues.push(
+        `${label}: "spawn.position" must be an array of 3 finite numbers`
+      );
+    }
+  } else if (spawn.type === "heightmap") {
+    ["x", "z", "size", "heightScale"].forEach((key) => {
+      if (!isFiniteNumber(spawn[key])) {
+        issues.push(`${label}: "spawn.${key}" must be a finite number`);
+      }
+    });
+    ["terrainOffset", "heightOffset", "centerPeakRadius"].forEach((key) => {
+      if (spawn[key] !== undefined && !isFiniteNumber(spawn[key])) {
+        issues.push(`${label}: "spawn.${key}" must be a finite number`);
+      }
+    });
+    if (
+      spawn.texture !== undefined &&
+      (typeof spawn.texture !== "string" || spawn.texture.length === 0)
+    ) {
+      issues.push(`${label}: "spawn.texture" must be a non-empty string`);
+    }
+    ["normalize", "mirrorZ"].forEach((key) => {
+      if (spawn[key] !== undefined && typeof spawn[key] !== "boolean") {
+        issues.push(`${label}: "spawn.${key}" must be a boolean`);
+      }
+    });
+  } else {
+    issues.push(
+      `${label}: "spawn.type" must be "static" or "heightmap" (got ${JSON.stringify(
+        spawn.type
+      )})`
+    );
+  }
+
+  return issues.length === startCount;
+};
+
+const validateWater = (
+  water: unknown,
+  label: string,
+  issues: string[]
+): water is MapWaterDescriptor => {
+  if (!isPlainObject(water)) {
+    issues.push(`${label}: "water" must be an object`);
+    return false;
+  }
+
+  const startCount = issues.length;
+
+  if (!isFiniteNumber(water.level)) {
+    issues.push(`${label}: "water.level" must be a finite number`);
+  }
+  if (water.bounds !== undefined) {
+    const { bounds } = water;
+    if (
+      !isPlainObject(bounds) ||
+      !["minX", "maxX", "minZ", "maxZ"].every((key) =>
+        isFiniteNumber(bounds[key])
+      )
+    ) {
+      issues.push(
+        `${label}: "water.bounds" must have finite minX, maxX, minZ and maxZ`
+      );
+    } else if (bounds.minX >= bounds.maxX || bounds.minZ >= bounds.maxZ) {
+      issues.push(`${label}: "water.bounds" must have min below max`);
+    }
+  }
+
+  return issues.length === startCount;
+};
+
+const validateEntry = (
+  entry: unknown,
+  index: number,
+  componentNames: Set<string>,
+  seenIds: Set<string>,
+  issues: string[]
+) => {
+  if (!isPlainObject(entry)) {
+    issues.push(`maps[${index}]: entry must be an object`);
+    return;
+  }
+
+  const label =
+    typeof entry.id === "string" && entry.id.length > 0
+      ? `maps[${index}] ("${entry.id}")`
+      : `maps[${index}]`;
+
+  Object.keys(entry).forEach((key) => {
+    if (!ENTRY_KEYS.has(key)) {
+      issues.push(`${label}: unknown property "${key}"`);
+    }
+  });
+
+  if (typeof entry.id !== "string" || entry.id.length === 0) {
+    issues.push(`${label}: "id" must be a non-empty string`);
+  } else if (seenIds.has(entry.id)) {
+    issues.push(`${label}: duplicate id "${entry.id}"`);
+  } else {
+    seenIds.add(entry.id);
+  }
+
+  if (
+    entry.displayName !== undefined &&
+    (typeof entry.displayName !== "string" || entry.displayName.length === 0)
+  ) {
+    issues.push(`${label}: "displayName" must be a non-empty string`);
+  }
+
+  if (typeof entry.component !== "string") {
+    issues.push(`${label}: "component" must be a string`);
+  } else if (!componentNames.has(entry.component)) {
+    issues.push(
+      `${label}: unknown component "${
+        entry.component
+      }" (registered: ${Array.from(componentNames).join(", ")})`
+    );
+  }
+
+  if (entry.props !== undefined && !isPlainObject(entry.props)) {
+    issues.push(`${label}: "props" must be an object`);
+  }
+
+  validateSpawn(entry.spawn, label, issues);
+
+  if (
+    entry.directionalOverride !== undefined &&
+    !isVec3(entry.directionalOverride)
+  ) {
+    issues.push(
+      `${label}: "directionalOverride" must be an array of 3 finite numbers`
+    );
+  }
+
+  if (entry.killPlaneY !== undefined && !isFiniteNumber(entry.killPlaneY)) {
+    issues.push(`${label}: "killPlaneY" must be a finite number`);
+  }
+
+  if (entry.water !== undefined) {
+    validateWater(entry.water, label, issues);
+  }
+
+  BOOLEAN_KEYS.forEach((key) => {
+    if (entry[key] !== undefined && typeof entry[key] !== "boolean") {
+      issues.push(`${label}: "${key}" must be a boolean`);
+    }
+  });
+};
+
+/**
+ * Validate a parsed map manifest against the registered map components
+ * @param manifest - Parsed manifest JSON
+ * @param componentNames - Names of the components maps may reference
+ * @returns The manifest, typed, once every entry is valid
+ * @throws MapManifestError listing every problem found
+ */
+export function validateMapManifest(
+  manifest: unknown,
+  componentNames: Iterable<string>
+): MapManifest {
+  const issues: string[] = [];
+  const knownComponents = new Set(componentNames);
+
+  if (!isPlainObject(manifest)) {
+    throw new MapManifestError(["manifest must be a JSON object"]);
+  }
+
+  if (manifest.version !== SUPPORTED_VERSION) {
+    issues.push(
+      `"version" must be ${SUPPORTED_VERSION} (got ${JSON.stringify(
+        manifest.version
+      )})`
+    );
+  }
+
+  if (!Array.isArray(manifest.maps) || manifest.maps.length === 0) {
+    issues.push(`"maps" must be a non-empty array`);
+    throw new MapManifestError(issues);
+  }
+
+  const seenIds = new Set<string>();
+  manifest.maps.forEach((entry: unknown, index: number) => {
+    validateEntry(entry, index, knownComponents, seenIds, issues);
+  });
+
+  if (manifest.defaultMap !== undefined && !seenIds.has(manifest.defaultMap)) {
+    issues.push(
+      `"defaultMap" must reference a map id (got ${JSON.stringify(
+        manifest.defaultMap
+      )})`
+    );
+  }
+
+  if (issues.length > 0) {
+    throw new MapManifestError(issues);
+  }
+
+  return manifest as MapManifest;
+}
+
+/**
+ * Display name shown in the Leva map dropdown for a manifest entry
+ */
+export const getMapDisplayName = (entry: MapManifestEntry) =>
+  entry.displayName ?? entry.id;
@@ -0,0 +1,74 @@
+/**
+ * Map State Registry
+ * Collects the runtime state of map objects that live outside React state
+ * (elevator cycles, teleport door cooldowns...) so save games can capture and
+ * restore it. Objects register under a key that is stable across reloads.
+ */
+
+export interface MapStateHandlers {
+  /** Return a JSON-serializable snapshot, or undefined to skip saving */
+  save: () => unknown;
+  load: (state: unknown) => void;
+}
+
+class MapStateRegistry {
+  private handlers: Map<string, MapStateHandlers> = new Map();
+  private pending: Map<string, unknown> = new Map();
+
+  /**
+   * Register an object's handlers. If a restore is waiting for this key it
+   * is applied immediately.
+   * @returns Unregister function
+   */
+  register(key: string, handlers: MapStateHandlers): () => void {
+    if (this.handlers.has(key)) {
+      console.warn(`MapStateRegistry: duplicate key "${key}", replacing it`);
+    }
+    this.handlers.set(key, handlers);
+
+    if (this.pending.has(key)) {
+      const state = this.pending.get(key);
+      this.pending.delete(key);
+      handlers.load(state);
+    }
+
+    return () => {
+      if (this.handlers.get(key) === handlers) {
+        this.handlers.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Snapshot every registered object
+   */
+  collect(): Record<string, unknown> {
+    const state: Record<string, unknown> = {};
+    this.handlers.forEach((handlers, key) => {
+      const value = handlers.save();
+      if (value !== undefined) {
+        state[key] = value;
+      }
+    });
+    return state;
+  }
+
+  /**
+   * Queue a snapshot for restore. Loading a save remounts the map, so each
+   * value is applied when its object registers again. Replaces any earlier
+   * pending restore.
+   */
+  restore(state: Record<string, unknown>) {
+    this.pending = new Map(Object.entries(state));
+  }
+
+  /**
+   * Drop restores nobody claimed (e.g. the map was changed by hand)
+   */
+  clearPending() {
+    this.pending.clear();
+  }
+}
+
+// Singleton instance
+export const mapStateRegistry = new MapStateRegistry();
@@ -0,0 +1,231 @@
+import type { ParkourLevel, ParkourPrimitiveType } from "../types/parkourLevel";
+import { isFiniteNumber, isPlainObject, isVec3 } from "./validation";
+
+/**
+ * Parkour level validation
+ * Level files describe parkour courses as a flat list of primitives plus their
+ * props; this checks them before ParkourLevel instantiates anything
+ */
+
+const SUPPORTED_VERSION = 1;
+
+type PropKind = "vec3" | "number" | "boolean" | "orientation";
+
+type PrimitiveSchema = {
+  required: Record<string, PropKind>;
+  optional: Record<string, PropKind>;
+};
+
+const tileSchema: PrimitiveSchema = {
+  required: {},
+  optional: { position: "vec3" },
+};
+
+const wallSchema: PrimitiveSchema = {
+  required: {
+    position: "vec3",
+    length: "number",
+    height: "number",
+    thickness: "number",
+    orientation: "orientation",
+  },
+  optional: { climbable: "boolean" },
+};
+
+export const PARKOUR_PRIMITIVE_SCHEMAS: Record<
+  ParkourPrimitiveType,
+  PrimitiveSchema
+> = {
+  CylinderTile: tileSchema,
+  ParkourTile: tileSchema,
+  HoleWallTile: tileSchema,
+  StaticPlatform: {
+    required: { position: "vec3", size: "vec3" },
+    optional: {},
+  },
+  ElevatorPlatform: {
+    required: {},
+    optional: {
+      position: "vec3",
+      height: "number",
+      climbDuration: "number",
+      descentDuration: "number",
+      bottomPause: "number",
+      topPause: "number",
+      size: "vec3",
+    },
+  },
+  Trampoline: {
+    required: {},
+    optional: { position: "vec3", restitution: "number" },
+  },
+  LaunchPad: {
+    required: {},
+    optional: {
+      position: "vec3",
+      radius: "number",
+      height: "number",
+      restitution: "number",
+    },
+  },
+  Staircase: {
+    required: {},
+    optional: {
+      position: "vec3",
+      rotation: "vec3",
+      stepWidth: "number",
+      stepDepth: "number",
+      totalHeight: "number",
+      stepHeight: "number",
+    },
+  },
+  WallSegment: wallSchema,
+  WallWithOpening: {
+    required: { ...wallSchema.required, openingWidth: "number" },
+    optional: wallSchema.optional,
+  },
+  JumpTestingCircles: {
+    required: {
+      startPosition: "vec3",
+      step: "vec3",
+      radius: "number",
+      count: "number",
+    },
+    optional: {},
+  },
+  CircularJumpPlatform: {
+    required: { position: "vec3", radius: "number" },
+    optional: {},
+  },
+  Checkpoint: {
+    required: { position: "vec3" },
+    optional: { size: "vec3", spawnOffset: "vec3" },
+  },
+  Ladder: {
+    required: { position: "vec3" },
+    optional: { height: "number", width: "number", rotation: "number" },
+  },
+};
+
+export class ParkourLevelError extends Error {
+  issues: string[];
+
+  constructor(levelName: string, issues: string[]) {
+    super(
+      `Invalid parkour level "${levelName}" (${issues.length} issue${
+        issues.length === 1 ? "" : "s"
+      }):\n  - ${issues.join("\n  - ")}`
+    );
+    this.name = "ParkourLevelError";
+    this.issues = issues;
+  }
+}
+
+const checkProp = (value: unknown, kind: PropKind) => {
+  switch (kind) {
+    case "vec3":
+      return isVec3(value) ? null : "must be an array of 3 finite numbers";
+    case "number":
+      return isFiniteNumber(value) ? null : "must be a finite number";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "orientation":
+      return value === "x" || value === "z" ? null : 'must be "x" or "z"';
+  }
+};
+
+/**
+ * Validate a parsed parkour level file
+ * @param level - Parsed level JSON
+ * @param levelName - Name used in error messages (usually the file name)
+ * @returns The level, typed, once every primitive is valid
+ * @throws ParkourLevelError listing every problem found
+ */
+export function validateParkourLevel(
+  level: unknown,
+  levelName: string = "level"
+): ParkourLevel {
+  if (!isPlainObject(level)) {
+    throw new ParkourLevelError(levelName, ["level must be a JSON object"]);
+  }
+
+  const issues: string[] = [];
+
+  if (level.version !== SUPPORTED_VERSION) {
+    issues.push(
+      `"version" must be ${SUPPORTED_VERSION} (got ${JSON.stringify(
+        level.version
+      )})`
+    );
+  }
+
+  if (level.name !== undefined && typeof level.name !== "string") {
+    issues.push(`"name" must be a string`);
+  }
+
+  if (!Array.isArray(level.primitives)) {
+    issues.push(`"primitives" must be an array`);
+    throw new ParkourLevelError(levelName, issues);
+  }
+
+  const seenIds = new Set<string>();
+
+  level.primitives.forEach((primitive: unknown, index: number) => {
+    if (!isPlainObject(primitive)) {
+      issues.push(`primitives[${index}]: entry must be an object`);
+      return;
+    }
+
+    const schema =
+      PARKOUR_PRIMITIVE_SCHEMAS[primitive.type as ParkourPrimitiveType];
+    if (!schema) {
+      issues.push(
+        `primitives[${index}]: unknown type ${JSON.stringify(
+          primitive.type
+        )} (expected one of: ${Object.keys(PARKOUR_PRIMITIVE_SCHEMAS).join(
+          ", "
+        )})`
+      );
+      return;
+    }
+
+    const label = `primitives[${index}] (${primitive.type})`;
+
+    if (primitive.id !== undefined) {
+      if (typeof primitive.id !== "string" || primitive.id.length === 0) {
+        issues.push(`${label}: "id" must be a non-empty string`);
+      } else if (seenIds.has(primitive.id)) {
+        issues.push(`${label}: duplicate id "${primitive.id}"`);
+      } else {
+        seenIds.add(primitive.id);
+      }
+    }
+
+    Object.keys(primitive).forEach((key) => {
+      if (key === "type" || key === "id") return;
+
+      const kind = schema.required[key] ?? schema.optional[key];
+      if (!kind) {
+        issues.push(`${label}: unknown prop "${key}"`);
+        return;
+      }
+
+      const problem = checkProp(primitive[key], kind);
+      if (problem) {
+        issues.push(`${label}: "${key}" ${problem}`);
+      }
+    });
+
+    Object.keys(schema.required).forEach((key) => {
+      if (primitive[key] === undefined) {
+        issues.push(`${label}: missing required prop "${key}"`);
+      }
+    });
+  });
+
+  if (issues.length > 0) {
+    throw new ParkourLevelError(levelName, issues);
+  }
+
+  return level as ParkourLevel;
+}
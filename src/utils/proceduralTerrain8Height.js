@@ -0,0 +1,306 @@
+import { createNoise2D } from "simplex-noise";
+import alea from "alea";
+
+/**
+ * ProceduralTerrain8 height field, shared by the component (height lookups
+ * for grass, spawns and the TerrainProvider) and the chunk generation worker
+ */
+
+// Simplex noise generator using simplex-noise library
+function createNoiseGenerator(seed = 0) {
+  const prng = alea(seed);
+  const noise2D = createNoise2D(prng);
+
+  // Return wrapper function that matches the interface from ProceduralTerrain3
+  return (x, y) => noise2D(x, y);
+}
+
+// Fractional Brownian Motion (fBm) - Multiple octaves of noise for natural terrain
+// Creates fractal-like detail by layering noise at different frequencies and amplitudes
+function fBm(
+  noiseFunc,
+  x,
+  y,
+  octaves = 6,
+  frequency = 0.0005,
+  persistence = 0.5,
+  lacunarity = 2.0,
+  amplitude = 1.0,
+  offsetX = 0,
+  offsetY = 0
+) {
+  let value = 0;
+  let amp = amplitude;
+  let freq = frequency;
+  let maxValue = 0; // For normalization
+
+  // Add multiple octaves (layers) of noise
+  for (let i = 0; i < octaves; i++) {
+    value += noiseFunc(x * freq + offsetX, y * freq + offsetY) * amp;
+    maxValue += amp;
+
+    // Each octave: frequency doubles, amplitude reduces by persistence
+    freq *= lacunarity;
+    amp *= persistence;
+  }
+
+  // Normalize to keep values in a reasonable range
+  return maxValue > 0 ? value / maxValue : 0;
+}
+
+// SHARED height calculation - Optimized for BOTW-style open world
+export function getTerrainHeight(
+  worldX,
+  worldZ,
+  noiseGenerators,
+  heightScale,
+  terrainControls = {}
+) {
+  const { noise, noise2, noise3, noise4 } = noiseGenerators;
+
+  // Extract controls with defaults
+  const {
+    mountainIntensity = 1.0,
+    flatnessThreshold = 0.35,
+    flatnessSmooth = 0.25,
+    ridgeSharpness = 1.8,
+    valleyDepth = 0.4,
+    detailAmount = 0.18,
+    biomeVariation = 0.5,
+    // fBm controls
+    fbmEnabled = true,
+    fbmOctaves = 6,
+    fbmPersistence = 0.5,
+    fbmLacunarity = 2.0,
+    fbmBaseFrequency = 0.0005,
+  } = terrainControls;
+
+  // === LARGE-SCALE REGIONS - Creates distinct biomes/areas ===
+  const regionFreq = 0.0006; // Lower frequency for larger regions
+  const regionNoise = noise(worldX * regionFreq, worldZ * regionFreq);
+  const regionNoise2 = noise2(
+    worldX * regionFreq * 1.5 + 1000,
+    worldZ * regionFreq * 1.5 + 1000
+  );
+  const regionMask = (regionNoise * 0.65 + regionNoise2 * 0.35) * 0.5 + 0.5; // 0 to 1
+
+  // === FLAT PLAINS - Large traversable areas like Hyrule Field ===
+  let flatnessFactor = 1.0;
+  if (regionMask < flatnessThreshold) {
+    // Smooth transition to flat - creates wide plains
+    flatnessFactor =
+      Math.pow(regionMask / flatnessThreshold, 1.8) * flatnessSmooth +
+      (1 - flatnessSmooth);
+  }
+
+  // === RIDGED MOUNTAINS - Smooth peaks and ridges with fBm ===
+  let ridgeTerrain;
+  if (fbmEnabled) {
+    // Use fBm for more natural ridge patterns
+    const ridgeFreq = 0.0012;
+    const ridgeFbm1 = fBm(
+      noise3,
+      worldX,
+      worldZ,
+      Math.floor(fbmOctaves * 0.7),
+      ridgeFreq,
+      fbmPersistence * 0.8, // Slightly lower persistence for smoother ridges
+      fbmLacunarity,
+      1.0,
+      0,
+      0
+    );
+    let ridge1 = Math.abs(ridgeFbm1);
+    ridge1 = 1 - ridge1; // Invert to create ridges
+
+    const ridgeFbm2 = fBm(
+      noise4,
+      worldX,
+      worldZ,
+      Math.floor(fbmOctaves * 0.6),
+      ridgeFreq * 2.3,
+      fbmPersistence * 0.7,
+      fbmLacunarity,
+      1.0,
+      2000,
+      2000
+    );
+    let ridge2 = Math.abs(ridgeFbm2);
+    ridge2 = 1 - ridge2;
+
+    // Smooth ridges
+    ridge1 = Math.pow(ridge1, Math.max(1.0, ridgeSharpness * 0.6));
+    ridge1 = Math.pow(ridge1, 0.85);
+    ridge2 = Math.pow(ridge2, Math.max(1.0, ridgeSharpness * 0.55));
+    ridge2 = Math.pow(ridge2, 0.85);
+
+    const ridgeBlend = ridge1 * 0.75 + ridge2 * 0.25;
+    ridgeTerrain = Math.pow(ridgeBlend, 0.95) * mountainIntensity;
+  } else {
+    // Fallback to original
+    const ridgeFreq = 0.0012;
+    let ridge1 = Math.abs(noise3(worldX * ridgeFreq, worldZ * ridgeFreq));
+    ridge1 = 1 - ridge1;
+    ridge1 = Math.pow(ridge1, Math.max(1.0, ridgeSharpness * 0.6));
+    ridge1 = Math.pow(ridge1, 0.85);
+
+    let ridge2 = Math.abs(
+      noise4(worldX * ridgeFreq * 2.3 + 2000, worldZ * ridgeFreq * 2.3 + 2000)
+    );
+    ridge2 = 1 - ridge2;
+    ridge2 = Math.pow(ridge2, Math.max(1.0, ridgeSharpness * 0.55));
+    ridge2 = Math.pow(ridge2, 0.85);
+
+    const ridgeBlend = ridge1 * 0.75 + ridge2 * 0.25;
+    ridgeTerrain = Math.pow(ridgeBlend, 0.95) * mountainIntensity;
+  }
+
+  // === BASE TERRAIN - Gentle undulating landscape ===
+  // Use fBm for more natural, fractal-like terrain
+  let baseTerrain;
+  if (fbmEnabled) {
+    // fBm creates natural multi-scale detail
+    const fbm1 = fBm(
+      noise,
+      worldX,
+      worldZ,
+      fbmOctaves,
+      fbmBaseFrequency,
+      fbmPersistence,
+      fbmLacunarity,
+      1.0,
+      3000,
+      3000
+    );
+    const fbm2 = fBm(
+      noise2,
+      worldX,
+      worldZ,
+      Math.floor(fbmOctaves * 0.8),
+      fbmBaseFrequency * 0.6,
+      fbmPersistence,
+      fbmLacunarity,
+      1.0,
+      4000,
+      4000
+    );
+    baseTerrain = (fbm1 * 0.65 + fbm2 * 0.35) * 0.6;
+  } else {
+    // Fallback to original single-octave approach
+    const baseFreq = 0.0005;
+    const base1 = noise(worldX * baseFreq + 3000, worldZ * baseFreq + 3000);
+    const base2 = noise2(
+      worldX * baseFreq * 0.6 + 4000,
+      worldZ * baseFreq * 0.6 + 4000
+    );
+    baseTerrain = (base1 * 0.65 + base2 * 0.35) * 0.6;
+  }
+
+  // === VALLEYS AND DEPRESSIONS - Negative features ===
+  const valleyFreq = 0.0009;
+  const valleyNoise = noise3(
+    worldX * valleyFreq + 5000,
+    worldZ * valleyFreq + 5000
+  );
+  const valleys = Math.min(0, valleyNoise * valleyDepth);
+
+  // === ROLLING HILLS - Medium frequency undulation with fBm ===
+  const hillFreq = 0.002;
+  let hills;
+  if (fbmEnabled) {
+    hills =
+      fBm(
+        noise4,
+        worldX,
+        worldZ,
+        Math.floor(fbmOctaves * 0.5),
+        hillFreq,
+        fbmPersistence * 0.9,
+        fbmLacunarity,
+        1.0,
+        6000,
+        6000
+      ) * 0.25;
+  } else {
+    hills = noise4(worldX * hillFreq + 6000, worldZ * hillFreq + 6000) * 0.25;
+  }
+
+  // === FINE DETAIL - Surface texture with fBm ===
+  const detailFreq = 0.007;
+  let detail;
+  if (fbmEnabled) {
+    detail =
+      fBm(
+        noise2,
+        worldX,
+        worldZ,
+        Math.floor(fbmOctaves * 0.4),
+        detailFreq,
+        fbmPersistence * 0.6,
+        fbmLacunarity,
+        1.0,
+        7000,
+        7000
+      ) *
+      detailAmount *
+      0.6; // Reduced to prevent spike artifacts
+  } else {
+    detail =
+      noise2(worldX * detailFreq + 7000, worldZ * detailFreq + 7000) *
+      detailAmount *
+      0.6;
+  }
+
+  // === COMBINE LAYERS ===
+  // Mountain regions get ridges, flat regions stay mostly flat
+  const mountainMask = Math.pow(
+    Math.max(0, regionMask - flatnessThreshold),
+    1.3
+  );
+  const mountainHeight = ridgeTerrain * mountainMask;
+
+  // Add biome variation for more interesting terrain
+  const biomeVar =
+    noise4(worldX * 0.0004 + 8000, worldZ * 0.0004 + 8000) *
+    biomeVariation *
+    0.3;
+
+  let height =
+    baseTerrain +
+    mountainHeight +
+    valleys +
+    hills +
+    detail * flatnessFactor +
+    biomeVar;
+
+  // Apply flatness factor to reduce all variation in flat areas
+  height = height * flatnessFactor;
+
+  // Smooth the final height to remove any remaining spikes
+  // This acts as a gentle low-pass filter on the noise output
+  // We can't sample neighbors here, but we can apply a smoothing function
+  // by slightly reducing extreme values
+  const heightNormalized = height;
+  const smoothedHeight =
+    heightNormalized * 0.98 +
+    Math.sign(heightNormalized) * Math.abs(heightNormalized) * 0.02 * 0.5;
+
+  const finalHeight = smoothedHeight * heightScale;
+
+  // Safety check - clamp height to prevent rendering issues
+  if (!isFinite(finalHeight) || Math.abs(finalHeight) > 10000) {
+    return 0;
+  }
+
+  return finalHeight;
+}
+
+// The four noise layers getTerrainHeight blends, all derived from one seed
+export function createTerrainNoiseGenerators(seed) {
+  return {
+    noise: createNoiseGenerator(seed),
+    noise2: createNoiseGenerator(seed + 1000),
+    noise3: createNoiseGenerator(seed + 2000),
+    noise4: createNoiseGenerator(seed + 3000),
+  };
+}
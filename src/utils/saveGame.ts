@@ -0,0 +1,190 @@
+import type { SaveGame } from "../types/saveGame";
+import { isFiniteNumber, isPlainObject, isVec3 } from "./validation";
+
+/**
+ * Save game storage
+ * Named save slots persisted in localStorage, one key per slot. Checkpoints
+ * write to the reserved autosave slot.
+ */
+
+export const SAVE_GAME_VERSION = 1;
+export const AUTOSAVE_SLOT = "autosave";
+
+const STORAGE_PREFIX = "wawa-game:save:";
+
+export class SaveGameError extends Error {
+  issues: string[];
+
+  constructor(slot: string, issues: string[]) {
+    super(`Invalid save "${slot}":\n  - ${issues.join("\n  - ")}`);
+    this.name = "SaveGameError";
+    this.issues = issues;
+  }
+}
+
+const getStorage = (): Storage | null => {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    // Access throws when storage is disabled (e.g. some private modes)
+    return null;
+  }
+};
+
+const normalizeSlot = (slot: string) => {
+  const trimmed = slot.trim();
+  if (trimmed.length === 0) {
+    throw new Error("Save slot name must not be empty");
+  }
+  return trimmed;
+};
+
+/**
+ * Check a parsed save against the current save format
+ * @throws SaveGameError listing every problem found
+ */
+export function validateSaveGame(data: unknown, slot: string): SaveGame {
+  if (!isPlainObject(data)) {
+    throw new SaveGameError(slot, ["save must be a JSON object"]);
+  }
+
+  const issues: string[] = [];
+
+  if (data.version !== SAVE_GAME_VERSION) {
+    issues.push(
+      `"version" must be ${SAVE_GAME_VERSION} (got ${JSON.stringify(
+        data.version
+      )})`
+    );
+  }
+  if (typeof data.map !== "string" || data.map.length === 0) {
+    issues.push(`"map" must be a non-empty string`);
+  }
+  if (data.mapState !== undefined && !isPlainObject(data.mapState)) {
+    issues.push(`"mapState" must be an object`);
+  }
+
+  const character = data.character;
+  if (!isPlainObject(character)) {
+    issues.push(`"character" must be an object`);
+  } else {
+    (["position", "velocity"] as const).forEach((key) => {
+      if (!isVec3(character[key])) {
+        issues.push(`"character.${key}" must be an array of 3 finite numbers`);
+      }
+    });
+    (["rotation", "heading"] as const).forEach((key) => {
+      if (!isFiniteNumber(character[key])) {
+        issues.push(`"character.${key}" must be a finite number`);
+      }
+    });
+    if (typeof character.isCrouching !== "boolean") {
+      issues.push(`"character.isCrouching" must be a boolean`);
+    }
+    if (
+      !isPlainObject(character.camera) ||
+      !isFiniteNumber(character.camera.orbitOffset) ||
+      !isFiniteNumber(character.camera.verticalOffset)
+    ) {
+      issues.push(
+        `"character.camera" must have finite "orbitOffset" and "verticalOffset"`
+      );
+    }
+  }
+
+  const checkpoint = data.checkpoint;
+  if (
+    checkpoint !== null &&
+    checkpoint !== undefined &&
+    (!isPlainObject(checkpoint) ||
+      typeof checkpoint.id !== "string" ||
+      !isVec3(checkpoint.spawnPosition))
+  ) {
+    issues.push(
+      `"checkpoint" must be null or have an "id" and a "spawnPosition"`
+    );
+  }
+
+  if (issues.length > 0) {
+    throw new SaveGameError(slot, issues);
+  }
+
+  return {
+    ...(data as SaveGame),
+    checkpoint: (checkpoint as SaveGame["checkpoint"]) ?? null,
+    mapState: (data.mapState as SaveGame["mapState"]) ?? {},
+  };
+}
+
+/**
+ * Names of every slot currently in storage, most recently saved first
+ */
+export const listSaveSlots = (): string[] => {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  const slots: { slot: string; savedAt: string }[] = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+
+    let savedAt = "";
+    try {
+      savedAt = JSON.parse(storage.getItem(key) ?? "{}").savedAt ?? "";
+    } catch {
+      // Listed anyway so a corrupt slot can still be overwritten or deleted
+    }
+    slots.push({ slot: key.slice(STORAGE_PREFIX.length), savedAt });
+  }
+
+  return slots
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+    .map(({ slot }) => slot);
+};
+
+/**
+ * @returns The save in the slot, or null when the slot is empty
+ * @throws SaveGameError when the slot holds data this version can't load
+ */
+export const readSaveGame = (slot: string): SaveGame | null => {
+  const name = normalizeSlot(slot);
+  const raw = getStorage()?.getItem(STORAGE_PREFIX + name);
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new SaveGameError(name, ["stored data is not valid JSON"]);
+  }
+  return validateSaveGame(parsed, name);
+};
+
+/**
+ * Persist a save under its slot name, replacing what was there
+ * @returns false when storage is unavailable or full
+ */
+export const writeSaveGame = (save: SaveGame): boolean => {
+  const storage = getStorage();
+  if (!storage) {
+    console.warn("SaveGame: localStorage is unavailable, nothing was saved");
+    return false;
+  }
+
+  try {
+    storage.setItem(
+      STORAGE_PREFIX + normalizeSlot(save.slot),
+      JSON.stringify(save)
+    );
+    return true;
+  } catch (error) {
+    console.warn(`SaveGame: failed to write slot "${save.slot}"`, error);
+    return false;
+  }
+};
+
+export const deleteSaveGame = (slot: string) => {
+  getStorage()?.removeItem(STORAGE_PREFIX + normalizeSlot(slot));
+};
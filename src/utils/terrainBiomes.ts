@@ -0,0 +1,310 @@
+import * as THREE from "three";
+import alea from "alea";
+import { createNoise2D } from "simplex-noise";
+import type { SplatRules } from "./terrainSplatMap";
+
+/**
+ * Terrain Biomes
+ * Regions with their own ground colors, texture layer rules, grass and tree
+ * density, picked from two seeded noise fields: temperature and moisture.
+ * Each biome sits at a point of that climate plane and every world position
+ * gets a weight per biome from its distance to those points, so regions blend
+ * into each other instead of switching at a border.
+ *
+ * The biome map texture stores the weights as RGBA, one channel per BIOMES
+ * entry in table order, which is why the table has exactly four entries.
+ */
+
+export type BiomeDefinition = {
+  id: string;
+  label: string;
+  /** Where the biome sits in the climate plane, 0..1 each */
+  temperature: number;
+  moisture: number;
+  /** Height gradient colors (sRGB), valley to peak */
+  terrainColors: {
+    valley: string;
+    grass: string;
+    mountain: string;
+    peak: string;
+  };
+  /** Multipliers for the terrain's texture layer rules */
+  splat: {
+    /** < 1 lets dirt (sand) onto gentler slopes */
+    dirtSlope: number;
+    /** > 1 raises the snow line, < 1 lowers it */
+    snowHeight: number;
+  };
+  /** ClaudeGrassQuick5 gradient colors (sRGB), density 0..1 */
+  grass: {
+    baseColor1: string;
+    baseColor2: string;
+    tipColor1: string;
+    tipColor2: string;
+    density: number;
+  };
+  /** Share of the trees a region would get at full density, 0..1 */
+  treeDensity: number;
+};
+
+export const BIOMES: BiomeDefinition[] = [
+  {
+    id: "meadow",
+    label: "🌾 Meadow",
+    temperature: 0.55,
+    moisture: 0.45,
+    terrainColors: {
+      valley: "#133808",
+      grass: "#1d4110",
+      mountain: "#2d5016",
+      peak: "#d4d4d4",
+    },
+    splat: { dirtSlope: 1, snowHeight: 1 },
+    grass: {
+      baseColor1: "#051303",
+      baseColor2: "#061a03",
+      tipColor1: "#a6cc40",
+      tipColor2: "#cce666",
+      density: 1,
+    },
+    treeDensity: 0.3,
+  },
+  {
+    id: "forest",
+    label: "🌲 Forest",
+    temperature: 0.45,
+    moisture: 0.8,
+    terrainColors: {
+      valley: "#0c2606",
+      grass: "#14330b",
+      mountain: "#2a3d1a",
+      peak: "#cfd6cf",
+    },
+    splat: { dirtSlope: 1.2, snowHeight: 1 },
+    grass: {
+      baseColor1: "#031002",
+      baseColor2: "#041503",
+      tipColor1: "#5f8f2a",
+      tipColor2: "#7aa63a",
+      density: 0.6,
+    },
+    treeDensity: 1,
+  },
+  {
+    id: "desert",
+    label: "🏜️ Desert",
+    temperature: 0.85,
+    moisture: 0.15,
+    terrainColors: {
+      valley: "#8a6a3c",
+      grass: "#b08b52",
+      mountain: "#8c5a3a",
+      peak: "#c9a27a",
+    },
+    splat: { dirtSlope: 0.2, snowHeight: 4 },
+    grass: {
+      baseColor1: "#2a2208",
+      baseColor2: "#332a0b",
+      tipColor1: "#b8a85a",
+      tipColor2: "#d1c27a",
+      density: 0.1,
+    },
+    treeDensity: 0.03,
+  },
+  {
+    id: "tundra",
+    label: "❄️ Tundra",
+    temperature: 0.15,
+    moisture: 0.4,
+    terrainColors: {
+      valley: "#4d5a4a",
+      grass: "#6b7565",
+      mountain: "#7d8088",
+      peak: "#f2f5f8",
+    },
+    splat: { dirtSlope: 0.8, snowHeight: 0.35 },
+    grass: {
+      baseColor1: "#10140c",
+      baseColor2: "#151a10",
+      tipColor1: "#8c9a6a",
+      tipColor2: "#a3ad86",
+      density: 0.35,
+    },
+    treeDensity: 0.15,
+  },
+];
+
+export type BiomeSettings = {
+  /** World units across one typical climate feature */
+  scale: number;
+  /** Climate distance over which neighbouring biomes blend */
+  blend: number;
+};
+
+export const DEFAULT_BIOME_SETTINGS: BiomeSettings = {
+  scale: 1500,
+  blend: 0.12,
+};
+
+/** One weight per BIOMES entry, summing to 1 */
+export type BiomeWeights = [number, number, number, number];
+
+export type BiomeSampler = {
+  /** Temperature and moisture at a world position, 0..1 each */
+  getClimate: (
+    x: number,
+    z: number
+  ) => { temperature: number; moisture: number };
+  getWeights: (x: number, z: number) => BiomeWeights;
+  /** A biome value blended by the weights at a world position */
+  blend: (
+    x: number,
+    z: number,
+    pick: (biome: BiomeDefinition) => number
+  ) => number;
+  /** A biome color blended by the weights at a world position */
+  blendColor: (
+    x: number,
+    z: number,
+    pick: (biome: BiomeDefinition) => string,
+    target?: THREE.Color
+  ) => THREE.Color;
+};
+
+/**
+ * Climate and biome weights for a seed
+ */
+export function createBiomeSampler(
+  seed: number | string,
+  { scale, blend }: BiomeSettings = DEFAULT_BIOME_SETTINGS
+): BiomeSampler {
+  const temperatureNoise = createNoise2D(alea(`${seed}:temperature`));
+  const moistureNoise = createNoise2D(alea(`${seed}:moisture`));
+
+  // Three octaves, stretched a little so the extremes show up
+  const sampleField = (
+    noise: (x: number, y: number) => number,
+    x: number,
+    z: number
+  ) => {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 1 / scale;
+    let total = 0;
+    for (let octave = 0; octave < 3; octave++) {
+      value += noise(x * frequency, z * frequency) * amplitude;
+      total += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+    return Math.min(1, Math.max(0, 0.5 + (value / total) * 0.7));
+  };
+
+  const getClimate = (x: number, z: number) => ({
+    temperature: sampleField(temperatureNoise, x, z),
+    moisture: sampleField(moistureNoise, x, z),
+  });
+
+  const getWeights = (x: number, z: number): BiomeWeights => {
+    const { temperature, moisture } = getClimate(x, z);
+    const weights = BIOMES.map((biome) => {
+      const distance = Math.hypot(
+        temperature - biome.temperature,
+        moisture - biome.moisture
+      );
+      return Math.exp(-((distance / blend) ** 2));
+    });
+    // Far from every biome all weights underflow; fall back to the nearest
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total < 1e-6) {
+      const distances = BIOMES.map((biome) =>
+        Math.hypot(temperature - biome.temperature, moisture - biome.moisture)
+      );
+      const nearest = distances.indexOf(Math.min(...distances));
+      return BIOMES.map((_, index) =>
+        index === nearest ? 1 : 0
+      ) as BiomeWeights;
+    }
+    return weights.map((weight) => weight / total) as BiomeWeights;
+  };
+
+  const color = new THREE.Color();
+  return {
+    getClimate,
+    getWeights,
+    blend: (x, z, pick) =>
+      getWeights(x, z).reduce(
+        (sum, weight, index) => sum + pick(BIOMES[index]) * weight,
+        0
+      ),
+    blendColor: (x, z, pick, target = new THREE.Color()) => {
+      target.setRGB(0, 0, 0);
+      getWeights(x, z).forEach((weight, index) => {
+        color.set(pick(BIOMES[index]));
+        target.r += color.r * weight;
+        target.g += color.g * weight;
+        target.b += color.b * weight;
+      });
+      return target;
+    },
+  };
+}
+
+/**
+ * Terrain layer rules scaled by the local biome mix
+ */
+export const getBiomeSplatRules = (
+  biomes: BiomeSampler,
+  x: number,
+  z: number,
+  rules: SplatRules
+): SplatRules => ({
+  ...rules,
+  dirtSlope:
+    rules.dirtSlope * biomes.blend(x, z, (biome) => biome.splat.dirtSlope),
+  snowHeight:
+    rules.snowHeight * biomes.blend(x, z, (biome) => biome.splat.snowHeight),
+});
+
+/**
+ * Biome weights as an RGBA texture over the centered square of `size`, node
+ * (i, j) at texel (i, j) with rows along world +Z
+ */
+export function createBiomeMapTexture(
+  biomes: BiomeSampler,
+  size: number,
+  resolution: number
+): THREE.DataTexture {
+  const data = new Uint8Array(resolution * resolution * 4);
+  const cellSize = size / (resolution - 1);
+  for (let j = 0; j < resolution; j++) {
+    for (let i = 0; i < resolution; i++) {
+      const weights = biomes.getWeights(
+        -size / 2 + i * cellSize,
+        -size / 2 + j * cellSize
+      );
+      const index = (j * resolution + i) * 4;
+      weights.forEach((weight, channel) => {
+        data[index + channel] = Math.round(weight * 255);
+      });
+    }
+  }
+
+  const texture = new THREE.DataTexture(
+    data,
+    resolution,
+    resolution,
+    THREE.RGBAFormat
+  );
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Per-biome colors for shader uniform arrays, in BIOMES order and linear
+ * color space (THREE.Color.set converts from sRGB)
+ */
+export const getBiomeColors = (pick: (biome: BiomeDefinition) => string) =>
+  BIOMES.map((biome) => new THREE.Color(pick(biome)));
@@ -0,0 +1,171 @@
+import {
+  createTerrainNoiseGenerators,
+  getTerrainHeight,
+} from "./proceduralTerrain8Height";
+import { sampleErosionMap } from "./terrainErosion";
+import { sampleChunkHeightfield } from "./terrainHeightfield";
+import { sinkUnderVoxelSections } from "./voxelTerrain";
+
+/**
+ * ProceduralTerrain8 chunk builder, run by the chunk generation worker and on
+ * the main thread when a worker fails
+ */
+
+// Chunks of one terrain share a seed, so keep its noise around
+let cachedSeed = null;
+let cachedNoise = null;
+
+const getNoiseGenerators = (seed) => {
+  if (seed !== cachedSeed) {
+    cachedSeed = seed;
+    cachedNoise = createTerrainNoiseGenerators(seed);
+  }
+  return cachedNoise;
+};
+
+/**
+ * Build one chunk's geometry and heightfield
+ * @param {import("../types/terrain").TerrainChunkJob} job
+ * @returns {import("../types/terrain").TerrainChunkBuffers}
+ */
+export const buildTerrainChunk = ({
+  seed,
+  chunkX,
+  chunkZ,
+  chunkSize,
+  segments,
+  collisionSegments,
+  heightScale,
+  terrainControls,
+  erosion,
+  rivers,
+  voxelSinks,
+  heightsOnly,
+}) => {
+  const noiseGenerators = getNoiseGenerators(seed);
+  const verticesPerSide = segments + 1;
+  const vertexCount = verticesPerSide * verticesPerSide;
+  const worldStartX = chunkX * chunkSize;
+  const worldStartZ = chunkZ * chunkSize;
+  const stepSize = chunkSize / segments;
+
+  const getHeight = (noiseX, noiseZ) => {
+    let height = getTerrainHeight(
+      noiseX,
+      noiseZ,
+      noiseGenerators,
+      heightScale,
+      terrainControls
+    );
+    // The erosion and river maps are in world space, where Z is the negated
+    // noise Z
+    if (erosion) {
+      height += sampleErosionMap(erosion, erosion.delta, noiseX, -noiseZ);
+    }
+    if (rivers) {
+      height += sampleErosionMap(rivers, rivers.delta, noiseX, -noiseZ);
+    }
+    // Out of the way of voxel sections, which mesh their own surface
+    return voxelSinks.length > 0
+      ? sinkUnderVoxelSections(
+          height,
+          noiseX,
+          -noiseZ,
+          voxelSinks,
+          Math.max(stepSize, chunkSize / collisionSegments)
+        )
+      : height;
+  };
+
+  if (heightsOnly) {
+    return {
+      positions: new Float32Array(0),
+      normals: new Float32Array(0),
+      uvs: new Float32Array(0),
+      indices: new Uint32Array(0),
+      heightfield: sampleChunkHeightfield(
+        getHeight,
+        chunkX,
+        chunkZ,
+        chunkSize,
+        collisionSegments
+      ),
+    };
+  }
+
+  // Sample one extra ring around the chunk so edge normals match the
+  // neighbouring chunk instead of seaming
+  const sampleSide = verticesPerSide + 2;
+  const samples = new Float32Array(sampleSide * sampleSide);
+  for (let z = -1; z <= verticesPerSide; z++) {
+    for (let x = -1; x <= verticesPerSide; x++) {
+      samples[(z + 1) * sampleSide + (x + 1)] = getHeight(
+        worldStartX + x * stepSize,
+        worldStartZ + z * stepSize
+      );
+    }
+  }
+  const heightAt = (x, z) => samples[(z + 1) * sampleSide + (x + 1)];
+
+  // Same layout as before: plane-local (x, z, height), rotated flat by the mesh
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  for (let z = 0; z <= segments; z++) {
+    for (let x = 0; x <= segments; x++) {
+      const i = z * verticesPerSide + x;
+      positions[i * 3] = worldStartX + x * stepSize;
+      positions[i * 3 + 1] = worldStartZ + z * stepSize;
+      positions[i * 3 + 2] = heightAt(x, z);
+
+      // Central differences; (-dh/dx, -dh/dz, 1) faces +Z, i.e. up once rotated
+      const dx = (heightAt(x + 1, z) - heightAt(x - 1, z)) / (2 * stepSize);
+      const dz = (heightAt(x, z + 1) - heightAt(x, z - 1)) / (2 * stepSize);
+      const length = Math.sqrt(dx * dx + dz * dz + 1);
+      normals[i * 3] = -dx / length;
+      normals[i * 3 + 1] = -dz / length;
+      normals[i * 3 + 2] = 1 / length;
+
+      uvs[i * 2] = x / segments;
+      uvs[i * 2 + 1] = z / segments;
+    }
+  }
+
+  const indices = new Uint32Array(segments * segments * 6);
+  let offset = 0;
+  for (let z = 0; z < segments; z++) {
+    for (let x = 0; x < segments; x++) {
+      const a = x + z * verticesPerSide;
+      const b = x + (z + 1) * verticesPerSide;
+      const c = x + 1 + (z + 1) * verticesPerSide;
+      const d = x + 1 + z * verticesPerSide;
+
+      indices[offset++] = a;
+      indices[offset++] = d;
+      indices[offset++] = b;
+      indices[offset++] = b;
+      indices[offset++] = d;
+      indices[offset++] = c;
+    }
+  }
+
+  // The collider keeps its resolution whatever the visual LOD; at full detail
+  // its nodes are the vertices sampled above
+  const getCollisionHeight =
+    collisionSegments === segments
+      ? (noiseX, noiseZ) =>
+          heightAt(
+            Math.round((noiseX - worldStartX) / stepSize),
+            Math.round((noiseZ - worldStartZ) / stepSize)
+          )
+      : getHeight;
+  const heightfield = sampleChunkHeightfield(
+    getCollisionHeight,
+    chunkX,
+    chunkZ,
+    chunkSize,
+    collisionSegments
+  );
+
+  return { positions, normals, uvs, indices, heightfield };
+};
@@ -0,0 +1,171 @@
+import type { TerrainChunkBuffers, TerrainChunkJob } from "../types/terrain";
+import { buildTerrainChunk } from "./terrainChunkBuilder";
+
+/**
+ * Terrain Chunk Worker Pool
+ * Runs chunk generation on a few Web Workers so rebuilding terrain doesn't
+ * stall the main thread. Queued jobs run lowest priority value first
+ * (callers pass the chunk's distance to the player), and jobs can be
+ * cancelled once their chunk is no longer wanted. A job whose worker crashes
+ * is built on the main thread instead, and the worker is replaced.
+ */
+
+type QueuedJob = {
+  id: number;
+  job: TerrainChunkJob;
+  priority: number;
+  onComplete: (chunk: TerrainChunkBuffers) => void;
+};
+
+// Leave a core for the main thread; more than 4 workers buys little
+const MAX_WORKERS = 4;
+
+class TerrainChunkWorkerPool {
+  private workers: Worker[] = [];
+  private idle: Worker[] = [];
+  private queue: QueuedJob[] = [];
+  private running: Map<number, QueuedJob> = new Map();
+  // The job each busy worker is on, so a crash doesn't lose it
+  private assigned: Map<Worker, QueuedJob> = new Map();
+  private nextId = 1;
+  // Until a worker has built a chunk, a crash may mean none can start at all
+  private workersProven = false;
+  private workersUnavailable = false;
+  private mainThreadTimer: ReturnType<typeof setTimeout> | null = null;
+
+  /**
+   * Queue a chunk build
+   * @returns Cancel function; onComplete never fires after it is called
+   */
+  schedule(
+    job: TerrainChunkJob,
+    priority: number,
+    onComplete: (chunk: TerrainChunkBuffers) => void
+  ): () => void {
+    this.ensureWorkers();
+
+    const queued: QueuedJob = { id: this.nextId++, job, priority, onComplete };
+    this.queue.push(queued);
+    this.pump();
+
+    return () => {
+      const index = this.queue.indexOf(queued);
+      if (index !== -1) {
+        this.queue.splice(index, 1);
+      }
+      // A running job can't be stopped; its result is dropped instead
+      if (this.running.get(queued.id) === queued) {
+        queued.onComplete = () => {};
+      }
+    };
+  }
+
+  private ensureWorkers() {
+    if (this.workers.length > 0 || this.workersUnavailable) return;
+
+    const count = Math.max(
+      1,
+      Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1)
+    );
+    for (let i = 0; i < count; i++) {
+      this.addWorker();
+    }
+  }
+
+  private addWorker() {
+    const worker = new Worker(
+      new URL("../workers/terrainChunk.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    worker.onmessage = (
+      event: MessageEvent<{ id: number; chunk: TerrainChunkBuffers }>
+    ) => {
+      const { id, chunk } = event.data;
+      const finished = this.running.get(id);
+      this.running.delete(id);
+      this.assigned.delete(worker);
+      this.idle.push(worker);
+      this.workersProven = true;
+      finished?.onComplete(chunk);
+      this.pump();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      console.error("TerrainChunkWorkerPool: worker failed", event.message);
+      const failed = this.assigned.get(worker);
+      this.removeWorker(worker);
+
+      if (this.workersProven) {
+        this.addWorker();
+      } else if (this.workers.length === 0) {
+        console.warn(
+          "TerrainChunkWorkerPool: no worker could start, building chunks on the main thread"
+        );
+        this.workersUnavailable = true;
+      }
+      if (failed) {
+        this.running.delete(failed.id);
+        this.buildOnMainThread(failed);
+      }
+      this.pump();
+    };
+    this.workers.push(worker);
+    this.idle.push(worker);
+  }
+
+  private removeWorker(worker: Worker) {
+    worker.terminate();
+    this.workers = this.workers.filter((other) => other !== worker);
+    this.idle = this.idle.filter((other) => other !== worker);
+    this.assigned.delete(worker);
+  }
+
+  private buildOnMainThread(queued: QueuedJob) {
+    try {
+      queued.onComplete(buildTerrainChunk(queued.job));
+    } catch (error) {
+      console.error(
+        `TerrainChunkWorkerPool: chunk ${queued.job.chunkX},${queued.job.chunkZ} failed`,
+        error
+      );
+    }
+  }
+
+  // Most urgent job first; the queue is small, a scan is enough
+  private takeNext() {
+    let next = 0;
+    for (let i = 1; i < this.queue.length; i++) {
+      if (this.queue[i].priority < this.queue[next].priority) {
+        next = i;
+      }
+    }
+    return this.queue.splice(next, 1)[0];
+  }
+
+  private pump() {
+    if (this.workersUnavailable) {
+      // One chunk per task, so the page keeps rendering in between
+      if (this.mainThreadTimer === null && this.queue.length > 0) {
+        this.mainThreadTimer = setTimeout(() => {
+          this.mainThreadTimer = null;
+          if (this.queue.length > 0) {
+            this.buildOnMainThread(this.takeNext());
+          }
+          this.pump();
+        }, 0);
+      }
+      return;
+    }
+
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const queued = this.takeNext();
+      const worker = this.idle.pop()!;
+      this.running.set(queued.id, queued);
+      this.assigned.set(worker, queued);
+      worker.postMessage({ id: queued.id, job: queued.job });
+    }
+  }
+}
+
+// Singleton instance
+export const terrainChunkWorkerPool = new TerrainChunkWorkerPool();
@@ -0,0 +1,276 @@
+import * as THREE from "three";
+import type { TerrainBounds } from "../types/terrain";
+
+/**
+ * Terrain Clipmap
+ * Geometry clipmap rendering for heightfield terrain: a few square rings,
+ * each twice the spacing of the one inside it, follow the camera and are
+ * displaced in the vertex shader from a height texture. Draw calls depend
+ * only on the ring count, not on the world size.
+ *
+ * Every ring draws the same (2n x 2n) cell grid (local XZ in cells, scaled
+ * by the ring's cell size) and discards fragments where the next finer ring
+ * is; there's no hole in the mesh. Ring k is snapped to twice its own
+ * spacing, so ring k - 1 always lands on ring k's vertices, and vertices
+ * near a ring's outer edge morph onto the coarser grid so the border
+ * matches the next ring exactly.
+ */
+
+/** Ring half-size in cells (n above) */
+export const DEFAULT_CLIPMAP_RING_CELLS = 32;
+
+export type ClipmapUniforms = {
+  clipmapHeightMap: THREE.IUniform<THREE.Texture | null>;
+  /** Height texture size in texels */
+  clipmapHeightMapSize: THREE.IUniform<THREE.Vector2>;
+  /** World extent of the height texture: minX, minZ, maxX, maxZ */
+  clipmapBounds: THREE.IUniform<THREE.Vector4>;
+  /** World XZ the rings are centered on this frame */
+  clipmapFocus: THREE.IUniform<THREE.Vector2>;
+  clipmapRingCells: THREE.IUniform<number>;
+  /** Cell size of the finest ring */
+  clipmapBaseCell: THREE.IUniform<number>;
+  /** UVs per world unit for material maps */
+  clipmapUvScale: THREE.IUniform<number>;
+  clipmapShowLevels: THREE.IUniform<number>;
+};
+
+export const createClipmapUniforms = (): ClipmapUniforms => ({
+  clipmapHeightMap: { value: null },
+  clipmapHeightMapSize: { value: new THREE.Vector2(1, 1) },
+  clipmapBounds: { value: new THREE.Vector4() },
+  clipmapFocus: { value: new THREE.Vector2() },
+  clipmapRingCells: { value: DEFAULT_CLIPMAP_RING_CELLS },
+  clipmapBaseCell: { value: 1 },
+  clipmapUvScale: { value: 1 },
+  clipmapShowLevels: { value: 0 },
+});
+
+/**
+ * Vertex declarations; clipmapDisplace turns a ring vertex (local XZ in
+ * cells) into the displaced, morphed local position and its local normal
+ */
+export const CLIPMAP_VERTEX_PARS = /* glsl */ `
+  uniform sampler2D clipmapHeightMap;
+  uniform vec2 clipmapHeightMapSize;
+  uniform vec4 clipmapBounds;
+  uniform float clipmapRingCells;
+  uniform float clipmapUvScale;
+  varying vec2 vClipmapWorldXZ;
+  varying float vClipmapCell;
+
+  // Bilinear by hand: float textures can't be linearly filtered everywhere
+  float clipmapHeightAt(vec2 worldXZ) {
+    vec2 texel = (worldXZ - clipmapBounds.xy) / (clipmapBounds.zw - clipmapBounds.xy) * (clipmapHeightMapSize - 1.0);
+    texel = clamp(texel, vec2(0.0), clipmapHeightMapSize - 1.0);
+    vec2 base = min(floor(texel), clipmapHeightMapSize - 2.0);
+    vec2 f = texel - base;
+    ivec2 i = ivec2(base);
+    float h00 = texelFetch(clipmapHeightMap, i, 0).r;
+    float h10 = texelFetch(clipmapHeightMap, i + ivec2(1, 0), 0).r;
+    float h01 = texelFetch(clipmapHeightMap, i + ivec2(0, 1), 0).r;
+    float h11 = texelFetch(clipmapHeightMap, i + ivec2(1, 1), 0).r;
+    return mix(mix(h00, h10, f.x), mix(h01, h11, f.x), f.y);
+  }
+
+  void clipmapDisplace(inout vec3 ringPosition, out vec3 ringNormal) {
+    // Rings are scaled by their cell size in X and Z only
+    float cell = length(modelMatrix[0].xyz);
+    vec2 center = modelMatrix[3].xz;
+
+    // Odd vertices slide onto their even neighbour between 70% and 95%
+    // of the way to the outer edge
+    vec2 fromCenter = abs(ringPosition.xz) / clipmapRingCells;
+    float morph = clamp((max(fromCenter.x, fromCenter.y) - 0.7) / 0.25, 0.0, 1.0);
+    ringPosition.xz -= fract(ringPosition.xz * 0.5) * 2.0 * morph;
+
+    vec2 worldXZ = center + ringPosition.xz * cell;
+    ringPosition.y = clipmapHeightAt(worldXZ);
+
+    float dx = clipmapHeightAt(worldXZ + vec2(cell, 0.0)) - clipmapHeightAt(worldXZ - vec2(cell, 0.0));
+    float dz = clipmapHeightAt(worldXZ + vec2(0.0, cell)) - clipmapHeightAt(worldXZ - vec2(0.0, cell));
+    vec3 worldNormal = normalize(vec3(-dx, 2.0 * cell, -dz));
+    // Undo the XZ scale the normal matrix applies
+    ringNormal = normalize(vec3(worldNormal.x * cell, worldNormal.y, worldNormal.z * cell));
+
+    vClipmapWorldXZ = worldXZ;
+    vClipmapCell = cell;
+  }
+`;
+
+/**
+ * Fragment declarations; clipmapDiscard drops fragments outside the height
+ * texture and under the next finer ring
+ */
+export const CLIPMAP_FRAGMENT_PARS = /* glsl */ `
+  uniform vec4 clipmapBounds;
+  uniform vec2 clipmapFocus;
+  uniform float clipmapRingCells;
+  uniform float clipmapBaseCell;
+  uniform float clipmapShowLevels;
+  varying vec2 vClipmapWorldXZ;
+  varying float vClipmapCell;
+
+  void clipmapDiscard() {
+    if (any(lessThan(vClipmapWorldXZ, clipmapBounds.xy)) || any(greaterThan(vClipmapWorldXZ, clipmapBounds.zw))) {
+      discard;
+    }
+    if (vClipmapCell > clipmapBaseCell * 1.5) {
+      // Same snapping as the finer ring's position (see TerrainClipmap)
+      vec2 holeCenter = floor(clipmapFocus / vClipmapCell + 0.5) * vClipmapCell;
+      // Slightly inside the finer ring, so no gap opens along the border
+      float holeHalfSize = (clipmapRingCells * 0.5 - 0.01) * vClipmapCell;
+      if (all(lessThan(abs(vClipmapWorldXZ - holeCenter), vec2(holeHalfSize)))) {
+        discard;
+      }
+    }
+  }
+
+  vec3 clipmapLevelColor() {
+    float level = floor(log2(vClipmapCell / clipmapBaseCell) + 0.5);
+    if (level < 0.5) return vec3(0.0, 1.0, 0.0);
+    if (level < 1.5) return vec3(1.0, 1.0, 0.0);
+    if (level < 2.5) return vec3(1.0, 0.0, 0.0);
+    return vec3(0.0, 0.0, 1.0);
+  }
+`;
+
+/**
+ * Patch a material (standard, depth or a CustomShaderMaterial) to render
+ * clipmap rings. Chains onto the material's own onBeforeCompile; patching
+ * the same material twice is a no-op. The uniforms object is shared, so
+ * update its values in place.
+ *
+ * CustomShaderMaterials that read the world position in their own vertex
+ * shader should displace it themselves: their main() runs before this
+ * patch, and USE_CLIPMAP is defined for them to check.
+ */
+export function applyClipmapToMaterial(
+  material: THREE.Material,
+  uniforms: ClipmapUniforms
+) {
+  if (material.userData.clipmap) return;
+  material.userData.clipmap = true;
+
+  const previousOnBeforeCompile = material.onBeforeCompile.bind(material);
+  material.onBeforeCompile = (shader, renderer) => {
+    previousOnBeforeCompile(shader, renderer);
+    Object.assign(shader.uniforms, uniforms);
+
+    shader.vertexShader =
+      "#define USE_CLIPMAP\n" +
+      shader.vertexShader
+        .replace(
+          "#include <common>",
+          `#include <common>\n${CLIPMAP_VERTEX_PARS}`
+        )
+        // Before anything reads the position: UVs, normals, the vertex
+        .replace(
+          "#include <uv_vertex>",
+          /* glsl */ `
+          #include <uv_vertex>
+          vec3 clipmapPosition = position;
+          vec3 clipmapNormal;
+          clipmapDisplace(clipmapPosition, clipmapNormal);
+          // Map UVs from world XZ, like chunk UVs (U along X, V along -Z)
+          vec2 clipmapUv = vec2(vClipmapWorldXZ.x, -vClipmapWorldXZ.y) * clipmapUvScale;
+          #ifdef USE_MAP
+            vMapUv = (mapTransform * vec3(clipmapUv, 1.0)).xy;
+          #endif
+          #ifdef USE_NORMALMAP
+            vNormalMapUv = (normalMapTransform * vec3(clipmapUv, 1.0)).xy;
+          #endif
+          #ifdef USE_ROUGHNESSMAP
+            vRoughnessMapUv = (roughnessMapTransform * vec3(clipmapUv, 1.0)).xy;
+          #endif
+          `
+        )
+        // CustomShaderMaterial already replaced these when it displaces
+        .replace(
+          "#include <beginnormal_vertex>",
+          "vec3 objectNormal = clipmapNormal;"
+        )
+        .replace(
+          "#include <begin_vertex>",
+          "vec3 transformed = clipmapPosition;"
+        );
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        `#include <common>\n${CLIPMAP_FRAGMENT_PARS}`
+      )
+      .replace(
+        "#include <clipping_planes_fragment>",
+        "#include <clipping_planes_fragment>\nclipmapDiscard();"
+      )
+      .replace(
+        "#include <color_fragment>",
+        /* glsl */ `
+        #include <color_fragment>
+        if (clipmapShowLevels > 0.5) diffuseColor.rgb = clipmapLevelColor();
+        `
+      );
+  };
+
+  const previousCacheKey = material.customProgramCacheKey.bind(material);
+  material.customProgramCacheKey = () => `${previousCacheKey()}:clipmap`;
+  material.needsUpdate = true;
+}
+
+/**
+ * Grid of (2 * ringCells)² cells in local XZ, one unit per cell, centered
+ * on the origin, facing up
+ */
+export function createClipmapRingGeometry(ringCells: number) {
+  const geometry = new THREE.PlaneGeometry(
+    ringCells * 2,
+    ringCells * 2,
+    ringCells * 2,
+    ringCells * 2
+  );
+  geometry.rotateX(-Math.PI / 2);
+  return geometry;
+}
+
+/**
+ * Rings needed to reach viewDistance from the focus, at least one
+ */
+export const getClipmapLevelCount = (
+  viewDistance: number,
+  baseCell: number,
+  ringCells: number
+) =>
+  Math.max(1, Math.ceil(Math.log2(viewDistance / (ringCells * baseCell))) + 1);
+
+/**
+ * World heights on a regular grid, row 0 at bounds.minZ and column 0 at
+ * bounds.minX, with nodes on both borders
+ */
+export type ClipmapHeightGrid = {
+  heights: Float32Array;
+  columns: number;
+  rows: number;
+  bounds: TerrainBounds;
+};
+
+/**
+ * Float height texture for the clipmap shader, one texel per grid node
+ */
+export function createClipmapHeightTexture({
+  heights,
+  columns,
+  rows,
+}: ClipmapHeightGrid) {
+  const texture = new THREE.DataTexture(
+    heights,
+    columns,
+    rows,
+    THREE.RedFormat,
+    THREE.FloatType
+  );
+  texture.minFilter = THREE.NearestFilter;
+  texture.magFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
@@ -0,0 +1,313 @@
+import alea from "alea";
+
+/**
+ * Terrain Erosion
+ * Hydraulic (rain droplet) and thermal erosion over a square heightfield grid.
+ * Terrains sample their noise onto a coarse grid, erode it (in a worker, see
+ * useTerrainErosion) and add the resulting height delta back onto their own
+ * height function, so meshes, colliders and height lookups all agree.
+ */
+
+export type ErosionSettings = {
+  /** Number of rain droplets simulated */
+  iterations: number;
+  /** Starting water volume of each droplet */
+  rainAmount: number;
+  /** How much sediment a droplet can carry per unit of speed and water */
+  sedimentCapacity: number;
+  /** Passes of thermal (talus) erosion after the rain */
+  thermalIterations: number;
+  seed: number | string;
+};
+
+/**
+ * Eroded grid, (resolution x resolution) nodes covering a centered square of
+ * `size` world units. Row j runs along world +Z, column i along world +X.
+ */
+export type ErosionMap = {
+  size: number;
+  resolution: number;
+  /** Eroded height minus original height, faded to 0 at the grid border */
+  delta: Float32Array;
+  /** Water that passed each node, normalized to 0..1 */
+  flow: Float32Array;
+  /** Sediment deposited at each node, normalized to 0..1 */
+  sediment: Float32Array;
+};
+
+// Droplet tuning that doesn't need to be exposed
+const INERTIA = 0.05;
+const MIN_SLOPE = 0.01;
+const ERODE_SPEED = 0.3;
+const DEPOSIT_SPEED = 0.3;
+const EVAPORATE_SPEED = 0.01;
+const GRAVITY = 4;
+const MAX_LIFETIME = 30;
+// Steepest slope (rise over run) thermal erosion leaves alone, and how much
+// of the excess moves per pass
+const TALUS = 0.7;
+const THERMAL_RATE = 0.5;
+// Cells over which the delta fades out, so eroded terrain meets uneroded
+// terrain (beyond the grid) without a step
+const BORDER_FADE_CELLS = 8;
+
+/**
+ * Height and gradient at a fractional grid position (bilinear)
+ */
+const sampleGradient = (
+  heights: Float32Array,
+  resolution: number,
+  x: number,
+  z: number
+) => {
+  const i = Math.floor(x);
+  const j = Math.floor(z);
+  const u = x - i;
+  const v = z - j;
+  const index = j * resolution + i;
+
+  const h00 = heights[index];
+  const h10 = heights[index + 1];
+  const h01 = heights[index + resolution];
+  const h11 = heights[index + resolution + 1];
+
+  return {
+    height:
+      h00 * (1 - u) * (1 - v) +
+      h10 * u * (1 - v) +
+      h01 * (1 - u) * v +
+      h11 * u * v,
+    gradientX: (h10 - h00) * (1 - v) + (h11 - h01) * v,
+    gradientZ: (h01 - h00) * (1 - u) + (h11 - h10) * u,
+  };
+};
+
+/**
+ * Simulate rain droplets that pick up sediment running downhill and drop it
+ * where they slow down, carving gullies and filling valleys
+ */
+const runHydraulicErosion = (
+  heights: Float32Array,
+  resolution: number,
+  settings: ErosionSettings,
+  flow: Float32Array,
+  sediment: Float32Array
+) => {
+  const random = alea(settings.seed);
+  const max = resolution - 2;
+
+  // Add (or remove, when amount < 0) height at the 4 nodes around (x, z)
+  const splat = (
+    target: Float32Array,
+    x: number,
+    z: number,
+    amount: number
+  ) => {
+    const i = Math.floor(x);
+    const j = Math.floor(z);
+    const u = x - i;
+    const v = z - j;
+    const index = j * resolution + i;
+    target[index] += amount * (1 - u) * (1 - v);
+    target[index + 1] += amount * u * (1 - v);
+    target[index + resolution] += amount * (1 - u) * v;
+    target[index + resolution + 1] += amount * u * v;
+  };
+
+  for (let iteration = 0; iteration < settings.iterations; iteration++) {
+    let x = random() * max;
+    let z = random() * max;
+    let directionX = 0;
+    let directionZ = 0;
+    let speed = 1;
+    let water = settings.rainAmount;
+    let carried = 0;
+
+    for (let step = 0; step < MAX_LIFETIME; step++) {
+      const { height, gradientX, gradientZ } = sampleGradient(
+        heights,
+        resolution,
+        x,
+        z
+      );
+
+      // Keep some momentum, otherwise roll downhill
+      directionX = directionX * INERTIA - gradientX * (1 - INERTIA);
+      directionZ = directionZ * INERTIA - gradientZ * (1 - INERTIA);
+      const length = Math.sqrt(
+        directionX * directionX + directionZ * directionZ
+      );
+      if (length === 0) break;
+      directionX /= length;
+      directionZ /= length;
+
+      const oldX = x;
+      const oldZ = z;
+      x += directionX;
+      z += directionZ;
+      if (x < 0 || x >= max || z < 0 || z >= max) break;
+
+      splat(flow, oldX, oldZ, water);
+
+      const newHeight = sampleGradient(heights, resolution, x, z).height;
+      const deltaHeight = newHeight - height;
+      const capacity =
+        Math.max(-deltaHeight, MIN_SLOPE) *
+        speed *
+        water *
+        settings.sedimentCapacity;
+
+      if (carried > capacity || deltaHeight > 0) {
+        // Uphill: fill the pit behind us (at most up to the next height);
+        // downhill over capacity: drop part of the load
+        const deposit =
+          deltaHeight > 0
+            ? Math.min(deltaHeight, carried)
+            : (carried - capacity) * DEPOSIT_SPEED;
+        carried -= deposit;
+        splat(heights, oldX, oldZ, deposit);
+        splat(sediment, oldX, oldZ, deposit);
+      } else {
+        // Never dig deeper than the drop to the next position, or droplets
+        // carve pits
+        const erode = Math.min(
+          (capacity - carried) * ERODE_SPEED,
+          -deltaHeight
+        );
+        carried += erode;
+        splat(heights, oldX, oldZ, -erode);
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * GRAVITY));
+      water *= 1 - EVAPORATE_SPEED;
+    }
+  }
+};
+
+/**
+ * Slump slopes steeper than the talus angle onto their lowest neighbour,
+ * softening the sharp ridges noise and droplets leave behind
+ */
+const runThermalErosion = (
+  heights: Float32Array,
+  resolution: number,
+  iterations: number,
+  talus: number
+) => {
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    for (let j = 1; j < resolution - 1; j++) {
+      for (let i = 1; i < resolution - 1; i++) {
+        const index = j * resolution + i;
+        let lowest = index;
+        for (const neighbour of [
+          index - 1,
+          index + 1,
+          index - resolution,
+          index + resolution,
+        ]) {
+          if (heights[neighbour] < heights[lowest]) lowest = neighbour;
+        }
+        const excess = heights[index] - heights[lowest] - talus;
+        if (excess > 0) {
+          const moved = excess * THERMAL_RATE * 0.5;
+          heights[index] -= moved;
+          heights[lowest] += moved;
+        }
+      }
+    }
+  }
+};
+
+// Spread values over 0..1; flow and sediment are heavy-tailed, so use sqrt
+const normalize = (values: Float32Array) => {
+  let max = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  if (max === 0) return;
+  for (let i = 0; i < values.length; i++) {
+    values[i] = Math.sqrt(Math.max(0, values[i]) / max);
+  }
+};
+
+/**
+ * Erode a heightfield grid
+ * @param heights - (resolution x resolution) world heights, row-major along +Z
+ * @param size - World size the grid covers
+ * @returns Erosion map; the input array is left untouched
+ */
+export function erodeHeightfield(
+  heights: Float32Array,
+  resolution: number,
+  size: number,
+  settings: ErosionSettings
+): ErosionMap {
+  // Simulate on heights normalized to 0..1, so the droplet tuning doesn't
+  // depend on the terrain's height scale
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+  for (let i = 0; i < heights.length; i++) {
+    minHeight = Math.min(minHeight, heights[i]);
+    maxHeight = Math.max(maxHeight, heights[i]);
+  }
+  const range = maxHeight - minHeight || 1;
+  const eroded = heights.map((height) => (height - minHeight) / range);
+  const flow = new Float32Array(heights.length);
+  const sediment = new Float32Array(heights.length);
+
+  runHydraulicErosion(eroded, resolution, settings, flow, sediment);
+  const cellSize = size / (resolution - 1);
+  runThermalErosion(
+    eroded,
+    resolution,
+    settings.thermalIterations,
+    (TALUS * cellSize) / range
+  );
+
+  const delta = new Float32Array(heights.length);
+  for (let j = 0; j < resolution; j++) {
+    for (let i = 0; i < resolution; i++) {
+      const edgeDistance = Math.min(
+        i,
+        j,
+        resolution - 1 - i,
+        resolution - 1 - j
+      );
+      const t = Math.min(1, edgeDistance / BORDER_FADE_CELLS);
+      const fade = t * t * (3 - 2 * t);
+      const index = j * resolution + i;
+      delta[index] =
+        (eroded[index] * range + minHeight - heights[index]) * fade;
+    }
+  }
+
+  normalize(flow);
+  normalize(sediment);
+
+  return { size, resolution, delta, flow, sediment };
+}
+
+/**
+ * Bilinear sample of one of an erosion map's grids at world (x, z)
+ * @returns 0 outside the map
+ */
+export function sampleErosionMap(
+  map: Pick<ErosionMap, "size" | "resolution">,
+  values: Float32Array,
+  x: number,
+  z: number
+): number {
+  const { size, resolution } = map;
+  const scale = (resolution - 1) / size;
+  const gridX = (x + size / 2) * scale;
+  const gridZ = (z + size / 2) * scale;
+  if (
+    gridX < 0 ||
+    gridZ < 0 ||
+    gridX >= resolution - 1 ||
+    gridZ >= resolution - 1
+  ) {
+    return 0;
+  }
+  return sampleGradient(values, resolution, gridX, gridZ).height;
+}
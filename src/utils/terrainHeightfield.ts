@@ -0,0 +1,70 @@
+import type { HeightfieldArgs } from "@react-three/rapier";
+
+/**
+ * Terrain Heightfield
+ * Rapier heightfield colliders for noise-based terrain chunks, sampled from
+ * the height function instead of the render mesh. A heightfield stores one
+ * float per node (a trimesh also keeps vertices, triangles and a BVH), and its
+ * resolution stays fixed while the visual LOD of a chunk changes.
+ */
+
+/** Terrain height at a noise-space position (world Z is the negated noise Z) */
+export type NoiseHeightFn = (noiseX: number, noiseZ: number) => number;
+
+/**
+ * Heights for a chunk's HeightfieldCollider, see getChunkHeightfieldArgs.
+ * Column-major, rows along world +Z and columns along +X; world Z is the
+ * negated noise Z, so rows walk the noise grid backwards.
+ */
+export function sampleChunkHeightfield(
+  getHeight: NoiseHeightFn,
+  chunkX: number,
+  chunkZ: number,
+  chunkSize: number,
+  segments: number
+): Float32Array {
+  const verticesPerSide = segments + 1;
+  const stepSize = chunkSize / segments;
+  const noiseStartX = chunkX * chunkSize;
+  const noiseStartZ = chunkZ * chunkSize;
+
+  const heights = new Float32Array(verticesPerSide * verticesPerSide);
+  for (let column = 0; column <= segments; column++) {
+    for (let row = 0; row <= segments; row++) {
+      heights[column * verticesPerSide + row] = getHeight(
+        noiseStartX + column * stepSize,
+        noiseStartZ + (segments - row) * stepSize
+      );
+    }
+  }
+  return heights;
+}
+
+/**
+ * HeightfieldCollider args for a chunk's (segments + 1)² heights
+ */
+export const getChunkHeightfieldArgs = (
+  heights: Float32Array,
+  chunkSize: number,
+  segments: number
+): HeightfieldArgs => [
+  segments,
+  segments,
+  heights as unknown as number[],
+  { x: chunkSize, y: 1, z: chunkSize },
+];
+
+/**
+ * Heightfield colliders are centered on their position; chunk geometry spans
+ * noise [chunkX, chunkX + 1] x [chunkZ, chunkZ + 1] chunks, i.e. world Z
+ * from -chunkZ * chunkSize back to -(chunkZ + 1) * chunkSize
+ */
+export const getChunkColliderPosition = (
+  chunkX: number,
+  chunkZ: number,
+  chunkSize: number
+): [number, number, number] => [
+  (chunkX + 0.5) * chunkSize,
+  0,
+  -(chunkZ + 0.5) * chunkSize,
+];
@@ -0,0 +1,298 @@
+import * as THREE from "three";
+
+/**
+ * Terrain LOD
+ * Seams and pops between terrain tiles drawn at different segment counts:
+ * - Stitching moves edge vertices that face a coarser neighbour onto the
+ *   neighbour's edge, so both sides of the border are the same polyline
+ *   (no T-junction cracks)
+ * - Skirts hang a strip below every border to hide what stitching can't,
+ *   e.g. neighbours whose segment counts don't divide evenly
+ * - Geomorphing: resampleGrid gives the surface a tile showed before a
+ *   change at its new vertices, to blend from instead of popping
+ *
+ * Grids are (segments + 1)² heights, row-major (i along a row, j across
+ * rows) and triangulated like PlaneGeometry, i.e. each cell is split along
+ * its (i, j + 1)-(i + 1, j) diagonal. Grid geometries are flat in local XY
+ * with the height on Z, like every terrain mesh before its -90° X rotation.
+ */
+
+export const LOD_EDGES = ["minI", "maxI", "minJ", "maxJ"] as const;
+export type LodEdge = (typeof LOD_EDGES)[number];
+
+/**
+ * Segments shown along each edge of a tile: the neighbour's where it is
+ * coarser, the tile's own otherwise
+ */
+export type LodTileEdges = Record<LodEdge, number>;
+
+/**
+ * Node indices of one edge, from its lower-index corner to the other
+ */
+const getEdgeNodes = (segments: number, edge: LodEdge) => {
+  const side = segments + 1;
+  const nodes: number[] = [];
+  for (let k = 0; k <= segments; k++) {
+    switch (edge) {
+      case "minI":
+        nodes.push(k * side);
+        break;
+      case "maxI":
+        nodes.push(k * side + segments);
+        break;
+      case "minJ":
+        nodes.push(k);
+        break;
+      case "maxJ":
+        nodes.push(segments * side + k);
+        break;
+    }
+  }
+  return nodes;
+};
+
+/**
+ * Border node indices as one closed loop (each corner once)
+ */
+const getBorderLoop = (segments: number) => {
+  const side = segments + 1;
+  const loop: number[] = [];
+  for (let i = 0; i < segments; i++) loop.push(i);
+  for (let j = 0; j < segments; j++) loop.push(j * side + segments);
+  for (let i = segments; i > 0; i--) loop.push(segments * side + i);
+  for (let j = segments; j > 0; j--) loop.push(j * side);
+  return loop;
+};
+
+/**
+ * Height of a grid's triangulated surface at fractional node coordinates,
+ * clamped to the grid
+ */
+export function sampleGridSurface(
+  heights: Float32Array,
+  segments: number,
+  gridI: number,
+  gridJ: number
+) {
+  const side = segments + 1;
+  const clampedI = Math.min(segments, Math.max(0, gridI));
+  const clampedJ = Math.min(segments, Math.max(0, gridJ));
+  const i = Math.min(segments - 1, Math.floor(clampedI));
+  const j = Math.min(segments - 1, Math.floor(clampedJ));
+  const u = clampedI - i;
+  const v = clampedJ - j;
+
+  const h00 = heights[j * side + i];
+  const h10 = heights[j * side + i + 1];
+  const h01 = heights[(j + 1) * side + i];
+  const h11 = heights[(j + 1) * side + i + 1];
+  if (u + v <= 1) {
+    return h00 + (h10 - h00) * u + (h01 - h00) * v;
+  }
+  return h11 + (h01 - h11) * (1 - u) + (h10 - h11) * (1 - v);
+}
+
+/**
+ * A grid's surface sampled at the nodes of a grid with another segment
+ * count over the same extent
+ */
+export function resampleGrid(
+  heights: Float32Array,
+  segments: number,
+  targetSegments: number
+): Float32Array {
+  const side = targetSegments + 1;
+  const scale = segments / targetSegments;
+  const resampled = new Float32Array(side * side);
+  for (let j = 0; j <= targetSegments; j++) {
+    for (let i = 0; i <= targetSegments; i++) {
+      resampled[j * side + i] = sampleGridSurface(
+        heights,
+        segments,
+        i * scale,
+        j * scale
+      );
+    }
+  }
+  return resampled;
+}
+
+/**
+ * Grid heights with every edge that faces a coarser neighbour moved onto
+ * that neighbour's edge. The neighbour's edge nodes are taken from this
+ * tile's own edge, which is exact when its segments divide this tile's.
+ */
+export function stitchGridEdges(
+  heights: Float32Array,
+  segments: number,
+  edges: LodTileEdges
+): Float32Array {
+  const stitched = heights.slice();
+
+  for (const edge of LOD_EDGES) {
+    const edgeSegments = edges[edge];
+    if (edgeSegments >= segments) continue;
+
+    const nodes = getEdgeNodes(segments, edge);
+    // Height along this tile's own edge, 0..1 from the first node
+    const edgeHeightAt = (t: number) => {
+      const position = t * segments;
+      const k = Math.min(segments - 1, Math.floor(position));
+      const f = position - k;
+      return heights[nodes[k]] * (1 - f) + heights[nodes[k + 1]] * f;
+    };
+
+    for (let k = 0; k <= segments; k++) {
+      const position = (k / segments) * edgeSegments;
+      const n = Math.min(edgeSegments - 1, Math.floor(position));
+      const f = position - n;
+      const from = edgeHeightAt(n / edgeSegments);
+      const to = edgeHeightAt((n + 1) / edgeSegments);
+      stitched[nodes[k]] = from + (to - from) * f;
+    }
+  }
+
+  return stitched;
+}
+
+/**
+ * Copy of an indexed grid geometry with a skirt below its border. Skirt
+ * vertices repeat every attribute of the border vertex they hang from, so
+ * they shade like the edge; their faces are wound both ways so the skirt
+ * shows from either side. Use setGridHeights to place them.
+ */
+export function addGridSkirts(
+  geometry: THREE.BufferGeometry,
+  segments: number
+): THREE.BufferGeometry {
+  const gridCount = (segments + 1) * (segments + 1);
+  const loop = getBorderLoop(segments);
+  const skirted = new THREE.BufferGeometry();
+
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    const { itemSize } = attribute;
+    const source = attribute.array as Float32Array;
+    const array = new Float32Array((gridCount + loop.length) * itemSize);
+    array.set(source.subarray(0, gridCount * itemSize));
+    loop.forEach((node, k) => {
+      for (let c = 0; c < itemSize; c++) {
+        array[(gridCount + k) * itemSize + c] = source[node * itemSize + c];
+      }
+    });
+    skirted.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+  }
+
+  const gridIndex = geometry.index!.array;
+  const index = new Uint32Array(gridIndex.length + loop.length * 12);
+  index.set(gridIndex);
+  let offset = gridIndex.length;
+  for (let k = 0; k < loop.length; k++) {
+    const next = (k + 1) % loop.length;
+    const top = loop[k];
+    const topNext = loop[next];
+    const bottom = gridCount + k;
+    const bottomNext = gridCount + next;
+    index.set(
+      [
+        top,
+        topNext,
+        bottomNext,
+        top,
+        bottomNext,
+        bottom,
+        top,
+        bottomNext,
+        topNext,
+        top,
+        bottom,
+        bottomNext,
+      ],
+      offset
+    );
+    offset += 12;
+  }
+  skirted.setIndex(new THREE.BufferAttribute(index, 1));
+
+  return skirted;
+}
+
+/**
+ * Grid heights (position Z) of a grid geometry
+ */
+export function getGridHeights(
+  geometry: THREE.BufferGeometry,
+  segments: number
+): Float32Array {
+  const position = geometry.attributes.position as THREE.BufferAttribute;
+  const heights = new Float32Array((segments + 1) * (segments + 1));
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = position.getZ(i);
+  }
+  return heights;
+}
+
+/**
+ * Write grid heights to a geometry from addGridSkirts, with its skirt
+ * `skirtDepth` below the border
+ */
+export function setGridHeights(
+  geometry: THREE.BufferGeometry,
+  segments: number,
+  heights: Float32Array,
+  skirtDepth: number
+) {
+  const position = geometry.attributes.position as THREE.BufferAttribute;
+  for (let i = 0; i < heights.length; i++) {
+    position.setZ(i, heights[i]);
+  }
+  getBorderLoop(segments).forEach((node, k) => {
+    position.setZ(heights.length + k, heights[node] - skirtDepth);
+  });
+  position.needsUpdate = true;
+}
+
+/**
+ * Line segments along a grid's border, `lift` above it and inset a little
+ * so both tiles' lines show on a shared edge, each edge colored by the
+ * segments it shows
+ */
+export function createLodEdgeLines(
+  geometry: THREE.BufferGeometry,
+  segments: number,
+  heights: Float32Array,
+  edges: LodTileEdges,
+  getEdgeColor: (edgeSegments: number) => THREE.ColorRepresentation,
+  lift: number
+): THREE.BufferGeometry {
+  const position = geometry.attributes.position as THREE.BufferAttribute;
+  const side = segments + 1;
+  const centerX = (position.getX(0) + position.getX(side * side - 1)) / 2;
+  const centerY = (position.getY(0) + position.getY(side * side - 1)) / 2;
+  const inset = 0.99;
+
+  const positions: number[] = [];
+  const colors: number[] = [];
+  const color = new THREE.Color();
+  for (const edge of LOD_EDGES) {
+    color.set(getEdgeColor(edges[edge]));
+    const nodes = getEdgeNodes(segments, edge);
+    for (let k = 0; k < segments; k++) {
+      for (const node of [nodes[k], nodes[k + 1]]) {
+        positions.push(
+          centerX + (position.getX(node) - centerX) * inset,
+          centerY + (position.getY(node) - centerY) * inset,
+          heights[node] + lift
+        );
+        colors.push(color.r, color.g, color.b);
+      }
+    }
+  }
+
+  const lines = new THREE.BufferGeometry();
+  lines.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  lines.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+  return lines;
+}
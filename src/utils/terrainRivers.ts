@@ -0,0 +1,475 @@
+import * as THREE from "three";
+import alea from "alea";
+import type { TerrainBounds, TerrainHeightFn } from "../types/terrain";
+
+/**
+ * Terrain Rivers
+ * Rivers traced downhill over a terrain's height function from seeded high
+ * points, then carved into a square grid of height deltas. Terrains add the
+ * delta on top of their own height function (like the erosion delta), so
+ * meshes, colliders and height lookups all see the channels. Each river also
+ * keeps its water surface as a spline for the water to render along.
+ */
+
+export type RiverSettings = {
+  /** Rivers to trace; fewer come out when the terrain has no room */
+  count: number;
+  /** Channel width at the mouth; sources start at 40% of it */
+  width: number;
+  /** Channel depth below the banks at the mouth */
+  depth: number;
+  /** Rivers shorter than this (world units) are dropped */
+  minLength: number;
+  seed: number | string;
+};
+
+export const DEFAULT_RIVER_SETTINGS: Omit<RiverSettings, "seed"> = {
+  count: 4,
+  width: 18,
+  depth: 4,
+  minLength: 300,
+};
+
+export type RiverPoint = {
+  x: number;
+  z: number;
+  /** Water surface height */
+  surface: number;
+  /** Channel bottom height */
+  bed: number;
+  width: number;
+};
+
+export type TerrainRiver = {
+  /** Source to mouth */
+  points: RiverPoint[];
+  /** The water surface through every point, source to mouth */
+  curve: THREE.CatmullRomCurve3;
+  /** XZ extent of the water */
+  bounds: TerrainBounds;
+};
+
+/**
+ * Carved grid, (resolution x resolution) nodes covering a centered square of
+ * `size` world units, laid out like an ErosionMap (row j along world +Z)
+ */
+export type RiverMap = {
+  size: number;
+  resolution: number;
+  /** Carved height minus original height, 0 away from the rivers */
+  delta: Float32Array;
+  /** 1 inside a riverbed, fading to 0 over the banks */
+  mask: Float32Array;
+  rivers: TerrainRiver[];
+};
+
+// Tracing tuning that doesn't need to be exposed
+const DIRECTIONS = 16;
+// Directions either side of the current heading a river may turn to
+const MAX_TURN = 3;
+// Height a river may climb out of a pit before it ends there (as a lake)
+const MAX_CLIMB_DEPTHS = 2;
+const SOURCE_GRID = 32;
+// Sources are picked among the highest share of the source grid
+const SOURCE_SHARE = 0.25;
+// Rivers stay this share of the size away from the grid border, so the
+// carving never reaches it
+const BORDER_MARGIN = 0.05;
+// Water surface below the banks, as a share of the depth
+const FREEBOARD = 0.35;
+// Banks slope out over this many half widths beyond the channel
+const BANK_WIDTH = 1.5;
+
+/**
+ * Trace and carve the rivers of a terrain
+ * @param getHeight World-space height lookup of the terrain to carve
+ */
+export function createRiverMap(
+  getHeight: TerrainHeightFn,
+  size: number,
+  resolution: number,
+  settings: RiverSettings
+): RiverMap {
+  const rivers = traceRivers(getHeight, size, resolution, settings);
+  return {
+    size,
+    resolution,
+    ...carveRivers(rivers, getHeight, size, resolution),
+    rivers,
+  };
+}
+
+/**
+ * Downhill paths from seeded high points. A river takes the lowest step
+ * within a few directions of its heading, climbs out of small pits and ends
+ * in a deep one, at the border, on its own path or where it joins an
+ * earlier river.
+ */
+function traceRivers(
+  getHeight: TerrainHeightFn,
+  size: number,
+  resolution: number,
+  { count, width, depth, minLength, seed }: RiverSettings
+): TerrainRiver[] {
+  const random = alea(`${seed}:rivers`);
+  const limit = size / 2 - size * BORDER_MARGIN;
+  const stepLength = (size / (resolution - 1)) * 1.5;
+  const maxSteps = Math.ceil((size * 2) / stepLength);
+
+  // Candidate sources: the highest cells of a coarse grid, jittered
+  const cellSize = (limit * 2) / SOURCE_GRID;
+  const candidates: { x: number; z: number; height: number }[] = [];
+  for (let j = 0; j < SOURCE_GRID; j++) {
+    for (let i = 0; i < SOURCE_GRID; i++) {
+      const x = -limit + (i + random()) * cellSize;
+      const z = -limit + (j + random()) * cellSize;
+      candidates.push({ x, z, height: getHeight(x, z) });
+    }
+  }
+  candidates.sort((a, b) => b.height - a.height);
+  const sources = candidates.slice(
+    0,
+    Math.max(1, Math.floor(candidates.length * SOURCE_SHARE))
+  );
+  // Fisher-Yates with the seeded generator
+  for (let i = sources.length - 1; i > 0; i--) {
+    const k = Math.floor(random() * (i + 1));
+    [sources[i], sources[k]] = [sources[k], sources[i]];
+  }
+
+  // Points of finished rivers bucketed by cell, to find joins quickly
+  const bucketSize = width * 2;
+  const buckets = new Map<string, { x: number; z: number }[]>();
+  const findNear = (x: number, z: number, radius: number) => {
+    const bx = Math.floor(x / bucketSize);
+    const bz = Math.floor(z / bucketSize);
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        for (const point of buckets.get(`${bx + dx},${bz + dz}`) ?? []) {
+          if (Math.hypot(point.x - x, point.z - z) < radius) return point;
+        }
+      }
+    }
+    return null;
+  };
+
+  const minSpacing = size * 0.15;
+  const paths: { x: number; z: number }[][] = [];
+  let attempts = 0;
+  for (const source of sources) {
+    if (paths.length >= count || attempts >= count * 4) break;
+    if (
+      paths.some(
+        (path) =>
+          Math.hypot(path[0].x - source.x, path[0].z - source.z) < minSpacing
+      )
+    ) {
+      continue;
+    }
+    attempts++;
+
+    const path = [{ x: source.x, z: source.z }];
+    let lowest = source.height;
+    let heading = -1;
+    for (let step = 0; step < maxSteps; step++) {
+      const { x, z } = path[path.length - 1];
+      let best = -1;
+      let bestHeight = Infinity;
+      const turns = heading < 0 ? DIRECTIONS / 2 : MAX_TURN;
+      for (let turn = -turns; turn <= turns; turn++) {
+        const direction =
+          ((((heading < 0 ? 0 : heading) + turn) % DIRECTIONS) + DIRECTIONS) %
+          DIRECTIONS;
+        const angle = (direction / DIRECTIONS) * Math.PI * 2;
+        const candidate = getHeight(
+          x + Math.cos(angle) * stepLength,
+          z + Math.sin(angle) * stepLength
+        );
+        if (candidate < bestHeight) {
+          bestHeight = candidate;
+          best = direction;
+        }
+      }
+
+      // Out of a pit only while the climb stays shallow
+      if (bestHeight - lowest > depth * MAX_CLIMB_DEPTHS) break;
+      const angle = (best / DIRECTIONS) * Math.PI * 2;
+      const next = {
+        x: x + Math.cos(angle) * stepLength,
+        z: z + Math.sin(angle) * stepLength,
+      };
+      if (Math.abs(next.x) > limit || Math.abs(next.z) > limit) break;
+
+      // Back onto its own path (leaving out the last few steps)
+      const loops = path
+        .slice(0, -4)
+        .some(
+          (point) => Math.hypot(point.x - next.x, point.z - next.z) < stepLength
+        );
+      if (loops) break;
+      const join = findNear(next.x, next.z, width);
+      if (join) {
+        path.push({ x: join.x, z: join.z });
+        break;
+      }
+      path.push(next);
+      heading = best;
+      lowest = Math.min(lowest, bestHeight);
+    }
+
+    if ((path.length - 1) * stepLength < minLength) continue;
+    path.forEach(({ x, z }) => {
+      const key = `${Math.floor(x / bucketSize)},${Math.floor(z / bucketSize)}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key)!.push({ x, z });
+    });
+    paths.push(path);
+  }
+
+  return paths.map((path) =>
+    createRiver(smoothPath(path), getHeight, width, depth)
+  );
+}
+
+/**
+ * Two passes of neighbour averaging to take the corners out of the stepped
+ * path; the ends stay where they are so joins stay joined
+ */
+const smoothPath = (path: { x: number; z: number }[]) => {
+  let points = path;
+  for (let pass = 0; pass < 2; pass++) {
+    points = points.map((point, index) =>
+      index === 0 || index === points.length - 1
+        ? point
+        : {
+            x: (points[index - 1].x + point.x * 2 + points[index + 1].x) / 4,
+            z: (points[index - 1].z + point.z * 2 + points[index + 1].z) / 4,
+          }
+    );
+  }
+  return points;
+};
+
+/**
+ * Surface and bed heights along a path. The banks are the lowest ground
+ * seen so far, so the water never runs uphill and rims get cut through.
+ */
+const createRiver = (
+  path: { x: number; z: number }[],
+  getHeight: TerrainHeightFn,
+  width: number,
+  depth: number
+): TerrainRiver => {
+  let banks = Infinity;
+  const points = path.map(({ x, z }, index) => {
+    const t = index / (path.length - 1);
+    const pointDepth = depth * (0.5 + 0.5 * t);
+    banks = Math.min(banks, getHeight(x, z));
+    return {
+      x,
+      z,
+      surface: banks - pointDepth * FREEBOARD,
+      bed: banks - pointDepth,
+      width: width * (0.4 + 0.6 * t),
+    };
+  });
+
+  const bounds = {
+    minX: Infinity,
+    maxX: -Infinity,
+    minZ: Infinity,
+    maxZ: -Infinity,
+  };
+  points.forEach(({ x, z, width }) => {
+    bounds.minX = Math.min(bounds.minX, x - width);
+    bounds.maxX = Math.max(bounds.maxX, x + width);
+    bounds.minZ = Math.min(bounds.minZ, z - width);
+    bounds.maxZ = Math.max(bounds.maxZ, z + width);
+  });
+
+  return {
+    points,
+    curve: new THREE.CatmullRomCurve3(
+      points.map(({ x, z, surface }) => new THREE.Vector3(x, surface, z))
+    ),
+    bounds,
+  };
+};
+
+/**
+ * Nearest point of a river's center line to (x, z), with the river's values
+ * interpolated there
+ */
+const getNearestOnRiver = ({ points }: TerrainRiver, x: number, z: number) => {
+  let nearest = { distance: Infinity, index: 0, t: 0 };
+  for (let index = 0; index < points.length - 1; index++) {
+    const a = points[index];
+    const b = points[index + 1];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t =
+      lengthSq > 0
+        ? Math.min(1, Math.max(0, ((x - a.x) * dx + (z - a.z) * dz) / lengthSq))
+        : 0;
+    const distance = Math.hypot(x - a.x - dx * t, z - a.z - dz * t);
+    if (distance < nearest.distance) nearest = { distance, index, t };
+  }
+  return nearest;
+};
+
+const lerpPoint = (a: RiverPoint, b: RiverPoint, t: number) => ({
+  surface: a.surface + (b.surface - a.surface) * t,
+  bed: a.bed + (b.bed - a.bed) * t,
+  width: a.width + (b.width - a.width) * t,
+});
+
+/**
+ * Water surface height of a river at a world position
+ * @returns null outside the river
+ */
+export function getRiverSurface(
+  river: TerrainRiver,
+  x: number,
+  z: number
+): number | null {
+  const { bounds, points } = river;
+  if (
+    x < bounds.minX ||
+    x > bounds.maxX ||
+    z < bounds.minZ ||
+    z > bounds.maxZ
+  ) {
+    return null;
+  }
+  const { distance, index, t } = getNearestOnRiver(river, x, z);
+  const { surface, width } = lerpPoint(points[index], points[index + 1], t);
+  return distance <= width / 2 ? surface : null;
+}
+
+/**
+ * Channel depth profile: a parabola from the bed up to the banks across the
+ * width, then banks easing back into the untouched ground
+ */
+function carveRivers(
+  rivers: TerrainRiver[],
+  getHeight: TerrainHeightFn,
+  size: number,
+  resolution: number
+) {
+  const delta = new Float32Array(resolution * resolution);
+  const mask = new Float32Array(resolution * resolution);
+  // Ground heights, sampled only for the nodes a river touches
+  const heights = new Float32Array(resolution * resolution).fill(NaN);
+  const cellSize = size / (resolution - 1);
+  const toGrid = (value: number) => (value + size / 2) / cellSize;
+
+  rivers.forEach(({ points }) => {
+    for (let index = 0; index < points.length - 1; index++) {
+      const a = points[index];
+      const b = points[index + 1];
+      const reach = (Math.max(a.width, b.width) / 2) * (1 + BANK_WIDTH);
+      const minI = Math.max(0, Math.floor(toGrid(Math.min(a.x, b.x) - reach)));
+      const maxI = Math.min(
+        resolution - 1,
+        Math.ceil(toGrid(Math.max(a.x, b.x) + reach))
+      );
+      const minJ = Math.max(0, Math.floor(toGrid(Math.min(a.z, b.z) - reach)));
+      const maxJ = Math.min(
+        resolution - 1,
+        Math.ceil(toGrid(Math.max(a.z, b.z) + reach))
+      );
+
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const lengthSq = dx * dx + dz * dz || 1;
+      for (let j = minJ; j <= maxJ; j++) {
+        for (let i = minI; i <= maxI; i++) {
+          const x = -size / 2 + i * cellSize;
+          const z = -size / 2 + j * cellSize;
+          const t = Math.min(
+            1,
+            Math.max(0, ((x - a.x) * dx + (z - a.z) * dz) / lengthSq)
+          );
+          const distance = Math.hypot(x - a.x - dx * t, z - a.z - dz * t);
+          const { surface, bed, width } = lerpPoint(a, b, t);
+          const halfWidth = width / 2;
+          const bankWidth = halfWidth * BANK_WIDTH;
+          if (distance > halfWidth + bankWidth) continue;
+
+          const node = j * resolution + i;
+          if (Number.isNaN(heights[node])) heights[node] = getHeight(x, z);
+          const ground = heights[node];
+          const banks = bed + (surface - bed) / (1 - FREEBOARD);
+
+          let target: number;
+          let inside: number;
+          if (distance < halfWidth) {
+            target = bed + (banks - bed) * (distance / halfWidth) ** 2;
+            inside = 1;
+          } else {
+            const s = (distance - halfWidth) / bankWidth;
+            const fade = s * s * (3 - 2 * s);
+            target = banks + (ground - banks) * fade;
+            inside = 1 - fade;
+          }
+          delta[node] = Math.min(delta[node], target - ground);
+          mask[node] = Math.max(mask[node], inside);
+        }
+      }
+    }
+  });
+
+  return { delta, mask };
+}
+
+/**
+ * Ribbon geometry of the rivers' water surfaces in world space, a little
+ * narrower than the channels so its edges tuck under the banks
+ */
+export function createRiverGeometry(
+  rivers: TerrainRiver[]
+): THREE.BufferGeometry {
+  const positions: number[] = [];
+  const indices: number[] = [];
+  const point = new THREE.Vector3();
+  const tangent = new THREE.Vector3();
+
+  rivers.forEach((river) => {
+    const { points, curve } = river;
+    const segments = (points.length - 1) * 2;
+    const start = positions.length / 3;
+    for (let index = 0; index <= segments; index++) {
+      const u = index / segments;
+      curve.getPointAt(u, point);
+      curve.getTangentAt(u, tangent);
+      // Width from the nearest control point along the curve
+      const { width } = points[Math.round(u * (points.length - 1))];
+      const side = Math.hypot(tangent.x, tangent.z) || 1;
+      const offsetX = (-tangent.z / side) * width * 0.45;
+      const offsetZ = (tangent.x / side) * width * 0.45;
+      positions.push(
+        point.x - offsetX,
+        point.y,
+        point.z - offsetZ,
+        point.x + offsetX,
+        point.y,
+        point.z + offsetZ
+      );
+      if (index > 0) {
+        const a = start + (index - 1) * 2;
+        indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+      }
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
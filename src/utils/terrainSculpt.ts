@@ -0,0 +1,258 @@
+import * as THREE from "three";
+import type { TerrainHeightFn } from "../types/terrain";
+import { encodePng16 } from "./heightmapPng";
+
+/**
+ * Terrain Sculpt
+ * Editable copy of a heightmap terrain's heights, one node per mesh vertex,
+ * with raise/lower/smooth/flatten brushes. The grid is the source of truth
+ * while editing: the render mesh, the Rapier heightfield and height lookups
+ * are all derived from it (see useTerrainSculpt).
+ */
+
+export const HEIGHT_BRUSHES = ["raise", "lower", "smooth", "flatten"] as const;
+export type HeightBrush = (typeof HEIGHT_BRUSHES)[number];
+
+/** Inclusive node range touched by an edit */
+export type HeightfieldRegion = {
+  minI: number;
+  maxI: number;
+  minJ: number;
+  maxJ: number;
+};
+
+const smoothstep = (edge0: number, edge1: number, x: number) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * (resolution x resolution) heights covering a centered square of `size`.
+ * Row j runs along +Z and column i along +X, which is also the vertex order
+ * of a PlaneGeometry(size, size, resolution - 1, resolution - 1) rotated flat.
+ */
+export class EditableHeightfield {
+  readonly size: number;
+  readonly resolution: number;
+  readonly heights: Float32Array;
+
+  constructor(size: number, resolution: number, heights?: Float32Array) {
+    this.size = size;
+    this.resolution = resolution;
+    this.heights = heights ?? new Float32Array(resolution * resolution);
+  }
+
+  static fromHeightFn(
+    getHeight: TerrainHeightFn,
+    size: number,
+    resolution: number
+  ) {
+    const heightfield = new EditableHeightfield(size, resolution);
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        const { x, z } = heightfield.getNodePosition(i, j);
+        heightfield.heights[j * resolution + i] = getHeight(x, z);
+      }
+    }
+    return heightfield;
+  }
+
+  get cellSize() {
+    return this.size / (this.resolution - 1);
+  }
+
+  getNodePosition(i: number, j: number) {
+    return {
+      x: -this.size / 2 + i * this.cellSize,
+      z: -this.size / 2 + j * this.cellSize,
+    };
+  }
+
+  /** Bilinear height at (x, z), clamped to the grid edge outside it */
+  getHeight(x: number, z: number) {
+    const max = this.resolution - 1;
+    const gridX = Math.min(max, Math.max(0, x / this.cellSize + max / 2));
+    const gridZ = Math.min(max, Math.max(0, z / this.cellSize + max / 2));
+    const i = Math.min(max - 1, Math.floor(gridX));
+    const j = Math.min(max - 1, Math.floor(gridZ));
+    const u = gridX - i;
+    const v = gridZ - j;
+    const index = j * this.resolution + i;
+
+    return (
+      this.heights[index] * (1 - u) * (1 - v) +
+      this.heights[index + 1] * u * (1 - v) +
+      this.heights[index + this.resolution] * (1 - u) * v +
+      this.heights[index + this.resolution + 1] * u * v
+    );
+  }
+
+  /**
+   * Apply one brush dab with a soft round falloff
+   * @param amount - World units for raise/lower; 0..1 blend toward the
+   * neighbourhood average (smooth) or targetHeight (flatten)
+   * @returns Nodes that changed, or null when the brush misses the grid
+   */
+  applyBrush(
+    brush: HeightBrush,
+    x: number,
+    z: number,
+    radius: number,
+    amount: number,
+    targetHeight: number = 0
+  ): HeightfieldRegion | null {
+    const { resolution, heights } = this;
+    const max = resolution - 1;
+    const centerI = x / this.cellSize + max / 2;
+    const centerJ = z / this.cellSize + max / 2;
+    const radiusCells = radius / this.cellSize;
+    const minI = Math.max(0, Math.floor(centerI - radiusCells));
+    const maxI = Math.min(max, Math.ceil(centerI + radiusCells));
+    const minJ = Math.max(0, Math.floor(centerJ - radiusCells));
+    const maxJ = Math.min(max, Math.ceil(centerJ + radiusCells));
+    if (minI > maxI || minJ > maxJ) return null;
+
+    // Smoothing reads neighbours from before this dab
+    const source = brush === "smooth" ? heights.slice() : heights;
+    const heightAt = (i: number, j: number) =>
+      source[
+        Math.min(max, Math.max(0, j)) * resolution +
+          Math.min(max, Math.max(0, i))
+      ];
+
+    for (let j = minJ; j <= maxJ; j++) {
+      for (let i = minI; i <= maxI; i++) {
+        const distance = Math.hypot(i - centerI, j - centerJ);
+        if (distance > radiusCells) continue;
+        const falloff = smoothstep(radiusCells, 0, distance);
+        const index = j * resolution + i;
+
+        switch (brush) {
+          case "raise":
+            heights[index] += amount * falloff;
+            break;
+          case "lower":
+            heights[index] -= amount * falloff;
+            break;
+          case "smooth": {
+            let total = 0;
+            for (let dj = -1; dj <= 1; dj++) {
+              for (let di = -1; di <= 1; di++) {
+                total += heightAt(i + di, j + dj);
+              }
+            }
+            heights[index] = THREE.MathUtils.lerp(
+              heights[index],
+              total / 9,
+              Math.min(1, amount * falloff)
+            );
+            break;
+          }
+          case "flatten":
+            heights[index] = THREE.MathUtils.lerp(
+              heights[index],
+              targetHeight,
+              Math.min(1, amount * falloff)
+            );
+            break;
+        }
+      }
+    }
+
+    return { minI, maxI, minJ, maxJ };
+  }
+
+  /**
+   * Heights in the column-major order Rapier's heightfield expects, for a
+   * HeightfieldCollider with args [resolution - 1, resolution - 1, ...]
+   */
+  toColliderHeights(): Float32Array {
+    const { resolution, heights } = this;
+    const colliderHeights = new Float32Array(heights.length);
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        colliderHeights[i * resolution + j] = heights[j * resolution + i];
+      }
+    }
+    return colliderHeights;
+  }
+
+  /**
+   * Encode the grid as a 16-bit grayscale PNG, row 0 at the -Z edge like the
+   * source heightmaps. Heights are stretched over the full 0..65535 range;
+   * the world range is kept in heightMin/heightMax text chunks.
+   * @param mirrorZ - Row 0 at the +Z edge instead, for terrains sampled with
+   *   the mirrorZ heightmap option
+   */
+  toPng16({ mirrorZ = false }: { mirrorZ?: boolean } = {}): Promise<Blob> {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < this.heights.length; i++) {
+      min = Math.min(min, this.heights[i]);
+      max = Math.max(max, this.heights[i]);
+    }
+    const range = max - min || 1;
+    const { resolution } = this;
+    const samples = new Uint16Array(this.heights.length);
+    for (let j = 0; j < resolution; j++) {
+      const row = (mirrorZ ? resolution - 1 - j : j) * resolution;
+      for (let i = 0; i < resolution; i++) {
+        const height = this.heights[j * resolution + i];
+        samples[row + i] = Math.round(((height - min) / range) * 65535);
+      }
+    }
+
+    return encodePng16(samples, this.resolution, this.resolution, {
+      heightMin: min.toString(),
+      heightMax: max.toString(),
+      size: this.size.toString(),
+    });
+  }
+}
+
+/**
+ * Copy a region of the heightfield into a flat PlaneGeometry built with the
+ * same resolution (heights along plane-local Z), with normals from the grid
+ * @param region - Nodes to update; the whole grid when omitted
+ */
+export function applyHeightfieldToGeometry(
+  heightfield: EditableHeightfield,
+  geometry: THREE.BufferGeometry,
+  region?: HeightfieldRegion | null
+) {
+  const { resolution, heights, cellSize } = heightfield;
+  const max = resolution - 1;
+  const position = geometry.attributes.position as THREE.BufferAttribute;
+  const normal = geometry.attributes.normal as THREE.BufferAttribute;
+  // Neighbouring normals depend on the changed heights too
+  const minI = Math.max(0, (region?.minI ?? 0) - 1);
+  const maxI = Math.min(max, (region?.maxI ?? max) + 1);
+  const minJ = Math.max(0, (region?.minJ ?? 0) - 1);
+  const maxJ = Math.min(max, (region?.maxJ ?? max) + 1);
+  const heightAt = (i: number, j: number) =>
+    heights[
+      Math.min(max, Math.max(0, j)) * resolution + Math.min(max, Math.max(0, i))
+    ];
+
+  for (let j = minJ; j <= maxJ; j++) {
+    for (let i = minI; i <= maxI; i++) {
+      const index = j * resolution + i;
+      position.setZ(index, heights[index]);
+
+      // Plane-local Y is world -Z, so the Z slope flips sign
+      const slopeX = (heightAt(i + 1, j) - heightAt(i - 1, j)) / (2 * cellSize);
+      const slopeZ = (heightAt(i, j + 1) - heightAt(i, j - 1)) / (2 * cellSize);
+      const length = Math.sqrt(slopeX * slopeX + slopeZ * slopeZ + 1);
+      normal.setXYZ(index, -slopeX / length, slopeZ / length, 1 / length);
+    }
+  }
+
+  // Rows are contiguous, so only upload the touched ones
+  const start = minJ * resolution * 3;
+  const count = (maxJ - minJ + 1) * resolution * 3;
+  for (const attribute of [position, normal]) {
+    attribute.clearUpdateRanges();
+    attribute.addUpdateRange(start, count);
+    attribute.needsUpdate = true;
+  }
+}
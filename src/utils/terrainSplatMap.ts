@@ -0,0 +1,207 @@
+import * as THREE from "three";
+import type { TerrainHeightFn } from "../types/terrain";
+
+/**
+ * Terrain Splat Map
+ * Per-texel weights for the four terrain texture layers, stored as RGBA
+ * (R = grass, G = rock, B = dirt, A = snow) over a centered square of the
+ * world. Generated from height and slope, then editable with paint().
+ */
+
+export const SPLAT_LAYERS = ["grass", "rock", "dirt", "snow"] as const;
+export type SplatLayer = (typeof SPLAT_LAYERS)[number];
+
+export type SplatRules = {
+  /** Slope (radians) where rock takes over */
+  rockSlope: number;
+  /** Slope (radians) where grass gives way to dirt */
+  dirtSlope: number;
+  /** Height where snow starts */
+  snowHeight: number;
+  /** Width of the slope transitions, in radians */
+  slopeBlend: number;
+  /** Width of the snow line transition, in world units */
+  heightBlend: number;
+};
+
+export const DEFAULT_SPLAT_RULES: SplatRules = {
+  rockSlope: 0.65,
+  dirtSlope: 0.35,
+  snowHeight: 60,
+  slopeBlend: 0.1,
+  heightBlend: 8,
+};
+
+const smoothstep = (edge0: number, edge1: number, x: number) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+export class TerrainSplatMap {
+  readonly size: number;
+  readonly resolution: number;
+  readonly data: Uint8Array;
+  readonly texture: THREE.DataTexture;
+
+  constructor(size: number, resolution: number) {
+    this.size = size;
+    this.resolution = resolution;
+    this.data = new Uint8Array(resolution * resolution * 4);
+    this.texture = new THREE.DataTexture(
+      this.data,
+      resolution,
+      resolution,
+      THREE.RGBAFormat
+    );
+    this.texture.magFilter = THREE.LinearFilter;
+    this.texture.minFilter = THREE.LinearFilter;
+  }
+
+  /** World position of node (i, j); row j runs along world +Z */
+  getNodePosition(i: number, j: number) {
+    const cellSize = this.size / (this.resolution - 1);
+    return {
+      x: -this.size / 2 + i * cellSize,
+      z: -this.size / 2 + j * cellSize,
+    };
+  }
+
+  /** Set a node's layer weights (any scale; they are normalized) */
+  setWeights(i: number, j: number, weights: number[]) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+    const index = (j * this.resolution + i) * 4;
+    for (let layer = 0; layer < 4; layer++) {
+      this.data[index + layer] = Math.round((weights[layer] / total) * 255);
+    }
+  }
+
+  /**
+   * Paint a layer with a soft round brush
+   * @param strength - 0..1, how far one stroke moves texels toward the layer
+   */
+  paint(
+    x: number,
+    z: number,
+    radius: number,
+    layer: SplatLayer,
+    strength: number = 0.5
+  ) {
+    const channel = SPLAT_LAYERS.indexOf(layer);
+    const scale = (this.resolution - 1) / this.size;
+    const centerI = (x + this.size / 2) * scale;
+    const centerJ = (z + this.size / 2) * scale;
+    const radiusCells = radius * scale;
+    const minI = Math.max(0, Math.floor(centerI - radiusCells));
+    const maxI = Math.min(
+      this.resolution - 1,
+      Math.ceil(centerI + radiusCells)
+    );
+    const minJ = Math.max(0, Math.floor(centerJ - radiusCells));
+    const maxJ = Math.min(
+      this.resolution - 1,
+      Math.ceil(centerJ + radiusCells)
+    );
+
+    for (let j = minJ; j <= maxJ; j++) {
+      for (let i = minI; i <= maxI; i++) {
+        const distance = Math.hypot(i - centerI, j - centerJ);
+        if (distance > radiusCells) continue;
+        const amount = strength * smoothstep(radiusCells, 0, distance) * 255;
+
+        const index = (j * this.resolution + i) * 4;
+        const weights = [0, 1, 2, 3].map((layer) => this.data[index + layer]);
+        weights[channel] = Math.min(255, weights[channel] + amount);
+        // Take the added weight evenly from the other layers' share
+        const others = 255 - weights[channel];
+        const othersTotal = weights.reduce(
+          (sum, weight, layer) => (layer === channel ? sum : sum + weight),
+          0
+        );
+        for (let layer = 0; layer < 4; layer++) {
+          if (layer === channel) continue;
+          weights[layer] =
+            othersTotal > 0 ? (weights[layer] / othersTotal) * others : 0;
+        }
+        this.setWeights(i, j, weights);
+      }
+    }
+    this.texture.needsUpdate = true;
+  }
+
+  dispose() {
+    this.texture.dispose();
+  }
+}
+
+/**
+ * Build a splat map from a terrain's height: rock on steep slopes, dirt on
+ * moderate ones, snow above the snow line, grass everywhere else
+ * @param getHeight - World (x, z) => y
+ * @param getSediment - Optional world (x, z) => 0..1; deposits read as dirt
+ * @param getLocalRules - Optional per-position rules (e.g. per biome), given
+ * the map's rules to adjust
+ */
+export function generateSplatMap(
+  getHeight: TerrainHeightFn,
+  size: number,
+  resolution: number,
+  mapRules: SplatRules = DEFAULT_SPLAT_RULES,
+  getSediment?: TerrainHeightFn,
+  getLocalRules?: (x: number, z: number, rules: SplatRules) => SplatRules
+): TerrainSplatMap {
+  const splatMap = new TerrainSplatMap(size, resolution);
+  const cellSize = size / (resolution - 1);
+
+  // Sample once; slopes come from neighbouring nodes
+  const heights = new Float32Array(resolution * resolution);
+  for (let j = 0; j < resolution; j++) {
+    for (let i = 0; i < resolution; i++) {
+      const { x, z } = splatMap.getNodePosition(i, j);
+      heights[j * resolution + i] = getHeight(x, z);
+    }
+  }
+  const heightAt = (i: number, j: number) =>
+    heights[
+      Math.min(resolution - 1, Math.max(0, j)) * resolution +
+        Math.min(resolution - 1, Math.max(0, i))
+    ];
+
+  for (let j = 0; j < resolution; j++) {
+    for (let i = 0; i < resolution; i++) {
+      const height = heightAt(i, j);
+      const dx = (heightAt(i + 1, j) - heightAt(i - 1, j)) / (2 * cellSize);
+      const dz = (heightAt(i, j + 1) - heightAt(i, j - 1)) / (2 * cellSize);
+      const slope = Math.atan(Math.sqrt(dx * dx + dz * dz));
+      const { x, z } = splatMap.getNodePosition(i, j);
+      const rules = getLocalRules ? getLocalRules(x, z, mapRules) : mapRules;
+
+      const rock = smoothstep(
+        rules.rockSlope - rules.slopeBlend,
+        rules.rockSlope + rules.slopeBlend,
+        slope
+      );
+      const snow =
+        smoothstep(
+          rules.snowHeight - rules.heightBlend,
+          rules.snowHeight + rules.heightBlend,
+          height
+        ) *
+        (1 - rock);
+      let dirt = smoothstep(
+        rules.dirtSlope - rules.slopeBlend,
+        rules.dirtSlope + rules.slopeBlend,
+        slope
+      );
+      if (getSediment) {
+        dirt = Math.max(dirt, getSediment(x, z));
+      }
+      dirt *= (1 - rock) * (1 - snow);
+      const grass = Math.max(0, 1 - rock - snow - dirt);
+
+      splatMap.setWeights(i, j, [grass, rock, dirt, snow]);
+    }
+  }
+
+  splatMap.texture.needsUpdate = true;
+  return splatMap;
+}
@@ -1,4 +1,9 @@
 import * as THREE from "three";
+import type {
+  TerrainBounds,
+  TerrainHeightFn,
+  TerrainQuery,
+} from "../types/terrain";
 
 /**
  * Terrain utilities for height calculation and smart spawning
@@ -63,15 +68,255 @@ export function getSafeSpawnPosition(
   return [x, spawnY, z];
 }
 
+/**
+ * Decoded heightmap: the red channel of every pixel (or raw sample) as 0-1,
+ * row 0 first
+ */
+export interface HeightmapData {
+  width: number;
+  height: number;
+  values: Float32Array;
+  min: number;
+  max: number;
+}
+
+/**
+ * How a heightmap turns into world heights, on top of size / heightScale /
+ * terrainOffset
+ */
+export interface HeightmapSampleOptions {
+  /** Stretch the image's darkest..brightest values to 0..1 before scaling */
+  normalize?: boolean;
+  /**
+   * Shift heights so the highest pixel within this many pixels of the image
+   * center sits at terrainOffset (how our heightmap terrains place their
+   * center peak at Y=0)
+   */
+  centerPeakRadius?: number;
+  /**
+   * Image row 0 at +Z instead of -Z, for terrains that displace a plane by its
+   * local Y (HeightMapUnreal)
+   */
+  mirrorZ?: boolean;
+}
+
+type HeightmapImage = CanvasImageSource & { width: number; height: number };
+
+// Decoding reads back every pixel through a canvas, so do it once per image
+// (or texture image, for heightmaps decoded by HeightmapLoader)
+const heightmapCache = new WeakMap<object, HeightmapData>();
+const centerPeakCache = new WeakMap<HeightmapData, Map<number, number>>();
+
+// Textures loaded by terrain components, so code outside React (spawn
+// resolution) can sample the same image
+const registeredHeightmaps = new Map<string, THREE.Texture>();
+
+export const registerHeightmapTexture = (
+  url: string,
+  texture: THREE.Texture
+) => {
+  registeredHeightmaps.set(url, texture);
+};
+
+export const getRegisteredHeightmapTexture = (url: string) =>
+  registeredHeightmaps.get(url) ?? null;
+
+/**
+ * Hand getHeightmapData already decoded values for a texture, e.g. from
+ * HeightmapLoader, so samplers skip the 8-bit canvas read-back
+ */
+export const cacheHeightmapData = (
+  texture: THREE.Texture,
+  heightmap: HeightmapData
+) => {
+  heightmapCache.set(texture.image as object, heightmap);
+};
+
+/**
+ * Decode (or fetch from cache) the height values of a heightmap
+ * @param source - Heightmap texture or image
+ * @returns null while the image hasn't loaded yet
+ */
+export function getHeightmapData(
+  source: THREE.Texture | HeightmapImage | null | undefined
+): HeightmapData | null {
+  const image = (source instanceof THREE.Texture ? source.image : source) as
+    | HeightmapImage
+    | null
+    | undefined;
+  if (!image || !image.width || !image.height) {
+    return null;
+  }
+
+  const cached = heightmapCache.get(image);
+  if (cached) {
+    return cached;
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) {
+    return null;
+  }
+  ctx.drawImage(image, 0, 0);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  const values = new Float32Array(canvas.width * canvas.height);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const value = data[i * 4] / 255;
+    values[i] = value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const heightmap = {
+    width: canvas.width,
+    height: canvas.height,
+    values,
+    min,
+    max,
+  };
+  heightmapCache.set(image, heightmap);
+  return heightmap;
+}
+
+/**
+ * Bilinearly filtered heightmap value at texture coordinates (clamped to the
+ * edges). v = 0 is the first image row.
+ */
+export function sampleHeightmap(
+  heightmap: HeightmapData,
+  u: number,
+  v: number
+): number {
+  const { width, height, values } = heightmap;
+  const px = Math.min(Math.max(u, 0), 1) * (width - 1);
+  const py = Math.min(Math.max(v, 0), 1) * (height - 1);
+
+  const x0 = Math.floor(px);
+  const y0 = Math.floor(py);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = px - x0;
+  const fy = py - y0;
+
+  const top = values[y0 * width + x0] * (1 - fx) + values[y0 * width + x1] * fx;
+  const bottom =
+    values[y1 * width + x0] * (1 - fx) + values[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Highest raw value within radius pixels of the image center (cached per
+ * radius)
+ */
+export const getHeightmapCenterPeak = (
+  heightmap: HeightmapData,
+  radius: number
+) => {
+  let peaks = centerPeakCache.get(heightmap);
+  if (!peaks) {
+    peaks = new Map();
+    centerPeakCache.set(heightmap, peaks);
+  }
+
+  const cached = peaks.get(radius);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const { width, height, values } = heightmap;
+  const centerX = Math.floor(width / 2);
+  const centerY = Math.floor(height / 2);
+  let peak = 0;
+  for (let dx = -radius; dx <= radius; dx++) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      const x = Math.max(0, Math.min(width - 1, centerX + dx));
+      const y = Math.max(0, Math.min(height - 1, centerY + dy));
+      peak = Math.max(peak, values[y * width + x]);
+    }
+  }
+
+  peaks.set(radius, peak);
+  return peak;
+};
+
+/**
+ * Builds the world-space height function shared by the single and batch APIs.
+ * The heightmap covers a size x size square centered on the origin, with
+ * image row 0 at -Z (the way three maps a texture onto a PlaneGeometry
+ * rotated -90° around X).
+ */
+const createHeightSampler = (
+  heightmap: HeightmapData,
+  size: number,
+  heightScale: number,
+  terrainOffset: number,
+  {
+    normalize = false,
+    centerPeakRadius,
+    mirrorZ = false,
+  }: HeightmapSampleOptions
+) => {
+  const range = heightmap.max - heightmap.min;
+  const toHeight = (value: number) =>
+    normalize ? (range > 0 ? (value - heightmap.min) / range : 0) : value;
+  const peak =
+    centerPeakRadius !== undefined
+      ? toHeight(getHeightmapCenterPeak(heightmap, centerPeakRadius))
+      : 0;
+
+  return (x: number, z: number) => {
+    const u = (x + size / 2) / size;
+    const v = ((mirrorZ ? -z : z) + size / 2) / size;
+    const value = toHeight(sampleHeightmap(heightmap, u, v));
+    return terrainOffset + (value - peak) * heightScale;
+  };
+};
+
+/**
+ * Height lookup (x, z) => y for repeated queries against one heightmap, e.g.
+ * the lookup terrain components hand to grass and debug helpers
+ * @returns null while the heightmap hasn't loaded yet
+ */
+export function createTerrainHeightSampler(
+  heightmapTexture: THREE.Texture | null,
+  size: number,
+  heightScale: number,
+  terrainOffset: number = 0,
+  options: HeightmapSampleOptions = {}
+): ((x: number, z: number) => number) | null {
+  const heightmap = getHeightmapData(heightmapTexture);
+  return heightmap
+    ? createHeightSampler(heightmap, size, heightScale, terrainOffset, options)
+    : null;
+}
+
+let missingHeightmapWarned = false;
+
+const warnMissingHeightmap = () => {
+  if (!missingHeightmapWarned) {
+    missingHeightmapWarned = true;
+    console.warn(
+      "getTerrainHeightFromTexture: heightmap not loaded, using terrainOffset"
+    );
+  }
+};
+
 /**
  * Calculate terrain height using heightmap data directly (more efficient for batch operations)
  * This is an alternative to raycasting that works directly with the heightmap texture
  * @param x - World X coordinate
  * @param z - World Z coordinate
- * @param heightmapTexture - The heightmap texture (can be null for fallback)
+ * @param heightmapTexture - The heightmap texture (null or not yet loaded falls back to terrainOffset)
  * @param size - Size of the terrain
  * @param heightScale - Height scale multiplier
  * @param terrainOffset - Y offset applied to terrain
+ * @param options - Normalization / center peak alignment used by the terrain
  * @returns The Y coordinate of the terrain at this position
  */
 export function getTerrainHeightFromTexture(
@@ -80,28 +325,56 @@ export function getTerrainHeightFromTexture(
   heightmapTexture: THREE.Texture | null,
   size: number,
   heightScale: number,
-  terrainOffset: number = -50
+  terrainOffset: number = -50,
+  options: HeightmapSampleOptions = {}
 ): number {
-  // For now, let's use a simple fallback calculation
-  // This assumes the terrain is roughly flat with some variation
-
-  // Simple height calculation based on distance from center
-  const distanceFromCenter = Math.sqrt(x * x + z * z);
-  const maxDistance = size / 2;
-  const normalizedDistance = Math.min(distanceFromCenter / maxDistance, 1);
-
-  // Create some height variation (higher at edges, lower in center)
-  const heightVariation =
-    Math.sin(normalizedDistance * Math.PI) * heightScale * 0.3;
+  const heightmap = getHeightmapData(heightmapTexture);
+  if (!heightmap) {
+    warnMissingHeightmap();
+    return terrainOffset;
+  }
 
-  // With terrain peak at Y=0 (terrainOffset = 0), the base should be at terrainOffset
-  // Terrain goes from terrainOffset (lowest) to terrainOffset + heightScale (highest)
-  // Since peak is at center (Y=0), we use terrainOffset as base
-  const baseHeight = terrainOffset; // Peak is at Y=0, so base is also at 0
+  return createHeightSampler(
+    heightmap,
+    size,
+    heightScale,
+    terrainOffset,
+    options
+  )(x, z);
+}
 
-  const finalHeight = baseHeight + heightVariation;
+/**
+ * Batch version of getTerrainHeightFromTexture: decodes and sets up the
+ * sampler once for all positions (tree scattering, grass, mesh displacement)
+ * @param positions - Flat [x0, z0, x1, z1, ...] world coordinates
+ * @returns Heights in the same order as the positions
+ */
+export function getTerrainHeightsFromTexture(
+  positions: ArrayLike<number>,
+  heightmapTexture: THREE.Texture | null,
+  size: number,
+  heightScale: number,
+  terrainOffset: number = -50,
+  options: HeightmapSampleOptions = {}
+): Float32Array {
+  const heights = new Float32Array(Math.floor(positions.length / 2));
+  const heightmap = getHeightmapData(heightmapTexture);
+  if (!heightmap) {
+    warnMissingHeightmap();
+    return heights.fill(terrainOffset);
+  }
 
-  return finalHeight;
+  const sample = createHeightSampler(
+    heightmap,
+    size,
+    heightScale,
+    terrainOffset,
+    options
+  );
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = sample(positions[i * 2], positions[i * 2 + 1]);
+  }
+  return heights;
 }
 
 /**
@@ -120,3 +393,41 @@ export function getBatchSpawnPositions(
     getSafeSpawnPosition(x, z, terrainMesh, spawnHeightOffset)
   );
 }
+
+/**
+ * Square bounds of a size x size terrain centered on the origin
+ */
+export const getCenteredTerrainBounds = (size: number): TerrainBounds => ({
+  minX: -size / 2,
+  maxX: size / 2,
+  minZ: -size / 2,
+  maxZ: size / 2,
+});
+
+/**
+ * Wrap a terrain's height lookup into a TerrainQuery. Normals and slopes come
+ * from central differences over sampleDistance world units.
+ */
+export function createTerrainQuery(
+  getHeight: TerrainHeightFn,
+  bounds: TerrainBounds,
+  sampleDistance: number = 1
+): TerrainQuery {
+  const getNormal = (
+    x: number,
+    z: number,
+    target: THREE.Vector3 = new THREE.Vector3()
+  ) => {
+    const dx =
+      getHeight(x + sampleDistance, z) - getHeight(x - sampleDistance, z);
+    const dz =
+      getHeight(x, z + sampleDistance) - getHeight(x, z - sampleDistance);
+    return target.set(-dx, 2 * sampleDistance, -dz).normalize();
+  };
+
+  const normal = new THREE.Vector3();
+  const getSlope = (x: number, z: number) =>
+    Math.acos(THREE.MathUtils.clamp(getNormal(x, z, normal).y, -1, 1));
+
+  return { getHeight, getNormal, getSlope, bounds };
+}
@@ -0,0 +1,13 @@
+/**
+ * Small type guards shared by the JSON data validators (map manifest, levels,
+ * save games)
+ */
+
+export const isPlainObject = (value: unknown): value is Record<string, any> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+export const isFiniteNumber = (value: unknown): value is number =>
+  typeof value === "number" && Number.isFinite(value);
+
+export const isVec3 = (value: unknown): value is [number, number, number] =>
+  Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
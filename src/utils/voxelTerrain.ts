@@ -0,0 +1,335 @@
+import alea from "alea";
+import { createNoise3D } from "simplex-noise";
+import type {
+  TerrainBounds,
+  TerrainHeightFn,
+  VoxelSink,
+} from "../types/terrain";
+import type { DensityFn } from "./surfaceNets";
+
+/**
+ * Voxel Terrain Sections
+ * Boxes of a heightfield terrain meshed from a 3D density field instead, so
+ * they can hold caves, tunnels, arches and overhangs. The field starts as the
+ * terrain's own surface and is shaped by SDF edits and optional noise caves.
+ * The heightfield is sunk out of the way inside a section (see
+ * sinkUnderVoxelSections); near its border every edit fades out so the voxel
+ * surface meets the heightfield around it.
+ *
+ * Density is negative in rock and positive in air.
+ */
+
+export type SdfOperation = "add" | "subtract";
+
+type Vec3 = [number, number, number];
+
+/**
+ * A solid added to or carved out of a section. Positions are relative to the
+ * section's anchor: its center at the terrain height there.
+ */
+export type SdfEdit =
+  | { shape: "sphere"; operation: SdfOperation; center: Vec3; radius: number }
+  | {
+      shape: "capsule";
+      operation: SdfOperation;
+      start: Vec3;
+      end: Vec3;
+      radius: number;
+    }
+  | {
+      shape: "box";
+      operation: SdfOperation;
+      center: Vec3;
+      halfExtents: Vec3;
+      /** Edge radius, eats into the half extents */
+      rounding?: number;
+    };
+
+export type VoxelCaveSettings = {
+  /** World units across one bend of a cave */
+  scale: number;
+  /** Cave radius */
+  radius: number;
+  /** How deep under the surface caves reach */
+  depth: number;
+};
+
+export type VoxelSection = {
+  /** Footprint center, world XZ */
+  x: number;
+  z: number;
+  /** Footprint extent along world X and Z */
+  width: number;
+  length: number;
+  cellSize?: number;
+  /**
+   * Edits fade out towards the border (the outer 20% of the shorter side),
+   * so tunnel mouths belong inside that strip's inner edge
+   */
+  edits?: SdfEdit[];
+  caves?: VoxelCaveSettings | null;
+  /** Smooth-union distance for added solids */
+  blend?: number;
+};
+
+/** A section placed on a terrain, ready to mesh */
+export type VoxelSectionLayout = {
+  section: VoxelSection;
+  bounds: TerrainBounds;
+  /** World position of grid point (0, 0, 0) */
+  min: Vec3;
+  cellSize: number;
+  cells: Vec3;
+  /** Height of the edits' origin */
+  anchorY: number;
+};
+
+const DEFAULT_CELL_SIZE = 1;
+// Headroom above the terrain when no edit reaches higher
+const MIN_HEADROOM = 4;
+// Edits and caves fade out over this share of the footprint's shorter side
+const BORDER_FADE = 0.2;
+
+const smoothstep = (edge0: number, edge1: number, value: number) => {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+const smoothMin = (a: number, b: number, k: number) => {
+  if (k <= 0) return Math.min(a, b);
+  const h = Math.max(k - Math.abs(a - b), 0) / k;
+  return Math.min(a, b) - h * h * k * 0.25;
+};
+
+const getEditDistance = (edit: SdfEdit, x: number, y: number, z: number) => {
+  switch (edit.shape) {
+    case "sphere": {
+      const [cx, cy, cz] = edit.center;
+      return Math.hypot(x - cx, y - cy, z - cz) - edit.radius;
+    }
+    case "capsule": {
+      const [ax, ay, az] = edit.start;
+      const [bx, by, bz] = edit.end;
+      const abx = bx - ax;
+      const aby = by - ay;
+      const abz = bz - az;
+      const lengthSq = abx * abx + aby * aby + abz * abz || 1;
+      const t = Math.min(
+        1,
+        Math.max(
+          0,
+          ((x - ax) * abx + (y - ay) * aby + (z - az) * abz) / lengthSq
+        )
+      );
+      return (
+        Math.hypot(x - ax - abx * t, y - ay - aby * t, z - az - abz * t) -
+        edit.radius
+      );
+    }
+    case "box": {
+      const rounding = edit.rounding ?? 0;
+      const qx = Math.abs(x - edit.center[0]) - edit.halfExtents[0] + rounding;
+      const qy = Math.abs(y - edit.center[1]) - edit.halfExtents[1] + rounding;
+      const qz = Math.abs(z - edit.center[2]) - edit.halfExtents[2] + rounding;
+      return (
+        Math.hypot(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0)) +
+        Math.min(Math.max(qx, qy, qz), 0) -
+        rounding
+      );
+    }
+  }
+};
+
+// Highest point an edit adds, relative to the anchor
+const getEditTop = (edit: SdfEdit) => {
+  switch (edit.shape) {
+    case "sphere":
+      return edit.center[1] + edit.radius;
+    case "capsule":
+      return Math.max(edit.start[1], edit.end[1]) + edit.radius;
+    case "box":
+      return edit.center[1] + edit.halfExtents[1];
+  }
+};
+
+/**
+ * Fit a section's grid to the terrain under it
+ * @param getHeight The terrain's height lookup, without the sink
+ */
+export function layoutVoxelSection(
+  section: VoxelSection,
+  getHeight: TerrainHeightFn
+): VoxelSectionLayout {
+  const cellSize = section.cellSize ?? DEFAULT_CELL_SIZE;
+  const cellsX = Math.max(2, Math.ceil(section.width / cellSize));
+  const cellsZ = Math.max(2, Math.ceil(section.length / cellSize));
+  const minX = section.x - (cellsX * cellSize) / 2;
+  const minZ = section.z - (cellsZ * cellSize) / 2;
+
+  let lowest = Infinity;
+  let highest = -Infinity;
+  for (let k = 0; k <= cellsZ; k++) {
+    for (let i = 0; i <= cellsX; i++) {
+      const height = getHeight(minX + i * cellSize, minZ + k * cellSize);
+      lowest = Math.min(lowest, height);
+      highest = Math.max(highest, height);
+    }
+  }
+
+  const anchorY = getHeight(section.x, section.z);
+  const editTop = (section.edits ?? [])
+    .filter((edit) => edit.operation === "add")
+    .reduce(
+      (top, edit) => Math.max(top, anchorY + getEditTop(edit)),
+      -Infinity
+    );
+  const bottom = lowest - (section.caves?.depth ?? 0) - cellSize * 3;
+  const top = Math.max(highest + MIN_HEADROOM, editTop + cellSize * 2);
+  const cellsY = Math.ceil((top - bottom) / cellSize);
+
+  return {
+    section,
+    bounds: {
+      minX,
+      maxX: minX + cellsX * cellSize,
+      minZ,
+      maxZ: minZ + cellsZ * cellSize,
+    },
+    min: [minX, bottom, minZ],
+    cellSize,
+    cells: [cellsX, cellsY, cellsZ],
+    anchorY,
+  };
+}
+
+/**
+ * Density field of a laid out section
+ * @param getHeight The same lookup the layout was made with
+ */
+export function createVoxelDensity(
+  layout: VoxelSectionLayout,
+  getHeight: TerrainHeightFn,
+  seed: number | string
+): DensityFn {
+  const { section, bounds, min, cellSize, cells, anchorY } = layout;
+  const edits = section.edits ?? [];
+  const caves = section.caves ?? null;
+  const blend = section.blend ?? 2;
+
+  // Terrain heights at the grid columns; normals sample between them
+  const columns = cells[0] + 1;
+  const heights = new Float32Array(columns * (cells[2] + 1));
+  for (let k = 0; k <= cells[2]; k++) {
+    for (let i = 0; i < columns; i++) {
+      heights[k * columns + i] = getHeight(
+        min[0] + i * cellSize,
+        min[2] + k * cellSize
+      );
+    }
+  }
+  const sampleHeight = (x: number, z: number) => {
+    const gx = Math.min(cells[0] - 1e-6, Math.max(0, (x - min[0]) / cellSize));
+    const gz = Math.min(cells[2] - 1e-6, Math.max(0, (z - min[2]) / cellSize));
+    const i = Math.floor(gx);
+    const k = Math.floor(gz);
+    const u = gx - i;
+    const v = gz - k;
+    const index = k * columns + i;
+    return (
+      heights[index] * (1 - u) * (1 - v) +
+      heights[index + 1] * u * (1 - v) +
+      heights[index + columns] * (1 - u) * v +
+      heights[index + columns + 1] * u * v
+    );
+  };
+
+  const noiseA = createNoise3D(alea(`${seed}:caves:a`));
+  const noiseB = createNoise3D(alea(`${seed}:caves:b`));
+  const fadeWidth =
+    Math.min(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ) *
+    BORDER_FADE;
+
+  return (x, y, z) => {
+    const ground = sampleHeight(x, z);
+    const terrain = y - ground;
+
+    const borderDistance = Math.min(
+      x - bounds.minX,
+      bounds.maxX - x,
+      z - bounds.minZ,
+      bounds.maxZ - z
+    );
+    const fade = smoothstep(0, fadeWidth, borderDistance);
+    if (fade <= 0) return terrain;
+
+    let density = terrain;
+    const localX = x - (bounds.minX + bounds.maxX) / 2;
+    const localY = y - anchorY;
+    const localZ = z - (bounds.minZ + bounds.maxZ) / 2;
+    for (const edit of edits) {
+      const distance = getEditDistance(edit, localX, localY, localZ);
+      density =
+        edit.operation === "add"
+          ? smoothMin(density, distance, blend)
+          : Math.max(density, -distance);
+    }
+
+    if (caves) {
+      // Worms where two noise fields are both near zero, kept off the
+      // bottom of the grid
+      const frequency = 1 / caves.scale;
+      const a = noiseA(x * frequency, y * frequency, z * frequency);
+      const b = noiseB(x * frequency, y * frequency, z * frequency);
+      const floor = smoothstep(
+        ground - caves.depth,
+        ground - caves.depth + caves.radius * 2,
+        y
+      );
+      const cave =
+        Math.hypot(a, b) * caves.scale * 0.5 -
+        caves.radius +
+        (1 - floor) * caves.radius * 2;
+      density = Math.max(density, -cave);
+    }
+
+    return terrain + (density - terrain) * fade;
+  };
+}
+
+/**
+ * Where the heightfield goes under a section: below its grid, across its
+ * footprint
+ */
+export const getVoxelSink = ({
+  bounds,
+  min,
+  cellSize,
+}: VoxelSectionLayout): VoxelSink => ({
+  ...bounds,
+  bottom: min[1] - cellSize,
+});
+
+/**
+ * Height of a heightfield with the voxel sections cut out of it
+ * @param inset Heightfield spacing; only points at least this far inside a
+ *   footprint sink, so no heightfield triangle dips outside it
+ */
+export function sinkUnderVoxelSections(
+  height: number,
+  x: number,
+  z: number,
+  sinks: VoxelSink[],
+  inset: number
+): number {
+  for (const sink of sinks) {
+    if (
+      x >= sink.minX + inset &&
+      x <= sink.maxX - inset &&
+      z >= sink.minZ + inset &&
+      z <= sink.maxZ - inset
+    ) {
+      return Math.min(height, sink.bottom);
+    }
+  }
+  return height;
+}
@@ -0,0 +1,56 @@
+import type { WaterBody } from "../types/water";
+
+/**
+ * Water queries and buoyancy
+ * The surface at a point is the highest of the bodies covering it: their
+ * level, or for sloped water (rivers) its own surface there.
+ */
+
+/**
+ * Density of water for buoyancy, in kg per cubic meter. Game scale: the
+ * physics debug cubes weigh 0.2 to 50 kg per cubic meter, so the light ones
+ * float and the heaviest sink.
+ */
+export const WATER_DENSITY = 25;
+
+/** Share of a submerged body's velocity the water takes away per second */
+export const WATER_LINEAR_DRAG = 1.5;
+export const WATER_ANGULAR_DRAG = 1;
+
+const containsPoint = ({ bounds }: WaterBody, x: number, z: number) =>
+  !bounds ||
+  (x >= bounds.minX &&
+    x <= bounds.maxX &&
+    z >= bounds.minZ &&
+    z <= bounds.maxZ);
+
+/**
+ * Water surface height at a world position
+ * @returns null where there's no water
+ */
+export function getWaterLevelAt(
+  bodies: Iterable<WaterBody>,
+  x: number,
+  z: number
+): number | null {
+  let level: number | null = null;
+  for (const body of bodies) {
+    if (!containsPoint(body, x, z)) continue;
+    const surface = body.getSurface ? body.getSurface(x, z) : body.level;
+    if (surface !== null && (level === null || surface > level)) {
+      level = surface;
+    }
+  }
+  return level;
+}
+
+/**
+ * Share (0..1) of a shape under the surface, from its center height and its
+ * vertical half extent
+ */
+export const getSubmergedFraction = (
+  centerY: number,
+  halfHeight: number,
+  level: number
+) =>
+  Math.min(1, Math.max(0, (level - (centerY - halfHeight)) / (2 * halfHeight)));
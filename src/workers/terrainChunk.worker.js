@@ -0,0 +1,23 @@
+import { buildTerrainChunk } from "../utils/terrainChunkBuilder";
+
+/**
+ * Builds ProceduralTerrain8 chunks off the main thread. Every buffer in the
+ * reply is transferred, not copied.
+ *
+ * Request:  { id, job: { seed, chunkX, chunkZ, chunkSize, segments,
+ *             collisionSegments, heightScale, terrainControls, erosion,
+ *             rivers, voxelSinks, heightsOnly } }
+ * Response: { id, chunk: { positions, normals, uvs, indices, heightfield } }
+ */
+
+self.onmessage = (event) => {
+  const { id, job } = event.data;
+  const chunk = buildTerrainChunk(job);
+  self.postMessage({ id, chunk }, [
+    chunk.positions.buffer,
+    chunk.normals.buffer,
+    chunk.uvs.buffer,
+    chunk.indices.buffer,
+    chunk.heightfield.buffer,
+  ]);
+};
@@ -0,0 +1,18 @@
+import { erodeHeightfield } from "../utils/terrainErosion";
+
+/**
+ * Runs a terrain erosion pass off the main thread. Every buffer in the reply
+ * is transferred, not copied.
+ *
+ * Request:  { heights, resolution, size, settings }
+ * Response: { size, resolution, delta, flow, sediment }
+ */
+self.onmessage = (event) => {
+  const { heights, resolution, size, settings } = event.data;
+  const map = erodeHeightfield(heights, resolution, size, settings);
+  self.postMessage(map, [
+    map.delta.buffer,
+    map.flow.buffer,
+    map.sediment.buffer,
+  ]);
+};